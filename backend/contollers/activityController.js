@@ -0,0 +1,222 @@
+const Activity = require("../models/Activity");
+const Todo = require("../models/Todo");
+const List = require("../models/List");
+const { response, isValidObjectId, validationErrors, invalidResponse } = require("../utils/response");
+const { parseLimit, parseSort, encodeCursor, cursorFilter } = require("../utils/pagination");
+const { TRACKED_FIELDS, snapshotOf, recordActivity } = require("../services/activityService");
+const { todoAccess, peopleOf } = require("../services/sharingService");
+const { reconcileWorkflow } = require("../utils/workflow");
+const logger = require("../utils/logger");
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Helper Utilities
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Runs a paginated, newest-first query over activity entries and sends the
+ * page. Shared by the per-todo history and the global feed.
+ */
+const sendActivityPage = async (req, res, filter, sortField, label) => {
+    const { limit, error } = parseLimit(req.query.limit);
+    if (error) {
+        return res.status(400).json(response(false, error, null));
+    }
+
+    const { keys, sort } = parseSort(undefined, { [sortField]: sortField }, `-${sortField}`);
+
+    let pageFilter = filter;
+    if (req.query.cursor) {
+        const { filter: after, error: cursorError } = cursorFilter(req.query.cursor, keys);
+        if (cursorError) {
+            return res.status(400).json(response(false, cursorError, null));
+        }
+        pageFilter = { $and: [filter, after] };
+    }
+
+    const [total, docs] = await Promise.all([
+        Activity.countDocuments(filter),
+        Activity.find(pageFilter).sort(sort).limit(limit + 1),
+    ]);
+    const hasMore = docs.length > limit;
+    const entries = docs.slice(0, limit);
+
+    return res.status(200).json(
+        response(true, `${entries.length} ${label} entr${entries.length === 1 ? "y" : "ies"} retrieved`, entries, {
+            total,
+            limit,
+            nextCursor: hasMore ? encodeCursor(entries[entries.length - 1], keys) : null,
+        })
+    );
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// 1. TODO HISTORY  –  GET /api/todos/:id/history
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Lists one todo's history, newest revision first. Paginated with
+ * ?limit=&cursor=. Members of a shared list see the history of its todos;
+ * once a todo is trashed or purged, only its owner still does.
+ *
+ * Entry: { id, revision, action, actor, title, list, changes: [{ field,
+ *          before, after }], snapshot, revertedTo, createdAt }
+ *
+ * @route   GET /api/todos/:id/history
+ * @access  Private
+ */
+const getTodoHistory = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        if (!isValidObjectId(id)) {
+            return res
+                .status(400)
+                .json(response(false, `"${id}" is not a valid Todo ID`, null));
+        }
+
+        const { todo } = await todoAccess(req.user._id, id);
+        // A todo can change hands between lists, so its history is not
+        // limited to the current owner's entries.
+        const filter = todo ? { todo: id } : { owner: req.user._id, todo: id };
+        return await sendActivityPage(req, res, filter, "revision", "history");
+    } catch (error) {
+        logger.error("getTodoHistory failed", { err: error });
+        return res
+            .status(500)
+            .json(response(false, "Server error while retrieving history", null));
+    }
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// 2. ACTIVITY FEED  –  GET /api/activity
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * The caller's activity across all todos, newest first.
+ *
+ * Supports optional query-string filtering:
+ *   ?action=update,delete     – only these actions
+ *   ?todo=<id>                – one todo
+ *   ?list=<id>|inbox          – todos that were in this list at the time
+ *   ?since=<ISO date>         – at or after this moment
+ *   ?until=<ISO date>         – strictly before this moment
+ * Paginated with ?limit=&cursor=.
+ *
+ * @route   GET /api/activity
+ * @access  Private
+ */
+const getActivity = async (req, res) => {
+    try {
+        const { action, todo, list, since, until } = req.query;
+        const filter = { owner: req.user._id };
+
+        // Values were checked and converted by the route schema.
+        if (action !== undefined) filter.action = { $in: action };
+        if (todo !== undefined) filter.todo = todo;
+        if (list !== undefined) filter.list = list === "inbox" ? null : list;
+        if (since !== undefined) filter.createdAt = { ...filter.createdAt, $gte: since };
+        if (until !== undefined) filter.createdAt = { ...filter.createdAt, $lt: until };
+
+        return await sendActivityPage(req, res, filter, "createdAt", "activity");
+    } catch (error) {
+        logger.error("getActivity failed", { err: error });
+        return res
+            .status(500)
+            .json(response(false, "Server error while retrieving activity", null));
+    }
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// 3. REVERT  –  POST /api/todos/:id/revert
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Restores a todo's tracked fields to how they were at a previous revision.
+ * Accepts { revision }. The revert is itself recorded as a new revision, so
+ * it can be undone the same way.
+ *
+ * Needs the editor role on the todo's list. A list that has since been
+ * deleted, or that belonged to another owner, is replaced with the Inbox, and
+ * an assignee who cannot see the todo there is cleared. Trashed todos must be
+ * restored before they can be reverted.
+ *
+ * @route   POST /api/todos/:id/revert
+ * @access  Private
+ */
+const revertTodo = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { revision } = req.body;
+
+        if (!isValidObjectId(id)) {
+            return res
+                .status(400)
+                .json(response(false, `"${id}" is not a valid Todo ID`, null));
+        }
+
+        const access = await todoAccess(req.user._id, id, { write: true });
+        if (access.error) {
+            return res.status(access.statusCode).json(response(false, access.error, null));
+        }
+        const current = access.todo;
+
+        // As for the history, entries written under an earlier owner count too.
+        const entry = await Activity.findOne({ todo: id, revision });
+        if (!entry) {
+            return res
+                .status(404)
+                .json(response(false, `Revision ${revision} not found`, null));
+        }
+
+        const updates = Object.fromEntries(TRACKED_FIELDS.map((field) => [field, entry.snapshot[field] ?? null]));
+        // Revisions recorded before workflow states existed only know `status`.
+        if (updates.state === null) delete updates.state;
+        reconcileWorkflow(updates, current);
+        // The todo stays with its owner: a list of theirs that is gone, or
+        // one it was in under another owner, becomes the Inbox.
+        if (updates.list && !(await List.exists({ _id: updates.list, owner: current.owner }))) {
+            updates.list = null;
+        }
+        if (updates.assignee && !(await peopleOf(current.owner, updates.list)).includes(String(updates.assignee))) {
+            updates.assignee = null;
+        }
+        if (String(updates.remindAt) !== String(current.remindAt?.toISOString() ?? null)) {
+            updates.reminderSentAt = null;
+        }
+
+        const todo = await Todo.findOneAndUpdate(access.filter, updates, {
+            new: true,
+            runValidators: true,
+        });
+
+        await recordActivity({
+            todo,
+            action: "revert",
+            actor: req.user._id,
+            before: snapshotOf(current),
+            revertedTo: revision,
+        });
+
+        return res
+            .status(200)
+            .json(response(true, `Todo reverted to revision ${revision}`, todo));
+    } catch (error) {
+        if (error.name === "ValidationError") {
+            return res.status(400).json(invalidResponse(validationErrors(error)));
+        }
+
+        logger.error("revertTodo failed", { err: error });
+        return res
+            .status(500)
+            .json(response(false, "Server error while reverting todo", null));
+    }
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Exports
+// ─────────────────────────────────────────────────────────────────────────────
+module.exports = {
+    getTodoHistory,
+    getActivity,
+    revertTodo,
+};
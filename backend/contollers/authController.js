@@ -0,0 +1,221 @@
+const User = require("../models/User");
+const { response, validationErrors, invalidResponse } = require("../utils/response");
+const {
+    signAccessToken,
+    hashToken,
+    createRefreshToken,
+} = require("../utils/tokens");
+const logger = require("../utils/logger");
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Helper Utilities
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Issues a fresh access/refresh token pair for `user` and persists the
+ * refresh-token hash. Expired refresh tokens are pruned at the same time so the
+ * array does not grow without bound.
+ *
+ * An existing account is changed with atomic $pull / $push updates rather than
+ * by saving the whole array, so a login and a refresh running at the same time
+ * cannot overwrite each other's new token. (The two updates are separate
+ * because MongoDB cannot $pull from and $push to one array in one update.)
+ *
+ * @param {import('mongoose').Document} user - A new account is saved here.
+ * @returns {Promise<{ user: object, accessToken: string, refreshToken: string }>}
+ */
+const issueSession = async (user) => {
+    const { token, record } = createRefreshToken();
+
+    if (user.isNew) {
+        user.refreshTokens = [record];
+        await user.save();
+    } else {
+        await User.updateOne(
+            { _id: user._id },
+            { $pull: { refreshTokens: { expiresAt: { $lte: new Date() } } } }
+        );
+        await User.updateOne({ _id: user._id }, { $push: { refreshTokens: record } });
+    }
+
+    return { user, accessToken: signAccessToken(user), refreshToken: token };
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// 1. REGISTER  –  POST /api/auth/register
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Creates a new account and signs the user in immediately.
+ *
+ * Accepts { name, email, password }. The password is hashed by the User
+ * model's pre-save hook; a duplicate email surfaces as 409.
+ *
+ * @route   POST /api/auth/register
+ * @access  Public
+ */
+const register = async (req, res) => {
+    try {
+        const { name, email, password } = req.body;
+
+        const user = new User({ name, email, password });
+        const session = await issueSession(user);
+
+        return res
+            .status(201)
+            .json(response(true, "Account created successfully", session));
+    } catch (error) {
+        if (error.name === "ValidationError") {
+            return res.status(400).json(invalidResponse(validationErrors(error)));
+        }
+
+        if (error.code === 11000) {
+            return res
+                .status(409)
+                .json(response(false, "An account with this email already exists", null));
+        }
+
+        logger.error("register failed", { err: error });
+        return res
+            .status(500)
+            .json(response(false, "Server error while creating account", null));
+    }
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// 2. LOGIN  –  POST /api/auth/login
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Verifies { email, password } and returns a new token pair.
+ *
+ * The same 401 message is used for an unknown email and a wrong password so
+ * the endpoint cannot be used to enumerate registered accounts.
+ *
+ * @route   POST /api/auth/login
+ * @access  Public
+ */
+const login = async (req, res) => {
+    try {
+        const { email, password } = req.body;
+
+        const user = await User.findOne({ email: email.trim().toLowerCase() })
+            .select("+password");
+
+        if (!user || !(await user.comparePassword(password))) {
+            return res
+                .status(401)
+                .json(response(false, "Invalid email or password", null));
+        }
+
+        const session = await issueSession(user);
+
+        return res
+            .status(200)
+            .json(response(true, "Logged in successfully", session));
+    } catch (error) {
+        logger.error("login failed", { err: error });
+        return res
+            .status(500)
+            .json(response(false, "Server error while logging in", null));
+    }
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// 3. REFRESH  –  POST /api/auth/refresh
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Exchanges a valid refresh token for a new access/refresh pair.
+ *
+ * Refresh tokens are single-use: the presented token is removed and a new one
+ * issued (rotation), so a stolen token stops working after its next legitimate use.
+ * The token is redeemed in one atomic update, so of two concurrent refreshes
+ * with the same token only one succeeds.
+ *
+ * @route   POST /api/auth/refresh
+ * @access  Public (requires a refresh token in the body)
+ */
+const refresh = async (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+
+        const tokenHash = hashToken(refreshToken);
+        const user = await User.findOneAndUpdate(
+            { refreshTokens: { $elemMatch: { tokenHash, expiresAt: { $gt: new Date() } } } },
+            { $pull: { refreshTokens: { tokenHash } } }
+        );
+
+        if (!user) {
+            return res
+                .status(401)
+                .json(response(false, "Refresh token is invalid or has expired", null));
+        }
+
+        const session = await issueSession(user);
+
+        return res
+            .status(200)
+            .json(response(true, "Token refreshed successfully", session));
+    } catch (error) {
+        logger.error("refresh failed", { err: error });
+        return res
+            .status(500)
+            .json(response(false, "Server error while refreshing token", null));
+    }
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// 4. LOGOUT  –  POST /api/auth/logout
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Revokes the given refresh token. Always answers 204 – logging out with an
+ * unknown or already-revoked token is not an error from the client's view.
+ *
+ * @route   POST /api/auth/logout
+ * @access  Public (requires a refresh token in the body)
+ */
+const logout = async (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+
+        if (refreshToken) {
+            await User.updateOne(
+                { "refreshTokens.tokenHash": hashToken(refreshToken) },
+                { $pull: { refreshTokens: { tokenHash: hashToken(refreshToken) } } }
+            );
+        }
+
+        return res.status(204).send();
+    } catch (error) {
+        logger.error("logout failed", { err: error });
+        return res
+            .status(500)
+            .json(response(false, "Server error while logging out", null));
+    }
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// 5. CURRENT USER  –  GET /api/auth/me
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Returns the account attached to the current access token.
+ *
+ * @route   GET /api/auth/me
+ * @access  Private
+ */
+const getMe = (req, res) =>
+    res.status(200).json(response(true, "User retrieved successfully", req.user));
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Exports
+// ─────────────────────────────────────────────────────────────────────────────
+module.exports = {
+    register,
+    login,
+    refresh,
+    logout,
+    getMe,
+};
@@ -0,0 +1,237 @@
+const { response, isValidObjectId, validationErrors, invalidResponse } = require("../utils/response");
+const { spawnNextOccurrence } = require("../services/recurrenceService");
+const { snapshotOf, recordActivity } = require("../services/activityService");
+const { todoAccess } = require("../services/sharingService");
+const { reconcileWorkflow } = require("../utils/workflow");
+const logger = require("../utils/logger");
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Helper Utilities
+// ─────────────────────────────────────────────────────────────────────────────
+// Every checklist endpoint answers with the full parent todo so the client can
+// replace it in one go (progress, auto-completed status and item order included).
+
+/**
+ * Loads the todo named by `req.params.id` for editing, sending the 400/403/404
+ * reply itself when the caller cannot edit it. Returns null in that case. The
+ * loaded state is kept in `todo.$locals.before` for the history entry written
+ * on save.
+ *
+ * @param {import('express').Request}  req
+ * @param {import('express').Response} res
+ * @returns {Promise<import('mongoose').Document|null>}
+ */
+const loadEditableTodo = async (req, res) => {
+    const { id } = req.params;
+
+    if (!isValidObjectId(id)) {
+        res.status(400).json(response(false, `"${id}" is not a valid Todo ID`, null));
+        return null;
+    }
+
+    const { todo, error, statusCode } = await todoAccess(req.user._id, id, { write: true });
+    if (error) {
+        res.status(statusCode).json(response(false, error, null));
+        return null;
+    }
+
+    todo.$locals.before = snapshotOf(todo);
+    return todo;
+};
+
+/**
+ * Syncs the parent's `status` (and workflow state) with its checklist when
+ * `autoComplete` is on.
+ *
+ * @param {import('mongoose').Document} todo
+ * @returns {boolean} true when this call just completed the todo.
+ */
+const applyAutoComplete = (todo) => {
+    if (!todo.autoComplete || todo.checklist.length === 0) return false;
+
+    const allDone = todo.checklist.every((item) => item.done);
+    if (allDone === todo.status) return false;
+
+    todo.set(reconcileWorkflow({ status: allDone }, todo));
+    return allDone;
+};
+
+/**
+ * Saves the todo after a checklist change, records it in the history and
+ * answers with it. Spawns the next occurrence when auto-complete just
+ * finished a recurring todo.
+ */
+const saveAndRespond = async (req, todo, res, statusCode, message) => {
+    const completed = applyAutoComplete(todo);
+    await todo.save();
+    await recordActivity({ todo, action: "update", actor: req.user._id, before: todo.$locals.before });
+
+    if (completed && todo.recurrence) {
+        await spawnNextOccurrence(todo, req.user._id);
+    }
+
+    return res.status(statusCode).json(response(true, message, todo));
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// 1. ADD ITEM  –  POST /api/todos/:id/items
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Appends a checklist item. Accepts { text, done? }.
+ *
+ * @route   POST /api/todos/:id/items
+ * @access  Private
+ */
+const addItem = async (req, res) => {
+    try {
+        const todo = await loadEditableTodo(req, res);
+        if (!todo) return;
+
+        const { text, done } = req.body;
+        todo.checklist.push({ text, done });
+
+        return await saveAndRespond(req, todo, res, 201, "Checklist item added successfully");
+    } catch (error) {
+        if (error.name === "ValidationError") {
+            return res.status(400).json(invalidResponse(validationErrors(error)));
+        }
+
+        logger.error("addItem failed", { err: error });
+        return res
+            .status(500)
+            .json(response(false, "Server error while adding checklist item", null));
+    }
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// 2. UPDATE ITEM  –  PATCH /api/todos/:id/items/:itemId
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Edits the text and/or toggles the `done` flag of one checklist item.
+ *
+ * @route   PATCH /api/todos/:id/items/:itemId
+ * @access  Private
+ */
+const updateItem = async (req, res) => {
+    try {
+        const todo = await loadEditableTodo(req, res);
+        if (!todo) return;
+
+        const item = todo.checklist.id(req.params.itemId);
+        if (!item) {
+            return res
+                .status(404)
+                .json(response(false, "Checklist item not found", null));
+        }
+
+        const { text, done } = req.body;
+        if (text === undefined && done === undefined) {
+            return res
+                .status(400)
+                .json(response(false, "No valid fields provided for update", null));
+        }
+
+        if (text !== undefined) item.text = text;
+        if (done !== undefined) item.done = done;
+
+        return await saveAndRespond(req, todo, res, 200, "Checklist item updated successfully");
+    } catch (error) {
+        if (error.name === "ValidationError") {
+            return res.status(400).json(invalidResponse(validationErrors(error)));
+        }
+
+        logger.error("updateItem failed", { err: error });
+        return res
+            .status(500)
+            .json(response(false, "Server error while updating checklist item", null));
+    }
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// 3. DELETE ITEM  –  DELETE /api/todos/:id/items/:itemId
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Removes one checklist item. Unlike DELETE /api/todos/:id this answers 200
+ * with the parent todo, since the parent still exists and has changed.
+ *
+ * @route   DELETE /api/todos/:id/items/:itemId
+ * @access  Private
+ */
+const deleteItem = async (req, res) => {
+    try {
+        const todo = await loadEditableTodo(req, res);
+        if (!todo) return;
+
+        const item = todo.checklist.id(req.params.itemId);
+        if (!item) {
+            return res
+                .status(404)
+                .json(response(false, "Checklist item not found", null));
+        }
+
+        item.deleteOne();
+
+        return await saveAndRespond(req, todo, res, 200, "Checklist item deleted successfully");
+    } catch (error) {
+        logger.error("deleteItem failed", { err: error });
+        return res
+            .status(500)
+            .json(response(false, "Server error while deleting checklist item", null));
+    }
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// 4. REORDER  –  PATCH /api/todos/:id/items/reorder
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Reorders the checklist. Accepts { order: [itemId, …] } which must list every
+ * existing item id exactly once.
+ *
+ * @route   PATCH /api/todos/:id/items/reorder
+ * @access  Private
+ */
+const reorderItems = async (req, res) => {
+    try {
+        const todo = await loadEditableTodo(req, res);
+        if (!todo) return;
+
+        const { order } = req.body;
+        const current = todo.checklist.map((item) => String(item._id));
+
+        const isPermutation =
+            Array.isArray(order) &&
+            order.length === current.length &&
+            new Set(order.map(String)).size === current.length &&
+            order.every((itemId) => current.includes(String(itemId)));
+
+        if (!isPermutation) {
+            return res
+                .status(400)
+                .json(response(false, '"order" must list every checklist item id exactly once', null));
+        }
+
+        const byId = new Map(todo.checklist.map((item) => [String(item._id), item.toObject()]));
+        todo.checklist = order.map((itemId) => byId.get(String(itemId)));
+
+        return await saveAndRespond(req, todo, res, 200, "Checklist reordered successfully");
+    } catch (error) {
+        logger.error("reorderItems failed", { err: error });
+        return res
+            .status(500)
+            .json(response(false, "Server error while reordering checklist", null));
+    }
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Exports
+// ─────────────────────────────────────────────────────────────────────────────
+module.exports = {
+    addItem,
+    updateItem,
+    deleteItem,
+    reorderItems,
+};
@@ -0,0 +1,295 @@
+const Comment = require("../models/Comment");
+const Todo = require("../models/Todo");
+const { response, isValidObjectId, validationErrors, invalidResponse } = require("../utils/response");
+const { todoAccess, usersOf, publishToTodo } = require("../services/sharingService");
+const { publish } = require("../services/eventBus");
+const { mentionedIn } = require("../utils/mentions");
+const logger = require("../utils/logger");
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Helper Utilities
+// ─────────────────────────────────────────────────────────────────────────────
+// A todo's thread is open to everyone who can see the todo, viewers included.
+// Only the author edits a comment; the author or an owner of the todo's list
+// may delete it. Each change is pushed as a "comment.*" event, together with
+// the todo's new `commentCount` as "todo.updated".
+
+// Comments kept per todo at most.
+const MAX_COMMENTS = 500;
+
+// What each comment carries about its author.
+const AUTHOR_FIELDS = "name email";
+
+/**
+ * Loads the todo named by `req.params.id` for the caller, sending the 400/404
+ * reply itself when it cannot. Returns null in that case.
+ *
+ * @param {import('express').Request}  req
+ * @param {import('express').Response} res
+ * @returns {Promise<{ todo: import('mongoose').Document, role: string, filter: object }|null>}
+ */
+const loadThread = async (req, res) => {
+    const { id } = req.params;
+
+    if (!isValidObjectId(id)) {
+        res.status(400).json(response(false, `"${id}" is not a valid Todo ID`, null));
+        return null;
+    }
+
+    const access = await todoAccess(req.user._id, id);
+    if (access.error) {
+        res.status(access.statusCode).json(response(false, access.error, null));
+        return null;
+    }
+
+    return access;
+};
+
+/**
+ * Loads one comment of the thread, sending the 400/404 reply itself when it
+ * cannot. Returns null in that case.
+ */
+const loadComment = async (req, res, todo) => {
+    const { commentId } = req.params;
+
+    if (!isValidObjectId(commentId)) {
+        res.status(400).json(response(false, `"${commentId}" is not a valid Comment ID`, null));
+        return null;
+    }
+
+    const comment = await Comment.findOne({ _id: commentId, todo: todo._id });
+    if (!comment) {
+        res.status(404).json(response(false, "Comment not found", null));
+        return null;
+    }
+
+    return comment;
+};
+
+/**
+ * Resolves the mentions in a comment's body to the people who can see the
+ * todo. Each one newly mentioned (other than the author) gets the comment
+ * among their unread mentions (GET /api/mentions) and a "comment.mentioned"
+ * event on their own stream; someone no longer mentioned loses it.
+ *
+ * @param {import('express').Request} req
+ * @param {import('mongoose').Document} todo
+ * @param {import('mongoose').Document} comment - Not yet saved.
+ * @returns {Promise<() => void>} sends the notifications – call it once the
+ *          comment is saved.
+ */
+const resolveMentions = async (req, todo, comment) => {
+    const before = new Set(comment.mentions.map(String));
+    const mentioned = mentionedIn(comment.body, await usersOf(todo.owner, todo.list));
+    const added = mentioned.filter((userId) => !before.has(userId) && userId !== String(req.user._id));
+    comment.mentions = mentioned;
+    comment.unreadBy = [
+        ...comment.unreadBy.map(String).filter((userId) => mentioned.includes(userId)),
+        ...added,
+    ];
+
+    return () => {
+        for (const userId of added) {
+            publish(userId, "comment.mentioned", {
+                actor: String(req.user._id),
+                todo: { id: String(todo._id), title: todo.title, list: todo.list },
+                comment: comment.toJSON(),
+            });
+        }
+    };
+};
+
+/**
+ * Moves the todo's `commentCount` by `delta` and tells everyone who can see
+ * it – "todo.updated" with the todo, then `type` with the comment.
+ */
+const announce = async (req, access, delta, type, comment) => {
+    const todo = delta
+        ? await Todo.findOneAndUpdate(access.filter, { $inc: { commentCount: delta } }, { new: true })
+        : access.todo;
+    if (!todo) return;
+
+    const actor = String(req.user._id);
+    if (delta) await publishToTodo(todo, "todo.updated", { action: "comment", actor, todo: todo.toJSON() });
+    await publishToTodo(todo, type, { actor, todo: String(todo._id), comment });
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// 1. LIST  –  GET /api/todos/:id/comments
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Lists a todo's comments, oldest first. The caller's mentions in them count
+ * as read from then on.
+ *
+ * Comment: { id, todo, author: { id, name, email }, body, mentions: [userId],
+ *            editedAt, createdAt, updatedAt }
+ *
+ * @route   GET /api/todos/:id/comments
+ * @access  Private
+ */
+const getComments = async (req, res) => {
+    try {
+        const access = await loadThread(req, res);
+        if (!access) return;
+
+        const comments = await Comment.find({ todo: access.todo._id })
+            .sort({ createdAt: 1, _id: 1 })
+            .populate("author", AUTHOR_FIELDS);
+        const { modifiedCount } = await Comment.updateMany(
+            { todo: access.todo._id, unreadBy: req.user._id },
+            { $pull: { unreadBy: req.user._id } }
+        );
+        if (modifiedCount) publish(req.user._id, "mentions.changed", { reason: "mentions.read" });
+
+        return res
+            .status(200)
+            .json(response(true, `${comments.length} comment(s) retrieved successfully`, comments));
+    } catch (error) {
+        logger.error("getComments failed", { err: error });
+        return res
+            .status(500)
+            .json(response(false, "Server error while retrieving comments", null));
+    }
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// 2. ADD  –  POST /api/todos/:id/comments
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Adds a comment. Accepts { body }; "@ada" in it mentions the person whose
+ * email starts "ada@", who is notified (see utils/mentions.js).
+ *
+ * @route   POST /api/todos/:id/comments
+ * @access  Private
+ */
+const addComment = async (req, res) => {
+    try {
+        const access = await loadThread(req, res);
+        if (!access) return;
+
+        if ((await Comment.countDocuments({ todo: access.todo._id })) >= MAX_COMMENTS) {
+            return res
+                .status(409)
+                .json(response(false, `A todo can have at most ${MAX_COMMENTS} comments`, null));
+        }
+
+        const comment = new Comment({ todo: access.todo._id, author: req.user._id, body: req.body.body });
+        const notify = await resolveMentions(req, access.todo, comment);
+        await comment.save();
+        await comment.populate("author", AUTHOR_FIELDS);
+
+        await announce(req, access, 1, "comment.created", comment.toJSON());
+        notify();
+
+        return res
+            .status(201)
+            .json(response(true, "Comment added successfully", comment));
+    } catch (error) {
+        if (error.name === "ValidationError") {
+            return res.status(400).json(invalidResponse(validationErrors(error)));
+        }
+
+        logger.error("addComment failed", { err: error });
+        return res
+            .status(500)
+            .json(response(false, "Server error while adding comment", null));
+    }
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// 3. EDIT  –  PATCH /api/todos/:id/comments/:commentId
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Replaces the text of one of the caller's comments. Accepts { body }. Only
+ * people it newly mentions are notified.
+ *
+ * @route   PATCH /api/todos/:id/comments/:commentId
+ * @access  Private
+ */
+const updateComment = async (req, res) => {
+    try {
+        const access = await loadThread(req, res);
+        if (!access) return;
+
+        const comment = await loadComment(req, res, access.todo);
+        if (!comment) return;
+
+        if (String(comment.author) !== String(req.user._id)) {
+            return res
+                .status(403)
+                .json(response(false, "Only its author can edit a comment", null));
+        }
+
+        comment.body = req.body.body;
+        const notify = await resolveMentions(req, access.todo, comment);
+        if (comment.isModified("body")) comment.editedAt = new Date();
+        await comment.save();
+        await comment.populate("author", AUTHOR_FIELDS);
+
+        await announce(req, access, 0, "comment.updated", comment.toJSON());
+        notify();
+
+        return res
+            .status(200)
+            .json(response(true, "Comment updated successfully", comment));
+    } catch (error) {
+        if (error.name === "ValidationError") {
+            return res.status(400).json(invalidResponse(validationErrors(error)));
+        }
+
+        logger.error("updateComment failed", { err: error });
+        return res
+            .status(500)
+            .json(response(false, "Server error while updating comment", null));
+    }
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// 4. DELETE  –  DELETE /api/todos/:id/comments/:commentId
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Removes a comment – the caller's own, or any comment on a todo whose list
+ * they own.
+ *
+ * @route   DELETE /api/todos/:id/comments/:commentId
+ * @access  Private
+ */
+const deleteComment = async (req, res) => {
+    try {
+        const access = await loadThread(req, res);
+        if (!access) return;
+
+        const comment = await loadComment(req, res, access.todo);
+        if (!comment) return;
+
+        if (String(comment.author) !== String(req.user._id) && access.role !== "owner") {
+            return res
+                .status(403)
+                .json(response(false, "Only its author or the list's owner can delete a comment", null));
+        }
+
+        await comment.deleteOne();
+        await announce(req, access, -1, "comment.deleted", { id: String(comment._id) });
+
+        return res.status(204).send();
+    } catch (error) {
+        logger.error("deleteComment failed", { err: error });
+        return res
+            .status(500)
+            .json(response(false, "Server error while deleting comment", null));
+    }
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Exports
+// ─────────────────────────────────────────────────────────────────────────────
+module.exports = {
+    getComments,
+    addComment,
+    updateComment,
+    deleteComment,
+};
@@ -0,0 +1,29 @@
+const { buildOpenApi } = require("../docs/openapi");
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Helper Utilities
+// ─────────────────────────────────────────────────────────────────────────────
+
+// Built on first request – the spec only changes with the code.
+let cached;
+
+// ─────────────────────────────────────────────────────────────────────────────
+// 1. SPEC  –  GET /api/openapi.json
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Serves the OpenAPI 3 document for /api/health and the /api/todos routes
+ * (see docs/openapi.js). The interactive reference at /api/docs renders it.
+ *
+ * @route   GET /api/openapi.json
+ * @access  Public
+ */
+const getOpenApi = (_req, res) => {
+    cached ??= buildOpenApi();
+    return res.status(200).json(cached);
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Exports
+// ─────────────────────────────────────────────────────────────────────────────
+module.exports = { getOpenApi };
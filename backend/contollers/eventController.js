@@ -0,0 +1,104 @@
+const { subscribe, eventsSince } = require("../services/eventBus");
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Helper Utilities
+// ─────────────────────────────────────────────────────────────────────────────
+
+// Comment line sent periodically so proxies do not close an idle stream.
+const HEARTBEAT_MS = 25000;
+// Suggested reconnect delay sent to the client (the SSE `retry:` field).
+const RETRY_MS = 3000;
+
+/** Writes one event in text/event-stream format. */
+const writeEvent = (res, { id, type, data }) => {
+    if (id) res.write(`id: ${id}\n`);
+    res.write(`event: ${type}\n`);
+    res.write(`data: ${JSON.stringify(data)}\n\n`);
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// 1. STREAM  –  GET /api/events
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Server-Sent Events stream of changes to the caller's data.
+ *
+ * Events (each `data` is JSON):
+ *   ready           – { resumed } sent once the stream is open
+ *   todo.created    – { action, actor, todo }  (also sent on restore)
+ *   todo.updated    – { action, actor, todo }
+ *   todo.deleted    – { action, actor, todo }  (moved to the trash)
+ *   todos.changed   – { reason, … }  many todos changed (tag rename, list delete);
+ *                     reload the list
+ *   lists.changed   – { reason, … }  lists were created / edited / deleted
+ *   comment.created / comment.updated / comment.deleted
+ *                   – { actor, todo, comment }  a thread changed
+ *   comment.mentioned – { actor, todo, comment }  the caller was mentioned
+ *   mentions.changed  – { reason }  the caller's unread mentions were read
+ *   reset           – { reason }  missed events cannot be replayed; reload everything
+ *
+ * Send the id of the last event seen as a `Last-Event-ID` header (or
+ * ?lastEventId=) to resume: everything after it is replayed first, or `reset`
+ * is sent when that is no longer possible (server restart, too far behind).
+ *
+ * The stream ends when the access token expires; reconnect with a fresh one.
+ *
+ * @route   GET /api/events
+ * @access  Private
+ */
+const streamEvents = (req, res) => {
+    const owner = req.user._id;
+    const lastEventId = req.get("Last-Event-ID") || req.query.lastEventId;
+
+    res.writeHead(200, {
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache, no-transform",
+        Connection: "keep-alive",
+        // Stop nginx & co. from buffering the stream.
+        "X-Accel-Buffering": "no",
+    });
+    res.write(`retry: ${RETRY_MS}\n\n`);
+
+    // Subscribe before replaying so nothing published in between is lost.
+    const queued = [];
+    let replaying = true;
+    const unsubscribe = subscribe(owner, (event) => {
+        if (replaying) queued.push(event);
+        else writeEvent(res, event);
+    });
+
+    if (lastEventId) {
+        const missed = eventsSince(owner, lastEventId);
+        if (missed === null) {
+            writeEvent(res, { type: "reset", data: { reason: "Missed events are no longer available" } });
+        } else {
+            missed.forEach((event) => writeEvent(res, event));
+        }
+        const lastSeq = missed?.length ? missed[missed.length - 1].seq : 0;
+        queued.filter((event) => event.seq > lastSeq).forEach((event) => writeEvent(res, event));
+    } else {
+        queued.forEach((event) => writeEvent(res, event));
+    }
+    replaying = false;
+
+    writeEvent(res, { type: "ready", data: { resumed: Boolean(lastEventId) } });
+
+    const heartbeat = setInterval(() => res.write(": ping\n\n"), HEARTBEAT_MS);
+
+    // Close when the token expires so a revoked session stops receiving.
+    const expiresIn = req.auth?.exp ? req.auth.exp * 1000 - Date.now() : null;
+    const expiry = expiresIn !== null ? setTimeout(() => res.end(), Math.max(expiresIn, 0)) : null;
+
+    req.on("close", () => {
+        clearInterval(heartbeat);
+        clearTimeout(expiry);
+        unsubscribe();
+    });
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Exports
+// ─────────────────────────────────────────────────────────────────────────────
+module.exports = {
+    streamEvents,
+};
@@ -0,0 +1,435 @@
+const List = require("../models/List");
+const Todo = require("../models/Todo");
+const User = require("../models/User");
+const { response, isValidObjectId, validationErrors, invalidResponse } = require("../utils/response");
+const { publish } = require("../services/eventBus");
+const { memberOf, publishToList } = require("../services/sharingService");
+const { roleOf, atLeast, idOf } = require("../utils/roles");
+const logger = require("../utils/logger");
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Helper Utilities
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Counts the caller's todos per list in one aggregation, plus the todos of
+ * the lists shared with them.
+ *
+ * @param {import('mongoose').Types.ObjectId} owner
+ * @param {import('mongoose').Types.ObjectId[]} [shared] - Ids of lists other
+ *        people share with the caller.
+ * @returns {Promise<Map<string, { total: number, pending: number, completed: number }>>}
+ *          keyed by list id, with "inbox" for todos that have no list.
+ */
+const countTodosByList = async (owner, shared = []) => {
+    const rows = await Todo.aggregate([
+        { $match: shared.length ? { $or: [{ owner }, { list: { $in: shared } }] } : { owner } },
+        {
+            $group: {
+                _id: "$list",
+                total: { $sum: 1 },
+                completed: { $sum: { $cond: ["$status", 1, 0] } },
+            },
+        },
+    ]);
+
+    return new Map(
+        rows.map(({ _id, total, completed }) => [
+            _id ? String(_id) : "inbox",
+            { total, completed, pending: total - completed },
+        ])
+    );
+};
+
+const EMPTY_COUNTS = { total: 0, pending: 0, completed: 0 };
+
+// Who the owner and members are, as the client shows them.
+const PEOPLE = [
+    { path: "owner", select: "name email" },
+    { path: "members.user", select: "name email" },
+];
+
+/** A list as the API returns it: people filled in, plus the caller's role. */
+const listJSON = async (list, req, extra = {}) => {
+    await list.populate(PEOPLE);
+    return { ...list.toJSON(), role: roleOf(list, req.user._id), ...extra };
+};
+
+/**
+ * Loads the list named by `req.params.id` when the caller has at least
+ * `role` on it, sending the 400/403/404 reply itself when not. Returns null in
+ * that case. Lists the caller has no role on are reported as not found.
+ *
+ * @param {import('express').Request}  req
+ * @param {import('express').Response} res
+ * @param {string} role
+ * @returns {Promise<import('mongoose').Document|null>}
+ */
+const loadListFor = async (req, res, role) => {
+    const { id } = req.params;
+
+    if (!isValidObjectId(id)) {
+        res.status(400).json(response(false, `"${id}" is not a valid List ID`, null));
+        return null;
+    }
+
+    const list = await List.findOne({ _id: id, ...memberOf(req.user._id) });
+    if (!list) {
+        res.status(404).json(response(false, "List not found", null));
+        return null;
+    }
+    if (!atLeast(roleOf(list, req.user._id), role)) {
+        res.status(403).json(response(false, "Only the list's owners can do that", null));
+        return null;
+    }
+
+    return list;
+};
+// ─────────────────────────────────────────────────────────────────────────────
+// 1. LIST ALL  –  GET /api/lists
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Retrieves the caller's lists and the lists shared with them, with per-list
+ * todo counts, plus the counts for the implicit Inbox. Archived lists are
+ * included only with ?archived=true.
+ *
+ * Each list carries its `owner` and `members` as { id, name, email } users
+ * and the caller's `role` on it (see utils/roles.js).
+ *
+ * Response data: { lists: [{ …list, role, counts }], inbox: { counts } }
+ *
+ * @route   GET /api/lists
+ * @access  Private
+ */
+const getLists = async (req, res) => {
+    try {
+        const filter = memberOf(req.user._id);
+        if (req.query.archived !== true) filter.archived = false;
+
+        const lists = await List.find(filter).sort({ createdAt: 1 }).populate(PEOPLE);
+        const shared = lists.filter((list) => idOf(list.owner) !== idOf(req.user._id)).map((list) => list._id);
+        const counts = await countTodosByList(req.user._id, shared);
+
+        const data = {
+            lists: lists.map((list) => ({
+                ...list.toJSON(),
+                role: roleOf(list, req.user._id),
+                counts: counts.get(String(list._id)) || EMPTY_COUNTS,
+            })),
+            inbox: { counts: counts.get("inbox") || EMPTY_COUNTS },
+        };
+
+        return res
+            .status(200)
+            .json(response(true, `${lists.length} list(s) retrieved successfully`, data));
+    } catch (error) {
+        logger.error("getLists failed", { err: error });
+        return res
+            .status(500)
+            .json(response(false, "Server error while retrieving lists", null));
+    }
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// 2. CREATE  –  POST /api/lists
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Creates a new list. Accepts { name, color? }.
+ *
+ * @route   POST /api/lists
+ * @access  Private
+ */
+const createList = async (req, res) => {
+    try {
+        const { name, color } = req.body;
+        const list = await List.create({ name, color, owner: req.user._id });
+        publish(req.user._id, "lists.changed", { reason: "list.created", list: list.toJSON() });
+
+        return res
+            .status(201)
+            .json(response(true, "List created successfully", await listJSON(list, req, { counts: EMPTY_COUNTS })));
+    } catch (error) {
+        if (error.name === "ValidationError") {
+            return res.status(400).json(invalidResponse(validationErrors(error)));
+        }
+
+        logger.error("createList failed", { err: error });
+        return res
+            .status(500)
+            .json(response(false, "Server error while creating list", null));
+    }
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// 3. UPDATE  –  PATCH /api/lists/:id
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Renames, recolours, archives or un-archives a list.
+ * Accepts { name?, color?, archived? }. Needs the owner role on a shared
+ * list (403 otherwise).
+ *
+ * @route   PATCH /api/lists/:id
+ * @access  Private
+ */
+const updateList = async (req, res) => {
+    try {
+        const found = await loadListFor(req, res, "owner");
+        if (!found) return;
+
+        const { name, color, archived } = req.body;
+        const updates = {};
+        if (name !== undefined) updates.name = name;
+        if (color !== undefined) updates.color = color;
+        if (archived !== undefined) {
+            updates.archived = archived;
+            updates.archivedAt = archived ? new Date() : null;
+        }
+
+        if (Object.keys(updates).length === 0) {
+            return res
+                .status(400)
+                .json(response(false, "No valid fields provided for update", null));
+        }
+
+        const list = await List.findOneAndUpdate({ _id: found._id }, updates, {
+            new: true,
+            runValidators: true,
+        });
+
+        if (!list) {
+            return res
+                .status(404)
+                .json(response(false, "List not found", null));
+        }
+
+        publishToList(list, "lists.changed", { reason: "list.updated", list: list.toJSON() });
+
+        return res
+            .status(200)
+            .json(response(true, "List updated successfully", await listJSON(list, req)));
+    } catch (error) {
+        if (error.name === "ValidationError") {
+            return res.status(400).json(invalidResponse(validationErrors(error)));
+        }
+
+        logger.error("updateList failed", { err: error });
+        return res
+            .status(500)
+            .json(response(false, "Server error while updating list", null));
+    }
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// 4. DELETE  –  DELETE /api/lists/:id
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Permanently removes a list.
+ *
+ * By default its todos are moved to the Inbox so nothing is lost; pass
+ * ?deleteTodos=true to move them to the trash instead. Either way they end up
+ * without a list, so a restored todo lands in the Inbox – the list owner's,
+ * as the Inbox is never shared; members assigned to them are unassigned.
+ * Needs the owner role on a shared list (403 otherwise).
+ *
+ * @route   DELETE /api/lists/:id
+ * @access  Private
+ */
+const deleteList = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const found = await loadListFor(req, res, "owner");
+        if (!found) return;
+
+        const list = await List.findOneAndDelete({ _id: found._id });
+
+        if (!list) {
+            return res
+                .status(404)
+                .json(response(false, "List not found", null));
+        }
+
+        const inList = { owner: list.owner, list: list._id };
+        if (req.query.deleteTodos === true) {
+            await Todo.updateMany(
+                inList,
+                { $set: { deletedAt: new Date() }, $inc: { version: 1 } },
+                { timestamps: false }
+            );
+        }
+        await Todo.updateMany(
+            { ...inList, assignee: { $nin: [null, list.owner] } },
+            { $set: { assignee: null } },
+            { withDeleted: true }
+        );
+        // Includes already-trashed todos, so restoring one never points at a
+        // list that no longer exists.
+        await Todo.updateMany(inList, { $set: { list: null } }, { withDeleted: true });
+
+        publishToList(list, "lists.changed", { reason: "list.deleted", id });
+        publishToList(list, "todos.changed", { reason: "list.deleted", id });
+
+        return res.status(204).send();
+    } catch (error) {
+        logger.error("deleteList failed", { err: error });
+        return res
+            .status(500)
+            .json(response(false, "Server error while deleting list", null));
+    }
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// 5. SHARE  –  POST /api/lists/:id/members
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Shares a list with another user, found by email. Accepts { email, role? };
+ * the role defaults to "editor". Needs the owner role.
+ *
+ * Always responds 202 with the same message and no data – whether the email
+ * has no account, belongs to someone who already has access, or was added –
+ * so the endpoint does not reveal which emails are registered. Whoever was
+ * added shows up in the list's members (GET /api/lists).
+ *
+ * @route   POST /api/lists/:id/members
+ * @access  Private
+ */
+const addMember = async (req, res) => {
+    try {
+        const list = await loadListFor(req, res, "owner");
+        if (!list) return;
+
+        const email = req.body.email.trim().toLowerCase();
+        const user = await User.findOne({ email });
+
+        if (user && !roleOf(list, user._id)) {
+            list.members.push({ user: user._id, role: req.body.role });
+            await list.save();
+
+            publishToList(list, "lists.changed", { reason: "list.shared", id: String(list._id) });
+            publish(user._id, "todos.changed", { reason: "list.shared", id: String(list._id) });
+        }
+
+        return res
+            .status(202)
+            .json(response(true, `If "${email}" belongs to an account, it has access to this list`, null));
+    } catch (error) {
+        if (error.name === "ValidationError") {
+            return res.status(400).json(invalidResponse(validationErrors(error)));
+        }
+
+        logger.error("addMember failed", { err: error });
+        return res
+            .status(500)
+            .json(response(false, "Server error while sharing list", null));
+    }
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// 6. CHANGE ROLE  –  PATCH /api/lists/:id/members/:userId
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Changes a member's role. Accepts { role }. Needs the owner role; the
+ * list's creator keeps theirs.
+ *
+ * @route   PATCH /api/lists/:id/members/:userId
+ * @access  Private
+ */
+const updateMember = async (req, res) => {
+    try {
+        const list = await loadListFor(req, res, "owner");
+        if (!list) return;
+
+        const member = list.members.find((m) => idOf(m.user) === req.params.userId);
+        if (!member) {
+            return res
+                .status(404)
+                .json(response(false, "Member not found", null));
+        }
+
+        member.role = req.body.role;
+        await list.save();
+
+        publishToList(list, "lists.changed", { reason: "list.member", id: String(list._id) });
+
+        return res
+            .status(200)
+            .json(response(true, "Member updated successfully", await listJSON(list, req)));
+    } catch (error) {
+        if (error.name === "ValidationError") {
+            return res.status(400).json(invalidResponse(validationErrors(error)));
+        }
+
+        logger.error("updateMember failed", { err: error });
+        return res
+            .status(500)
+            .json(response(false, "Server error while updating member", null));
+    }
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// 7. UNSHARE  –  DELETE /api/lists/:id/members/:userId
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Takes a member off a list – by an owner, or by the member themselves to
+ * leave it. Todos of the list assigned to them are unassigned.
+ *
+ * @route   DELETE /api/lists/:id/members/:userId
+ * @access  Private
+ */
+const removeMember = async (req, res) => {
+    try {
+        const { userId } = req.params;
+        const leaving = userId === idOf(req.user._id);
+
+        const list = await loadListFor(req, res, leaving ? "viewer" : "owner");
+        if (!list) return;
+
+        const member = list.members.find((m) => idOf(m.user) === userId);
+        if (!member) {
+            return res
+                .status(404)
+                .json(response(false, "Member not found", null));
+        }
+
+        // Tell the member who left too, so their client drops the list.
+        const before = { owner: list.owner, members: [...list.members] };
+        list.members = list.members.filter((m) => m !== member);
+        await list.save();
+
+        await Todo.updateMany(
+            { owner: list.owner, list: list._id, assignee: member.user },
+            { $set: { assignee: null } },
+            { withDeleted: true }
+        );
+
+        publishToList(before, "lists.changed", { reason: "list.unshared", id: String(list._id) });
+        publishToList(before, "todos.changed", { reason: "list.unshared", id: String(list._id) });
+
+        return res.status(204).send();
+    } catch (error) {
+        logger.error("removeMember failed", { err: error });
+        return res
+            .status(500)
+            .json(response(false, "Server error while removing member", null));
+    }
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Exports
+// ─────────────────────────────────────────────────────────────────────────────
+module.exports = {
+    getLists,
+    createList,
+    updateList,
+    deleteList,
+    addMember,
+    updateMember,
+    removeMember,
+};
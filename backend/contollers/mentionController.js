@@ -0,0 +1,136 @@
+const Comment = require("../models/Comment");
+const Todo = require("../models/Todo");
+const { response } = require("../utils/response");
+const { parseLimit } = require("../utils/pagination");
+const { visibleTodos } = require("../services/sharingService");
+const { publish } = require("../services/eventBus");
+const logger = require("../utils/logger");
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Helper Utilities
+// ─────────────────────────────────────────────────────────────────────────────
+// A mention is a comment whose body names the caller (see utils/mentions.js).
+// It stays unread until the caller opens the todo's thread or marks it read
+// here, so mentions made while they were away are not lost with the live
+// "comment.mentioned" event.
+
+/**
+ * The todos among `ids` the caller can still see – live, and their own or in
+ * a list shared with them.
+ *
+ * @returns {Promise<import('mongoose').Document[]>} with `title` and `list`.
+ */
+const visibleAmong = async (userId, ids) =>
+    Todo.find({ _id: { $in: ids }, ...(await visibleTodos(userId)) }, { title: 1, list: 1 });
+
+/**
+ * Keeps the mentions on todos the caller can still see and attaches the todo
+ * to each.
+ *
+ * @param {*} userId
+ * @param {import('mongoose').Document[]} comments
+ * @returns {Promise<object[]>} mention entries, in the order given.
+ */
+const withVisibleTodos = async (userId, comments) => {
+    const todos = await visibleAmong(userId, comments.map((c) => c.todo));
+    const byId = new Map(todos.map((todo) => [String(todo._id), todo]));
+
+    return comments
+        .filter((comment) => byId.has(String(comment.todo)))
+        .map((comment) => {
+            const todo = byId.get(String(comment.todo));
+            return {
+                ...comment.toJSON(),
+                todo: { id: todo._id, title: todo.title, list: todo.list },
+                unread: comment.unreadBy.some((id) => String(id) === String(userId)),
+            };
+        });
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// 1. LIST  –  GET /api/mentions
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * The comments that mention the caller, newest first.
+ *
+ *   ?unread=true   – only those not read yet
+ *   ?limit=N       – at most N (default 50, max 200)
+ *
+ * Mention: { id, todo: { id, title, list }, author: { id, name, email },
+ *            body, mentions, editedAt, createdAt, updatedAt, unread }
+ *
+ * Response meta: { unread } – the caller's unread mentions in total. Those
+ * on todos the caller can no longer see are left out throughout.
+ *
+ * @route   GET /api/mentions
+ * @access  Private
+ */
+const getMentions = async (req, res) => {
+    try {
+        const { limit } = parseLimit(req.query.limit);
+        const filter = req.query.unread ? { unreadBy: req.user._id } : { mentions: req.user._id };
+
+        const comments = await Comment.find(filter)
+            .sort({ createdAt: -1, _id: -1 })
+            .limit(limit)
+            .populate("author", "name email");
+        const mentions = await withVisibleTodos(req.user._id, comments);
+        const unreadTodos = await visibleAmong(
+            req.user._id,
+            await Comment.distinct("todo", { unreadBy: req.user._id })
+        );
+        const unread = await Comment.countDocuments({
+            unreadBy: req.user._id,
+            todo: { $in: unreadTodos.map((todo) => todo._id) },
+        });
+
+        return res
+            .status(200)
+            .json(response(true, `${mentions.length} mention(s) retrieved successfully`, mentions, { unread }));
+    } catch (error) {
+        logger.error("getMentions failed", { err: error });
+        return res
+            .status(500)
+            .json(response(false, "Server error while retrieving mentions", null));
+    }
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// 2. MARK READ  –  POST /api/mentions/read
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Marks the caller's mentions read. Accepts { ids?: commentId[] }; without
+ * `ids`, all of them. The caller's other tabs get "mentions.changed".
+ *
+ * @route   POST /api/mentions/read
+ * @access  Private
+ */
+const markMentionsRead = async (req, res) => {
+    try {
+        const { ids } = req.body;
+        const { modifiedCount } = await Comment.updateMany(
+            { unreadBy: req.user._id, ...(ids && { _id: { $in: ids } }) },
+            { $pull: { unreadBy: req.user._id } }
+        );
+        if (modifiedCount) publish(req.user._id, "mentions.changed", { reason: "mentions.read" });
+
+        return res
+            .status(200)
+            .json(response(true, `${modifiedCount} mention(s) marked read`, { read: modifiedCount }));
+    } catch (error) {
+        logger.error("markMentionsRead failed", { err: error });
+        return res
+            .status(500)
+            .json(response(false, "Server error while marking mentions read", null));
+    }
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Exports
+// ─────────────────────────────────────────────────────────────────────────────
+module.exports = {
+    getMentions,
+    markMentionsRead,
+};
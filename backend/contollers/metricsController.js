@@ -0,0 +1,48 @@
+const crypto = require("crypto");
+const { renderMetrics } = require("../services/metrics");
+const { httpError } = require("../utils/response");
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Helper Utilities
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** Constant-time string comparison, so the token cannot be guessed by timing. */
+const sameSecret = (a, b) => {
+    const left = Buffer.from(a);
+    const right = Buffer.from(b);
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// 1. METRICS  –  GET /api/metrics
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Serves request counts, latency histograms, error counts and the MongoDB
+ * connection state in the Prometheus text format (see services/metrics.js).
+ *
+ * When METRICS_TOKEN is set, the scraper must send it as
+ * `Authorization: Bearer <token>`; otherwise the endpoint is open, and should
+ * only be reachable from inside the deployment.
+ *
+ * @route   GET /api/metrics
+ * @access  Public, or METRICS_TOKEN
+ */
+const getMetrics = (req, res, next) => {
+    const token = process.env.METRICS_TOKEN;
+    if (token) {
+        const [scheme, given] = (req.headers.authorization || "").split(" ");
+        if (scheme !== "Bearer" || !given || !sameSecret(given, token)) {
+            return next(httpError(401, "A valid metrics token is required"));
+        }
+    }
+
+    res.set("Content-Type", "text/plain; version=0.0.4; charset=utf-8");
+    res.set("Cache-Control", "no-store");
+    return res.status(200).send(renderMetrics());
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Exports
+// ─────────────────────────────────────────────────────────────────────────────
+module.exports = { getMetrics };
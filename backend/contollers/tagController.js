@@ -0,0 +1,263 @@
+const Todo = require("../models/Todo");
+const Tag = require("../models/Tag");
+const { response, validationErrors, invalidResponse } = require("../utils/response");
+const { normalizeTag, normalizeTags } = require("../utils/tags");
+const { publish } = require("../services/eventBus");
+const { snapshotOf, recordActivity } = require("../services/activityService");
+const logger = require("../utils/logger");
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Helper Utilities
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Moves every todo tagged `from` onto tag `to` for the given owner.
+ * Done in two passes because MongoDB cannot $addToSet and $pull the same array
+ * in one update; a todo already carrying `to` simply loses `from`.
+ *
+ * @returns {Promise<number>} number of todos that carried `from`.
+ */
+const retagTodos = async (owner, from, to) => {
+    await Todo.updateMany({ owner, tags: from }, { $addToSet: { tags: to } });
+    const { modifiedCount } = await Todo.updateMany(
+        { owner, tags: from },
+        { $pull: { tags: from } }
+    );
+    return modifiedCount;
+};
+
+/**
+ * Runs `write` – a bulk change to the tags of the owner's todos carrying any
+ * of `tags` – and records an "update" in the history of each todo it changed.
+ * One "todos.changed" event stands in for the per-todo events.
+ *
+ * @returns {Promise<*>} whatever `write` resolves to.
+ */
+const withTagHistory = async (owner, tags, write) => {
+    const before = new Map(
+        (await Todo.find({ owner, tags: { $in: tags } })).map((todo) => [String(todo._id), snapshotOf(todo)])
+    );
+    const result = await write();
+
+    const todos = await Todo.find({ _id: { $in: [...before.keys()] } });
+    await Promise.all(
+        todos.map((todo) =>
+            recordActivity({
+                todo,
+                action: "update",
+                actor: owner,
+                before: before.get(String(todo._id)),
+                broadcast: false,
+            })
+        )
+    );
+    return result;
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// 1. LIST  –  GET /api/tags
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Lists the caller's tags with usage counts, most-used first.
+ *
+ * Usage is aggregated from the `tags` arrays on todos; colours come from Tag
+ * metadata documents. A customised tag that no todo uses any more is still
+ * listed with a count of 0 so its colour is not lost.
+ *
+ * @route   GET /api/tags
+ * @access  Private
+ */
+const getTags = async (req, res) => {
+    try {
+        const [usage, meta] = await Promise.all([
+            Todo.aggregate([
+                { $match: { owner: req.user._id } },
+                { $unwind: "$tags" },
+                { $group: { _id: "$tags", count: { $sum: 1 } } },
+            ]),
+            Tag.find({ owner: req.user._id }),
+        ]);
+
+        const byName = new Map(
+            meta.map((tag) => [tag.name, { name: tag.name, color: tag.color, count: 0 }])
+        );
+        for (const { _id: name, count } of usage) {
+            byName.set(name, { name, color: byName.get(name)?.color || null, count });
+        }
+
+        const tags = [...byName.values()].sort(
+            (a, b) => b.count - a.count || a.name.localeCompare(b.name)
+        );
+
+        return res
+            .status(200)
+            .json(response(true, `${tags.length} tag(s) retrieved successfully`, tags));
+    } catch (error) {
+        logger.error("getTags failed", { err: error });
+        return res
+            .status(500)
+            .json(response(false, "Server error while retrieving tags", null));
+    }
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// 2. UPDATE  –  PATCH /api/tags/:name
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Renames and/or recolours a tag. Accepts { name?, color? }.
+ *
+ * A rename rewrites the tag on every todo that carries it, as an update in
+ * each todo's history. Renaming onto an
+ * existing tag behaves like a merge; the target keeps its own colour unless a
+ * new one is supplied.
+ *
+ * @route   PATCH /api/tags/:name
+ * @access  Private
+ */
+const updateTag = async (req, res) => {
+    try {
+        const owner = req.user._id;
+        const current = normalizeTag(req.params.name);
+        const { name, color } = req.body;
+
+        if (name === undefined && color === undefined) {
+            return res
+                .status(400)
+                .json(response(false, "No valid fields provided for update", null));
+        }
+
+        const target = name === undefined ? current : normalizeTag(name);
+        if (!current || !target) {
+            return res
+                .status(400)
+                .json(response(false, "Tag name cannot be empty", null));
+        }
+
+        let retagged = 0;
+        if (target !== current) {
+            retagged = await withTagHistory(owner, [current], () => retagTodos(owner, current, target));
+            publish(owner, "todos.changed", { reason: "tag.renamed", from: current, to: target });
+
+            // Carry the old colour over unless the target already has one.
+            const old = await Tag.findOneAndDelete({ owner, name: current });
+            const existing = await Tag.findOne({ owner, name: target });
+            if (old?.color && color === undefined && !existing?.color) {
+                await Tag.updateOne(
+                    { owner, name: target },
+                    { $set: { color: old.color } },
+                    { upsert: true }
+                );
+            }
+        }
+
+        const tag = color === undefined
+            ? await Tag.findOne({ owner, name: target })
+            : await Tag.findOneAndUpdate(
+                { owner, name: target },
+                { $set: { color } },
+                { new: true, upsert: true, runValidators: true }
+            );
+
+        return res.status(200).json(
+            response(true, "Tag updated successfully", {
+                name: target,
+                color: tag?.color || null,
+                retagged,
+            })
+        );
+    } catch (error) {
+        if (error.name === "ValidationError") {
+            return res.status(400).json(invalidResponse(validationErrors(error)));
+        }
+
+        logger.error("updateTag failed", { err: error });
+        return res
+            .status(500)
+            .json(response(false, "Server error while updating tag", null));
+    }
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// 3. MERGE  –  POST /api/tags/merge
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Merges several tags into one. Accepts { sources: string[], target: string }.
+ * Every todo carrying any source ends up carrying the target instead.
+ *
+ * @route   POST /api/tags/merge
+ * @access  Private
+ */
+const mergeTags = async (req, res) => {
+    try {
+        const owner = req.user._id;
+        const target = normalizeTag(req.body.target || "");
+        const sources = normalizeTags(req.body.sources || []).filter((t) => t !== target);
+
+        if (!target || sources.length === 0) {
+            return res
+                .status(400)
+                .json(response(false, 'Provide a "target" tag and at least one different "sources" tag', null));
+        }
+
+        const retagged = await withTagHistory(owner, sources, async () => {
+            let count = 0;
+            for (const source of sources) {
+                count += await retagTodos(owner, source, target);
+            }
+            return count;
+        });
+        await Tag.deleteMany({ owner, name: { $in: sources } });
+        publish(owner, "todos.changed", { reason: "tag.merged", sources, target });
+
+        return res
+            .status(200)
+            .json(response(true, `${sources.length} tag(s) merged into "${target}"`, { target, sources, retagged }));
+    } catch (error) {
+        logger.error("mergeTags failed", { err: error });
+        return res
+            .status(500)
+            .json(response(false, "Server error while merging tags", null));
+    }
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// 4. DELETE  –  DELETE /api/tags/:name
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Removes a tag from every todo and forgets its metadata. The todos themselves
+ * are untouched otherwise, but each one's history records the lost tag.
+ *
+ * @route   DELETE /api/tags/:name
+ * @access  Private
+ */
+const deleteTag = async (req, res) => {
+    try {
+        const owner = req.user._id;
+        const name = normalizeTag(req.params.name);
+
+        await withTagHistory(owner, [name], () => Todo.updateMany({ owner, tags: name }, { $pull: { tags: name } }));
+        await Tag.deleteOne({ owner, name });
+        publish(owner, "todos.changed", { reason: "tag.deleted", name });
+
+        return res.status(204).send();
+    } catch (error) {
+        logger.error("deleteTag failed", { err: error });
+        return res
+            .status(500)
+            .json(response(false, "Server error while deleting tag", null));
+    }
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Exports
+// ─────────────────────────────────────────────────────────────────────────────
+module.exports = {
+    getTags,
+    updateTag,
+    mergeTags,
+    deleteTag,
+};
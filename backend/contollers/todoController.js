@@ -1,28 +1,449 @@
 const mongoose = require("mongoose");
 const Todo = require("../models/Todo");
+const List = require("../models/List");
+const { response, isValidObjectId, validationErrors, invalidResponse } = require("../utils/response");
+const { spawnNextOccurrence } = require("../services/recurrenceService");
+const { topPositions, positionBetween } = require("../services/positionService");
+const { todoStats } = require("../services/statsService");
+const { snapshotOf, recordActivity } = require("../services/activityService");
+const { publish } = require("../services/eventBus");
+const {
+    VIEW_ONLY,
+    memberOf,
+    visibleTodos,
+    todoScope,
+    todoAccess,
+    peopleOf,
+    publishToTodo,
+} = require("../services/sharingService");
+const { normalizeTags } = require("../utils/tags");
+const { parseSearchQuery, toTextSearch, buildHighlights } = require("../utils/search");
+const { FORMATS } = require("../utils/todoFormats");
+const { MAX_BULK_TARGETS, MAX_TITLE_LENGTH } = require("../validators/todoValidators");
+const { etagOf, listETag, ifMatch } = require("../utils/etag");
+const { STATES, isDoneState, reconcileWorkflow } = require("../utils/workflow");
+const { occurrencesBetween } = require("../utils/recurrence");
+const { parseQuickAdd } = require("../utils/quickAdd");
+const { roleOf, atLeast } = require("../utils/roles");
+const {
+    parseLimit,
+    parseSort,
+    parseFields,
+    encodeCursor,
+    cursorFilter,
+    encodeOffsetCursor,
+    decodeOffsetCursor,
+} = require("../utils/pagination");
+const logger = require("../utils/logger");
 
 // ─────────────────────────────────────────────────────────────────────────────
 // Helper Utilities
 // ─────────────────────────────────────────────────────────────────────────────
 
+// ?sort= keys → document fields. Priority sorts on its numeric rank and
+// "manual" on the drag-and-drop order (see PATCH /api/todos/:id/move).
+const SORT_FIELDS = {
+    priority: "priorityRank",
+    createdAt: "createdAt",
+    updatedAt: "updatedAt",
+    title: "title",
+    manual: "position",
+};
+const DEFAULT_SORT = "-createdAt";
+
+// Fields a client may request with ?fields=.
+const SELECTABLE_FIELDS = [
+    "title",
+    "description",
+    "status",
+    "state",
+    "completedAt",
+    "priority",
+    "dueAt",
+    "remindAt",
+    "tags",
+    "checklist",
+    "autoComplete",
+    "recurrence",
+    "seriesId",
+    "occurrence",
+    "list",
+    "position",
+    "owner",
+    "assignee",
+    "commentCount",
+    "createdAt",
+    "updatedAt",
+    "version",
+];
+
+/**
+ * Translates the list query string into a Mongo filter scoped to the caller.
+ * Expects values already checked and converted by the route's schema
+ * (validators/todoValidators.js): booleans, Dates and a tag array.
+ *
+ * @param {import('express').Request} req
+ * @param {object} [query=req.query] - Validated filter params; bulk operations
+ *        pass their `filter` object here instead.
+ * @param {object} [scope] - Whose todos to look at, from todoScope(); the
+ *        caller's own when left out.
+ * @returns {{ filter?: object, search?: object, error?: string }} `search` is the
+ *          parsed ?q= query when present; `error` is set for an empty search.
+ */
+const buildTodoFilter = (req, query = req.query, scope = { owner: req.user._id }) => {
+    // Always scope – other users' todos are only visible through shared lists.
+    const filter = { ...scope };
+    const { status, state, priority, dueBefore, dueAfter, overdue, tags, tagMode, list, assignee, q } = query;
+    let search;
+
+    // Only apply filters when the query param is actually present so that
+    // omitting them returns every todo rather than an empty set.
+    if (status !== undefined) {
+        filter.status = status;
+    }
+
+    // Workflow states: any of the given ones.
+    if (state !== undefined && state.length > 0) {
+        filter.state = { $in: state };
+    }
+
+    if (priority !== undefined) {
+        filter.priority = priority;
+    }
+
+    if (dueBefore !== undefined || dueAfter !== undefined) {
+        filter.dueAt = {};
+        if (dueBefore !== undefined) filter.dueAt.$lt = dueBefore;
+        if (dueAfter !== undefined) filter.dueAt.$gte = dueAfter;
+    }
+
+    // List: a list id, or "inbox" for todos that are not in any list.
+    if (list !== undefined) {
+        filter.list = list === "inbox" ? null : list;
+    }
+
+    // Assignee: "me", "none" for unassigned todos, or a user id. Cast here,
+    // as aggregation (the stats) does not cast ids.
+    if (assignee !== undefined) {
+        filter.assignee =
+            assignee === "me" ? req.user._id : assignee === "none" ? null : new mongoose.Types.ObjectId(assignee);
+    }
+
+    // Tags: `tagMode=all` requires every tag, `any` (default) at least one.
+    if (tags !== undefined) {
+        const list = normalizeTags(tags);
+        if (list.length > 0) {
+            filter.tags = tagMode === "all" ? { $all: list } : { $in: list };
+        }
+    }
+
+    // Overdue = still pending and the deadline has passed. Combined with any
+    // explicit due range rather than replacing it.
+    if (overdue === true) {
+        const now = new Date();
+        const before = filter.dueAt?.$lt;
+        filter.status = false;
+        filter.dueAt = { ...filter.dueAt, $lt: before && before < now ? before : now };
+    }
+
+    // Full-text search (see utils/search.js for the supported syntax).
+    if (q !== undefined && q.trim() !== "") {
+        search = parseSearchQuery(q);
+        if (search.terms.length === 0 && search.phrases.length === 0) {
+            return { error: "Search needs at least one word or phrase to look for" };
+        }
+        // The text index starts with `owner`, so a search stays within one.
+        if (filter.owner === undefined) {
+            return { error: "Pick a list to search the todos assigned to you" };
+        }
+        filter.$text = { $search: toTextSearch(search) };
+    }
+
+    return { filter, search };
+};
+
 /**
- * Builds a standardised JSON body that every endpoint returns.
+ * buildTodoFilter() over the todos the query is scoped to – see todoScope()
+ * for how ?list= and ?assignee=me reach into lists shared with the caller.
  *
- * @param {boolean} success  - Whether the operation succeeded.
- * @param {string}  message  - Human-readable description of the outcome.
- * @param {*}       [data]   - Payload to include; omit or pass null for errors.
- * @returns {{ success: boolean, message: string, data: * }}
+ * @param {import('express').Request} req
+ * @param {object} [query=req.query]
+ * @returns {Promise<{ filter?: object, search?: object, error?: string }>}
  */
-const response = (success, message, data = null) => ({ success, message, data });
+const buildScopedFilter = async (req, query = req.query) =>
+    buildTodoFilter(req, query, await todoScope(req.user._id, query));
 
 /**
- * Validates that `id` is a well-formed MongoDB ObjectId.
- * Prevents Mongoose from throwing a CastError on obviously invalid strings.
+ * Checks that a `list` value from a request body names an active list the
+ * caller may add todos to – their own, or one shared with them as an editor
+ * or owner. null (or "inbox") means the caller's Inbox.
  *
- * @param {string} id
- * @returns {boolean}
+ * @param {import('express').Request} req
+ * @param {string|null} list
+ * @returns {Promise<{ list?: string|null, owner?: *, error?: string, statusCode?: number }>}
+ *          `owner` is whose todo it becomes – the list owner's.
  */
-const isValidObjectId = (id) => mongoose.Types.ObjectId.isValid(id);
+const resolveList = async (req, list) => {
+    if (list === null || list === "" || list === "inbox") return { list: null, owner: req.user._id };
+
+    if (!isValidObjectId(list)) {
+        return { error: `"${list}" is not a valid List ID`, statusCode: 400 };
+    }
+
+    const found = await List.findOne({ _id: list, ...memberOf(req.user._id) });
+    if (!found) return { error: "List not found", statusCode: 404 };
+    if (!atLeast(roleOf(found, req.user._id), "editor")) {
+        return { error: VIEW_ONLY, statusCode: 403 };
+    }
+    if (found.archived) {
+        return { error: "Cannot add todos to an archived list", statusCode: 409 };
+    }
+
+    return { list: found._id, owner: found.owner };
+};
+
+/**
+ * The 400 message when `assignee` cannot be given the todos of `owner`'s
+ * list `listId` – they must be able to see them – or null.
+ *
+ * @param {*} assignee
+ * @param {*} owner
+ * @param {*} listId
+ * @returns {Promise<string|null>}
+ */
+const assigneeError = async (assignee, owner, listId) => {
+    if (!assignee) return null;
+    const people = await peopleOf(owner, listId);
+    if (people.includes(String(assignee))) return null;
+    return listId
+        ? "Todos can only be assigned to the list's owner and members"
+        : "Todos outside a shared list can only be assigned to their owner";
+};
+
+/**
+ * The list called `name` the caller owns or is a member of, ignoring case –
+ * an active one before an archived one of the same name – or null.
+ *
+ * @param {import('express').Request} req
+ * @param {string} name
+ * @returns {Promise<import('mongoose').Document|null>}
+ */
+const listByName = async (req, name) => {
+    const key = name.toLowerCase();
+    const lists = await List.find(memberOf(req.user._id));
+    const matches = lists.filter((list) => list.name.toLowerCase() === key);
+    return matches.find((list) => !list.archived) || matches[0] || null;
+};
+
+/**
+ * Turns a create body carrying `raw` – a quick-add line, see
+ * utils/quickAdd.js – into a plain one. Fields sent alongside `raw` override
+ * what it yields, except `list`: that only applies when the text names no
+ * list. A named list that does not exist yet comes back as `newList`, to be
+ * created together with the todo.
+ *
+ * @param {import('express').Request} req
+ * @returns {Promise<{ body: object, newList: string|null }>}
+ */
+const expandQuickAdd = async (req) => {
+    const { raw, tz, tzOffset, now, ...given } = req.body;
+    const { list: listName, ...parsed } = parseQuickAdd(raw, { tz, tzOffset, now }).fields;
+    const body = { ...parsed, ...given };
+    if (listName === undefined) return { body, newList: null };
+
+    const found = await listByName(req, listName);
+    return {
+        body: { ...body, list: found ? String(found._id) : null },
+        newList: found ? null : listName,
+    };
+};
+
+/**
+ * The 400 message for a body whose `status` and `state` contradict each
+ * other, or null. Either one alone is fine – the other follows from it.
+ *
+ * @param {{ status?: boolean, state?: string }} body
+ * @returns {string|null}
+ */
+const stateConflict = ({ status, state }) => {
+    if (status === undefined || state === undefined || isDoneState(state) === status) return null;
+    return `"status" and "state" disagree – "${state}" is ${status ? "not " : ""}a done state`;
+};
+
+/**
+ * Builds the update for PATCH /api/todos/:id (and bulk "update") from a body.
+ *
+ * Whitelists the fields callers are allowed to update. This prevents
+ * accidental or malicious overwrite of system fields like createdAt or _id by
+ * simply ignoring anything not in this list. The checklist itself is edited
+ * through /api/todos/:id/items.
+ *
+ * @param {import('express').Request} req
+ * @param {object} body
+ * @returns {Promise<{ updates?: object, error?: string, statusCode?: number }>}
+ */
+const pickUpdates = async (req, body) => {
+    const {
+        title,
+        description,
+        status,
+        state,
+        priority,
+        dueAt,
+        remindAt,
+        recurrence,
+        autoComplete,
+        tags,
+        assignee,
+    } = body;
+
+    const conflict = stateConflict(body);
+    if (conflict) return { error: conflict, statusCode: 400 };
+
+    const updates = {};
+    if (title !== undefined) updates.title = title;
+    if (description !== undefined) updates.description = description;
+    if (status !== undefined) updates.status = status;
+    if (state !== undefined) updates.state = state;
+    if (priority !== undefined) updates.priority = priority;
+    if (dueAt !== undefined) updates.dueAt = dueAt;
+    if (recurrence !== undefined) updates.recurrence = recurrence;
+    if (autoComplete !== undefined) updates.autoComplete = autoComplete;
+    if (tags !== undefined) updates.tags = tags;
+    if (assignee !== undefined) updates.assignee = assignee;
+
+    // Moving between lists: the caller must be able to add todos to the
+    // target. A todo changes hands with the list – see resolveList().
+    if (body.list !== undefined) {
+        const target = await resolveList(req, body.list);
+        if (target.error) return { error: target.error, statusCode: target.statusCode };
+        updates.list = target.list;
+        updates.owner = target.owner;
+    }
+    if (remindAt !== undefined) {
+        // A new (or cleared) reminder time re-arms the scheduler.
+        updates.remindAt = remindAt;
+        updates.reminderSentAt = null;
+    }
+
+    return { updates };
+};
+
+/**
+ * Filter matching a todo only while it is still at `version` (any version
+ * when undefined). Todos saved before versioning have no field – version 0.
+ *
+ * @param {number} [version]
+ * @returns {object}
+ */
+const versionFilter = (version) => {
+    if (version === undefined) return {};
+    return version === 0 ? { version: { $in: [0, null] } } : { version };
+};
+
+/**
+ * Evaluates the If-Match header of PATCH / DELETE /api/todos/:id against the
+ * todo as just loaded.
+ *
+ * When the header is sent and matches, the todo's current version is returned
+ * so the write can require it too – a change landing between this check and
+ * the write then fails the precondition instead of being overwritten.
+ *
+ * @param {import('express').Request} req
+ * @param {import('mongoose').Document} current
+ * @returns {{ version?: number, conflict?: import('mongoose').Document }}
+ *          `conflict` is the current todo when the precondition failed.
+ */
+const checkIfMatch = (req, current) => {
+    if (!req.get("If-Match")) return {};
+    if (!ifMatch(req, etagOf(current))) return { conflict: current };
+    return { version: current.version };
+};
+
+/** 412 carrying the todo's current copy, so the client can show both sides. */
+const preconditionFailed = (res, current) =>
+    res
+        .status(412)
+        .set("ETag", etagOf(current))
+        .json(
+            response(
+                false,
+                "This todo was changed by someone else – review the latest version and try again",
+                current
+            )
+        );
+
+/**
+ * Sets the list ETag and cache headers on a GET /api/todos page; returns true
+ * when the client's If-None-Match already names this page (answer 304).
+ */
+const notModified = (req, res, todos, meta) => {
+    res.set({ ETag: listETag(todos, meta), "Cache-Control": "private, no-cache" });
+    return req.fresh;
+};
+
+/**
+ * Applies `updates` to a todo the caller may edit, records the change in its
+ * history and, when it completes a recurring todo, spawns the next occurrence.
+ * Shared by PATCH /api/todos/:id and bulk updates. `status` and `state` are
+ * reconciled against the todo's current state first (see utils/workflow.js).
+ *
+ * The assignee must be able to see the todo where it ends up: naming someone
+ * who cannot is refused, and an assignee the todo moves away from is cleared.
+ *
+ * @param {import('express').Request} req
+ * @param {object} where - The `filter` of todoAccess().
+ * @param {object} updates - Output of pickUpdates().
+ * @param {{ version?: number }} [opts] - Only update the todo while it is at
+ *        this version (from checkIfMatch()).
+ * @returns {Promise<{ todo: import('mongoose').Document|null, error?: string }>}
+ *          `todo` is null when there is no such todo (at that version);
+ *          `error` is the 400 message for an assignee that cannot be set.
+ */
+const updateTodoIn = async (req, where, updates, { version } = {}) => {
+    const target = { ...where, ...versionFilter(version) };
+    const current = await Todo.findOne(target);
+    if (!current) return { todo: null };
+
+    // A copy – bulk operations share one `updates` between many todos.
+    const changes = reconcileWorkflow({ ...updates }, current);
+    const owner = changes.owner ?? current.owner;
+    const list = changes.list !== undefined ? changes.list : current.list;
+    if (changes.assignee !== undefined || changes.list !== undefined) {
+        const assignee = changes.assignee !== undefined ? changes.assignee : current.assignee;
+        const error = await assigneeError(assignee, owner, list);
+        if (error && changes.assignee !== undefined) return { todo: null, error };
+        if (error) changes.assignee = null;
+    }
+
+    const todo = await Todo.findOneAndUpdate(target, changes, {
+        new: true,
+        runValidators: true,
+    });
+    if (!todo) return { todo: null };
+
+    await recordActivity({ todo, action: "update", actor: req.user._id, before: snapshotOf(current) });
+
+    // People who could see it only where it was are told it is gone.
+    if (String(list) !== String(current.list)) {
+        const remaining = new Set(await peopleOf(todo.owner, todo.list));
+        for (const userId of await peopleOf(current.owner, current.list)) {
+            if (remaining.has(userId)) continue;
+            publish(userId, "todo.deleted", {
+                action: "move",
+                actor: String(req.user._id),
+                todo: todo.toJSON(),
+            });
+        }
+    }
+
+    // Completing a recurring todo queues up its next occurrence.
+    if (changes.status === true && todo.recurrence) {
+        await spawnNextOccurrence(todo, req.user._id);
+    }
+
+    return { todo };
+};
 
 // ─────────────────────────────────────────────────────────────────────────────
 // 1. CREATE  –  POST /api/todos
@@ -31,35 +452,117 @@ const isValidObjectId = (id) => mongoose.Types.ObjectId.isValid(id);
 /**
  * Creates a new Todo document.
  *
- * Accepts { title, description, status, priority } from the request body.
+ * Accepts { title, description, status, state, priority, dueAt, remindAt,
+ * recurrence, checklist, autoComplete, tags, list, assignee } from the request
+ * body. `state` is a workflow state key – send it or `status`, or both if they
+ * agree. `list` is a List id (omit or null for the Inbox). `checklist` may
+ * seed the initial sub-tasks as [{ text, done? }]. `assignee` is a user id –
+ * the list's owner or one of its members.
+ *
+ * Instead of a title, `raw` may carry a quick-add line such as "Pay rent
+ * tomorrow 9am !high #home @finance every month" (see POST /api/todos/parse),
+ * with `tz` (or `tzOffset`) and `now` saying how to read its dates. Other fields sent
+ * with it win over what it yields; `list` is used only when the text names
+ * no list. A list it names that does not exist yet is created.
  * `createdAt` and `updatedAt` are managed automatically by the schema.
+ * The new todo is owned by the authenticated user – or, in a list shared with
+ * them, by the list's owner – and placed at the top of its owner's manual
+ * order.
  *
  * @route   POST /api/todos
- * @access  Public
+ * @access  Private
  */
 const createTodo = async (req, res) => {
     try {
-        const { title, description, status, priority } = req.body;
+        const quick = req.body.raw === undefined ? null : await expandQuickAdd(req);
+        const body = quick ? quick.body : req.body;
+        const {
+            title,
+            description,
+            status,
+            state,
+            priority,
+            dueAt,
+            remindAt,
+            recurrence,
+            checklist,
+            autoComplete,
+            tags,
+            assignee,
+        } = body;
+
+        // The route schema has only seen `raw`, not the title taken from it.
+        if (quick && title.length > MAX_TITLE_LENGTH) {
+            return res.status(400).json(invalidResponse([{
+                field: "title",
+                code: "too_long",
+                message: `"title" must be at most ${MAX_TITLE_LENGTH} characters long`,
+            }]));
+        }
+
+        const conflict = stateConflict(body);
+        if (conflict) {
+            return res.status(400).json(response(false, conflict, null));
+        }
+
+        const target = quick?.newList
+            ? { list: null, owner: req.user._id }
+            : await resolveList(req, body.list ?? null);
+        if (target.error) {
+            return res
+                .status(target.statusCode)
+                .json(response(false, target.error, null));
+        }
+
+        const badAssignee = await assigneeError(assignee, target.owner, target.list);
+        if (badAssignee) {
+            return res.status(400).json(invalidResponse([{ field: "assignee", code: "invalid", message: badAssignee }]));
+        }
+
+        const [position] = await topPositions(target.owner);
+
+        const todo = new Todo({
+            title,
+            description,
+            ...reconcileWorkflow({ status, state }, null),
+            priority,
+            dueAt,
+            remindAt,
+            recurrence,
+            checklist,
+            autoComplete,
+            tags,
+            list: target.list,
+            assignee,
+            position,
+            owner: target.owner,
+        });
+        if (quick?.newList) {
+            // Checked first, so a todo that cannot be saved leaves no list behind.
+            await todo.validate();
+            const list = await List.create({ name: quick.newList, owner: req.user._id });
+            todo.list = list._id;
+            publish(req.user._id, "lists.changed", { reason: "list.created", list: list.toJSON() });
+        }
 
         // Mongoose schema-level validation runs here; any validation error is
         // caught below and returned as a 400 with the validator message.
-        const todo = await Todo.create({ title, description, status, priority });
+        await todo.save();
+
+        await recordActivity({ todo, action: "create", actor: req.user._id });
 
         return res
             .status(201)
+            .set("ETag", etagOf(todo))
             .json(response(true, "Todo created successfully", todo));
     } catch (error) {
-        // ValidationError is thrown by Mongoose when schema constraints are violated
-        // (e.g. missing required field, enum mismatch, minlength).
+        // The route schema catches most bad input; anything only Mongoose
+        // knows about (e.g. the checklist size) still fails per field.
         if (error.name === "ValidationError") {
-            // Flatten all field-level messages into one readable string.
-            const messages = Object.values(error.errors).map((e) => e.message);
-            return res
-                .status(400)
-                .json(response(false, messages.join(". "), null));
+            return res.status(400).json(invalidResponse(validationErrors(error)));
         }
 
-        console.error("[createTodo]", error);
+        logger.error("createTodo failed", { err: error });
         return res
             .status(500)
             .json(response(false, "Server error while creating todo", null));
@@ -71,41 +574,124 @@ const createTodo = async (req, res) => {
 // ─────────────────────────────────────────────────────────────────────────────
 
 /**
- * Retrieves all Todo documents.
+ * Retrieves the authenticated user's todos – or a shared list's, or the ones
+ * assigned to them.
  *
  * Supports optional query-string filtering:
  *   ?status=true|false   – filter by completion state
+ *   ?state=in_progress,blocked – todos in any of these workflow states
  *   ?priority=low|medium|high – filter by priority
+ *   ?dueBefore=<ISO date>     – due strictly before the given moment
+ *   ?dueAfter=<ISO date>      – due at or after the given moment
+ *   ?overdue=true             – pending todos whose due date has passed
+ *   ?tags=work,urgent         – todos carrying the given tags…
+ *   ?tagMode=all|any          – …all of them, or any of them (default "any")
+ *   ?list=<id>|inbox          – todos in one list, or in no list; a list
+ *                               shared with the caller lists its owner's todos
+ *   ?assignee=me|none|<id>    – todos assigned to the caller, to nobody, or to
+ *                               that user; "me" without ?list= also covers
+ *                               every list shared with the caller
+ *   ?q=<query>                – full-text search over title, description, tags
+ *                               and checklist; supports "phrases" and -exclusions
+ *
+ * Sorting, pagination and projection:
+ *   ?sort=-priority,title     – comma-separated keys (priority, createdAt,
+ *                               updatedAt, title, manual); "-" prefix =
+ *                               descending. "manual" is the user's own
+ *                               drag-and-drop order
+ *   ?limit=50                 – page size (default 50, max 200)
+ *   ?cursor=<opaque>          – continue from `meta.nextCursor` of a prior page
+ *   ?fields=title,status      – return only these fields (id and version always
+ *                               included)
+ *
+ * Results default to newest-first. With ?q= they are ranked by relevance
+ * instead (?sort= is ignored), and each todo carries a
+ * `search: { score, highlights }` object describing where it matched.
  *
- * Results are returned newest-first so the most recent todos appear at the top.
+ * Response meta: { total, limit, nextCursor } – `nextCursor` is null on the
+ * last page; `total` counts every match, not just this page.
+ *
+ * The page carries a weak ETag built from its todos' versions and meta, and
+ * `Cache-Control: no-cache`, so clients revalidate with If-None-Match and get
+ * 304 Not Modified until something on the page changes.
  *
  * @route   GET /api/todos
- * @access  Public
+ * @access  Private
  */
 const getAllTodos = async (req, res) => {
     try {
-        const filter = {};
+        const { filter, search, error } = await buildScopedFilter(req);
+        const { limit, error: limitError } = parseLimit(req.query.limit);
+        const { keys, sort, error: sortError } = parseSort(req.query.sort, SORT_FIELDS, DEFAULT_SORT);
+        const { projection, error: fieldsError } = parseFields(req.query.fields, SELECTABLE_FIELDS);
+        const paramError = error || limitError || sortError || fieldsError;
 
-        // Only apply filters when the query param is actually present so that
-        // omitting them returns every todo rather than an empty set.
-        if (req.query.status !== undefined) {
-            // Convert the string "true"/"false" to the Boolean the schema stores.
-            filter.status = req.query.status === "true";
+        if (paramError) {
+            return res.status(400).json(response(false, paramError, null));
         }
 
-        if (req.query.priority !== undefined) {
-            filter.priority = req.query.priority;
+        const total = await Todo.countDocuments(filter);
+
+        if (search) {
+            // Relevance is not range-filterable, so search pages by offset.
+            const { offset = 0, error: cursorError } = req.query.cursor
+                ? decodeOffsetCursor(req.query.cursor)
+                : {};
+            if (cursorError) {
+                return res.status(400).json(response(false, cursorError, null));
+            }
+
+            const select = { ...projection, ...(projection && { version: 1 }), score: { $meta: "textScore" } };
+            const matches = await Todo.find(filter, select)
+                .sort({ score: { $meta: "textScore" }, createdAt: -1, _id: -1 })
+                .skip(offset)
+                .limit(limit + 1);
+
+            const hasMore = matches.length > limit;
+            const todos = matches.slice(0, limit).map((todo) => {
+                const { score, ...json } = todo.toJSON();
+                return { ...json, search: { score, highlights: buildHighlights(json, search) } };
+            });
+            const meta = { total, limit, nextCursor: hasMore ? encodeOffsetCursor(offset + limit) : null };
+
+            if (notModified(req, res, todos, meta)) return res.status(304).end();
+            return res
+                .status(200)
+                .json(response(true, `${todos.length} todo(s) matched the search`, todos, meta));
         }
 
-        const todos = await Todo.find(filter).sort({ createdAt: -1 });
+        let pageFilter = filter;
+        if (req.query.cursor) {
+            const { filter: after, error: cursorError } = cursorFilter(req.query.cursor, keys);
+            if (cursorError) {
+                return res.status(400).json(response(false, cursorError, null));
+            }
+            pageFilter = { $and: [filter, after] };
+        }
+
+        // The cursor is built from the sort fields (and the ETag from
+        // `version`), so they must be loaded even when ?fields= leaves them out.
+        const select = projection && {
+            ...projection,
+            ...Object.fromEntries(keys.map(({ field }) => [field, 1])),
+            version: 1,
+        };
+
+        const docs = await Todo.find(pageFilter, select).sort(sort).limit(limit + 1);
+        const hasMore = docs.length > limit;
+        const todos = docs.slice(0, limit);
+        const meta = {
+            total,
+            limit,
+            nextCursor: hasMore ? encodeCursor(todos[todos.length - 1], keys) : null,
+        };
 
+        if (notModified(req, res, todos, meta)) return res.status(304).end();
         return res
             .status(200)
-            .json(
-                response(true, `${todos.length} todo(s) retrieved successfully`, todos)
-            );
+            .json(response(true, `${todos.length} todo(s) retrieved successfully`, todos, meta));
     } catch (error) {
-        console.error("[getAllTodos]", error);
+        logger.error("getAllTodos failed", { err: error });
         return res
             .status(500)
             .json(response(false, "Server error while retrieving todos", null));
@@ -120,10 +706,14 @@ const getAllTodos = async (req, res) => {
  * Retrieves a single Todo by its MongoDB ObjectId.
  *
  * Returns 400 for a malformed id so the client knows it sent a bad value,
- * and 404 when the id is valid but no document exists.
+ * and 404 when the id is valid but no document exists. A todo owned by someone
+ * else is also reported as 404 so ids cannot be probed across accounts –
+ * unless it is in a list they share with the caller.
+ *
+ * The todo's ETag is sent along; If-None-Match with it is answered with 304.
  *
  * @route   GET /api/todos/:id
- * @access  Public
+ * @access  Private
  */
 const getTodoById = async (req, res) => {
     try {
@@ -135,19 +725,22 @@ const getTodoById = async (req, res) => {
                 .json(response(false, `"${id}" is not a valid Todo ID`, null));
         }
 
-        const todo = await Todo.findById(id);
+        const { todo, error, statusCode } = await todoAccess(req.user._id, id);
 
-        if (!todo) {
+        if (error) {
             return res
-                .status(404)
-                .json(response(false, "Todo not found", null));
+                .status(statusCode)
+                .json(response(false, error, null));
         }
 
+        res.set("ETag", etagOf(todo));
+        if (req.fresh) return res.status(304).end();
+
         return res
             .status(200)
             .json(response(true, "Todo retrieved successfully", todo));
     } catch (error) {
-        console.error("[getTodoById]", error);
+        logger.error("getTodoById failed", { err: error });
         return res
             .status(500)
             .json(response(false, "Server error while retrieving todo", null));
@@ -168,8 +761,17 @@ const getTodoById = async (req, res) => {
  *   new:            true  – return the updated document, not the pre-update one.
  *   runValidators:  true  – re-run schema validators on the changed fields.
  *
+ * Setting `status: true` on a todo with a `recurrence` rule also creates the
+ * next occurrence in the series (unless the rule's count/until has run out).
+ *
+ * With an If-Match header the update only applies while the todo still has
+ * that ETag; otherwise the answer is 412 with the current copy as `data`.
+ *
+ * Viewers of a shared list get 403. Moving a todo into someone else's list
+ * hands it to that list's owner; moving it to the Inbox, to the caller.
+ *
  * @route   PATCH /api/todos/:id
- * @access  Public
+ * @access  Private
  */
 const updateTodo = async (req, res) => {
     try {
@@ -181,15 +783,15 @@ const updateTodo = async (req, res) => {
                 .json(response(false, `"${id}" is not a valid Todo ID`, null));
         }
 
-        // Whitelist the fields callers are allowed to update.
-        // This prevents accidental or malicious overwrite of system fields like
-        // createdAt or _id by simply ignoring anything not in this list.
-        const { title, description, status, priority } = req.body;
-        const updates = {};
-        if (title !== undefined) updates.title = title;
-        if (description !== undefined) updates.description = description;
-        if (status !== undefined) updates.status = status;
-        if (priority !== undefined) updates.priority = priority;
+        const access = await todoAccess(req.user._id, id, { write: true });
+        if (access.error) {
+            return res.status(access.statusCode).json(response(false, access.error, null));
+        }
+
+        const { updates, error, statusCode } = await pickUpdates(req, req.body);
+        if (error) {
+            return res.status(statusCode).json(response(false, error, null));
+        }
 
         if (Object.keys(updates).length === 0) {
             return res
@@ -197,12 +799,19 @@ const updateTodo = async (req, res) => {
                 .json(response(false, "No valid fields provided for update", null));
         }
 
-        const todo = await Todo.findByIdAndUpdate(id, updates, {
-            new: true,
-            runValidators: true,
-        });
+        const { version, conflict } = checkIfMatch(req, access.todo);
+        if (conflict) return preconditionFailed(res, conflict);
+
+        const { todo, error: assignError } = await updateTodoIn(req, access.filter, updates, { version });
+        if (assignError) {
+            return res.status(400).json(invalidResponse([{ field: "assignee", code: "invalid", message: assignError }]));
+        }
 
         if (!todo) {
+            // Changed between the If-Match check and the write?
+            const latest = version !== undefined && (await Todo.findOne(access.filter));
+            if (latest) return preconditionFailed(res, latest);
+
             return res
                 .status(404)
                 .json(response(false, "Todo not found", null));
@@ -210,16 +819,14 @@ const updateTodo = async (req, res) => {
 
         return res
             .status(200)
+            .set("ETag", etagOf(todo))
             .json(response(true, "Todo updated successfully", todo));
     } catch (error) {
         if (error.name === "ValidationError") {
-            const messages = Object.values(error.errors).map((e) => e.message);
-            return res
-                .status(400)
-                .json(response(false, messages.join(". "), null));
+            return res.status(400).json(invalidResponse(validationErrors(error)));
         }
 
-        console.error("[updateTodo]", error);
+        logger.error("updateTodo failed", { err: error });
         return res
             .status(500)
             .json(response(false, "Server error while updating todo", null));
@@ -231,13 +838,18 @@ const updateTodo = async (req, res) => {
 // ─────────────────────────────────────────────────────────────────────────────
 
 /**
- * Permanently removes a Todo document from the database.
+ * Moves a Todo to the trash. It disappears from every other endpoint but can
+ * be brought back with POST /api/todos/:id/restore until the retention period
+ * runs out (see services/trashPurger.js).
  *
  * Returns 204 No Content on success – the client already knows what was
  * deleted (it sent the id), so there is nothing useful to return in the body.
+ * With an If-Match header the todo is only trashed while it still has that
+ * ETag; otherwise the answer is 412 with the current copy as `data`.
+ * A todo in a shared list goes to its owner's trash.
  *
  * @route   DELETE /api/todos/:id
- * @access  Public
+ * @access  Private
  */
 const deleteTodo = async (req, res) => {
     try {
@@ -249,25 +861,704 @@ const deleteTodo = async (req, res) => {
                 .json(response(false, `"${id}" is not a valid Todo ID`, null));
         }
 
-        const todo = await Todo.findByIdAndDelete(id);
+        const access = await todoAccess(req.user._id, id, { write: true });
+        if (access.error) {
+            return res.status(access.statusCode).json(response(false, access.error, null));
+        }
+
+        const { version, conflict } = checkIfMatch(req, access.todo);
+        if (conflict) return preconditionFailed(res, conflict);
+
+        const todo = await Todo.findOneAndUpdate(
+            { ...access.filter, ...versionFilter(version) },
+            { $set: { deletedAt: new Date() }, $inc: { version: 1 } },
+            { timestamps: false }
+        );
 
         if (!todo) {
+            const latest = version !== undefined && (await Todo.findOne(access.filter));
+            if (latest) return preconditionFailed(res, latest);
+
             return res
                 .status(404)
                 .json(response(false, "Todo not found", null));
         }
 
+        await recordActivity({ todo, action: "delete", actor: req.user._id });
+
         // 204 means "success, no body". Some clients expect a JSON body even on
         // delete; swap to 200 + the response helper if your frontend needs it.
         return res.status(204).send();
     } catch (error) {
-        console.error("[deleteTodo]", error);
+        logger.error("deleteTodo failed", { err: error });
         return res
             .status(500)
             .json(response(false, "Server error while deleting todo", null));
     }
 };
 
+// ─────────────────────────────────────────────────────────────────────────────
+// 6. BULK  –  POST /api/todos/bulk
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Resolves the todos one bulk operation applies to – either the explicit
+ * `ids` or everything matching `filter` (same keys as the GET /api/todos
+ * query). The route schema guarantees exactly one of the two is present.
+ *
+ * @returns {Promise<{ ids?: string[], error?: string }>}
+ */
+const resolveBulkTargets = async (req, { ids, filter }) => {
+    if (ids !== undefined) {
+        return { ids: [...new Set(ids)] };
+    }
+
+    const { filter: mongoFilter, error } = await buildScopedFilter(req, filter);
+    if (error) return { error };
+
+    const matches = await Todo.find(mongoFilter, { _id: 1 }).limit(MAX_BULK_TARGETS + 1);
+    if (matches.length > MAX_BULK_TARGETS) {
+        return { error: `Filter matches more than ${MAX_BULK_TARGETS} todos; narrow it down` };
+    }
+    return { ids: matches.map((todo) => String(todo._id)) };
+};
+
+/**
+ * Applies one update to each target, one document at a time so validation,
+ * history and recurrence spawning behave exactly as for PATCH /api/todos/:id.
+ */
+const bulkUpdate = async (req, ids, updates, result) => {
+    for (const id of ids) {
+        try {
+            const access = await todoAccess(req.user._id, id, { write: true });
+            if (access.error) {
+                result(id, access.statusCode, access.error);
+                continue;
+            }
+            const { todo, error } = await updateTodoIn(req, access.filter, updates);
+            if (error) result(id, 400, error);
+            else result(id, todo ? 200 : 404, todo ? undefined : "Todo not found");
+        } catch (error) {
+            if (error.name !== "ValidationError") throw error;
+            result(id, 400, Object.values(error.errors).map((e) => e.message).join(". "));
+        }
+    }
+};
+
+/**
+ * Trashes the targets in one query, reporting ids the caller cannot edit –
+ * missing, or in a list they only view – as 404.
+ */
+const bulkDelete = async (req, ids, result) => {
+    const editable = await visibleTodos(req.user._id, "editor");
+    const found = await Todo.find({ _id: { $in: ids }, ...editable });
+    const existing = new Set(found.map((todo) => String(todo._id)));
+
+    await Todo.updateMany(
+        { _id: { $in: [...existing] } },
+        { $set: { deletedAt: new Date() }, $inc: { version: 1 } },
+        { timestamps: false }
+    );
+    for (const todo of found) {
+        await recordActivity({ todo, action: "delete", actor: req.user._id });
+    }
+
+    for (const id of ids) {
+        if (existing.has(id)) result(id, 200);
+        else result(id, 404, "Todo not found");
+    }
+};
+
+/**
+ * Runs several operations in one request. Accepts
+ *   { operations: [{ action, ids? | filter?, fields? }] }
+ * where `action` is one of:
+ *   update     – apply `fields` (same whitelist as PATCH /api/todos/:id)
+ *   complete   – set status to true (spawning next occurrences); todos
+ *                not yet done move to the done workflow state
+ *   uncomplete – set status to false; done todos move back to the initial
+ *                workflow state
+ *   delete     – move the todos to the trash
+ * and the targets are either explicit `ids` or a `filter` using the GET
+ * /api/todos query keys, e.g. { action: "delete", filter: { status: true } }.
+ *
+ * Operations run in order and are not transactional: each todo succeeds or
+ * fails on its own. Response data:
+ *   { results: [{ op, action, id, success, status, message? }],
+ *     summary: { succeeded, failed } }
+ * An operation that fails as a whole (bad filter, invalid fields) reports a
+ * single result with `id: null`. The status is 200 when everything succeeded
+ * and 207 Multi-Status otherwise.
+ *
+ * @route   POST /api/todos/bulk
+ * @access  Private
+ */
+const bulkTodos = async (req, res) => {
+    try {
+        const { operations } = req.body;
+        const results = [];
+
+        for (const [op, operation] of operations.entries()) {
+            const { action } = operation;
+            const result = (id, status, message) =>
+                results.push({
+                    op,
+                    action,
+                    id,
+                    success: status < 300,
+                    status,
+                    ...(message && { message }),
+                });
+
+            const { ids, error } = await resolveBulkTargets(req, operation);
+            if (error) {
+                result(null, 400, error);
+                continue;
+            }
+
+            const invalid = ids.filter((id) => !isValidObjectId(id));
+            invalid.forEach((id) => result(id, 400, `"${id}" is not a valid Todo ID`));
+            const valid = ids.filter((id) => isValidObjectId(id));
+
+            if (action === "delete") {
+                await bulkDelete(req, valid, result);
+                continue;
+            }
+
+            let updates = { status: action === "complete" };
+            if (action === "update") {
+                const picked = await pickUpdates(req, operation.fields);
+                if (picked.error || Object.keys(picked.updates).length === 0) {
+                    result(null, picked.statusCode || 400, picked.error || "No valid fields provided for update");
+                    continue;
+                }
+                updates = picked.updates;
+            }
+
+            await bulkUpdate(req, valid, updates, result);
+        }
+
+        const succeeded = results.filter((r) => r.success).length;
+        const failed = results.length - succeeded;
+
+        return res
+            .status(failed ? 207 : 200)
+            .json(
+                response(
+                    failed === 0,
+                    failed ? `${succeeded} succeeded, ${failed} failed` : `${succeeded} todo(s) processed successfully`,
+                    { results, summary: { succeeded, failed } }
+                )
+            );
+    } catch (error) {
+        logger.error("bulkTodos failed", { err: error });
+        return res
+            .status(500)
+            .json(response(false, "Server error while running bulk operations", null));
+    }
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// 7. EXPORT  –  GET /api/todos/export
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Downloads the caller's todos – including those in lists shared with them –
+ * as a file. Accepts the same filters and ?sort= as GET /api/todos, but is
+ * not paginated – every match is included. Without ?list= or ?q=, every todo
+ * the caller can see is a candidate.
+ *
+ *   ?format=json|csv|md|todotxt|ics   (default json)
+ *
+ * Lists are written by name so the file can be imported into another account.
+ *
+ * @route   GET /api/todos/export
+ * @access  Private
+ */
+const exportTodos = async (req, res) => {
+    try {
+        const spec = FORMATS[req.query.format || "json"];
+
+        // Without ?list=, every todo the caller can see. A search stays within
+        // one owner's todos (see buildTodoFilter), so ?q= keeps the usual scope.
+        const { list, q } = req.query;
+        const scope = list === undefined && q === undefined
+            ? await visibleTodos(req.user._id)
+            : await todoScope(req.user._id, req.query);
+        const { filter, error } = buildTodoFilter(req, req.query, scope);
+        const { sort, error: sortError } = parseSort(req.query.sort, SORT_FIELDS, DEFAULT_SORT);
+        if (error || sortError) {
+            return res.status(400).json(response(false, error || sortError, null));
+        }
+
+        const [docs, lists] = await Promise.all([
+            Todo.find(filter).sort(sort),
+            List.find(memberOf(req.user._id), { name: 1 }),
+        ]);
+        const listNames = new Map(lists.map((list) => [String(list._id), list.name]));
+        const records = docs.map((doc) => {
+            const todo = doc.toJSON();
+            return {
+                ...todo,
+                id: String(todo.id),
+                list: todo.list ? listNames.get(String(todo.list)) ?? null : null,
+                checklist: (todo.checklist || []).map(({ text, done }) => ({ text, done })),
+            };
+        });
+
+        const filename = `todos-${new Date().toISOString().slice(0, 10)}.${spec.extension}`;
+        return res
+            .status(200)
+            .set("Content-Type", `${spec.contentType}; charset=utf-8`)
+            .set("Content-Disposition", `attachment; filename="${filename}"`)
+            .send(spec.serialize(records));
+    } catch (error) {
+        logger.error("exportTodos failed", { err: error });
+        return res
+            .status(500)
+            .json(response(false, "Server error while exporting todos", null));
+    }
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// 8. IMPORT  –  POST /api/todos/import
+// ─────────────────────────────────────────────────────────────────────────────
+
+const MAX_IMPORT_ROWS = 1000;
+
+/**
+ * Parses every row of an import and validates it against the Todo schema.
+ * List names are matched to the caller's lists (case-insensitively); names
+ * with no match are collected in `newLists` and created on commit.
+ *
+ * @returns {Promise<{ rows: object[], newLists: Map<string, string> }>} rows
+ *          of { row, valid, todo, errors, doc, newList }.
+ */
+const previewImport = async (req, parsedRows) => {
+    const lists = await List.find({ owner: req.user._id });
+    const byName = new Map();
+    for (const list of lists) {
+        const key = list.name.toLowerCase();
+        const seen = byName.get(key);
+        if (!seen || (seen.archived && !list.archived)) byName.set(key, list);
+    }
+
+    const newLists = new Map();   // lower-cased name → name as written
+    const rows = parsedRows.map(({ row, data, errors }) => {
+        if (!data) return { row, valid: false, todo: null, errors };
+
+        const rowErrors = [...errors];
+        const key = data.list?.toLowerCase();
+        const existing = key && byName.get(key);
+        if (existing?.archived) {
+            rowErrors.push({ field: "list", message: `List "${existing.name}" is archived` });
+        } else if (key && !existing && !newLists.has(key)) {
+            newLists.set(key, data.list);
+        }
+
+        // A completion date carried over from an export beats "now".
+        const workflow = reconcileWorkflow({ ...data }, null);
+        if (workflow.status && data.completedAt) workflow.completedAt = data.completedAt;
+
+        // New lists get their real id on commit; any id validates meanwhile.
+        const doc = new Todo({
+            ...workflow,
+            list: key ? existing?._id ?? new mongoose.Types.ObjectId() : null,
+            owner: req.user._id,
+        });
+        const invalid = doc.validateSync();
+        if (invalid) {
+            rowErrors.push(...Object.values(invalid.errors).map((e) => ({ field: e.path, message: e.message })));
+        }
+
+        return {
+            row,
+            valid: rowErrors.length === 0,
+            todo: existing ? { ...data, list: existing.name } : data,
+            errors: rowErrors,
+            doc,
+            newList: key && !existing ? key : null,
+        };
+    });
+
+    return { rows, newLists };
+};
+
+/**
+ * Imports todos from a file in any export format.
+ *
+ * Accepts { format, content, dryRun }. `content` is the file's text. By
+ * default (`dryRun` omitted or true) nothing is saved: the response previews
+ * each row with the todo it would create and any errors, so the caller can
+ * review before committing. Sending `dryRun: false` imports the valid rows and
+ * skips the invalid ones.
+ *
+ * Response data: { dryRun, format, summary: { total, valid, invalid,
+ * imported? }, newLists: [names], rows: [{ row, valid, todo, errors: [{
+ * field, message }] }] } – `row` is the line (or array position) in the file.
+ *
+ * @route   POST /api/todos/import
+ * @access  Private
+ */
+const importTodos = async (req, res) => {
+    try {
+        const { format, content } = req.body;
+        const dryRun = req.body.dryRun !== false;
+        const spec = FORMATS[format];
+
+        const { rows: parsedRows, error } = spec.parse(content);
+        if (error) {
+            return res.status(400).json(response(false, error, null));
+        }
+        if (parsedRows.length === 0) {
+            return res.status(400).json(response(false, "No todos found in the file", null));
+        }
+        if (parsedRows.length > MAX_IMPORT_ROWS) {
+            return res
+                .status(400)
+                .json(response(false, `At most ${MAX_IMPORT_ROWS} todos can be imported at once`, null));
+        }
+
+        const { rows, newLists } = await previewImport(req, parsedRows);
+        const valid = rows.filter((r) => r.valid);
+        const summary = { total: rows.length, valid: valid.length, invalid: rows.length - valid.length };
+        const result = {
+            dryRun,
+            format,
+            summary,
+            newLists: [...newLists.values()],
+            rows: rows.map(({ row, valid: ok, todo, errors }) => ({ row, valid: ok, todo, errors })),
+        };
+
+        if (dryRun) {
+            return res
+                .status(200)
+                .json(response(true, `${summary.valid} of ${summary.total} todo(s) ready to import`, result));
+        }
+        if (valid.length === 0) {
+            return res
+                .status(400)
+                .json(response(false, "None of the todos in the file are valid", result));
+        }
+
+        // Only create the lists that valid rows actually use.
+        const owner = req.user._id;
+        const created = new Map();
+        for (const key of new Set(valid.map((r) => r.newList).filter(Boolean))) {
+            created.set(key, await List.create({ name: newLists.get(key), owner }));
+        }
+        // Imported todos go to the top of the manual order, in file order.
+        const positions = await topPositions(owner, valid.length);
+        valid.forEach(({ doc, newList }, i) => {
+            if (newList) doc.list = created.get(newList)._id;
+            doc.position = positions[i];
+        });
+
+        const todos = await Todo.insertMany(valid.map((r) => r.doc));
+        await Promise.all(
+            todos.map((todo) => recordActivity({ todo, action: "create", actor: owner, broadcast: false }))
+        );
+
+        if (created.size) publish(owner, "lists.changed", { reason: "todos.imported" });
+        publish(owner, "todos.changed", { reason: "todos.imported", count: todos.length });
+
+        summary.imported = todos.length;
+        return res
+            .status(201)
+            .json(response(true, `${todos.length} todo(s) imported`, result));
+    } catch (error) {
+        logger.error("importTodos failed", { err: error });
+        return res
+            .status(500)
+            .json(response(false, "Server error while importing todos", null));
+    }
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// 9. MOVE  –  PATCH /api/todos/:id/move
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Moves a todo within the manual order (?sort=manual).
+ *
+ * Accepts { after, before } – the ids of the todos it should now sit between,
+ * as the caller sees the list: `after` is the one right above it, `before` the
+ * one right below. Either may be left out (or null) at the ends of the list or
+ * of a loaded page; the todo next to the given neighbour is then looked up so
+ * nothing is skipped. Only the moved todo is written.
+ *
+ * Moves are not recorded in the todo's history (the order is not one of its
+ * tracked fields), but are pushed to the event streams of everyone who can see
+ * the todo like any other update. The order is the todo owner's, shared with
+ * the members of their lists.
+ *
+ * @route   PATCH /api/todos/:id/move
+ * @access  Private
+ */
+const moveTodo = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { after = null, before = null } = req.body;
+
+        if (!isValidObjectId(id)) {
+            return res
+                .status(400)
+                .json(response(false, `"${id}" is not a valid Todo ID`, null));
+        }
+
+        if (after === id || before === id) {
+            return res
+                .status(400)
+                .json(response(false, "A todo cannot be placed next to itself", null));
+        }
+
+        const access = await todoAccess(req.user._id, id, { write: true });
+        if (access.error) {
+            return res
+                .status(access.statusCode)
+                .json(response(false, access.error, null));
+        }
+
+        const { owner } = access.todo;
+        const neighbourIds = [after, before].filter(Boolean);
+        const neighbours = await Todo.find({ _id: { $in: neighbourIds }, owner }, { position: 1 });
+
+        if (neighbours.length < neighbourIds.length) {
+            return res
+                .status(404)
+                .json(response(false, "Neighbouring todo not found", null));
+        }
+
+        const positionOf = (neighbourId) =>
+            neighbours.find((n) => String(n._id) === neighbourId)?.position ?? null;
+        const position = await positionBetween(owner, positionOf(after), positionOf(before), id);
+        const moved = await Todo.findOneAndUpdate(
+            { _id: id, owner },
+            { $set: { position } },
+            { new: true }
+        );
+
+        if (!moved) {
+            return res
+                .status(404)
+                .json(response(false, "Todo not found", null));
+        }
+
+        await publishToTodo(moved, "todo.updated", {
+            action: "move",
+            actor: String(req.user._id),
+            todo: moved.toJSON(),
+        });
+
+        return res
+            .status(200)
+            .set("ETag", etagOf(moved))
+            .json(response(true, "Todo moved successfully", moved));
+    } catch (error) {
+        logger.error("moveTodo failed", { err: error });
+        return res
+            .status(500)
+            .json(response(false, "Server error while moving todo", null));
+    }
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// 10. WORKFLOW  –  GET /api/todos/workflow
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Lists the workflow states (the Kanban columns) in order, as configured with
+ * WORKFLOW_STATES – see utils/workflow.js.
+ *
+ * Response data: { states: [{ key, name, done }] }
+ *
+ * @route   GET /api/todos/workflow
+ * @access  Private
+ */
+const getWorkflow = (_req, res) =>
+    res
+        .status(200)
+        .json(response(true, "Workflow retrieved successfully", { states: STATES }));
+
+// ─────────────────────────────────────────────────────────────────────────────
+// 11. CALENDAR  –  GET /api/todos/calendar
+// ─────────────────────────────────────────────────────────────────────────────
+
+// Entries returned at most for one range; the rest are cut off (meta.truncated).
+const MAX_CALENDAR_ENTRIES = 2000;
+
+/**
+ * Lists the caller's scheduled todos due within a date range, for the
+ * calendar and agenda views. Recurring todos that are still open are expanded:
+ * besides the todo itself, each later occurrence its rule produces inside the
+ * range is listed as a `projected` entry. Those do not exist yet – the next
+ * one is created when the current one is completed. Todos without a due date
+ * are left out.
+ *
+ * Query: ?from=<ISO date>&to=<ISO date> (exclusive, at most 366 days later),
+ * plus the list filters status, state, priority, tags, tagMode, list and
+ * assignee.
+ *
+ * Response data: [{ date, occurrence, projected, todo }], ordered by date;
+ * `todo` is the stored todo (for projected entries, the occurrence they follow
+ * from). Response meta: { from, to, total, truncated }.
+ *
+ * @route   GET /api/todos/calendar
+ * @access  Private
+ */
+const getCalendar = async (req, res) => {
+    try {
+        const { from, to } = req.query;
+        const { filter, error } = await buildScopedFilter(req);
+        if (error) {
+            return res.status(400).json(response(false, error, null));
+        }
+
+        const docs = await Todo.find({
+            $and: [
+                filter,
+                {
+                    $or: [
+                        { dueAt: { $gte: from, $lt: to } },
+                        // Open recurring todos due earlier can still repeat into the range.
+                        { recurrence: { $ne: null }, status: false, dueAt: { $lt: from } },
+                    ],
+                },
+            ],
+        }).sort({ dueAt: 1, _id: 1 });
+
+        const entries = [];
+        for (const doc of docs) {
+            const todo = doc.toJSON();
+            // A completed occurrence has already spawned the next one, which
+            // is a todo of its own.
+            if (!doc.recurrence || doc.status) {
+                entries.push({ date: doc.dueAt, occurrence: doc.occurrence, projected: false, todo });
+                continue;
+            }
+            const occurrences = occurrencesBetween(
+                doc.recurrence.toObject(),
+                doc.dueAt,
+                doc.occurrence,
+                from,
+                to,
+                MAX_CALENDAR_ENTRIES + 1
+            );
+            // The todo itself is listed on its due date even when that date
+            // is off the rule, which then only decides the later occurrences.
+            const listed = occurrences[0]?.occurrence === doc.occurrence;
+            if (!listed && doc.dueAt >= from && doc.dueAt < to) {
+                entries.push({ date: doc.dueAt, occurrence: doc.occurrence, projected: false, todo });
+            }
+            for (const { date, occurrence } of occurrences) {
+                entries.push({ date, occurrence, projected: occurrence !== doc.occurrence, todo });
+            }
+        }
+        entries.sort((a, b) => a.date - b.date);
+
+        const meta = {
+            from,
+            to,
+            total: Math.min(entries.length, MAX_CALENDAR_ENTRIES),
+            truncated: entries.length > MAX_CALENDAR_ENTRIES,
+        };
+        return res
+            .status(200)
+            .json(response(true, "Calendar retrieved successfully", entries.slice(0, MAX_CALENDAR_ENTRIES), meta));
+    } catch (error) {
+        logger.error("getCalendar failed", { err: error });
+        return res
+            .status(500)
+            .json(response(false, "Server error while fetching the calendar", null));
+    }
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// 12. PARSE  –  POST /api/todos/parse
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Parses a quick-add line without saving anything, so clients can preview
+ * what POST /api/todos with the same { raw, tz, tzOffset, now } would create.
+ *
+ * Response data: { title, dueAt?, priority?, tags?, recurrence?, list?,
+ * matched: [{ field, text }] } – only the fields the text sets, and the
+ * phrases they were read from. `list` is { id, name, archived }, with a null
+ * id for a list that would be created.
+ *
+ * @route   POST /api/todos/parse
+ * @access  Private
+ */
+const parseTodo = async (req, res) => {
+    try {
+        const { raw, tz, tzOffset, now } = req.body;
+        const { fields, matched } = parseQuickAdd(raw, { tz, tzOffset, now });
+        const data = { ...fields, matched };
+
+        if (fields.list !== undefined) {
+            const found = await listByName(req, fields.list);
+            data.list = found
+                ? { id: found._id, name: found.name, archived: found.archived }
+                : { id: null, name: fields.list, archived: false };
+        }
+
+        return res
+            .status(200)
+            .json(response(true, "Text parsed successfully", data));
+    } catch (error) {
+        logger.error("parseTodo failed", { err: error });
+        return res
+            .status(500)
+            .json(response(false, "Server error while parsing the text", null));
+    }
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// 13. STATS  –  GET /api/todos/stats
+// ─────────────────────────────────────────────────────────────────────────────
+
+const DEFAULT_STATS_DAYS = 30;
+
+/**
+ * Productivity statistics over every todo the caller has – or those matching
+ * the list filters status, state, priority, tags, tagMode, list and assignee.
+ * Counted on the server, so they hold however many todos a client has loaded.
+ *
+ * Query: ?days=30 (daily history length, max 365) and ?tzOffset=<minutes,
+ * as Date#getTimezoneOffset()> for where the caller's days begin.
+ *
+ * Response data: { totals: { total, pending, completed, overdue, dueToday },
+ * completionRate, averageCompletionMs, byPriority: { low|medium|high: {
+ * total, completed } }, byState: { [stateKey]: count }, streak: { current,
+ * longest }, history: [{ date, created, completed }] } – see
+ * services/statsService.js. `completionRate` and `averageCompletionMs` are
+ * null when there is nothing to base them on.
+ *
+ * @route   GET /api/todos/stats
+ * @access  Private
+ */
+const getStats = async (req, res) => {
+    try {
+        const { days = DEFAULT_STATS_DAYS, tzOffset = 0 } = req.query;
+        const { filter, error } = await buildScopedFilter(req);
+        if (error) {
+            return res.status(400).json(response(false, error, null));
+        }
+        // Aggregation pipelines are not cast by Mongoose.
+        if (typeof filter.list === "string") filter.list = new mongoose.Types.ObjectId(filter.list);
+
+        const stats = await todoStats(filter, { days, tzOffset });
+        return res
+            .status(200)
+            .json(response(true, "Stats retrieved successfully", stats));
+    } catch (error) {
+        logger.error("getStats failed", { err: error });
+        return res
+            .status(500)
+            .json(response(false, "Server error while computing stats", null));
+    }
+};
+
 // ─────────────────────────────────────────────────────────────────────────────
 // Exports
 // ─────────────────────────────────────────────────────────────────────────────
@@ -277,4 +1568,12 @@ module.exports = {
     getTodoById,
     updateTodo,
     deleteTodo,
+    bulkTodos,
+    exportTodos,
+    importTodos,
+    moveTodo,
+    getWorkflow,
+    getCalendar,
+    parseTodo,
+    getStats,
 };
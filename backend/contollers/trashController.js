@@ -0,0 +1,192 @@
+const Todo = require("../models/Todo");
+const Comment = require("../models/Comment");
+const { response, isValidObjectId } = require("../utils/response");
+const { parseLimit, parseSort, encodeCursor, cursorFilter } = require("../utils/pagination");
+const { TRASH_RETENTION_DAYS, purgeDate, purgeTodos } = require("../services/trashPurger");
+const { recordActivity } = require("../services/activityService");
+const logger = require("../utils/logger");
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Helper Utilities
+// ─────────────────────────────────────────────────────────────────────────────
+// Trashed todos are hidden by the Todo model's soft-delete hooks, so every
+// query here filters on `deletedAt` explicitly to see them.
+
+const IN_TRASH = { $ne: null };
+
+/** Adds `purgeAt` – when the retention purge will remove the todo for good. */
+const withPurgeDate = (todo) => ({ ...todo.toJSON(), purgeAt: purgeDate(todo.deletedAt) });
+
+// ─────────────────────────────────────────────────────────────────────────────
+// 1. LIST  –  GET /api/todos/trash
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Lists the caller's trashed todos, most recently deleted first.
+ * Paginated like GET /api/todos (?limit=&cursor=).
+ *
+ * Response meta: { total, limit, nextCursor, retentionDays }
+ *
+ * @route   GET /api/todos/trash
+ * @access  Private
+ */
+const getTrash = async (req, res) => {
+    try {
+        const { limit, error } = parseLimit(req.query.limit);
+        if (error) {
+            return res.status(400).json(response(false, error, null));
+        }
+
+        const { keys, sort } = parseSort(undefined, { deletedAt: "deletedAt" }, "-deletedAt");
+        const filter = { owner: req.user._id, deletedAt: IN_TRASH };
+
+        let pageFilter = filter;
+        if (req.query.cursor) {
+            const { filter: after, error: cursorError } = cursorFilter(req.query.cursor, keys);
+            if (cursorError) {
+                return res.status(400).json(response(false, cursorError, null));
+            }
+            pageFilter = { $and: [filter, after] };
+        }
+
+        const [total, docs] = await Promise.all([
+            Todo.countDocuments(filter),
+            Todo.find(pageFilter).sort(sort).limit(limit + 1),
+        ]);
+        const hasMore = docs.length > limit;
+        const todos = docs.slice(0, limit);
+
+        return res.status(200).json(
+            response(true, `${todos.length} trashed todo(s) retrieved successfully`, todos.map(withPurgeDate), {
+                total,
+                limit,
+                nextCursor: hasMore ? encodeCursor(todos[todos.length - 1], keys) : null,
+                retentionDays: TRASH_RETENTION_DAYS,
+            })
+        );
+    } catch (error) {
+        logger.error("getTrash failed", { err: error });
+        return res
+            .status(500)
+            .json(response(false, "Server error while retrieving trash", null));
+    }
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// 2. RESTORE  –  POST /api/todos/:id/restore
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Takes a todo out of the trash and answers with it.
+ *
+ * @route   POST /api/todos/:id/restore
+ * @access  Private
+ */
+const restoreTodo = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        if (!isValidObjectId(id)) {
+            return res
+                .status(400)
+                .json(response(false, `"${id}" is not a valid Todo ID`, null));
+        }
+
+        const todo = await Todo.findOneAndUpdate(
+            { _id: id, owner: req.user._id, deletedAt: IN_TRASH },
+            { $set: { deletedAt: null }, $inc: { version: 1 } },
+            { new: true, timestamps: false }
+        );
+
+        if (!todo) {
+            return res
+                .status(404)
+                .json(response(false, "Todo not found in trash", null));
+        }
+
+        await recordActivity({ todo, action: "restore", actor: req.user._id });
+
+        return res
+            .status(200)
+            .json(response(true, "Todo restored successfully", todo));
+    } catch (error) {
+        logger.error("restoreTodo failed", { err: error });
+        return res
+            .status(500)
+            .json(response(false, "Server error while restoring todo", null));
+    }
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// 3. PURGE ONE  –  DELETE /api/todos/trash/:id
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Permanently deletes one trashed todo. Live todos cannot be purged directly –
+ * they have to be trashed first.
+ *
+ * @route   DELETE /api/todos/trash/:id
+ * @access  Private
+ */
+const purgeTodo = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        if (!isValidObjectId(id)) {
+            return res
+                .status(400)
+                .json(response(false, `"${id}" is not a valid Todo ID`, null));
+        }
+
+        const todo = await Todo.findOneAndDelete({ _id: id, owner: req.user._id, deletedAt: IN_TRASH });
+
+        if (!todo) {
+            return res
+                .status(404)
+                .json(response(false, "Todo not found in trash", null));
+        }
+        await Comment.deleteMany({ todo: todo._id });
+
+        return res.status(204).send();
+    } catch (error) {
+        logger.error("purgeTodo failed", { err: error });
+        return res
+            .status(500)
+            .json(response(false, "Server error while purging todo", null));
+    }
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// 4. EMPTY  –  DELETE /api/todos/trash
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Permanently deletes everything in the caller's trash.
+ *
+ * @route   DELETE /api/todos/trash
+ * @access  Private
+ */
+const emptyTrash = async (req, res) => {
+    try {
+        const deletedCount = await purgeTodos({ owner: req.user._id, deletedAt: IN_TRASH });
+
+        return res
+            .status(200)
+            .json(response(true, `${deletedCount} todo(s) permanently deleted`, { purged: deletedCount }));
+    } catch (error) {
+        logger.error("emptyTrash failed", { err: error });
+        return res
+            .status(500)
+            .json(response(false, "Server error while emptying trash", null));
+    }
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Exports
+// ─────────────────────────────────────────────────────────────────────────────
+module.exports = {
+    getTrash,
+    restoreTodo,
+    purgeTodo,
+    emptyTrash,
+};
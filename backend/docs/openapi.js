@@ -0,0 +1,799 @@
+const Todo = require("../models/Todo");
+const Activity = require("../models/Activity");
+const Comment = require("../models/Comment");
+const { FORMATS } = require("../utils/todoFormats");
+const schemas = require("../validators/todoValidators");
+const { version } = require("../package.json");
+
+// ─────────────────────────────────────────────────────────────────────────────
+// OpenAPI Document
+// ─────────────────────────────────────────────────────────────────────────────
+// Describes /api/health and every route in routes/todoRoutes.js as OpenAPI 3.
+// Nothing is written out by hand that already exists in code:
+//   - response shapes come from the Mongoose models (Todo, Activity, Comment),
+//   - request bodies and query parameters from the same validators the routes
+//     run (validators/todoValidators.js).
+// The route list itself is kept in step by `npm test` (scripts/checkOpenApi.js),
+// which fails when a route and the spec disagree.
+
+const TODOS = "/api/todos";
+
+// ── Model → JSON Schema ───────────────────────────────────────────────────────
+
+const limitOf = (option) => (Array.isArray(option) ? option[0] : option);
+
+/** JSON Schema for one Mongoose SchemaType. */
+const schemaForPath = (path) => {
+    const { options } = path;
+    const nullable = options.default === null ? { nullable: true } : {};
+
+    switch (path.instance) {
+        case "String": {
+            const values = options.enum?.values || options.enum;
+            return {
+                type: "string",
+                ...(Array.isArray(values) && { enum: values }),
+                ...(options.minlength !== undefined && { minLength: limitOf(options.minlength) }),
+                ...(options.maxlength !== undefined && { maxLength: limitOf(options.maxlength) }),
+                ...nullable,
+            };
+        }
+        case "Number":
+            return {
+                type: "number",
+                ...(options.min !== undefined && { minimum: limitOf(options.min) }),
+                ...(options.max !== undefined && { maximum: limitOf(options.max) }),
+                ...nullable,
+            };
+        case "Boolean":
+            return { type: "boolean" };
+        case "Date":
+            return { type: "string", format: "date-time", ...nullable };
+        case "ObjectId":
+            return { type: "string", pattern: "^[0-9a-fA-F]{24}$", ...nullable };
+        case "Embedded":
+            return { ...schemaForModel(path.schema), ...nullable };
+        case "Array":
+            return {
+                type: "array",
+                items: path.schema ? schemaForModel(path.schema) : schemaForPath(path.embeddedSchemaType),
+            };
+        default:
+            // Mixed – any JSON value.
+            return {};
+    }
+};
+
+/**
+ * JSON Schema for a Mongoose schema as the API returns it: `_id` becomes `id`
+ * (see the models' toJSON transforms) and `__v` is dropped.
+ *
+ * @param {import('mongoose').Schema} schema
+ * @param {{ omit?: string[] }} [opts] - fields the toJSON transform removes.
+ */
+const schemaForModel = (schema, { omit = [] } = {}) => {
+    const properties = {};
+    for (const [name, path] of Object.entries(schema.paths)) {
+        if (name === "__v" || omit.includes(name)) continue;
+        properties[name === "_id" ? "id" : name] = schemaForPath(path);
+    }
+    return { type: "object", properties };
+};
+
+// ── Building blocks ───────────────────────────────────────────────────────────
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+/** The `{ success, message, data, meta? }` envelope around `data`. */
+const envelope = (data, meta) => ({
+    allOf: [
+        ref("Envelope"),
+        { type: "object", properties: { data, ...(meta && { meta }) } },
+    ],
+});
+
+const json = (description, schema) => ({ description, content: { "application/json": { schema } } });
+
+const pageMeta = (extra = {}) => ({
+    type: "object",
+    properties: {
+        total: { type: "integer" },
+        limit: { type: "integer" },
+        nextCursor: { type: "string", nullable: true },
+        ...extra,
+    },
+});
+
+/** Query parameters from a validator's query schema. */
+const queryParameters = (rule) => {
+    const { properties, required = [] } = rule.toJSONSchema();
+    return Object.entries(properties).map(([name, schema]) => ({
+        name,
+        in: "query",
+        required: required.includes(name),
+        // Arrays travel as one comma-separated value (?tags=work,urgent).
+        ...(schema.type === "array" && { style: "form", explode: false }),
+        schema,
+    }));
+};
+
+const body = (rule) => ({
+    required: true,
+    content: { "application/json": { schema: rule.toJSONSchema() } },
+});
+
+const ERROR_STATUS = {
+    BadRequest: "400",
+    Unauthorized: "401",
+    Forbidden: "403",
+    NotFound: "404",
+    Conflict: "409",
+    PreconditionFailed: "412",
+    TooManyRequests: "429",
+};
+
+/** References to the shared error responses, keyed by status. */
+const errors = (...names) =>
+    Object.fromEntries(names.map((name) => [ERROR_STATUS[name], { $ref: `#/components/responses/${name}` }]));
+
+// Conditional requests (see utils/etag.js).
+const ETAG_HEADER = { ETag: { description: "The todo's version in quotes", schema: { type: "string" } } };
+
+const IF_MATCH = {
+    name: "If-Match",
+    in: "header",
+    required: false,
+    description: "Only apply the change while the todo still has this ETag (its `version` in quotes).",
+    schema: { type: "string", example: '"3"' },
+};
+
+const IF_NONE_MATCH = {
+    name: "If-None-Match",
+    in: "header",
+    required: false,
+    description: "The ETag of a previous response; answered with 304 while it is still current.",
+    schema: { type: "string" },
+};
+
+// ── Operations ────────────────────────────────────────────────────────────────
+// Keyed by "METHOD /path" in Express syntax – the drift check compares these
+// keys with the router.
+
+const todo = json("The todo", envelope(ref("Todo")));
+const taggedTodo = { ...todo, headers: ETAG_HEADER };
+
+const OPERATIONS = {
+    [`POST ${TODOS}`]: {
+        operationId: "createTodo",
+        summary: "Create a todo",
+        description:
+            "`list` is a List id (omit or null for the Inbox). `checklist` may seed the initial sub-tasks. " +
+            "Instead of `title`, `raw` may carry a quick-add line (see `POST /api/todos/parse`); fields sent with " +
+            "it override what it yields, and `list` only applies when the text names no list. A list the text " +
+            "names that does not exist yet is created.",
+        requestBody: body(schemas.createTodo.body),
+        responses: {
+            201: taggedTodo,
+            ...errors("BadRequest", "Unauthorized", "Forbidden", "NotFound", "Conflict"),
+        },
+    },
+    [`GET ${TODOS}`]: {
+        operationId: "getAllTodos",
+        summary: "List todos",
+        description:
+            "Filters combine with AND. With `q` results are ranked by relevance (`sort` is ignored) and each todo " +
+            "carries `search: { score, highlights }`. Pages are continued with `meta.nextCursor`. " +
+            "`list` may name a list shared with the caller; `assignee=me` without `list` spans every todo the " +
+            "caller can see. " +
+            "The page's weak ETag changes whenever one of its todos does, so it can be revalidated with " +
+            "`If-None-Match`.",
+        parameters: [...queryParameters(schemas.listTodos.query), IF_NONE_MATCH],
+        responses: {
+            200: {
+                ...json("A page of todos", envelope({ type: "array", items: ref("Todo") }, pageMeta())),
+                headers: { ETag: { description: "Weak ETag of this page", schema: { type: "string" } } },
+            },
+            304: { description: "The page has not changed since the given ETag" },
+            ...errors("BadRequest", "Unauthorized"),
+        },
+    },
+    [`POST ${TODOS}/bulk`]: {
+        operationId: "bulkTodos",
+        summary: "Run several operations at once",
+        description:
+            "Operations run in order and are not transactional – each todo succeeds or fails on its own. " +
+            "Targets are explicit `ids` or a `filter` using the list query keys.",
+        requestBody: body(schemas.bulkTodos.body),
+        responses: {
+            200: json("Every operation succeeded", envelope(ref("BulkResult"))),
+            207: json("Some operations failed", envelope(ref("BulkResult"))),
+            ...errors("BadRequest", "Unauthorized"),
+        },
+    },
+    [`GET ${TODOS}/export`]: {
+        operationId: "exportTodos",
+        summary: "Download todos as a file",
+        description: "Accepts the list filters and `sort`; not paginated.",
+        parameters: queryParameters(schemas.exportTodos.query),
+        responses: {
+            200: {
+                description: "The file, as an attachment",
+                content: Object.fromEntries(
+                    [...new Set(Object.values(FORMATS).map((f) => f.contentType))].map((type) => [
+                        type,
+                        { schema: { type: "string" } },
+                    ])
+                ),
+            },
+            ...errors("BadRequest", "Unauthorized"),
+        },
+    },
+    [`POST ${TODOS}/import`]: {
+        operationId: "importTodos",
+        summary: "Preview or import todos from a file",
+        description:
+            "By default (`dryRun` omitted or true) nothing is saved and every row is previewed with its errors. " +
+            "`dryRun: false` imports the valid rows and creates any lists they name.",
+        requestBody: body(schemas.importTodos.body),
+        responses: {
+            200: json("Dry-run preview", envelope(ref("ImportResult"))),
+            201: json("Valid rows imported", envelope(ref("ImportResult"))),
+            ...errors("BadRequest", "Unauthorized"),
+        },
+    },
+    [`POST ${TODOS}/parse`]: {
+        operationId: "parseTodo",
+        summary: "Parse a quick-add line",
+        description:
+            "Reads title, due date, priority (`!high`), tags (`#home`), list (`@finance`) and repeat rule " +
+            "(`every month`) from one line of text without saving anything – a preview of what `POST /api/todos` " +
+            "with the same `raw` would create. Dates are read in the time zone named by `tz` (IANA, e.g. " +
+            "`Europe/Berlin`), which a repeat rule keeps, or else given by `tzOffset` (minutes, as " +
+            "`Date#getTimezoneOffset()`).",
+        requestBody: body(schemas.parseTodo.body),
+        responses: {
+            200: json("The fields found", envelope(ref("ParsedTodo"))),
+            ...errors("BadRequest", "Unauthorized"),
+        },
+    },
+    [`GET ${TODOS}/workflow`]: {
+        operationId: "getWorkflow",
+        summary: "List the workflow states",
+        description:
+            "The states a todo can be in, in board order, as configured on the server (`WORKFLOW_STATES`). " +
+            "A todo's `status` is true exactly when its `state` is a done one.",
+        responses: {
+            200: json("The workflow", envelope({
+                type: "object",
+                properties: { states: { type: "array", items: ref("WorkflowState") } },
+            })),
+            ...errors("Unauthorized"),
+        },
+    },
+    [`GET ${TODOS}/calendar`]: {
+        operationId: "getCalendar",
+        summary: "List todos due in a date range",
+        description:
+            "For calendar and agenda views. Open recurring todos are expanded: each later occurrence their rule " +
+            "produces inside the range is listed as a `projected` entry. Todos without a due date are left out. " +
+            "The range may span at most 366 days.",
+        parameters: queryParameters(schemas.calendar.query),
+        responses: {
+            200: json("Entries ordered by date", envelope(
+                { type: "array", items: ref("CalendarEntry") },
+                {
+                    type: "object",
+                    properties: {
+                        from: { type: "string", format: "date-time" },
+                        to: { type: "string", format: "date-time" },
+                        total: { type: "integer" },
+                        truncated: { type: "boolean" },
+                    },
+                }
+            )),
+            ...errors("BadRequest", "Unauthorized"),
+        },
+    },
+    [`GET ${TODOS}/stats`]: {
+        operationId: "getStats",
+        summary: "Productivity statistics",
+        description:
+            "Counts by status, priority and workflow state, completion rate, average time from creation to " +
+            "completion, completion streaks and a daily history of created and completed todos – over every " +
+            "todo matching the filters, not a page. Days begin at local midnight as given by `tzOffset` " +
+            "(minutes, as `Date#getTimezoneOffset()`).",
+        parameters: queryParameters(schemas.stats.query),
+        responses: {
+            200: json("The stats", envelope(ref("TodoStats"))),
+            ...errors("BadRequest", "Unauthorized"),
+        },
+    },
+    [`GET ${TODOS}/trash`]: {
+        operationId: "getTrash",
+        summary: "List trashed todos",
+        description: "Most recently deleted first. Each todo carries `purgeAt`.",
+        parameters: queryParameters(schemas.listPage.query),
+        responses: {
+            200: json("A page of trashed todos", envelope(
+                { type: "array", items: ref("TrashedTodo") },
+                pageMeta({ retentionDays: { type: "integer" } })
+            )),
+            ...errors("BadRequest", "Unauthorized"),
+        },
+    },
+    [`DELETE ${TODOS}/trash`]: {
+        operationId: "emptyTrash",
+        summary: "Permanently delete the whole trash",
+        responses: {
+            200: json("Trash emptied", envelope({ type: "object", properties: { purged: { type: "integer" } } })),
+            ...errors("Unauthorized"),
+        },
+    },
+    [`DELETE ${TODOS}/trash/:id`]: {
+        operationId: "purgeTodo",
+        summary: "Permanently delete one trashed todo",
+        responses: { 204: { description: "Deleted" }, ...errors("BadRequest", "Unauthorized", "NotFound") },
+    },
+    [`GET ${TODOS}/:id`]: {
+        operationId: "getTodoById",
+        summary: "Get a todo",
+        responses: { 200: taggedTodo, ...errors("BadRequest", "Unauthorized", "NotFound") },
+    },
+    [`PATCH ${TODOS}/:id`]: {
+        operationId: "updateTodo",
+        summary: "Partially update a todo",
+        description:
+            "Completing a recurring todo also creates its next occurrence. Setting `state` also sets `status`; " +
+            "setting only `status` moves the todo to the first done or first open state.",
+        parameters: [IF_MATCH],
+        requestBody: body(schemas.updateTodo.body),
+        responses: {
+            200: taggedTodo,
+            ...errors("BadRequest", "Unauthorized", "Forbidden", "NotFound", "Conflict", "PreconditionFailed"),
+        },
+    },
+    [`DELETE ${TODOS}/:id`]: {
+        operationId: "deleteTodo",
+        summary: "Move a todo to the trash",
+        parameters: [IF_MATCH],
+        responses: {
+            204: { description: "Trashed" },
+            ...errors("BadRequest", "Unauthorized", "Forbidden", "NotFound", "PreconditionFailed"),
+        },
+    },
+    [`PATCH ${TODOS}/:id/move`]: {
+        operationId: "moveTodo",
+        summary: "Move a todo in the manual order",
+        description:
+            "Places the todo between `after` (the todo right above it) and `before` (the one right below), " +
+            "as seen with `sort=manual`. Give one of them at the ends of the list; the todo's neighbour on the " +
+            "other side is looked up. Only the moved todo's `position` changes.",
+        requestBody: body(schemas.moveTodo.body),
+        responses: { 200: taggedTodo, ...errors("BadRequest", "Unauthorized", "Forbidden", "NotFound") },
+    },
+    [`POST ${TODOS}/:id/restore`]: {
+        operationId: "restoreTodo",
+        summary: "Take a todo out of the trash",
+        responses: { 200: todo, ...errors("BadRequest", "Unauthorized", "NotFound") },
+    },
+    [`GET ${TODOS}/:id/history`]: {
+        operationId: "getTodoHistory",
+        summary: "Revision history of a todo",
+        description: "Newest revision first. Still available once the todo is trashed or purged.",
+        parameters: queryParameters(schemas.listPage.query),
+        responses: {
+            200: json("A page of history entries", envelope({ type: "array", items: ref("Activity") }, pageMeta())),
+            ...errors("BadRequest", "Unauthorized", "NotFound"),
+        },
+    },
+    [`POST ${TODOS}/:id/revert`]: {
+        operationId: "revertTodo",
+        summary: "Restore a previous revision",
+        description: "The revert is itself recorded as a new revision.",
+        requestBody: body(schemas.revertTodo.body),
+        responses: { 200: todo, ...errors("BadRequest", "Unauthorized", "Forbidden", "NotFound") },
+    },
+    [`POST ${TODOS}/:id/items`]: {
+        operationId: "addItem",
+        summary: "Add a checklist item",
+        requestBody: body(schemas.addItem.body),
+        responses: { 201: todo, ...errors("BadRequest", "Unauthorized", "Forbidden", "NotFound") },
+    },
+    [`PATCH ${TODOS}/:id/items/reorder`]: {
+        operationId: "reorderItems",
+        summary: "Reorder the checklist",
+        description: "`order` must list every checklist item id exactly once.",
+        requestBody: body(schemas.reorderItems.body),
+        responses: { 200: todo, ...errors("BadRequest", "Unauthorized", "Forbidden", "NotFound") },
+    },
+    [`PATCH ${TODOS}/:id/items/:itemId`]: {
+        operationId: "updateItem",
+        summary: "Edit or toggle a checklist item",
+        requestBody: body(schemas.updateItem.body),
+        responses: { 200: todo, ...errors("BadRequest", "Unauthorized", "Forbidden", "NotFound") },
+    },
+    [`DELETE ${TODOS}/:id/items/:itemId`]: {
+        operationId: "deleteItem",
+        summary: "Remove a checklist item",
+        responses: { 200: todo, ...errors("BadRequest", "Unauthorized", "Forbidden", "NotFound") },
+    },
+    [`GET ${TODOS}/:id/comments`]: {
+        operationId: "getComments",
+        summary: "List a todo's comments",
+        description: "Oldest first. Everyone who can see the todo can read and add to its thread.",
+        responses: {
+            200: json("The thread", envelope({ type: "array", items: ref("Comment") })),
+            ...errors("BadRequest", "Unauthorized", "NotFound"),
+        },
+    },
+    [`POST ${TODOS}/:id/comments`]: {
+        operationId: "addComment",
+        summary: "Comment on a todo",
+        description:
+            "`@ada` in the body mentions the person who can see the todo and whose email starts with `ada@` " +
+            "(`@ada@example.com` spells the address out); they are sent a `comment.mentioned` event.",
+        requestBody: body(schemas.addComment.body),
+        responses: {
+            201: json("The comment", envelope(ref("Comment"))),
+            ...errors("BadRequest", "Unauthorized", "NotFound", "Conflict"),
+        },
+    },
+    [`PATCH ${TODOS}/:id/comments/:commentId`]: {
+        operationId: "updateComment",
+        summary: "Edit a comment",
+        description: "Only the author may edit a comment. People it newly mentions are notified.",
+        requestBody: body(schemas.updateComment.body),
+        responses: {
+            200: json("The comment", envelope(ref("Comment"))),
+            ...errors("BadRequest", "Unauthorized", "Forbidden", "NotFound"),
+        },
+    },
+    [`DELETE ${TODOS}/:id/comments/:commentId`]: {
+        operationId: "deleteComment",
+        summary: "Remove a comment",
+        description: "Its author or an owner of the todo's list may remove a comment.",
+        responses: {
+            204: { description: "Deleted" },
+            ...errors("BadRequest", "Unauthorized", "Forbidden", "NotFound"),
+        },
+    },
+};
+
+// Public, unlike the todo routes.
+const HEALTH = {
+    "GET /api/health": {
+        operationId: "health",
+        summary: "Health check",
+        tags: ["System"],
+        security: [],
+        responses: {
+            200: json(
+                "The server is up",
+                envelope({
+                    type: "object",
+                    properties: {
+                        uptime: { type: "string", example: "42s" },
+                        timestamp: { type: "string", format: "date-time" },
+                        environment: { type: "string" },
+                    },
+                })
+            ),
+        },
+    },
+};
+
+// ── Document ──────────────────────────────────────────────────────────────────
+
+/** "/:id/items/:itemId" → "/{id}/items/{itemId}" */
+const toOpenApiPath = (path) => path.replace(/:(\w+)/g, "{$1}");
+
+const pathParameters = (path) =>
+    [...path.matchAll(/:(\w+)/g)].map(([, name]) => ({
+        name,
+        in: "path",
+        required: true,
+        schema: { type: "string", pattern: "^[0-9a-fA-F]{24}$" },
+    }));
+
+/**
+ * Builds the OpenAPI document.
+ *
+ * @returns {object}
+ */
+const buildOpenApi = () => {
+    const paths = {};
+    const operations = [
+        ...Object.entries(HEALTH),
+        ...Object.entries(OPERATIONS).map(([key, op]) => [
+            key,
+            { tags: ["Todos"], ...op, responses: { ...op.responses, ...errors("TooManyRequests") } },
+        ]),
+    ];
+
+    for (const [key, operation] of operations) {
+        const [method, path] = key.split(" ");
+        const params = pathParameters(path);
+        paths[toOpenApiPath(path)] = {
+            ...paths[toOpenApiPath(path)],
+            [method.toLowerCase()]: {
+                ...operation,
+                ...((params.length || operation.parameters) && {
+                    parameters: [...params, ...(operation.parameters || [])],
+                }),
+            },
+        };
+    }
+
+    return {
+        openapi: "3.0.3",
+        info: {
+            title: "TodoFlow API",
+            version,
+            description:
+                "Every response uses the `{ success, message, data }` envelope. Invalid input is answered with " +
+                "400 and `errors: [{ field, code, message }]`. Requests are rate limited per user (per IP when " +
+                "signed out); over the limit the answer is 429.",
+        },
+        tags: [
+            { name: "Todos", description: "Todos, their checklist, comments, history and trash" },
+            { name: "System", description: "Operational endpoints" },
+        ],
+        security: [{ bearerAuth: [] }],
+        paths,
+        components: {
+            securitySchemes: {
+                bearerAuth: {
+                    type: "http",
+                    scheme: "bearer",
+                    bearerFormat: "JWT",
+                    description: "The access token from POST /api/auth/login or /api/auth/refresh.",
+                },
+            },
+            schemas: {
+                Envelope: {
+                    type: "object",
+                    required: ["success", "message", "data"],
+                    properties: {
+                        success: { type: "boolean" },
+                        message: { type: "string" },
+                        data: {},
+                        meta: { type: "object" },
+                    },
+                },
+                FieldError: {
+                    type: "object",
+                    required: ["field", "code", "message"],
+                    properties: {
+                        field: { type: "string", nullable: true, example: "recurrence.interval" },
+                        code: {
+                            type: "string",
+                            enum: [
+                                "required", "type", "too_short", "too_long", "too_small", "too_large", "enum",
+                                "pattern", "invalid_id", "invalid_date", "unknown_field", "invalid", "unsafe_key",
+                            ],
+                        },
+                        message: { type: "string" },
+                    },
+                },
+                Error: {
+                    allOf: [
+                        ref("Envelope"),
+                        {
+                            type: "object",
+                            properties: {
+                                success: { type: "boolean", enum: [false] },
+                                data: { nullable: true },
+                                errors: { type: "array", items: ref("FieldError") },
+                                // Matches the X-Request-Id header and the server's log lines.
+                                requestId: { type: "string" },
+                            },
+                        },
+                    ],
+                },
+                Todo: schemaForModel(Todo.schema, { omit: ["priorityRank"] }),
+                TrashedTodo: {
+                    allOf: [
+                        ref("Todo"),
+                        {
+                            type: "object",
+                            properties: {
+                                // When the retention purge removes it for good.
+                                purgeAt: { type: "string", format: "date-time" },
+                            },
+                        },
+                    ],
+                },
+                WorkflowState: {
+                    type: "object",
+                    required: ["key", "name", "done"],
+                    properties: {
+                        key: { type: "string", example: "in_progress" },
+                        name: { type: "string", example: "In progress" },
+                        done: { type: "boolean" },
+                    },
+                },
+                CalendarEntry: {
+                    type: "object",
+                    properties: {
+                        date: { type: "string", format: "date-time" },
+                        occurrence: { type: "integer" },
+                        // A future repeat of `todo` that has not been created yet.
+                        projected: { type: "boolean" },
+                        todo: ref("Todo"),
+                    },
+                },
+                ParsedTodo: {
+                    type: "object",
+                    properties: {
+                        title: { type: "string" },
+                        dueAt: { type: "string", format: "date-time" },
+                        priority: { type: "string", enum: ["low", "medium", "high"] },
+                        tags: { type: "array", items: { type: "string" } },
+                        recurrence: { type: "object", description: "A repeat rule, as in Todo.recurrence." },
+                        list: {
+                            type: "object",
+                            properties: {
+                                // null for a list that would be created.
+                                id: { type: "string", nullable: true },
+                                name: { type: "string" },
+                                archived: { type: "boolean" },
+                            },
+                        },
+                        matched: {
+                            type: "array",
+                            items: {
+                                type: "object",
+                                properties: { field: { type: "string" }, text: { type: "string" } },
+                            },
+                        },
+                    },
+                },
+                TodoStats: {
+                    type: "object",
+                    properties: {
+                        totals: {
+                            type: "object",
+                            properties: {
+                                total: { type: "integer" },
+                                pending: { type: "integer" },
+                                completed: { type: "integer" },
+                                overdue: { type: "integer" },
+                                dueToday: { type: "integer" },
+                            },
+                        },
+                        completionRate: { type: "number", nullable: true },
+                        averageCompletionMs: { type: "integer", nullable: true },
+                        byPriority: {
+                            type: "object",
+                            additionalProperties: {
+                                type: "object",
+                                properties: { total: { type: "integer" }, completed: { type: "integer" } },
+                            },
+                        },
+                        byState: { type: "object", additionalProperties: { type: "integer" } },
+                        streak: {
+                            type: "object",
+                            properties: { current: { type: "integer" }, longest: { type: "integer" } },
+                        },
+                        history: {
+                            type: "array",
+                            items: {
+                                type: "object",
+                                properties: {
+                                    date: { type: "string", format: "date" },
+                                    created: { type: "integer" },
+                                    completed: { type: "integer" },
+                                },
+                            },
+                        },
+                    },
+                },
+                User: {
+                    type: "object",
+                    properties: {
+                        id: { type: "string" },
+                        name: { type: "string" },
+                        email: { type: "string" },
+                    },
+                },
+                Comment: {
+                    type: "object",
+                    properties: {
+                        ...schemaForModel(Comment.schema).properties,
+                        // Filled in, unlike the ids in `mentions`.
+                        author: ref("User"),
+                    },
+                },
+                Activity: schemaForModel(Activity.schema),
+                BulkResult: {
+                    type: "object",
+                    properties: {
+                        results: {
+                            type: "array",
+                            items: {
+                                type: "object",
+                                properties: {
+                                    op: { type: "integer" },
+                                    action: { type: "string" },
+                                    id: { type: "string", nullable: true },
+                                    success: { type: "boolean" },
+                                    status: { type: "integer" },
+                                    message: { type: "string" },
+                                },
+                            },
+                        },
+                        summary: {
+                            type: "object",
+                            properties: { succeeded: { type: "integer" }, failed: { type: "integer" } },
+                        },
+                    },
+                },
+                ImportResult: {
+                    type: "object",
+                    properties: {
+                        dryRun: { type: "boolean" },
+                        format: { type: "string", enum: Object.keys(FORMATS) },
+                        summary: {
+                            type: "object",
+                            properties: {
+                                total: { type: "integer" },
+                                valid: { type: "integer" },
+                                invalid: { type: "integer" },
+                                imported: { type: "integer" },
+                            },
+                        },
+                        newLists: { type: "array", items: { type: "string" } },
+                        rows: {
+                            type: "array",
+                            items: {
+                                type: "object",
+                                properties: {
+                                    row: { type: "integer" },
+                                    valid: { type: "boolean" },
+                                    todo: { type: "object", nullable: true },
+                                    errors: {
+                                        type: "array",
+                                        items: {
+                                            type: "object",
+                                            properties: { field: { type: "string" }, message: { type: "string" } },
+                                        },
+                                    },
+                                },
+                            },
+                        },
+                    },
+                },
+            },
+            responses: {
+                BadRequest: json("Invalid input", ref("Error")),
+                Unauthorized: json("Missing, invalid or expired access token", ref("Error")),
+                Forbidden: json("The caller may only view this – e.g. a viewer of a shared list", ref("Error")),
+                NotFound: json("No such todo (or one the caller cannot see)", ref("Error")),
+                Conflict: json("The target list is archived, or a limit such as a full thread is reached", ref("Error")),
+                PreconditionFailed: {
+                    ...json(
+                        "If-Match did not match – the todo was changed in the meantime. `data` is its current copy.",
+                        {
+                            allOf: [
+                                ref("Envelope"),
+                                { type: "object", properties: { success: { type: "boolean", enum: [false] }, data: ref("Todo") } },
+                            ],
+                        }
+                    ),
+                    headers: ETAG_HEADER,
+                },
+                TooManyRequests: {
+                    ...json("Rate limit exceeded – see the RateLimit-* headers", ref("Error")),
+                    headers: {
+                        "Retry-After": { description: "Seconds until requests are accepted again", schema: { type: "integer" } },
+                        "RateLimit-Limit": { schema: { type: "integer" } },
+                        "RateLimit-Remaining": { schema: { type: "integer" } },
+                        "RateLimit-Reset": { schema: { type: "integer" } },
+                    },
+                },
+            },
+        },
+    };
+};
+
+module.exports = { buildOpenApi, OPERATIONS, HEALTH, TODOS };
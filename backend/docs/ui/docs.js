@@ -0,0 +1,127 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// API Reference  –  renders ../openapi.json
+// ─────────────────────────────────────────────────────────────────────────────
+// Deliberately dependency-free so the page works without network access.
+// Schemas are shown as example-shaped outlines with their $refs inlined.
+
+(async () => {
+    const main = document.getElementById("operations");
+
+    let spec;
+    try {
+        const res = await fetch("../openapi.json");
+        spec = await res.json();
+    } catch {
+        main.innerHTML = '<p class="docs-muted">Could not load openapi.json.</p>';
+        return;
+    }
+
+    /** Creates an element; `children` may be strings or nodes. */
+    const el = (tag, attrs = {}, ...children) => {
+        const node = document.createElement(tag);
+        for (const [key, value] of Object.entries(attrs)) {
+            if (key === "className") node.className = value;
+            else node.setAttribute(key, value);
+        }
+        node.append(...children.filter((child) => child !== null && child !== undefined));
+        return node;
+    };
+
+    const resolve = (schema) => {
+        if (!schema?.$ref) return schema || {};
+        return resolve(schema.$ref.replace(/^#\//, "").split("/").reduce((node, key) => node[key], spec));
+    };
+
+    /** A readable outline of a schema, e.g. { title: string (3–200), … }. */
+    const outline = (raw, depth = 0) => {
+        const schema = resolve(raw);
+        const pad = "  ".repeat(depth);
+        const nullable = schema.nullable ? " | null" : "";
+
+        if (schema.allOf) {
+            const merged = { type: "object", properties: {} };
+            for (const part of schema.allOf.map(resolve)) Object.assign(merged.properties, part.properties);
+            return outline({ ...merged, nullable: schema.nullable }, depth);
+        }
+        if (schema.type === "object" || schema.properties) {
+            const required = schema.required || [];
+            const lines = Object.entries(schema.properties || {}).map(
+                ([key, value]) => `${pad}  ${key}${required.includes(key) ? "" : "?"}: ${outline(value, depth + 1)}`
+            );
+            return lines.length ? `{\n${lines.join(",\n")}\n${pad}}${nullable}` : `object${nullable}`;
+        }
+        if (schema.type === "array") return `${outline(schema.items, depth)}[]${nullable}`;
+        if (schema.enum) return schema.enum.map((v) => JSON.stringify(v)).join(" | ") + nullable;
+        if (schema.anyOf) return schema.anyOf.map((part) => outline({ type: schema.type, ...part }, depth)).join(" | ") + nullable;
+
+        const limits = [
+            schema.minLength ?? schema.minimum ?? schema.minItems,
+            schema.maxLength ?? schema.maximum ?? schema.maxItems,
+        ];
+        const range = limits.some((n) => n !== undefined) ? ` (${limits[0] ?? ""}–${limits[1] ?? ""})` : "";
+        const kind = schema.format || (schema.pattern === "^[0-9a-fA-F]{24}$" ? "id" : schema.type || "any");
+        return `${kind}${range}${nullable}`;
+    };
+
+    const parametersTable = (parameters) =>
+        el("table", {},
+            el("thead", {}, el("tr", {}, el("th", {}, "Name"), el("th", {}, "In"), el("th", {}, "Type"))),
+            el("tbody", {}, ...parameters.map((p) =>
+                el("tr", {},
+                    el("td", {}, el("code", {}, p.name + (p.required ? "" : "?"))),
+                    el("td", {}, p.in),
+                    el("td", {}, el("code", {}, outline(p.schema)))
+                )
+            ))
+        );
+
+    const responsesList = (responses) =>
+        el("div", {}, ...Object.entries(responses).map(([status, raw]) => {
+            const response = resolve(raw);
+            const [type, media] = Object.entries(response.content || {})[0] || [];
+            return el("div", {},
+                el("p", {}, el("span", { className: "status" }, status), " ", response.description,
+                    type && type !== "application/json" ? ` (${Object.keys(response.content).join(", ")})` : null),
+                type === "application/json" ? el("pre", {}, outline(media.schema)) : null
+            );
+        }));
+
+    const operation = (path, method, op) =>
+        el("details", { className: "op", "data-search": `${method} ${path} ${op.summary}`.toLowerCase() },
+            el("summary", {},
+                el("span", { className: `method method-${method}` }, method.toUpperCase()),
+                el("code", { className: "op-path" }, path),
+                el("span", { className: "docs-muted" }, op.summary)
+            ),
+            el("div", { className: "op-body" },
+                op.description ? el("p", {}, op.description) : null,
+                op.security?.length === 0 ? el("p", { className: "docs-muted" }, "No authentication required.") : null,
+                op.parameters?.length ? el("h3", {}, "Parameters") : null,
+                op.parameters?.length ? parametersTable(op.parameters) : null,
+                op.requestBody ? el("h3", {}, "Request body") : null,
+                op.requestBody ? el("pre", {}, outline(op.requestBody.content["application/json"].schema)) : null,
+                el("h3", {}, "Responses"),
+                responsesList(op.responses)
+            )
+        );
+
+    document.title = spec.info.title;
+    document.getElementById("title").textContent = `${spec.info.title} ${spec.info.version}`;
+    document.getElementById("description").textContent = spec.info.description || "";
+
+    main.replaceChildren(...(spec.tags || []).flatMap((tag) => {
+        const ops = Object.entries(spec.paths).flatMap(([path, methods]) =>
+            Object.entries(methods)
+                .filter(([, op]) => (op.tags || []).includes(tag.name))
+                .map(([method, op]) => operation(path, method, op))
+        );
+        return ops.length ? [el("h2", { className: "docs-tag" }, tag.name), ...ops] : [];
+    }));
+
+    document.getElementById("filter").addEventListener("input", (e) => {
+        const term = e.target.value.trim().toLowerCase();
+        for (const node of main.querySelectorAll(".op")) {
+            node.hidden = term !== "" && !node.dataset.search.includes(term);
+        }
+    });
+})();
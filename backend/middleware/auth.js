@@ -0,0 +1,49 @@
+const User = require("../models/User");
+const { verifyAccessToken } = require("../utils/tokens");
+const { httpError } = require("../utils/response");
+const { getRequestContext } = require("../utils/requestContext");
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Authentication Middleware
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Requires a valid `Authorization: Bearer <accessToken>` header.
+ *
+ * On success the authenticated user document is attached as `req.user` so
+ * controllers can scope every query to it, and the verified token payload as
+ * `req.auth` (e.g. for its `exp`). On failure a 401 is forwarded to the
+ * centralised errorHandler; the frontend treats that status as "refresh and retry".
+ *
+ * @param {import('express').Request}  req
+ * @param {import('express').Response} _res
+ * @param {import('express').NextFunction} next
+ */
+const protect = async (req, _res, next) => {
+    try {
+        const header = req.headers.authorization || "";
+        const [scheme, token] = header.split(" ");
+
+        if (scheme !== "Bearer" || !token) {
+            return next(httpError(401, "Authentication required"));
+        }
+
+        // Throws on a bad signature or an expired token; errorHandler maps both to 401.
+        const payload = verifyAccessToken(token);
+
+        const user = await User.findById(payload.sub);
+        if (!user) {
+            return next(httpError(401, "User for this token no longer exists"));
+        }
+
+        req.user = user;
+        req.auth = payload;
+        // Log lines for the rest of the request name the user.
+        getRequestContext().userId = String(user._id);
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = { protect };
@@ -1,3 +1,6 @@
+const { validationErrors } = require("../utils/response");
+const logger = require("../utils/logger");
+
 // ─────────────────────────────────────────────────────────────────────────────
 // Centralized Error Handler Middleware
 // ─────────────────────────────────────────────────────────────────────────────
@@ -21,14 +24,16 @@ const errorHandler = (err, req, res, _next) => {
     // by the code that threw it (e.g. createError(404, 'Not found')).
     let statusCode = err.statusCode || err.status || 500;
     let message = err.message || "Internal Server Error";
+    // Field-level problems ({ field, code, message }[]) for invalid input –
+    // set by the validate middleware (via invalidInput) or below.
+    let errors = Array.isArray(err.details) ? err.details : undefined;
 
     // ── Mongoose: document failed schema validation ───────────────────────────
     if (err.name === "ValidationError") {
         statusCode = 400;
-        // Flatten the per-field error messages into one readable sentence.
-        message = Object.values(err.errors)
-            .map((e) => e.message)
-            .join(". ");
+        errors = validationErrors(err);
+        // Also flatten the per-field messages into one readable sentence.
+        message = errors.map((e) => e.message).join(". ");
     }
 
     // ── Mongoose: an invalid ObjectId was cast from a route param ─────────────
@@ -37,6 +42,7 @@ const errorHandler = (err, req, res, _next) => {
     if (err.name === "CastError") {
         statusCode = 400;
         message = `Invalid value for field "${err.path}": ${err.value}`;
+        errors = [{ field: err.path, code: "type", message }];
     }
 
     // ── MongoDB: duplicate key (unique index violation) ───────────────────────
@@ -46,22 +52,37 @@ const errorHandler = (err, req, res, _next) => {
         message = `Duplicate value for "${field}". Please use a different value.`;
     }
 
-    // ── Stack trace: only log in non-production environments ─────────────────
-    // Never expose implementation details to the client.
-    if (process.env.NODE_ENV !== "production") {
-        console.error("❌ [errorHandler]", err.stack || err);
+    // ── JWT: malformed, tampered or expired access token ──────────────────────
+    // 401 (not 400) so the client knows to refresh its token and retry.
+    if (err.name === "JsonWebTokenError") {
+        statusCode = 401;
+        message = "Invalid access token";
+    }
+
+    if (err.name === "TokenExpiredError") {
+        statusCode = 401;
+        message = "Access token has expired";
+    }
+
+    // ── Logging ───────────────────────────────────────────────────────────────
+    // Server errors are logged in full; client errors (4xx) only as a headline
+    // – they are expected and their stack says nothing new. Both carry the
+    // request id (via the logger), which is also returned to the client so a
+    // report can be matched to the log.
+    if (statusCode >= 500) {
+        logger.error("Unhandled error", { status: statusCode, err });
     } else {
-        // In production, log only the headline (no stack trace sent externally).
-        console.error(`❌ [errorHandler] ${statusCode} – ${message}`);
+        logger.info("Request rejected", { status: statusCode, message });
     }
 
+    // Stack traces and the messages of unexpected errors stay in the log: they
+    // can reveal file paths, queries or library internals to the client.
     res.status(statusCode).json({
         success: false,
-        message,
+        message: statusCode >= 500 ? "Internal Server Error" : message,
         data: null,
-        // Attach the stack in development only – helpful for debugging without
-        // being a security risk in production.
-        ...(process.env.NODE_ENV !== "production" && { stack: err.stack }),
+        ...(errors && { errors }),
+        ...(req.id && { requestId: req.id }),
     });
 };
 
@@ -0,0 +1,98 @@
+const { httpError } = require("../utils/response");
+const { verifyAccessToken } = require("../utils/tokens");
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Rate Limiting Middleware
+// ─────────────────────────────────────────────────────────────────────────────
+// Fixed-window request counting, per signed-in user or – for anonymous
+// requests – per client IP. Every response carries the standard headers
+// (IETF draft "RateLimit header fields for HTTP"):
+//
+//   RateLimit-Policy: 300;w=900     – 300 requests per 900 s window
+//   RateLimit-Limit: 300
+//   RateLimit-Remaining: 42
+//   RateLimit-Reset: 117            – seconds until the window starts over
+//
+// Once the budget is spent the request is answered with 429 Too Many Requests
+// (and Retry-After) through the usual error envelope.
+//
+// Counters live in this process's memory, so with several instances behind a
+// load balancer each enforces the limit on its own.
+
+/**
+ * The caller a request is counted against: "user:<id>" for a valid access
+ * token, otherwise "ip:<address>". Only the signature is checked – whether the
+ * user still exists is left to `protect`.
+ *
+ * @param {import('express').Request} req
+ * @returns {string}
+ */
+const clientKey = (req) => {
+    const [scheme, token] = (req.headers.authorization || "").split(" ");
+    if (scheme === "Bearer" && token) {
+        try {
+            return `user:${verifyAccessToken(token).sub}`;
+        } catch {
+            // Invalid or expired – count it against the IP instead.
+        }
+    }
+    return `ip:${req.ip}`;
+};
+
+/**
+ * Creates a rate limiter.
+ *
+ * @param {object} options
+ * @param {number} options.max - Requests allowed per window.
+ * @param {number} options.windowMs - Window length.
+ * @param {"client"|"ip"} [options.by="client"] - Count per user when signed in
+ *        (falling back to IP), or always per IP (for the credential endpoints,
+ *        where there is no user yet).
+ * @param {string} [options.message] - The 429 message.
+ * @param {(req: import('express').Request) => boolean} [options.skip] - Requests
+ *        that are neither counted nor limited (e.g. health probes).
+ * @returns {import('express').RequestHandler}
+ */
+const rateLimit = ({ max, windowMs, by = "client", message = "Too many requests", skip = () => false }) => {
+    // key → { count, resetAt }
+    const windows = new Map();
+
+    // Forget finished windows so one-off clients do not accumulate.
+    const sweep = setInterval(() => {
+        const now = Date.now();
+        for (const [key, window] of windows) {
+            if (window.resetAt <= now) windows.delete(key);
+        }
+    }, windowMs);
+    sweep.unref();
+
+    return (req, res, next) => {
+        if (skip(req)) return next();
+
+        const now = Date.now();
+        const key = by === "ip" ? `ip:${req.ip}` : clientKey(req);
+
+        let window = windows.get(key);
+        if (!window || window.resetAt <= now) {
+            window = { count: 0, resetAt: now + windowMs };
+            windows.set(key, window);
+        }
+        window.count += 1;
+
+        const resetSeconds = Math.ceil((window.resetAt - now) / 1000);
+        res.set({
+            "RateLimit-Policy": `${max};w=${Math.ceil(windowMs / 1000)}`,
+            "RateLimit-Limit": String(max),
+            "RateLimit-Remaining": String(Math.max(0, max - window.count)),
+            "RateLimit-Reset": String(resetSeconds),
+        });
+
+        if (window.count > max) {
+            res.set("Retry-After", String(resetSeconds));
+            return next(httpError(429, `${message} – try again in ${resetSeconds} second(s)`));
+        }
+        next();
+    };
+};
+
+module.exports = { rateLimit };
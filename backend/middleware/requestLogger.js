@@ -0,0 +1,65 @@
+const logger = require("../utils/logger");
+const { observeRequest, routeLabel } = require("../services/metrics");
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Request Logging & Metrics Middleware
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Logs every request once its response has been sent – method, URL, matched
+ * route, status, duration and size – and records it in the metrics (see
+ * services/metrics.js). 5xx responses are logged as errors and 4xx as
+ * warnings, so LOG_LEVEL=warn keeps only the requests that went wrong.
+ *
+ * A request the client abandoned before the response finished is logged
+ * with `aborted: true`. Event streams (text/event-stream) are counted but
+ * kept out of the latency histogram – they stay open by design.
+ *
+ * Mount after requestContext, so the entry carries the request id.
+ *
+ * @param {import('express').Request}  req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+const requestLogger = (req, res, next) => {
+    const start = process.hrtime.bigint();
+    let logged = false;
+
+    const done = () => {
+        if (logged) return;
+        logged = true;
+
+        const durationMs = Number(process.hrtime.bigint() - start) / 1e6;
+        const route = routeLabel(req);
+        const status = res.statusCode;
+        const streaming = String(res.get("Content-Type") || "").startsWith("text/event-stream");
+
+        observeRequest({
+            method: req.method,
+            route,
+            status,
+            ...(!streaming && { durationSeconds: durationMs / 1000 }),
+        });
+
+        const level = status >= 500 ? "error" : status >= 400 ? "warn" : "info";
+        logger[level]("request completed", {
+            // Listeners run outside the request's async context, so pass the
+            // ids explicitly.
+            requestId: req.id,
+            ...(req.user && { userId: String(req.user._id) }),
+            method: req.method,
+            url: req.originalUrl,
+            route,
+            status,
+            durationMs: Math.round(durationMs * 10) / 10,
+            bytes: Number(res.get("Content-Length")) || undefined,
+            ...(!res.writableFinished && { aborted: true }),
+        });
+    };
+
+    res.on("finish", done);
+    res.on("close", done);
+    next();
+};
+
+module.exports = { requestLogger };
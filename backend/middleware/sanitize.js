@@ -0,0 +1,61 @@
+const { invalidInput } = require("../utils/response");
+
+// ─────────────────────────────────────────────────────────────────────────────
+// NoSQL Injection Guard
+// ─────────────────────────────────────────────────────────────────────────────
+// MongoDB reads keys starting with "$" as operators and keys containing "."
+// as paths into nested documents. If a client could smuggle such a key into a
+// filter or update – { "title": { "$ne": null } }, ?priority[$ne]=low,
+// { "owner.$id": … } – it could match or change documents it was never meant
+// to. No legitimate request uses either in a key, so they are refused before
+// any validator or controller sees them. `__proto__` keys are refused too.
+
+const isUnsafeKey = (key) => key.includes("$") || key.includes(".") || key === "__proto__";
+
+/**
+ * Collects the paths of unsafe keys anywhere inside `value`.
+ *
+ * @param {*} value
+ * @param {string} path - Where `value` sits, e.g. "query" or "recurrence".
+ * @param {string[]} found
+ * @returns {string[]}
+ */
+const findUnsafeKeys = (value, path, found = []) => {
+    if (!value || typeof value !== "object") return found;
+
+    for (const key of Object.keys(value)) {
+        const field = Array.isArray(value) ? `${path}[${key}]` : path ? `${path}.${key}` : key;
+        if (!Array.isArray(value) && isUnsafeKey(key)) found.push(field);
+        else findUnsafeKeys(value[key], field, found);
+    }
+    return found;
+};
+
+/**
+ * Rejects requests whose body or query string contains a key MongoDB would
+ * treat as an operator or path, with a 400 listing each one (code
+ * "unsafe_key"). Query fields are reported as "query.<name>", like the
+ * validate middleware does.
+ *
+ * Mount after the body parser.
+ *
+ * @param {import('express').Request}  req
+ * @param {import('express').Response} _res
+ * @param {import('express').NextFunction} next
+ */
+const sanitize = (req, _res, next) => {
+    const unsafe = [...findUnsafeKeys(req.body, ""), ...findUnsafeKeys(req.query, "query")];
+    if (unsafe.length === 0) return next();
+
+    next(
+        invalidInput(
+            unsafe.map((field) => ({
+                field,
+                code: "unsafe_key",
+                message: `"${field}" is not allowed – keys may not contain "$" or "."`,
+            }))
+        )
+    );
+};
+
+module.exports = { sanitize };
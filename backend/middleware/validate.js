@@ -0,0 +1,49 @@
+const { validate: check } = require("../utils/validation");
+const { invalidInput } = require("../utils/response");
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Request Validation Middleware
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Validates the request body and/or query string against schemas built with
+ * utils/validation.js.
+ *
+ * On success the validated values replace `req.body` / `req.query`, so the
+ * controller sees only declared fields, with query values already converted
+ * (e.g. ?status=true arrives as the boolean true). On failure a 400 carrying
+ * every problem as { field, code, message } is forwarded to the centralised
+ * errorHandler; query fields are reported as "query.<name>".
+ *
+ * @param {{ body?: object, query?: object }} schemas - Rules from utils/validation.js.
+ * @returns {import('express').RequestHandler}
+ */
+const validate = ({ body, query }) => (req, _res, next) => {
+    const errors = [];
+
+    if (query) {
+        const result = check(query, { ...req.query }, { coerce: true, path: "query" });
+        if (result.errors) {
+            errors.push(...result.errors);
+        } else {
+            // Express 5 exposes req.query as a getter; shadow it on this request.
+            Object.defineProperty(req, "query", {
+                value: result.value,
+                writable: true,
+                configurable: true,
+                enumerable: true,
+            });
+        }
+    }
+
+    if (body) {
+        const result = check(body, req.body ?? {});
+        if (result.errors) errors.push(...result.errors);
+        else req.body = result.value;
+    }
+
+    if (errors.length) return next(invalidInput(errors));
+    next();
+};
+
+module.exports = { validate };
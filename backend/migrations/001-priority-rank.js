@@ -0,0 +1,29 @@
+const Todo = require("../models/Todo");
+const { PRIORITY_RANK } = require("../models/Todo");
+
+/**
+ * Backfills `priorityRank` on todos created before it existed, so ?sort=priority
+ * orders old and new todos alike.
+ */
+module.exports = {
+    id: "001-priority-rank",
+    description: "Backfill Todo.priorityRank from priority",
+
+    async up() {
+        await Todo.collection.updateMany({}, [
+            {
+                $set: {
+                    priorityRank: {
+                        $switch: {
+                            branches: Object.entries(PRIORITY_RANK).map(([priority, rank]) => ({
+                                case: { $eq: ["$priority", priority] },
+                                then: rank,
+                            })),
+                            default: PRIORITY_RANK.medium,
+                        },
+                    },
+                },
+            },
+        ]);
+    },
+};
@@ -0,0 +1,31 @@
+const Todo = require("../models/Todo");
+const { ranksBetween } = require("../utils/rank");
+
+/**
+ * Gives todos created before manual ordering existed a `position`, in the
+ * order they used to be listed (newest first), so ?sort=manual starts out
+ * looking like the default view.
+ */
+module.exports = {
+    id: "002-todo-position",
+    description: "Backfill Todo.position in newest-first order",
+
+    async up() {
+        // Owners are re-ranked as a whole, so a run cut short is simply redone.
+        const owners = await Todo.collection.distinct("owner", { position: null });
+
+        for (const owner of owners) {
+            const todos = await Todo.collection
+                .find({ owner }, { projection: { _id: 1 } })
+                .sort({ createdAt: -1, _id: -1 })
+                .toArray();
+            const positions = ranksBetween(todos.length);
+
+            await Todo.collection.bulkWrite(
+                todos.map((todo, i) => ({
+                    updateOne: { filter: { _id: todo._id }, update: { $set: { position: positions[i] } } },
+                }))
+            );
+        }
+    },
+};
@@ -0,0 +1,23 @@
+const Todo = require("../models/Todo");
+const { INITIAL_STATE, DONE_STATE } = require("../utils/workflow");
+
+/**
+ * Maps the old completion flag onto the workflow: completed todos go to the
+ * done state, the rest to the initial one. `completedAt` is unknown for todos
+ * completed before it existed, so their last update stands in for it.
+ */
+module.exports = {
+    id: "003-workflow-state",
+    description: "Backfill Todo.state and completedAt from status",
+
+    async up() {
+        await Todo.collection.updateMany({ state: { $exists: false } }, [
+            {
+                $set: {
+                    state: { $cond: ["$status", DONE_STATE, INITIAL_STATE] },
+                    completedAt: { $cond: ["$status", { $ifNull: ["$updatedAt", "$createdAt"] }, null] },
+                },
+            },
+        ]);
+    },
+};
@@ -0,0 +1,40 @@
+const Todo = require("../models/Todo");
+const User = require("../models/User");
+const logger = require("../utils/logger");
+
+/**
+ * Hands todos created before accounts existed to an account, since every
+ * query is scoped to `owner` and they would stay hidden otherwise.
+ *
+ * They go to the account whose email is in ORPHAN_TODOS_OWNER, or else to
+ * the first account registered – the person who used the app before it had
+ * accounts. Until that account exists the migration stays pending and runs
+ * again on the next start.
+ */
+module.exports = {
+    id: "004-todo-owner",
+    description: "Assign todos without an owner to an account",
+
+    async up() {
+        const orphans = { $or: [{ owner: { $exists: false } }, { owner: null }] };
+        const count = await Todo.collection.countDocuments(orphans);
+        if (count === 0) return true;
+
+        const email = process.env.ORPHAN_TODOS_OWNER?.trim().toLowerCase();
+        const claimant = email
+            ? await User.findOne({ email }, { _id: 1 })
+            : await User.findOne({}, { _id: 1 }).sort({ createdAt: 1, _id: 1 });
+
+        if (!claimant) {
+            logger.warn("Todos without an owner stay hidden until their account exists", {
+                count,
+                owner: email || "first registered account",
+            });
+            return false;
+        }
+
+        const { modifiedCount } = await Todo.collection.updateMany(orphans, { $set: { owner: claimant._id } });
+        logger.info("Assigned todos without an owner", { count: modifiedCount, owner: String(claimant._id) });
+        return true;
+    },
+};
@@ -0,0 +1,46 @@
+const mongoose = require("mongoose");
+const logger = require("../utils/logger");
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Data Migrations
+// ─────────────────────────────────────────────────────────────────────────────
+// Each migration is a module exporting { id, description, up }. They run once,
+// in the order listed below, right after the database connection opens; the id
+// of every applied migration is recorded in the `migrations` collection.
+//
+// Migrations must be idempotent – if the process dies half-way through, the
+// same migration runs again on the next start.
+//
+// A migration whose `up` resolves to false cannot finish yet (e.g. it waits
+// for data that does not exist) and is left pending for the next start.
+
+const MIGRATIONS = [
+    require("./001-priority-rank"),
+    require("./002-todo-position"),
+    require("./003-workflow-state"),
+    require("./004-todo-owner"),
+];
+
+/**
+ * Applies every migration that has not run yet.
+ *
+ * @returns {Promise<string[]>} ids of the migrations applied by this call.
+ */
+const runMigrations = async () => {
+    const collection = mongoose.connection.collection("migrations");
+    const done = new Set((await collection.find({}, { projection: { _id: 1 } }).toArray()).map((m) => m._id));
+    const applied = [];
+
+    for (const migration of MIGRATIONS) {
+        if (done.has(migration.id)) continue;
+
+        logger.info("Running migration", { id: migration.id, description: migration.description });
+        if ((await migration.up()) === false) continue;
+        await collection.insertOne({ _id: migration.id, appliedAt: new Date() });
+        applied.push(migration.id);
+    }
+
+    return applied;
+};
+
+module.exports = { runMigrations, MIGRATIONS };
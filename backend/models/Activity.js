@@ -0,0 +1,123 @@
+const mongoose = require("mongoose");
+
+const ACTIONS = ["create", "update", "toggle", "delete", "restore", "revert"];
+
+/**
+ * Activity Schema
+ * One entry in the append-only audit log of a todo. Written by
+ * services/activityService.js whenever a todo is created, edited, completed /
+ * reopened, trashed, restored or reverted – never updated afterwards.
+ *
+ * Each entry stores the field-level diff *and* a snapshot of the todo after
+ * the change, so any revision can be restored without replaying the log.
+ */
+const activitySchema = new mongoose.Schema(
+    {
+        // ── Scope ──────────────────────────────────────────────────────────────────
+        // `owner` is the todo's owner (whose feed this appears in); `actor` is the
+        // user who made the change.
+        owner: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+        },
+
+        actor: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            default: null,
+        },
+
+        todo: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Todo",
+            required: true,
+        },
+
+        // Per-todo sequence number, starting at 1 for "create".
+        revision: {
+            type: Number,
+            required: true,
+        },
+
+        action: {
+            type: String,
+            enum: ACTIONS,
+            required: true,
+        },
+
+        // Denormalised from the snapshot so the feed can filter and label
+        // entries without loading (possibly purged) todos.
+        title: {
+            type: String,
+            default: "",
+        },
+
+        list: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "List",
+            default: null,
+        },
+
+        // ── Payload ────────────────────────────────────────────────────────────────
+        // [{ field, before, after }] for every tracked field that changed.
+        changes: {
+            type: [
+                {
+                    _id: false,
+                    field: String,
+                    before: mongoose.Schema.Types.Mixed,
+                    after: mongoose.Schema.Types.Mixed,
+                },
+            ],
+            default: [],
+        },
+
+        // Tracked fields of the todo after this change.
+        snapshot: {
+            type: mongoose.Schema.Types.Mixed,
+            required: true,
+        },
+
+        // For "revert": the revision that was restored.
+        revertedTo: {
+            type: Number,
+            default: null,
+        },
+
+        createdAt: {
+            type: Date,
+            default: Date.now,
+        },
+    },
+    {
+        toJSON: {
+            versionKey: false,
+            transform(_doc, ret) {
+                ret.id = ret._id;
+                delete ret._id;
+                return ret;
+            },
+        },
+    }
+);
+
+// ── Indexes ───────────────────────────────────────────────────────────────────
+// One entry per revision; also serves the per-todo history (newest first).
+activitySchema.index({ todo: 1, revision: -1 }, { unique: true });
+
+// The activity feed, newest first, optionally narrowed by action.
+activitySchema.index({ owner: 1, createdAt: -1, _id: -1 });
+activitySchema.index({ owner: 1, action: 1, createdAt: -1 });
+
+// ── Append-only ───────────────────────────────────────────────────────────────
+// The log is an audit trail: refuse query-style updates outright.
+activitySchema.pre(["updateOne", "updateMany", "findOneAndUpdate", "replaceOne"], function () {
+    throw new Error("Activity entries are append-only");
+});
+
+// ── Model ─────────────────────────────────────────────────────────────────────
+const Activity = mongoose.model("Activity", activitySchema);
+
+module.exports = Activity;
+module.exports.ACTIONS = ACTIONS;
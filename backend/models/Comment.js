@@ -0,0 +1,83 @@
+const mongoose = require("mongoose");
+
+const MAX_COMMENT_LENGTH = 2000;
+
+/**
+ * Comment Schema
+ * One message in the discussion thread of a todo (/api/todos/:id/comments).
+ * Anyone who can see the todo may comment; only the author edits a comment.
+ */
+const commentSchema = new mongoose.Schema(
+    {
+        // ── Thread ─────────────────────────────────────────────────────────────────
+        todo: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Todo",
+            required: true,
+        },
+
+        author: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+        },
+
+        // ── Body ───────────────────────────────────────────────────────────────────
+        // Plain text. "@ada" mentions the person whose email starts "ada@"
+        // (see utils/mentions.js).
+        body: {
+            type: String,
+            required: [true, "Comment text is required"],
+            trim: true,
+            minlength: [1, "Comment text cannot be empty"],
+            maxlength: [MAX_COMMENT_LENGTH, `Comment text must be at most ${MAX_COMMENT_LENGTH} characters long`],
+        },
+
+        // Who the body mentions – resolved when it is written, so renaming
+        // an account does not change who a comment was addressed to.
+        mentions: {
+            type: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+            default: [],
+        },
+
+        // The mentioned people who have not seen the comment yet – until they
+        // open the todo's thread or mark their mentions read (/api/mentions).
+        // Internal: left out of the JSON so readers are not tracked publicly.
+        unreadBy: {
+            type: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+            default: [],
+        },
+
+        // Set when the author edits the body; null for an unedited comment.
+        editedAt: {
+            type: Date,
+            default: null,
+        },
+    },
+    {
+        timestamps: true,
+
+        toJSON: {
+            versionKey: false,
+            transform(_doc, ret) {
+                ret.id = ret._id;
+                delete ret._id;
+                delete ret.unreadBy;
+                return ret;
+            },
+        },
+    }
+);
+
+// ── Indexes ───────────────────────────────────────────────────────────────────
+// A todo's thread, oldest first.
+commentSchema.index({ todo: 1, createdAt: 1 });
+
+// A user's mentions, newest first – and the unread ones.
+commentSchema.index({ mentions: 1, createdAt: -1 });
+commentSchema.index({ unreadBy: 1 });
+
+// ── Model ─────────────────────────────────────────────────────────────────────
+const Comment = mongoose.model("Comment", commentSchema);
+
+module.exports = Comment;
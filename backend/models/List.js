@@ -0,0 +1,115 @@
+const mongoose = require("mongoose");
+const { ROLES } = require("../utils/roles");
+
+const MAX_MEMBERS = 50;
+
+/**
+ * Member Sub-Schema
+ * Someone the list is shared with, and what they may do with it (see
+ * utils/roles.js). The list's owner is not repeated here.
+ */
+const memberSchema = new mongoose.Schema(
+    {
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: [true, "Member is required"],
+        },
+        role: {
+            type: String,
+            enum: {
+                values: ROLES,
+                message: `Role must be one of ${ROLES.map((role) => `"${role}"`).join(", ")}`,
+            },
+            default: "editor",
+        },
+        addedAt: {
+            type: Date,
+            default: Date.now,
+        },
+    },
+    { _id: false }
+);
+
+/**
+ * List Schema
+ * A user-defined project that groups todos. Todos without a list live in the
+ * implicit "Inbox". A list can be shared with other accounts; its todos stay
+ * the owner's.
+ */
+const listSchema = new mongoose.Schema(
+    {
+        // ── Owner ──────────────────────────────────────────────────────────────────
+        owner: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: [true, "Owner is required"],
+        },
+
+        // ── Name ───────────────────────────────────────────────────────────────────
+        name: {
+            type: String,
+            required: [true, "List name is required"],
+            trim: true,
+            minlength: [1, "List name cannot be empty"],
+            maxlength: [60, "List name must be at most 60 characters long"],
+        },
+
+        // ── Colour ─────────────────────────────────────────────────────────────────
+        // Hex colour for the sidebar dot.
+        color: {
+            type: String,
+            default: "#6c63ff",
+            match: [/^#[0-9a-fA-F]{6}$/, 'Colour must be a hex value like "#6c63ff"'],
+        },
+
+        // ── Archived ───────────────────────────────────────────────────────────────
+        // Archived lists are hidden from the sidebar and reject new todos, but
+        // keep their todos so they can be restored intact.
+        archived: {
+            type: Boolean,
+            default: false,
+        },
+
+        archivedAt: {
+            type: Date,
+            default: null,
+        },
+
+        // ── Members ────────────────────────────────────────────────────────────────
+        // The other accounts the list is shared with, managed through
+        // /api/lists/:id/members. Empty for a private list.
+        members: {
+            type: [memberSchema],
+            default: [],
+            validate: {
+                validator: (members) => members.length <= MAX_MEMBERS,
+                message: `A list can be shared with at most ${MAX_MEMBERS} people`,
+            },
+        },
+    },
+    {
+        timestamps: true,
+
+        toJSON: {
+            versionKey: false,
+            transform(_doc, ret) {
+                ret.id = ret._id;
+                delete ret._id;
+                return ret;
+            },
+        },
+    }
+);
+
+// ── Indexes ───────────────────────────────────────────────────────────────────
+// Sidebar query: the owner's active lists in creation order.
+listSchema.index({ owner: 1, archived: 1, createdAt: 1 });
+
+// The lists shared with someone, for their sidebar and access checks.
+listSchema.index({ "members.user": 1 });
+
+// ── Model ─────────────────────────────────────────────────────────────────────
+const List = mongoose.model("List", listSchema);
+
+module.exports = List;
@@ -0,0 +1,59 @@
+const mongoose = require("mongoose");
+const { normalizeTag } = require("../utils/tags");
+
+/**
+ * Tag Schema
+ * Per-user metadata for a tag name (currently its colour).
+ *
+ * Tags themselves live as plain strings on each todo's `tags` array; a Tag
+ * document only exists once a user customises a tag, so tagging a todo never
+ * requires creating one first.
+ */
+const tagSchema = new mongoose.Schema(
+    {
+        // ── Owner ──────────────────────────────────────────────────────────────────
+        owner: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: [true, "Owner is required"],
+        },
+
+        // ── Name ───────────────────────────────────────────────────────────────────
+        // Canonical (normalised) tag name, matching the strings stored on todos.
+        name: {
+            type: String,
+            required: [true, "Tag name is required"],
+            set: normalizeTag,
+            minlength: [1, "Tag name cannot be empty"],
+        },
+
+        // ── Colour ─────────────────────────────────────────────────────────────────
+        // Hex colour used for the tag chip in the UI.
+        color: {
+            type: String,
+            default: null,
+            match: [/^#[0-9a-fA-F]{6}$/, 'Colour must be a hex value like "#6c63ff"'],
+        },
+    },
+    {
+        timestamps: true,
+
+        toJSON: {
+            versionKey: false,
+            transform(_doc, ret) {
+                ret.id = ret._id;
+                delete ret._id;
+                return ret;
+            },
+        },
+    }
+);
+
+// ── Indexes ───────────────────────────────────────────────────────────────────
+// One metadata document per tag name per user.
+tagSchema.index({ owner: 1, name: 1 }, { unique: true });
+
+// ── Model ─────────────────────────────────────────────────────────────────────
+const Tag = mongoose.model("Tag", tagSchema);
+
+module.exports = Tag;
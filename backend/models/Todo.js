@@ -1,4 +1,100 @@
 const mongoose = require("mongoose");
+const { normalizeTags, MAX_TAGS_PER_TODO } = require("../utils/tags");
+const { STATE_KEYS, INITIAL_STATE } = require("../utils/workflow");
+const { isTimeZone } = require("../utils/timeZones");
+
+// Numeric rank for each priority so "sort by priority" orders low < medium < high
+// (the strings themselves would sort alphabetically: high < low < medium).
+const PRIORITY_RANK = { low: 1, medium: 2, high: 3 };
+
+/**
+ * Recurrence Sub-Schema
+ * RRULE-style repeat rule (see utils/recurrence.js). When a todo carrying a
+ * rule is completed, the next occurrence is created automatically.
+ */
+const recurrenceSchema = new mongoose.Schema(
+    {
+        freq: {
+            type: String,
+            required: [true, "Recurrence frequency is required"],
+            enum: {
+                values: ["daily", "weekly", "monthly", "yearly"],
+                message: 'Recurrence frequency must be one of "daily", "weekly", "monthly", or "yearly"',
+            },
+        },
+        interval: {
+            type: Number,
+            default: 1,
+            min: [1, "Recurrence interval must be at least 1"],
+            max: [365, "Recurrence interval must be at most 365"],
+        },
+        byWeekday: {
+            type: [
+                {
+                    type: Number,
+                    min: [0, "Weekdays must be between 0 (Sunday) and 6 (Saturday)"],
+                    max: [6, "Weekdays must be between 0 (Sunday) and 6 (Saturday)"],
+                },
+            ],
+            default: undefined,
+        },
+        byMonthDay: {
+            type: Number,
+            min: [1, "Day of month must be between 1 and 31"],
+            max: [31, "Day of month must be between 1 and 31"],
+        },
+        count: {
+            type: Number,
+            min: [1, "Recurrence count must be at least 1"],
+        },
+        until: {
+            type: Date,
+        },
+        // IANA time zone of the rule's creator; weekdays and times of day are
+        // theirs. Rules without one run in UTC.
+        tz: {
+            type: String,
+            validate: {
+                validator: (tz) => tz == null || isTimeZone(tz),
+                message: (props) => `"${props.value}" is not a known time zone`,
+            },
+        },
+    },
+    { _id: false }
+);
+
+/**
+ * Checklist Item Sub-Schema
+ * One row of a todo's embedded checklist. Array order is display order.
+ */
+const checklistItemSchema = new mongoose.Schema(
+    {
+        text: {
+            type: String,
+            required: [true, "Checklist item text is required"],
+            trim: true,
+            minlength: [1, "Checklist item text cannot be empty"],
+            maxlength: [200, "Checklist item text must be at most 200 characters long"],
+        },
+        done: {
+            type: Boolean,
+            default: false,
+        },
+        createdAt: {
+            type: Date,
+            default: Date.now,
+        },
+    },
+    {
+        toJSON: {
+            transform(_doc, ret) {
+                ret.id = ret._id;
+                delete ret._id;
+                return ret;
+            },
+        },
+    }
+);
 
 /**
  * Todo Schema
@@ -28,11 +124,31 @@ const todoSchema = new mongoose.Schema(
         // ── Status ─────────────────────────────────────────────────────────────────
         // Boolean flag representing completion state.
         // Defaults to false (not done) so every new todo starts as pending.
+        // Always equal to "is `state` a done state?" – see utils/workflow.js.
         status: {
             type: Boolean,
             default: false,
         },
 
+        // ── Workflow State ─────────────────────────────────────────────────────────
+        // Where the todo stands in the configured workflow ("in_progress",
+        // "blocked", …) – its Kanban column. Kept in step with `status` by
+        // reconcileWorkflow() in every code path that writes either.
+        state: {
+            type: String,
+            enum: {
+                values: STATE_KEYS,
+                message: `State must be one of ${STATE_KEYS.map((key) => `"${key}"`).join(", ")}`,
+            },
+            default: INITIAL_STATE,
+        },
+
+        // When the todo last entered a done state; null while it is open.
+        completedAt: {
+            type: Date,
+            default: null,
+        },
+
         // ── Priority ───────────────────────────────────────────────────────────────
         // Restricted to three levels via an enum so the API surface stays consistent
         // and prevents arbitrary strings from entering the database.
@@ -46,6 +162,140 @@ const todoSchema = new mongoose.Schema(
             default: "medium",
         },
 
+        // Derived from `priority` by the hooks below – never set directly.
+        // Indexed for ?sort=priority.
+        priorityRank: {
+            type: Number,
+            default: PRIORITY_RANK.medium,
+        },
+
+        // ── Due Date ───────────────────────────────────────────────────────────────
+        // Optional deadline. A pending todo whose `dueAt` is in the past is
+        // considered overdue (see the ?overdue= filter in getAllTodos).
+        dueAt: {
+            type: Date,
+            default: null,
+        },
+
+        // ── Reminder ───────────────────────────────────────────────────────────────
+        // Optional moment at which the reminder scheduler notifies the owner.
+        // `reminderSentAt` records delivery so each reminder fires exactly once;
+        // it is reset whenever `remindAt` changes.
+        remindAt: {
+            type: Date,
+            default: null,
+        },
+
+        reminderSentAt: {
+            type: Date,
+            default: null,
+        },
+
+        // ── Tags ───────────────────────────────────────────────────────────────────
+        // Free-form labels, normalised on write (see utils/tags.js) so filtering
+        // and the /api/tags counts are case- and "#"-insensitive.
+        tags: {
+            type: [String],
+            default: [],
+            set: normalizeTags,
+            validate: {
+                validator: (tags) => tags.length <= MAX_TAGS_PER_TODO,
+                message: `A todo can have at most ${MAX_TAGS_PER_TODO} tags`,
+            },
+        },
+
+        // ── Checklist ──────────────────────────────────────────────────────────────
+        // Embedded sub-tasks, managed through /api/todos/:id/items.
+        // With `autoComplete` on, checking the last open item completes the todo
+        // and un-checking an item re-opens it.
+        checklist: {
+            type: [checklistItemSchema],
+            default: [],
+            validate: {
+                validator: (items) => items.length <= 100,
+                message: "A checklist can have at most 100 items",
+            },
+        },
+
+        autoComplete: {
+            type: Boolean,
+            default: false,
+        },
+
+        // ── Recurrence ─────────────────────────────────────────────────────────────
+        // Optional repeat rule. `seriesId` links every occurrence spawned from the
+        // same original todo and `occurrence` is this todo's 1-based position in it;
+        // together they are unique so the next occurrence is never spawned twice.
+        recurrence: {
+            type: recurrenceSchema,
+            default: null,
+        },
+
+        seriesId: {
+            type: mongoose.Schema.Types.ObjectId,
+            default: null,
+        },
+
+        occurrence: {
+            type: Number,
+            default: 1,
+        },
+
+        // ── List ───────────────────────────────────────────────────────────────────
+        // The project this todo belongs to; null means the implicit "Inbox".
+        list: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "List",
+            default: null,
+        },
+
+        // ── Position ───────────────────────────────────────────────────────────────
+        // Key of the manual order (?sort=manual): a lexicographic rank (see
+        // utils/rank.js), so moving a todo rewrites its own position and no other.
+        // New todos start at the top. Set by services/positionService.js.
+        position: {
+            type: String,
+            default: null,
+        },
+
+        // ── Owner ──────────────────────────────────────────────────────────────────
+        // The user this todo belongs to – for a todo in a list, the list's owner,
+        // whoever created it. Every controller query filters on it, so one
+        // account can only reach another's todos through a list shared with it
+        // (see services/sharingService.js).
+        owner: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: [true, "Owner is required"],
+        },
+
+        // ── Assignee ───────────────────────────────────────────────────────────────
+        // Who is to do it: the owner or a member of the todo's list. Cleared
+        // when they lose access to it.
+        assignee: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            default: null,
+        },
+
+        // ── Comments ───────────────────────────────────────────────────────────────
+        // How many comments the thread at /api/todos/:id/comments holds, kept
+        // here so a page of todos can show it without a lookup.
+        commentCount: {
+            type: Number,
+            default: 0,
+            min: 0,
+        },
+
+        // ── Trash ──────────────────────────────────────────────────────────────────
+        // Set when the todo is deleted; null means live. Trashed todos are hidden
+        // from every query (see the soft-delete hooks below) until restored, and
+        // purged for good once the retention period has passed.
+        deletedAt: {
+            type: Date,
+            default: null,
+        },
+
         // ── CreatedAt ──────────────────────────────────────────────────────────────
         // Explicit timestamp for the moment the todo was created.
         // Stored as a native Date so it can be compared and sorted easily.
@@ -56,6 +306,16 @@ const todoSchema = new mongoose.Schema(
             type: Date,
             default: Date.now,
         },
+
+        // Incremented on every change a client could have seen – the same
+        // writes that move `updatedAt` – and served as the todo's ETag, so an
+        // edit based on a stale copy can be refused (If-Match → 412).
+        // Todos written before this field existed read as version 0.
+        version: {
+            type: Number,
+            default: 0,
+            min: 0,
+        },
     },
     {
         // Automatically manage `createdAt` and `updatedAt` via Mongoose timestamps.
@@ -71,6 +331,8 @@ const todoSchema = new mongoose.Schema(
                 // Rename _id → id for a more REST-friendly response shape.
                 ret.id = ret._id;
                 delete ret._id;
+                // Internal sort key – clients read `priority`.
+                delete ret.priorityRank;
                 return ret;
             },
         },
@@ -78,15 +340,147 @@ const todoSchema = new mongoose.Schema(
 );
 
 // ── Indexes ───────────────────────────────────────────────────────────────────
-// Index on `status` to speed up queries that filter by completion state.
-todoSchema.index({ status: 1 });
+// Every query is scoped to `owner`, so it leads each index.
+// Index on `owner` + `createdAt` serves the default newest-first listing.
+todoSchema.index({ owner: 1, createdAt: -1 });
+
+// Index on `owner` + `status` to speed up queries that filter by completion state.
+todoSchema.index({ owner: 1, status: 1 });
+
+// Index on `owner` + `state` for ?state= and the Kanban columns.
+todoSchema.index({ owner: 1, state: 1 });
+
+// Compound index on `owner` + `priority` + `createdAt` to support listing todos
+// sorted by urgency and recency without a collection scan.
+todoSchema.index({ owner: 1, priority: 1, createdAt: -1 });
+
+// Index on `owner` + `list` + `createdAt` for the per-list listing and counts.
+todoSchema.index({ owner: 1, list: 1, createdAt: -1 });
+
+// Multikey index on `owner` + `tags` for tag filtering and usage counts.
+todoSchema.index({ owner: 1, tags: 1 });
+
+// Full-text index backing ?q= search. MongoDB allows a single text index per
+// collection, so every searchable field lives here, weighted by how strongly a
+// hit in that field signals relevance. `owner` is an equality prefix, which
+// every query already supplies.
+todoSchema.index(
+    {
+        owner: 1,
+        title: "text",
+        tags: "text",
+        description: "text",
+        "checklist.text": "text",
+    },
+    {
+        name: "todo_text_search",
+        weights: { title: 10, tags: 5, description: 3, "checklist.text": 2 },
+    }
+);
+
+// "Assigned to me" (?assignee=me), which spans several owners.
+todoSchema.index({ assignee: 1, createdAt: -1 });
+
+// Index on `owner` + `dueAt` to support the due-date range and overdue filters.
+todoSchema.index({ owner: 1, dueAt: 1 });
+
+// Index on `reminderSentAt` + `remindAt` so the reminder scheduler's poll for
+// undelivered, due reminders is a range scan rather than a collection scan.
+todoSchema.index({ reminderSentAt: 1, remindAt: 1 });
+
+// Unique per series position – the idempotency key for spawning occurrences.
+todoSchema.index(
+    { seriesId: 1, occurrence: 1 },
+    { unique: true, partialFilterExpression: { seriesId: { $type: "objectId" } } }
+);
+
+// Sort-key indexes for ?sort= (each ends in _id, the pagination tie-breaker).
+todoSchema.index({ owner: 1, priorityRank: -1, createdAt: -1, _id: -1 });
+todoSchema.index({ owner: 1, updatedAt: -1, _id: -1 });
+todoSchema.index({ owner: 1, title: 1, _id: 1 });
+todoSchema.index({ owner: 1, position: 1, _id: 1 });
+
+// Trash view (newest first) and the retention purge, which only looks at
+// trashed todos – hence the partial index.
+todoSchema.index({ owner: 1, deletedAt: -1, _id: -1 });
+todoSchema.index(
+    { deletedAt: 1 },
+    { partialFilterExpression: { deletedAt: { $type: "date" } } }
+);
+
+// ── Hooks ─────────────────────────────────────────────────────────────────────
+// A recurring todo created directly (not spawned) starts its own series.
+todoSchema.pre("validate", function () {
+    if (this.recurrence && !this.seriesId) this.seriesId = this._id;
+});
+
+// Keep `priorityRank` in step with `priority` on document saves…
+todoSchema.pre("validate", function () {
+    if (this.isModified("priority") || this.isNew) {
+        this.priorityRank = PRIORITY_RANK[this.priority] || PRIORITY_RANK.medium;
+    }
+});
+
+// …and on query-style updates, which bypass document hooks.
+todoSchema.pre(["findOneAndUpdate", "updateOne", "updateMany"], function () {
+    const update = this.getUpdate() || {};
+    const priority = update.priority ?? update.$set?.priority ?? update.$setOnInsert?.priority;
+    if (priority === undefined || Array.isArray(update)) return;
+
+    const rank = PRIORITY_RANK[priority] || PRIORITY_RANK.medium;
+    if (update.$setOnInsert?.priority !== undefined) {
+        update.$setOnInsert.priorityRank = rank;
+    } else {
+        update.$set = { ...update.$set, priorityRank: rank };
+    }
+    this.setUpdate(update);
+});
+
+// Bump `version` alongside `updatedAt`: housekeeping writes that pass
+// `timestamps: false` (reminder delivery) leave both alone, and upserts –
+// which only ever insert here – start from the default. Trashing and
+// restoring keep `updatedAt` but change what clients see, so they $inc
+// `version` themselves.
+todoSchema.pre(["findOneAndUpdate", "updateOne", "updateMany"], function () {
+    const options = this.getOptions();
+    const update = this.getUpdate() || {};
+    if (options.timestamps === false || options.upsert || Array.isArray(update)) return;
+
+    update.$inc = { ...update.$inc, version: 1 };
+    this.setUpdate(update);
+});
+
+todoSchema.pre("save", function () {
+    if (!this.isNew && this.isModified()) this.version += 1;
+});
+
+// Soft delete: queries only see live todos unless they filter on `deletedAt`
+// themselves (the trash endpoints) or pass the `withDeleted: true` option.
+const SOFT_DELETE_QUERIES = [
+    "find",
+    "findOne",
+    "findOneAndUpdate",
+    "findOneAndDelete",
+    "countDocuments",
+    "updateOne",
+    "updateMany",
+    "deleteOne",
+    "deleteMany",
+];
+
+todoSchema.pre(SOFT_DELETE_QUERIES, function () {
+    if (this.getOptions().withDeleted || "deletedAt" in this.getFilter()) return;
+    this.where({ deletedAt: null });
+});
 
-// Compound index on `priority` + `createdAt` to support listing todos sorted
-// by urgency and recency without a collection scan.
-todoSchema.index({ priority: 1, createdAt: -1 });
+todoSchema.pre("aggregate", function () {
+    if (this.options.withDeleted) return;
+    this.pipeline().unshift({ $match: { deletedAt: null } });
+});
 
 // ── Model ─────────────────────────────────────────────────────────────────────
 // Mongoose pluralises "Todo" → "todos" automatically as the collection name.
 const Todo = mongoose.model("Todo", todoSchema);
 
 module.exports = Todo;
+module.exports.PRIORITY_RANK = PRIORITY_RANK;
@@ -0,0 +1,109 @@
+const mongoose = require("mongoose");
+const bcrypt = require("bcryptjs");
+
+// Cost factor for bcrypt. 12 rounds keeps a single hash around ~250 ms on
+// commodity hardware – slow enough to frustrate brute force, fast enough for login.
+const SALT_ROUNDS = 12;
+
+/**
+ * Refresh Token Sub-Schema
+ * Only a SHA-256 hash of each issued refresh token is stored, so a leaked
+ * database dump cannot be replayed against POST /api/auth/refresh.
+ */
+const refreshTokenSchema = new mongoose.Schema(
+    {
+        tokenHash: { type: String, required: true },
+        expiresAt: { type: Date, required: true },
+        createdAt: { type: Date, default: Date.now },
+    },
+    { _id: false }
+);
+
+/**
+ * User Schema
+ * Account that owns todos. Passwords are hashed in a pre-save hook and are
+ * never selected or serialised by default.
+ */
+const userSchema = new mongoose.Schema(
+    {
+        // ── Name ───────────────────────────────────────────────────────────────────
+        // Display name shown in the app header.
+        name: {
+            type: String,
+            required: [true, "Name is required"],
+            trim: true,
+            minlength: [2, "Name must be at least 2 characters long"],
+            maxlength: [60, "Name must be at most 60 characters long"],
+        },
+
+        // ── Email ──────────────────────────────────────────────────────────────────
+        // Login identifier. Lower-cased so "Bob@x.com" and "bob@x.com" collide on
+        // the unique index instead of creating two accounts.
+        email: {
+            type: String,
+            required: [true, "Email is required"],
+            unique: true,
+            trim: true,
+            lowercase: true,
+            match: [/^[^\s@]+@[^\s@]+\.[^\s@]+$/, "Email must be a valid email address"],
+        },
+
+        // ── Password ───────────────────────────────────────────────────────────────
+        // bcrypt hash. `select: false` keeps it out of every query unless a caller
+        // explicitly asks for it with `.select("+password")` (login only).
+        password: {
+            type: String,
+            required: [true, "Password is required"],
+            minlength: [8, "Password must be at least 8 characters long"],
+            select: false,
+        },
+
+        // ── Refresh Tokens ─────────────────────────────────────────────────────────
+        // One entry per signed-in device/session. Logout removes the matching entry;
+        // refresh rotates it.
+        refreshTokens: {
+            type: [refreshTokenSchema],
+            default: [],
+            select: false,
+        },
+    },
+    {
+        timestamps: true,
+
+        toJSON: {
+            versionKey: false,
+            transform(_doc, ret) {
+                ret.id = ret._id;
+                delete ret._id;
+                delete ret.password;
+                delete ret.refreshTokens;
+                return ret;
+            },
+        },
+    }
+);
+
+// ── Hooks ─────────────────────────────────────────────────────────────────────
+// Hash the password whenever it is set or changed. Skipped on saves that leave
+// it alone so an existing hash is never re-hashed.
+userSchema.pre("save", async function () {
+    if (!this.isModified("password")) return;
+    this.password = await bcrypt.hash(this.password, SALT_ROUNDS);
+});
+
+// ── Methods ───────────────────────────────────────────────────────────────────
+/**
+ * Compares a plain-text candidate against the stored hash.
+ * The document must have been loaded with `.select("+password")`.
+ *
+ * @param {string} candidate
+ * @returns {Promise<boolean>}
+ */
+userSchema.methods.comparePassword = function (candidate) {
+    return bcrypt.compare(candidate, this.password);
+};
+
+// ── Model ─────────────────────────────────────────────────────────────────────
+const User = mongoose.model("User", userSchema);
+
+module.exports = User;
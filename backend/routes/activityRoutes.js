@@ -0,0 +1,25 @@
+const express = require("express");
+
+const { getActivity } = require("../contollers/activityController");
+const { protect } = require("../middleware/auth");
+const { validate } = require("../middleware/validate");
+const schemas = require("../validators/activityValidators");
+
+const router = express.Router();
+
+// The feed only ever shows the caller's own todos.
+router.use(protect);
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Route Definitions
+// ─────────────────────────────────────────────────────────────────────────────
+//
+//  HTTP Method | Path             | Controller  | Description
+//  ─────────────────────────────────────────────────────────────
+//  GET         | /api/activity    | getActivity | Activity feed (filter by action, todo, list, date)
+//
+//  One todo's history is GET /api/todos/:id/history.
+
+router.get("/", validate(schemas.getActivity), getActivity);  // GET    /api/activity
+
+module.exports = router;
@@ -0,0 +1,34 @@
+const express = require("express");
+
+const {
+    register,
+    login,
+    refresh,
+    logout,
+    getMe,
+} = require("../contollers/authController");
+const { protect } = require("../middleware/auth");
+const { validate } = require("../middleware/validate");
+const schemas = require("../validators/authValidators");
+
+const router = express.Router();
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Route Definitions
+// ─────────────────────────────────────────────────────────────────────────────
+//
+//  HTTP Method | Path                | Controller | Description
+//  ─────────────────────────────────────────────────────────────
+//  POST        | /api/auth/register  | register   | Create an account and sign in
+//  POST        | /api/auth/login     | login      | Exchange credentials for tokens
+//  POST        | /api/auth/refresh   | refresh    | Rotate refresh token, new access token
+//  POST        | /api/auth/logout    | logout     | Revoke a refresh token
+//  GET         | /api/auth/me        | getMe      | Current user (requires access token)
+
+router.post("/register", validate(schemas.register), register);  // POST /api/auth/register
+router.post("/login", validate(schemas.login), login);           // POST /api/auth/login
+router.post("/refresh", validate(schemas.refresh), refresh);     // POST /api/auth/refresh
+router.post("/logout", validate(schemas.logout), logout);        // POST /api/auth/logout
+router.get("/me", protect, getMe);                               // GET  /api/auth/me
+
+module.exports = router;
@@ -0,0 +1,25 @@
+const path = require("path");
+const express = require("express");
+
+const { getOpenApi } = require("../contollers/docsController");
+
+const router = express.Router();
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Route Definitions
+// ─────────────────────────────────────────────────────────────────────────────
+//
+//  HTTP Method | Path               | Controller | Description
+//  ─────────────────────────────────────────────────────────────
+//  GET         | /api/openapi.json  | getOpenApi | OpenAPI 3 document
+//  GET         | /api/docs          | (static)   | API reference page rendering it
+//
+//  Both are public: they describe the API, they do not expose any data.
+
+router.get("/openapi.json", getOpenApi);    // GET    /api/openapi.json
+
+// The reference page is plain static files (docs/ui) with no external assets,
+// so it works offline. "/api/docs" redirects to "/api/docs/".
+router.use("/docs", express.static(path.join(__dirname, "../docs/ui")));   // GET    /api/docs
+
+module.exports = router;
@@ -0,0 +1,23 @@
+const express = require("express");
+
+const { streamEvents } = require("../contollers/eventController");
+const { protect } = require("../middleware/auth");
+const { validate } = require("../middleware/validate");
+const schemas = require("../validators/eventValidators");
+
+const router = express.Router();
+
+// Each stream carries only the caller's own changes.
+router.use(protect);
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Route Definitions
+// ─────────────────────────────────────────────────────────────────────────────
+//
+//  HTTP Method | Path             | Controller   | Description
+//  ─────────────────────────────────────────────────────────────
+//  GET         | /api/events      | streamEvents | Server-Sent Events stream of changes
+
+router.get("/", validate(schemas.streamEvents), streamEvents);  // GET    /api/events
+
+module.exports = router;
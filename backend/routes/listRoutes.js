@@ -0,0 +1,58 @@
+const express = require("express");
+
+const {
+    getLists,
+    createList,
+    updateList,
+    deleteList,
+    addMember,
+    updateMember,
+    removeMember,
+} = require("../contollers/listController");
+const { protect } = require("../middleware/auth");
+const { validate } = require("../middleware/validate");
+const schemas = require("../validators/listValidators");
+
+const router = express.Router();
+
+// Lists belong to the user who creates them, who may share them with others
+// (see utils/roles.js).
+router.use(protect);
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Route Definitions
+// ─────────────────────────────────────────────────────────────────────────────
+//
+//  HTTP Method | Path                           | Controller   | Description
+//  ───────────────────────────────────────────────────────────────────────────
+//  GET         | /api/lists                     | getLists     | Lists with per-list todo counts
+//  POST        | /api/lists                     | createList   | Create a list
+//  PATCH       | /api/lists/:id                 | updateList   | Rename / recolour / (un)archive
+//  DELETE      | /api/lists/:id                 | deleteList   | Remove a list (todos → Inbox)
+//  POST        | /api/lists/:id/members         | addMember    | Share with a user by email
+//  PATCH       | /api/lists/:id/members/:userId | updateMember | Change a member's role
+//  DELETE      | /api/lists/:id/members/:userId | removeMember | Unshare, or leave the list
+//
+//  Moving a todo between lists is a PATCH /api/todos/:id with { list }.
+
+router
+    .route("/")
+    .get(validate(schemas.getLists), getLists)          // GET    /api/lists
+    .post(validate(schemas.createList), createList);    // POST   /api/lists
+
+router
+    .route("/:id")
+    .patch(validate(schemas.updateList), updateList)    // PATCH  /api/lists/:id
+    .delete(validate(schemas.deleteList), deleteList);  // DELETE /api/lists/:id
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Member routes
+// ─────────────────────────────────────────────────────────────────────────────
+
+router.post("/:id/members", validate(schemas.addMember), addMember);  // POST   /api/lists/:id/members
+router
+    .route("/:id/members/:userId")
+    .patch(validate(schemas.updateMember), updateMember)  // PATCH  /api/lists/:id/members/:userId
+    .delete(removeMember);                                // DELETE /api/lists/:id/members/:userId
+
+module.exports = router;
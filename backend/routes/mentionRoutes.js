@@ -0,0 +1,27 @@
+const express = require("express");
+
+const { getMentions, markMentionsRead } = require("../contollers/mentionController");
+const { protect } = require("../middleware/auth");
+const { validate } = require("../middleware/validate");
+const schemas = require("../validators/mentionValidators");
+
+const router = express.Router();
+
+// Only ever the caller's own mentions.
+router.use(protect);
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Route Definitions
+// ─────────────────────────────────────────────────────────────────────────────
+//
+//  HTTP Method | Path                | Controller       | Description
+//  ─────────────────────────────────────────────────────────────
+//  GET         | /api/mentions       | getMentions      | Comments that mention the caller (?unread=true)
+//  POST        | /api/mentions/read  | markMentionsRead | Mark some or all of them read
+//
+//  Opening a todo's thread (GET /api/todos/:id/comments) also reads its mentions.
+
+router.get("/", validate(schemas.getMentions), getMentions);                 // GET    /api/mentions
+router.post("/read", validate(schemas.markMentionsRead), markMentionsRead);  // POST   /api/mentions/read
+
+module.exports = router;
@@ -0,0 +1,17 @@
+const express = require("express");
+
+const { getMetrics } = require("../contollers/metricsController");
+
+const router = express.Router();
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Route Definitions
+// ─────────────────────────────────────────────────────────────────────────────
+//
+//  HTTP Method | Path          | Controller | Description
+//  ─────────────────────────────────────────────────────────────
+//  GET         | /api/metrics  | getMetrics | Prometheus metrics (METRICS_TOKEN if set)
+
+router.get("/", getMetrics);   // GET    /api/metrics
+
+module.exports = router;
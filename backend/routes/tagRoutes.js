@@ -0,0 +1,36 @@
+const express = require("express");
+
+const {
+    getTags,
+    updateTag,
+    mergeTags,
+    deleteTag,
+} = require("../contollers/tagController");
+const { protect } = require("../middleware/auth");
+const { validate } = require("../middleware/validate");
+const schemas = require("../validators/tagValidators");
+
+const router = express.Router();
+
+// Tags are per-user, like the todos that carry them.
+router.use(protect);
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Route Definitions
+// ─────────────────────────────────────────────────────────────────────────────
+//
+//  HTTP Method | Path                 | Controller | Description
+//  ─────────────────────────────────────────────────────────────
+//  GET         | /api/tags            | getTags    | List tags with usage counts
+//  POST        | /api/tags/merge      | mergeTags  | Merge several tags into one
+//  PATCH       | /api/tags/:name      | updateTag  | Rename and/or recolour a tag
+//  DELETE      | /api/tags/:name      | deleteTag  | Remove a tag from every todo
+
+router.get("/", getTags);                                    // GET    /api/tags
+router.post("/merge", validate(schemas.mergeTags), mergeTags);  // POST   /api/tags/merge
+router
+    .route("/:name")
+    .patch(validate(schemas.updateTag), updateTag)              // PATCH  /api/tags/:name
+    .delete(deleteTag);                                         // DELETE /api/tags/:name
+
+module.exports = router;
@@ -6,47 +6,54 @@ const {
     getTodoById,
     updateTodo,
     deleteTodo,
+    bulkTodos,
+    exportTodos,
+    importTodos,
+    moveTodo,
+    getWorkflow,
+    getCalendar,
+    parseTodo,
+    getStats,
 } = require("../contollers/todoController");
+const {
+    addItem,
+    updateItem,
+    deleteItem,
+    reorderItems,
+} = require("../contollers/checklistController");
+const {
+    getTrash,
+    restoreTodo,
+    purgeTodo,
+    emptyTrash,
+} = require("../contollers/trashController");
+const { getTodoHistory, revertTodo } = require("../contollers/activityController");
+const {
+    getComments,
+    addComment,
+    updateComment,
+    deleteComment,
+} = require("../contollers/commentController");
+const { protect } = require("../middleware/auth");
+const { validate } = require("../middleware/validate");
+const schemas = require("../validators/todoValidators");
 
 const router = express.Router();
 
 // ─────────────────────────────────────────────────────────────────────────────
-// Validation Middleware Placeholders
+// Authentication
+// ─────────────────────────────────────────────────────────────────────────────
+// Every todo route requires a signed-in user. `protect` attaches `req.user`,
+// which the controllers use to scope all reads and writes to the owner – and
+// to the lists shared with them (see services/sharingService.js).
+router.use(protect);
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Validation
 // ─────────────────────────────────────────────────────────────────────────────
-// These are thin pass-through stubs right now.
-// Replace the `next()` body with your preferred validation library
-// (e.g. express-validator, joi, zod) when you are ready to add
-// request-body validation at the route layer.
-// Schema-level validation already runs inside Mongoose, so the app is
-// protected from bad data even without these middlewares implemented.
-
-/**
- * Validates the request body before creating a new Todo.
- * Placeholder – add library-specific rules here.
- *
- * @param {import('express').Request}  req
- * @param {import('express').Response} res
- * @param {import('express').NextFunction} next
- */
-const validateCreateTodo = (req, res, next) => {
-    // TODO: implement with express-validator / joi / zod
-    // Example with express-validator:
-    //   body('title').trim().isLength({ min: 3 }).withMessage('...')
-    next();
-};
-
-/**
- * Validates the request body before updating an existing Todo.
- * Placeholder – add library-specific rules here.
- *
- * @param {import('express').Request}  req
- * @param {import('express').Response} res
- * @param {import('express').NextFunction} next
- */
-const validateUpdateTodo = (req, res, next) => {
-    // TODO: implement with express-validator / joi / zod
-    next();
-};
+// Each body and query string is checked against its schema in
+// validators/todoValidators.js before the controller runs. Bad input is
+// answered with a 400 listing every problem as { field, code, message }.
 
 // ─────────────────────────────────────────────────────────────────────────────
 // Route Definitions
@@ -56,21 +63,96 @@ const validateUpdateTodo = (req, res, next) => {
 //  ─────────────────────────────────────────────────────────────
 //  POST        | /api/todos       | createTodo     | Create a new todo
 //  GET         | /api/todos       | getAllTodos     | Get all todos (with optional filters)
+//  POST        | /api/todos/bulk  | bulkTodos      | Update / complete / delete many todos
+//  GET         | /api/todos/export | exportTodos   | Download todos (json, csv, md, todotxt, ics)
+//  POST        | /api/todos/import | importTodos   | Preview or import todos from a file
+//  GET         | /api/todos/workflow | getWorkflow | Workflow states (Kanban columns)
+//  GET         | /api/todos/calendar | getCalendar | Todos due in a date range, repeats expanded
+//  POST        | /api/todos/parse | parseTodo      | Preview the fields of a quick-add line
+//  GET         | /api/todos/stats | getStats       | Counts, completion rate, streaks, daily history
 //  GET         | /api/todos/:id   | getTodoById    | Get a single todo by ID
 //  PATCH       | /api/todos/:id   | updateTodo     | Partially update a todo
-//  DELETE      | /api/todos/:id   | deleteTodo     | Permanently remove a todo
+//  DELETE      | /api/todos/:id   | deleteTodo     | Move a todo to the trash
+//  PATCH       | /api/todos/:id/move            | moveTodo     | Reorder a todo (manual sort)
+//  GET         | /api/todos/trash               | getTrash     | List trashed todos
+//  DELETE      | /api/todos/trash               | emptyTrash   | Permanently delete the whole trash
+//  DELETE      | /api/todos/trash/:id           | purgeTodo    | Permanently delete one trashed todo
+//  POST        | /api/todos/:id/restore         | restoreTodo  | Take a todo out of the trash
+//  GET         | /api/todos/:id/history         | getTodoHistory | Revision history of a todo
+//  POST        | /api/todos/:id/revert          | revertTodo   | Restore a previous revision
+//  POST        | /api/todos/:id/items           | addItem      | Add a checklist item
+//  PATCH       | /api/todos/:id/items/reorder   | reorderItems | Reorder the checklist
+//  PATCH       | /api/todos/:id/items/:itemId   | updateItem   | Edit / toggle a checklist item
+//  DELETE      | /api/todos/:id/items/:itemId   | deleteItem   | Remove a checklist item
+//  GET         | /api/todos/:id/comments        | getComments  | The todo's comment thread
+//  POST        | /api/todos/:id/comments        | addComment   | Comment (with @mentions)
+//  PATCH       | /api/todos/:id/comments/:commentId | updateComment | Edit one's own comment
+//  DELETE      | /api/todos/:id/comments/:commentId | deleteComment | Remove a comment
 
 // ── Collection routes  (operate on the resource as a whole) ──────────────────
 router
     .route("/")
-    .post(validateCreateTodo, createTodo)   // POST   /api/todos
-    .get(getAllTodos);                       // GET    /api/todos
+    .post(validate(schemas.createTodo), createTodo)  // POST   /api/todos
+    .get(validate(schemas.listTodos), getAllTodos);  // GET    /api/todos
+
+// ── Static paths ─────────────────────────────────────────────────────────────
+// The routes from here down to the instance routes are registered before
+// "/:id", so that their fixed path segments are not captured as an id.
+router.post("/bulk", validate(schemas.bulkTodos), bulkTodos);  // POST   /api/todos/bulk
+router.post("/parse", validate(schemas.parseTodo), parseTodo);  // POST   /api/todos/parse
+
+// ── Import / export ──────────────────────────────────────────────────────────
+router.get("/export", validate(schemas.exportTodos), exportTodos);   // GET    /api/todos/export
+router.post("/import", validate(schemas.importTodos), importTodos);  // POST   /api/todos/import
+
+// ── Workflow ─────────────────────────────────────────────────────────────────
+router.get("/workflow", getWorkflow);  // GET    /api/todos/workflow
+
+// ── Calendar ─────────────────────────────────────────────────────────────────
+router.get("/calendar", validate(schemas.calendar), getCalendar);  // GET    /api/todos/calendar
+
+// ── Stats ────────────────────────────────────────────────────────────────────
+router.get("/stats", validate(schemas.stats), getStats);  // GET    /api/todos/stats
+
+// ── Trash routes ─────────────────────────────────────────────────────────────
+router
+    .route("/trash")
+    .get(validate(schemas.listPage), getTrash)  // GET    /api/todos/trash
+    .delete(emptyTrash);                        // DELETE /api/todos/trash
+router.delete("/trash/:id", purgeTodo);         // DELETE /api/todos/trash/:id
 
 // ── Instance routes  (operate on a single identified resource) ───────────────
 router
     .route("/:id")
-    .get(getTodoById)                       // GET    /api/todos/:id
-    .patch(validateUpdateTodo, updateTodo)  // PATCH  /api/todos/:id
-    .delete(deleteTodo);                    // DELETE /api/todos/:id
+    .get(getTodoById)                                 // GET    /api/todos/:id
+    .patch(validate(schemas.updateTodo), updateTodo)  // PATCH  /api/todos/:id
+    .delete(deleteTodo);                              // DELETE /api/todos/:id
+router.post("/:id/restore", restoreTodo);             // POST   /api/todos/:id/restore
+
+// ── Manual order  (drag-and-drop position, see ?sort=manual) ─────────────────
+router.patch("/:id/move", validate(schemas.moveTodo), moveTodo);  // PATCH  /api/todos/:id/move
+
+// ── History routes  (append-only audit log of one todo) ──────────────────────
+router.get("/:id/history", validate(schemas.listPage), getTodoHistory);  // GET    /api/todos/:id/history
+router.post("/:id/revert", validate(schemas.revertTodo), revertTodo);    // POST   /api/todos/:id/revert
+
+// ── Checklist routes  (embedded sub-tasks of one todo) ───────────────────────
+// `reorder` is registered before `:itemId` so it is not captured as an id.
+router.post("/:id/items", validate(schemas.addItem), addItem);                     // POST   /api/todos/:id/items
+router.patch("/:id/items/reorder", validate(schemas.reorderItems), reorderItems);  // PATCH  /api/todos/:id/items/reorder
+router
+    .route("/:id/items/:itemId")
+    .patch(validate(schemas.updateItem), updateItem)                               // PATCH  /api/todos/:id/items/:itemId
+    .delete(deleteItem);                                                           // DELETE /api/todos/:id/items/:itemId
+
+// ── Comment routes  (discussion thread of one todo) ──────────────────────────
+router
+    .route("/:id/comments")
+    .get(getComments)                                        // GET    /api/todos/:id/comments
+    .post(validate(schemas.addComment), addComment);         // POST   /api/todos/:id/comments
+router
+    .route("/:id/comments/:commentId")
+    .patch(validate(schemas.updateComment), updateComment)   // PATCH  /api/todos/:id/comments/:commentId
+    .delete(deleteComment);                                  // DELETE /api/todos/:id/comments/:commentId
 
 module.exports = router;
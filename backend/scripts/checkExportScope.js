@@ -0,0 +1,101 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// Export Scope Check
+// ─────────────────────────────────────────────────────────────────────────────
+// Fails (exit code 1) when GET /api/todos/export stops including the todos of
+// lists shared with the caller, or starts including someone else's.
+//
+//   npm test            (or: node scripts/checkExportScope.js)
+//
+// Runs without a database: List.find and Todo.find are replaced by in-memory
+// versions that understand the few operators the export's filter uses.
+
+const assert = require("assert");
+const mongoose = require("mongoose");
+const Todo = require("../models/Todo");
+const List = require("../models/List");
+const { exportTodos } = require("../contollers/todoController");
+
+const id = () => new mongoose.Types.ObjectId();
+const ada = id();
+const bob = id();
+const carol = id();
+
+const LISTS = [
+    {
+        _id: id(),
+        name: "Ada's shared",
+        owner: ada,
+        members: [{ user: bob, role: "editor" }, { user: carol, role: "viewer" }],
+    },
+    { _id: id(), name: "Ada's private", owner: ada, members: [] },
+];
+const TODOS = [
+    new Todo({ title: "Ada inbox", owner: ada }),
+    new Todo({ title: "Ada shared", owner: ada, list: LISTS[0]._id }),
+    new Todo({ title: "Ada private", owner: ada, list: LISTS[1]._id }),
+    new Todo({ title: "Bob inbox", owner: bob }),
+];
+
+/** Whether a document value equals a filter value (ids compare as strings). */
+const same = (a, b) => String(a ?? null) === String(b ?? null);
+
+/** The subset of MongoDB filters the export builds: equality, $in, $or. */
+const matches = (doc, filter) =>
+    Object.entries(filter).every(([key, cond]) => {
+        if (key === "$or") return cond.some((branch) => matches(doc, branch));
+        const value = key.split(".").reduce((v, part) => {
+            if (Array.isArray(v)) return v.map((item) => item?.[part]);
+            return v?.[part];
+        }, doc);
+        const values = Array.isArray(value) ? value : [value];
+        if (cond && cond.$in) return values.some((v) => cond.$in.some((c) => same(v, c)));
+        return values.some((v) => same(v, cond));
+    });
+
+List.find = async (filter) => LISTS.filter((list) => matches(list, filter));
+List.findOne = async (filter) => LISTS.find((list) => matches(list, filter)) || null;
+Todo.find = (filter) => ({ sort: async () => TODOS.filter((todo) => matches(todo, filter)) });
+
+/** Runs the export as `userId` and returns the exported titles. */
+const exportAs = async (userId, query = {}) => {
+    let body;
+    const res = {
+        status() { return this; },
+        set() { return this; },
+        json(payload) { throw new Error(`Export failed: ${payload.message}`); },
+        send(data) { body = data; return this; },
+    };
+    await exportTodos({ user: { _id: userId }, query }, res);
+    return JSON.parse(body).todos.map((todo) => todo.title).sort();
+};
+
+const CASES = [
+    { who: "the owner", user: ada, expected: ["Ada inbox", "Ada private", "Ada shared"] },
+    { who: "an editor", user: bob, expected: ["Ada shared", "Bob inbox"] },
+    { who: "a viewer", user: carol, expected: ["Ada shared"] },
+    { who: "an editor, for the shared list", user: bob, query: { list: String(LISTS[0]._id) }, expected: ["Ada shared"] },
+];
+
+const run = async () => {
+    let failed = 0;
+    for (const { who, user, query, expected } of CASES) {
+        const actual = await exportAs(user, query);
+        try {
+            assert.deepStrictEqual(actual, expected);
+        } catch {
+            failed += 1;
+            console.error(`✗ Export by ${who}\n    expected ${JSON.stringify(expected)}\n    got      ${JSON.stringify(actual)}`);
+        }
+    }
+
+    if (failed) {
+        console.error(`\n${failed} of ${CASES.length} export case(s) failed.`);
+        process.exit(1);
+    }
+    console.log(`✓ Export covers shared lists in the ${CASES.length} checked cases`);
+};
+
+run().catch((error) => {
+    console.error(error);
+    process.exit(1);
+});
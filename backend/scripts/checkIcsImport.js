@@ -0,0 +1,70 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// iCalendar Import Check
+// ─────────────────────────────────────────────────────────────────────────────
+// Fails (exit code 1) when the iCalendar parser in utils/todoFormats.js stops
+// reading dates in the time zone their TZID parameter names.
+//
+//   npm test            (or: node scripts/checkIcsImport.js)
+
+const assert = require("assert");
+const { FORMATS } = require("../utils/todoFormats");
+
+/** Wraps VTODO property lines in a calendar. */
+const calendar = (...props) =>
+    ["BEGIN:VCALENDAR", "BEGIN:VTODO", "SUMMARY:Call", ...props, "END:VTODO", "END:VCALENDAR"].join("\r\n");
+
+const CASES = [
+    {
+        name: "a TZID in winter",
+        text: calendar("DUE;TZID=Europe/Berlin:20250301T090000"),
+        dueAt: "2025-03-01T08:00:00.000Z",
+    },
+    {
+        name: "a TZID in summer",
+        text: calendar("DUE;TZID=Europe/Berlin:20250701T090000"),
+        dueAt: "2025-07-01T07:00:00.000Z",
+    },
+    {
+        name: "a quoted TZID",
+        text: calendar('DUE;TZID="America/New_York":20251124T200000'),
+        dueAt: "2025-11-25T01:00:00.000Z",
+    },
+    {
+        name: "a UTC time under a TZID",
+        text: calendar("DUE;TZID=Europe/Berlin:20250301T090000Z"),
+        dueAt: "2025-03-01T09:00:00.000Z",
+    },
+    {
+        name: "a floating time",
+        text: calendar("DUE:20250301T090000"),
+        dueAt: "2025-03-01T09:00:00.000Z",
+    },
+    {
+        name: "an unknown TZID",
+        text: calendar("DUE;TZID=Mars/Olympus_Mons:20250301T090000"),
+        error: { field: "dueAt", message: /unknown time zone "Mars\/Olympus_Mons"/ },
+    },
+];
+
+let failed = 0;
+for (const { name, text, dueAt, error } of CASES) {
+    const [row] = FORMATS.ics.parse(text).rows;
+    try {
+        if (error) {
+            const found = row.errors.find((e) => e.field === error.field);
+            assert.ok(found && error.message.test(found.message), JSON.stringify(row.errors));
+        } else {
+            assert.deepStrictEqual(row.errors, []);
+            assert.strictEqual(row.data.dueAt?.toISOString(), dueAt);
+        }
+    } catch (err) {
+        failed += 1;
+        console.error(`✗ DUE with ${name}\n    ${err.message.split("\n").join("\n    ")}`);
+    }
+}
+
+if (failed) {
+    console.error(`\n${failed} of ${CASES.length} iCalendar case(s) failed.`);
+    process.exit(1);
+}
+console.log(`✓ iCalendar import reads all ${CASES.length} DUE cases correctly`);
@@ -0,0 +1,54 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// OpenAPI Drift Check
+// ─────────────────────────────────────────────────────────────────────────────
+// Fails (exit code 1) when the routes the server registers and the operations
+// described in docs/openapi.js no longer match, e.g. a route was added to
+// todoRoutes.js without documenting it.
+//
+//   npm test            (or: node scripts/checkOpenApi.js)
+//
+// The todo router is inspected directly. Routes declared on `app` itself
+// (/api/health) are read from server.js's source, because requiring it would
+// start the server.
+
+const fs = require("fs");
+const path = require("path");
+
+const todoRoutes = require("../routes/todoRoutes");
+const { OPERATIONS, HEALTH, TODOS } = require("../docs/openapi");
+
+/** "METHOD /path" for every route on an Express router, under `prefix`. */
+const routerRoutes = (router, prefix) =>
+    router.stack
+        .filter((layer) => layer.route)
+        .flatMap((layer) =>
+            Object.keys(layer.route.methods).map((method) => {
+                const suffix = layer.route.path === "/" ? "" : layer.route.path;
+                return `${method.toUpperCase()} ${prefix}${suffix}`;
+            })
+        );
+
+/** "METHOD /path" for every app.get("/api/…") style route in server.js. */
+const appRoutes = () => {
+    const source = fs.readFileSync(path.join(__dirname, "../server.js"), "utf8");
+    const pattern = /\bapp\.(get|post|put|patch|delete)\(\s*["'`]([^"'`]+)["'`]/g;
+    return [...source.matchAll(pattern)].map(([, method, route]) => `${method.toUpperCase()} ${route}`);
+};
+
+/** Keys of `a` that are missing from `b`. */
+const missing = (a, b) => [...a].filter((key) => !b.has(key));
+
+const served = new Set([...routerRoutes(todoRoutes, TODOS), ...appRoutes()]);
+const documented = new Set([...Object.keys(OPERATIONS), ...Object.keys(HEALTH)]);
+
+const undocumented = missing(served, documented);
+const stale = missing(documented, served);
+
+if (undocumented.length || stale.length) {
+    for (const key of undocumented) console.error(`✗ Served but not in the OpenAPI spec: ${key}`);
+    for (const key of stale) console.error(`✗ In the OpenAPI spec but not served:  ${key}`);
+    console.error("\nUpdate docs/openapi.js to match the routes.");
+    process.exit(1);
+}
+
+console.log(`✓ OpenAPI spec matches the ${served.size} served operations`);
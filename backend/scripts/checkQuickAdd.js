@@ -0,0 +1,70 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// Quick-Add Parser Check
+// ─────────────────────────────────────────────────────────────────────────────
+// Fails (exit code 1) when utils/quickAdd.js no longer parses the lines below
+// the way it should.
+//
+//   npm test            (or: node scripts/checkQuickAdd.js)
+//
+// Every case is parsed at NOW, in UTC unless it names a time zone, so due
+// dates are predictable.
+
+const assert = require("assert");
+const { parseQuickAdd } = require("../utils/quickAdd");
+
+// A Monday.
+const NOW = new Date("2026-10-19T10:00:00Z");
+
+const CASES = [
+    {
+        text: "Pay rent tomorrow 9am !high #home @finance every month",
+        fields: {
+            title: "Pay rent",
+            dueAt: "2026-10-20T09:00:00.000Z",
+            priority: "high",
+            tags: ["home"],
+            list: "finance",
+            recurrence: { freq: "monthly" },
+        },
+    },
+    {
+        text: "Standup every mon and thu",
+        fields: {
+            title: "Standup",
+            dueAt: "2026-10-22T09:00:00.000Z",
+            recurrence: { freq: "weekly", byWeekday: [1, 4] },
+        },
+    },
+    // Late on a Friday in New York is already Saturday in UTC.
+    {
+        text: "Call home every fri 8pm",
+        tz: "America/New_York",
+        fields: {
+            title: "Call home",
+            dueAt: "2026-10-24T00:00:00.000Z",
+            recurrence: { freq: "weekly", byWeekday: [5], tz: "America/New_York" },
+        },
+    },
+    // Words that name Object.prototype members are plain title words.
+    { text: "Fix constructor bug", fields: { title: "Fix constructor bug" } },
+    { text: "Check toString every constructor", fields: { title: "Check toString every constructor" } },
+    { text: "Document valueOf in 2 __proto__", fields: { title: "Document valueOf in 2 __proto__" } },
+];
+
+let failed = 0;
+for (const { text, tz, fields } of CASES) {
+    const actual = JSON.parse(JSON.stringify(parseQuickAdd(text, { tz, now: NOW }).fields));
+    try {
+        assert.deepStrictEqual(actual, fields);
+    } catch {
+        failed += 1;
+        console.error(`✗ "${text}"\n    expected ${JSON.stringify(fields)}\n    got      ${JSON.stringify(actual)}`);
+    }
+}
+
+if (failed) {
+    console.error(`\n${failed} of ${CASES.length} quick-add case(s) failed.`);
+    process.exit(1);
+}
+
+console.log(`✓ Quick-add parser handles the ${CASES.length} checked lines`);
@@ -0,0 +1,90 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// Recurrence Check
+// ─────────────────────────────────────────────────────────────────────────────
+// Fails (exit code 1) when utils/recurrence.js stops stepping a series on the
+// wall clock of the rule's time zone – the weekday its creator meant, and the
+// same local time across daylight-saving changes.
+//
+//   npm test            (or: node scripts/checkRecurrence.js)
+
+const assert = require("assert");
+const { nextOccurrence, anchorRule, matchesRule, occurrencesBetween } = require("../utils/recurrence");
+
+const NEW_YORK = "America/New_York";
+
+/** The ISO strings of the next `n` occurrences after `start`. */
+const following = (rule, start, n) => {
+    const dates = [];
+    let date = new Date(start);
+    const anchored = anchorRule(rule, date);
+    for (let i = 0; i < n; i++) {
+        date = nextOccurrence(anchored, date);
+        dates.push(date.toISOString());
+    }
+    return dates;
+};
+
+const CASES = [
+    {
+        // Friday 20:00 in New York is Saturday 00:00 UTC.
+        name: "a weekly Friday-evening rule",
+        actual: () => following({ freq: "weekly", byWeekday: [5], tz: NEW_YORK }, "2026-10-24T00:00:00Z", 2),
+        // The second Friday is past the end of daylight saving time (Nov 1).
+        expected: ["2026-10-31T00:00:00.000Z", "2026-11-07T01:00:00.000Z"],
+    },
+    {
+        name: "a Friday-evening start matching its Friday rule",
+        actual: () => matchesRule({ freq: "weekly", byWeekday: [5], tz: NEW_YORK }, new Date("2026-10-24T00:00:00Z")),
+        expected: true,
+    },
+    {
+        name: "a daily 09:00 rule across the end of daylight saving time",
+        actual: () => following({ freq: "daily", tz: NEW_YORK }, "2026-10-31T13:00:00Z", 2),
+        expected: ["2026-11-01T14:00:00.000Z", "2026-11-02T14:00:00.000Z"],
+    },
+    {
+        name: "a daily 09:00 rule across the start of daylight saving time",
+        actual: () => following({ freq: "daily", tz: NEW_YORK }, "2026-03-07T14:00:00Z", 1),
+        expected: ["2026-03-08T13:00:00.000Z"],
+    },
+    {
+        // Jan 31 23:00 in New York is Feb 1 in UTC.
+        name: "a monthly rule anchored late on the 31st",
+        actual: () => following({ freq: "monthly", tz: NEW_YORK }, "2026-02-01T04:00:00Z", 2),
+        expected: ["2026-03-01T04:00:00.000Z", "2026-04-01T03:00:00.000Z"],
+    },
+    {
+        name: "the calendar expansion of a weekly Friday-evening rule",
+        actual: () =>
+            occurrencesBetween(
+                { freq: "weekly", byWeekday: [5], tz: NEW_YORK },
+                new Date("2026-10-24T00:00:00Z"),
+                1,
+                new Date("2026-10-20T00:00:00Z"),
+                new Date("2026-11-10T00:00:00Z")
+            ).map(({ date }) => date.toISOString()),
+        expected: ["2026-10-24T00:00:00.000Z", "2026-10-31T00:00:00.000Z", "2026-11-07T01:00:00.000Z"],
+    },
+    {
+        name: "a daily rule without a time zone (UTC)",
+        actual: () => following({ freq: "daily" }, "2026-10-31T13:00:00Z", 1),
+        expected: ["2026-11-01T13:00:00.000Z"],
+    },
+];
+
+let failed = 0;
+for (const { name, actual, expected } of CASES) {
+    const got = actual();
+    try {
+        assert.deepStrictEqual(got, expected);
+    } catch {
+        failed += 1;
+        console.error(`✗ ${name}\n    expected ${JSON.stringify(expected)}\n    got      ${JSON.stringify(got)}`);
+    }
+}
+
+if (failed) {
+    console.error(`\n${failed} of ${CASES.length} recurrence case(s) failed.`);
+    process.exit(1);
+}
+console.log(`✓ Recurrence rules step correctly in the ${CASES.length} checked cases`);
@@ -9,30 +9,177 @@ const express = require("express");
 const cors = require("cors");
 const mongoose = require("mongoose");
 
+const authRoutes = require("./routes/authRoutes");
 const todoRoutes = require("./routes/todoRoutes");
+const tagRoutes = require("./routes/tagRoutes");
+const listRoutes = require("./routes/listRoutes");
+const activityRoutes = require("./routes/activityRoutes");
+const mentionRoutes = require("./routes/mentionRoutes");
+const eventRoutes = require("./routes/eventRoutes");
+const docsRoutes = require("./routes/docsRoutes");
+const metricsRoutes = require("./routes/metricsRoutes");
 const errorHandler = require("./middleware/errorHandler");
+const { securityHeaders } = require("./middleware/securityHeaders");
+const { rateLimit } = require("./middleware/rateLimit");
+const { sanitize } = require("./middleware/sanitize");
+const { requestLogger } = require("./middleware/requestLogger");
+const { httpError } = require("./utils/response");
+const { requestContext } = require("./utils/requestContext");
+const logger = require("./utils/logger");
+const { runMigrations } = require("./migrations");
+const createReminderScheduler = require("./services/reminderScheduler");
+const createTrashPurger = require("./services/trashPurger");
+const { createNotifier } = require("./services/notifiers");
 
 // ─────────────────────────────────────────────────────────────────────────────
 // App Initialisation
 // ─────────────────────────────────────────────────────────────────────────────
 const app = express();
 const PORT = process.env.PORT || 5000;
+const IS_PRODUCTION = process.env.NODE_ENV === "production";
+
+// Do not advertise the framework in an X-Powered-By header.
+app.disable("x-powered-by");
+
+// Query strings are parsed flat (Express 5's default): ?a[b]=1 stays the key
+// "a[b]" rather than becoming a nested object a Mongo filter could pick up.
+app.set("query parser", "simple");
+
+/**
+ * Proxies
+ * Behind a load balancer or reverse proxy, set TRUST_PROXY (a hop count such
+ * as "1", "true" or a list of proxy addresses) so req.ip – which rate limiting
+ * counts by – is the client's address rather than the proxy's.
+ */
+if (process.env.TRUST_PROXY) {
+    const trust = process.env.TRUST_PROXY;
+    app.set("trust proxy", /^\d+$/.test(trust) ? Number(trust) : trust === "true" || trust);
+}
+
+/**
+ * Reminder Scheduler
+ * Polls for due reminders in-process. The notifier is chosen with
+ * REMINDER_NOTIFIER (console); set REMINDER_POLL_MS to tune the interval.
+ */
+const reminderScheduler = createReminderScheduler({
+    notifier: createNotifier(process.env.REMINDER_NOTIFIER),
+    intervalMs: Number(process.env.REMINDER_POLL_MS) || 30000,
+});
+
+/**
+ * Trash Purger
+ * Permanently removes todos that have been in the trash longer than
+ * TRASH_RETENTION_DAYS (default 30); TRASH_PURGE_INTERVAL_MS sets how often.
+ */
+const trashPurger = createTrashPurger({
+    intervalMs: Number(process.env.TRASH_PURGE_INTERVAL_MS) || 60 * 60 * 1000,
+});
 
 // ─────────────────────────────────────────────────────────────────────────────
 // Global Middleware  (executed for every incoming request, in order)
 // ─────────────────────────────────────────────────────────────────────────────
 
+/**
+ * Request Context
+ * Gives every request an id (X-Request-Id, reused from the request when a
+ * proxy already set one) and makes per-request values available to services
+ * and the logger without passing `req` around – see utils/requestContext.js.
+ * First, so even requests refused by CORS or rate limiting can be traced.
+ */
+app.use(requestContext);
+
+/**
+ * Request Logger
+ * One structured log line per request once its response is sent (status,
+ * duration, size), plus the request metrics served at /api/metrics.
+ */
+app.use(requestLogger);
+
+/**
+ * Security Headers
+ * CSP, nosniff, frame denial, referrer policy, HSTS (production only) … – see
+ * middleware/securityHeaders.js.
+ */
+app.use(securityHeaders);
+
 /**
  * CORS
- * Allows the React / Next.js frontend (or any other origin) to call the API.
- * In production, replace the wildcard with an explicit origin whitelist:
- *   origin: process.env.CLIENT_URL
+ * Only origins on the allow-list may call the API from a browser. Set
+ * CORS_ORIGINS to a comma-separated list of exact origins, e.g.
+ *   CORS_ORIGINS=https://todo.example.com,https://staging.todo.example.com
+ * (CLIENT_URL is still read as a single-origin fallback). When neither is
+ * set, the Vite dev and preview servers are allowed outside production; in
+ * production nothing cross-origin is. Wildcards are not supported.
+ *
+ * A disallowed Origin is refused with 403. Requests without an Origin header
+ * (curl, server-to-server calls, same-origin GETs) are not affected.
  */
+const CORS_ORIGINS = (
+    process.env.CORS_ORIGINS ||
+    process.env.CLIENT_URL ||
+    (IS_PRODUCTION ? "" : "http://localhost:5173,http://127.0.0.1:5173,http://localhost:4173")
+)
+    .split(",")
+    .map((origin) => origin.trim().replace(/\/$/, ""))
+    .filter(Boolean);
+
 app.use(
     cors({
-        origin: process.env.CLIENT_URL || "*",
+        origin: (origin, callback) => {
+            if (!origin || CORS_ORIGINS.includes(origin)) return callback(null, true);
+            callback(httpError(403, `Origin ${origin} is not allowed to access this API`));
+        },
         methods: ["GET", "POST", "PATCH", "DELETE"],
-        allowedHeaders: ["Content-Type", "Authorization"],
+        allowedHeaders: [
+            "Content-Type",
+            "Authorization",
+            "Last-Event-ID",
+            "X-Client-Id",
+            "X-Request-Id",
+            "If-Match",
+            "If-None-Match",
+        ],
+        // Lets the browser read the file name of an export download and the
+        // ETag of a todo (see utils/etag.js).
+        exposedHeaders: [
+            "Content-Disposition",
+            "ETag",
+            "RateLimit-Limit",
+            "RateLimit-Remaining",
+            "RateLimit-Reset",
+            "Retry-After",
+            "X-Request-Id",
+        ],
+    })
+);
+
+/**
+ * Rate Limiting
+ * Every /api request counts against its caller – the signed-in user, or the
+ * client IP for anonymous requests: RATE_LIMIT_MAX requests (default 1000)
+ * per RATE_LIMIT_WINDOW_MS (default 15 min). Sign-in and sign-up get a much
+ * smaller per-IP budget, AUTH_RATE_LIMIT_MAX (default 20), against password
+ * guessing. Over the limit the answer is 429 with Retry-After; responses carry
+ * RateLimit-* headers (see middleware/rateLimit.js). Health checks and metrics
+ * scrapes are exempt.
+ */
+const RATE_LIMIT_WINDOW_MS = Number(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000;
+
+app.use(
+    ["/api/auth/login", "/api/auth/register"],
+    rateLimit({
+        max: Number(process.env.AUTH_RATE_LIMIT_MAX) || 20,
+        windowMs: RATE_LIMIT_WINDOW_MS,
+        by: "ip",
+        message: "Too many sign-in attempts",
+    })
+);
+app.use(
+    "/api",
+    rateLimit({
+        max: Number(process.env.RATE_LIMIT_MAX) || 1000,
+        windowMs: RATE_LIMIT_WINDOW_MS,
+        skip: (req) => req.path === "/health" || req.path === "/metrics",
     })
 );
 
@@ -40,19 +187,19 @@ app.use(
  * Body Parser
  * Parses incoming requests with JSON payloads and exposes the result on req.body.
  * The 10 kb limit is a sensible default that guards against large payload attacks.
+ * Imports carry a whole file, so that one route gets 2 mb; it is parsed first
+ * and the general parser skips bodies that have already been read.
  */
+app.use("/api/todos/import", express.json({ limit: "2mb" }));
 app.use(express.json({ limit: "10kb" }));
 
 /**
- * Request Logger
- * Lightweight inline logger so the development console shows every hit.
- * Swap for `morgan` or `pino-http` in a production/enterprise setup.
+ * NoSQL Injection Guard
+ * Refuses keys MongoDB would read as operators or paths ("$ne", "a.b") in the
+ * body or query string, before any controller can pass them to a query –
+ * see middleware/sanitize.js.
  */
-app.use((req, _res, next) => {
-    const timestamp = new Date().toISOString();
-    console.log(`[${timestamp}]  ${req.method.padEnd(7)} ${req.originalUrl}`);
-    next();
-});
+app.use(sanitize);
 
 // ─────────────────────────────────────────────────────────────────────────────
 // Routes
@@ -71,9 +218,33 @@ app.get("/api/health", (_req, res) => {
     });
 });
 
-/** Todo API routes – all prefixed with /api/todos */
+/** Auth API routes – register / login / refresh / logout under /api/auth */
+app.use("/api/auth", authRoutes);
+
+/** Todo API routes – all prefixed with /api/todos (require authentication) */
 app.use("/api/todos", todoRoutes);
 
+/** Tag API routes – list / rename / merge / delete under /api/tags */
+app.use("/api/tags", tagRoutes);
+
+/** List (project) API routes – CRUD + archive under /api/lists */
+app.use("/api/lists", listRoutes);
+
+/** Activity feed – the audit log across all of the caller's todos */
+app.use("/api/activity", activityRoutes);
+
+/** Mentions – comments that name the caller, and which of them are unread */
+app.use("/api/mentions", mentionRoutes);
+
+/** Real-time change stream (Server-Sent Events) */
+app.use("/api/events", eventRoutes);
+
+/** API description – /api/openapi.json and the reference page at /api/docs */
+app.use("/api", docsRoutes);
+
+/** Prometheus metrics – request counts, latency, errors, MongoDB state */
+app.use("/api/metrics", metricsRoutes);
+
 // ─────────────────────────────────────────────────────────────────────────────
 // 404 – Unknown Route Handler
 // ─────────────────────────────────────────────────────────────────────────────
@@ -102,6 +273,13 @@ app.use(errorHandler);
  * requests when the database is unavailable, which avoids confusing errors.
  */
 const startServer = async () => {
+    // Tokens cannot be signed or verified without a secret; refuse to start
+    // rather than fail on the first login attempt.
+    if (!process.env.JWT_SECRET) {
+        logger.error("JWT_SECRET is not set – refusing to start");
+        process.exit(1);
+    }
+
     try {
         await mongoose.connect(process.env.MONGO_URI, {
             // These options are the recommended defaults for Mongoose 7+.
@@ -110,15 +288,25 @@ const startServer = async () => {
             socketTimeoutMS: 45000,         // Close idle sockets after 45 s
         });
 
-        console.log("✅ MongoDB connected successfully");
+        logger.info("MongoDB connected");
+
+        // Bring stored data up to the current schema before serving requests.
+        await runMigrations();
+
+        reminderScheduler.start();
+        trashPurger.start();
 
         app.listen(PORT, () => {
-            console.log(`🚀 Server running on http://localhost:${PORT}`);
-            console.log(`📋 Environment : ${process.env.NODE_ENV || "development"}`);
-            console.log(`🩺 Health check: http://localhost:${PORT}/api/health`);
+            logger.info("Server listening", {
+                url: `http://localhost:${PORT}`,
+                environment: process.env.NODE_ENV || "development",
+                health: `http://localhost:${PORT}/api/health`,
+                docs: `http://localhost:${PORT}/api/docs`,
+                metrics: `http://localhost:${PORT}/api/metrics`,
+            });
         });
     } catch (error) {
-        console.error("❌ Failed to connect to MongoDB:", error.message);
+        logger.error("Failed to connect to MongoDB", { err: error });
         // Exit with a non-zero code so process managers (PM2, Docker, k8s) know
         // the service failed to start and can restart / alert accordingly.
         process.exit(1);
@@ -133,9 +321,11 @@ startServer();
 // Ensures in-flight requests and the DB connection are closed cleanly before
 // the process exits (e.g. during a deployment rollover or CTRL+C in dev).
 const shutdown = async (signal) => {
-    console.log(`\n⚠️  ${signal} received – shutting down gracefully…`);
+    logger.info("Shutting down gracefully", { signal });
+    reminderScheduler.stop();
+    trashPurger.stop();
     await mongoose.connection.close();
-    console.log("🔌 MongoDB connection closed");
+    logger.info("MongoDB connection closed");
     process.exit(0);
 };
 
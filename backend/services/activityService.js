@@ -0,0 +1,125 @@
+const Activity = require("../models/Activity");
+const { publishToTodo } = require("./sharingService");
+const logger = require("../utils/logger");
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Activity Service
+// ─────────────────────────────────────────────────────────────────────────────
+// Every code path that changes a todo reports it here, so the history stays
+// complete no matter which endpoint made the change – and the same report is
+// pushed to the open event streams (GET /api/events) of everyone who can see
+// the todo.
+
+// Activity action → real-time event type.
+const EVENT_TYPES = {
+    create: "todo.created",
+    restore: "todo.created",
+    update: "todo.updated",
+    toggle: "todo.updated",
+    revert: "todo.updated",
+    delete: "todo.deleted",
+};
+
+// Fields whose changes are recorded (and restored by a revert). System fields
+// – owner, seriesId, reminderSentAt, timestamps – are deliberately left out.
+const TRACKED_FIELDS = [
+    "title",
+    "description",
+    "status",
+    "state",
+    "priority",
+    "dueAt",
+    "remindAt",
+    "tags",
+    "checklist",
+    "autoComplete",
+    "recurrence",
+    "list",
+    "assignee",
+];
+
+/**
+ * Captures the tracked fields of a todo as plain JSON (ids and dates become
+ * strings), ready to store or compare.
+ *
+ * @param {import('mongoose').Document} todo
+ * @returns {object}
+ */
+const snapshotOf = (todo) => {
+    const plain = JSON.parse(JSON.stringify(todo.toObject({ depopulate: true })));
+    return Object.fromEntries(TRACKED_FIELDS.map((field) => [field, plain[field] ?? null]));
+};
+
+/**
+ * Lists the tracked fields that differ between two snapshots.
+ *
+ * @returns {{ field: string, before: *, after: * }[]}
+ */
+const diffSnapshots = (before, after) =>
+    TRACKED_FIELDS.filter((field) => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+        .map((field) => ({ field, before: before[field], after: after[field] }));
+
+/**
+ * Appends an entry to a todo's history and broadcasts the change.
+ *
+ * "update" entries with no tracked change are skipped, and one that only
+ * completes or re-opens the todo (`status`, with the `state` that goes along)
+ * is recorded as "toggle". A failure is logged rather than thrown:
+ * the change itself has already been saved and should not be reported as
+ * failed because its audit entry could not be written.
+ *
+ * @param {object} entry
+ * @param {import('mongoose').Document} entry.todo - The todo after the change.
+ * @param {string} entry.action - One of Activity.ACTIONS.
+ * @param {*}      [entry.actor] - User who made the change.
+ * @param {object} [entry.before] - snapshotOf(todo) taken before the change.
+ * @param {number} [entry.revertedTo] - For "revert": the revision restored.
+ * @param {boolean} [entry.broadcast=true] - Publish the real-time event. Bulk
+ *        writers turn this off and publish one "todos.changed" instead.
+ * @returns {Promise<object|null>} the created entry, or null.
+ */
+const recordActivity = async ({ todo, action, actor = null, before = null, revertedTo = null, broadcast = true }) => {
+    try {
+        const snapshot = snapshotOf(todo);
+        const changes = before ? diffSnapshots(before, snapshot) : [];
+
+        if (action === "update" && changes.length === 0) return null;
+        const toggled =
+            changes.some((c) => c.field === "status") && changes.every((c) => ["status", "state"].includes(c.field));
+        const resolvedAction = action === "update" && toggled ? "toggle" : action;
+
+        if (broadcast) {
+            await publishToTodo(todo, EVENT_TYPES[resolvedAction], {
+                action: resolvedAction,
+                actor: actor && String(actor),
+                todo: todo.toJSON(),
+            });
+        }
+
+        // Revisions are per todo; retry if a concurrent write took the number.
+        for (let attempt = 1; ; attempt++) {
+            const last = await Activity.findOne({ todo: todo._id }, { revision: 1 }).sort({ revision: -1 });
+            try {
+                return await Activity.create({
+                    owner: todo.owner,
+                    actor,
+                    todo: todo._id,
+                    revision: (last?.revision || 0) + 1,
+                    action: resolvedAction,
+                    title: todo.title,
+                    list: todo.list,
+                    changes,
+                    snapshot,
+                    revertedTo,
+                });
+            } catch (error) {
+                if (error.code !== 11000 || attempt >= 3) throw error;
+            }
+        }
+    } catch (error) {
+        logger.error("recordActivity failed", { err: error });
+        return null;
+    }
+};
+
+module.exports = { TRACKED_FIELDS, snapshotOf, diffSnapshots, recordActivity };
@@ -0,0 +1,123 @@
+const crypto = require("crypto");
+const { getRequestContext } = require("../utils/requestContext");
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Event Bus
+// ─────────────────────────────────────────────────────────────────────────────
+// In-process pub/sub behind GET /api/events. Events are kept per user in a
+// short ring buffer so a client that reconnects with `Last-Event-ID` receives
+// exactly what it missed.
+//
+// Ids look like "<bootId>:<seq>". After a restart the boot id changes, the old
+// buffer is gone, and resuming clients are told to reload instead.
+//
+// Single-process only: with several API instances behind a load balancer,
+// swap this module for a shared broker (e.g. Redis pub/sub) with the same API.
+
+const BUFFER_SIZE = 500;
+const BUFFER_TTL_MS = 10 * 60 * 1000;
+
+const bootId = crypto.randomBytes(4).toString("hex");
+let seq = 0;
+
+/**
+ * ownerId → { events: [{ id, seq, type, data, at }], droppedSeq }, where
+ * `droppedSeq` is the newest seq already evicted from `events`.
+ */
+const buffers = new Map();
+/** ownerId → Set<listener> */
+const listeners = new Map();
+
+// The newest seq evicted from a buffer that has since been removed whole. A
+// user without a buffer may have missed anything up to it.
+let removedSeq = 0;
+
+/**
+ * Evicts the events of one buffer that are past BUFFER_TTL_MS or beyond
+ * BUFFER_SIZE, and removes the buffer once it is empty.
+ */
+const trim = (key, buffer, now = Date.now()) => {
+    while (
+        buffer.events.length > 0 &&
+        (buffer.events.length > BUFFER_SIZE || buffer.events[0].at < now - BUFFER_TTL_MS)
+    ) {
+        buffer.droppedSeq = buffer.events.shift().seq;
+    }
+    if (buffer.events.length === 0) {
+        buffers.delete(key);
+        removedSeq = Math.max(removedSeq, buffer.droppedSeq);
+    }
+};
+
+// Buffers are otherwise only trimmed when their user gets a new event, so
+// users who have gone quiet would keep theirs for the life of the process.
+setInterval(() => {
+    const now = Date.now();
+    for (const [key, buffer] of buffers) trim(key, buffer, now);
+}, BUFFER_TTL_MS).unref();
+
+/**
+ * Publishes an event to every open stream of one user. The payload gets an
+ * `origin` field naming the client (browser tab) whose request caused it.
+ *
+ * @param {*} ownerId
+ * @param {string} type - Event name, e.g. "todo.updated".
+ * @param {object} data - JSON-serialisable payload.
+ * @returns {{ id: string, type: string, data: object }} the event.
+ */
+const publish = (ownerId, type, data) => {
+    const key = String(ownerId);
+    seq += 1;
+    const origin = getRequestContext().clientId || null;
+    const event = { id: `${bootId}:${seq}`, seq, type, data: { ...data, origin }, at: Date.now() };
+
+    const buffer = buffers.get(key) || { events: [], droppedSeq: 0 };
+    buffer.events.push(event);
+    buffers.set(key, buffer);
+    trim(key, buffer, event.at);
+
+    for (const listener of listeners.get(key) || []) listener(event);
+    return event;
+};
+
+/**
+ * Registers a listener for one user's events.
+ *
+ * @returns {Function} unsubscribe.
+ */
+const subscribe = (ownerId, listener) => {
+    const key = String(ownerId);
+    if (!listeners.has(key)) listeners.set(key, new Set());
+    listeners.get(key).add(listener);
+
+    return () => {
+        const set = listeners.get(key);
+        set?.delete(listener);
+        if (set && set.size === 0) listeners.delete(key);
+    };
+};
+
+/**
+ * The events a user missed after `lastEventId`.
+ *
+ * @param {*} ownerId
+ * @param {string} lastEventId
+ * @returns {object[]|null} the missed events (possibly none), or null when
+ *          they can no longer be replayed and the client must reload.
+ */
+const eventsSince = (ownerId, lastEventId) => {
+    const [boot, rawSeq] = String(lastEventId).split(":");
+    const lastSeq = Number(rawSeq);
+    if (boot !== bootId || !Number.isInteger(lastSeq)) return null;
+
+    const key = String(ownerId);
+    if (buffers.has(key)) trim(key, buffers.get(key));
+    const buffer = buffers.get(key);
+    if (!buffer) return removedSeq > lastSeq ? null : [];
+
+    // Something newer than lastEventId has already been evicted.
+    if (buffer.droppedSeq > lastSeq) return null;
+    return buffer.events.filter((event) => event.seq > lastSeq);
+};
+
+module.exports = { publish, subscribe, eventsSince };
@@ -0,0 +1,149 @@
+const mongoose = require("mongoose");
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Metrics
+// ─────────────────────────────────────────────────────────────────────────────
+// In-process counters rendered in the Prometheus text exposition format
+// (version 0.0.4) by GET /api/metrics:
+//
+//   http_requests_total{method,route,status}            counter
+//   http_request_errors_total{method,route}             counter  (5xx only)
+//   http_request_duration_seconds{method,route}         histogram
+//   mongodb_connection_state                            gauge    (0–3)
+//   process_*, nodejs_*                                 gauges
+//
+// `route` is the matched route template ("/api/todos/:id"); requests no route
+// matched (404s, static files) share one label, so the number of series stays
+// bounded. Values reset when the process restarts, which Prometheus' rate()
+// handles.
+
+// Seconds – from a fast cached read up to a slow export.
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// mongoose.connection.readyState
+const MONGO_STATES = { 0: "disconnected", 1: "connected", 2: "connecting", 3: "disconnecting" };
+
+const escapeLabel = (value) => String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+
+/** `{a="1",b="2"}` */
+const formatLabels = (labels) => {
+    const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+    return pairs.length ? `{${pairs.join(",")}}` : "";
+};
+
+// Series are keyed by their formatted label set.
+const requests = new Map();   // labels → count
+const errors = new Map();     // labels → count
+const durations = new Map();  // labels → { buckets: number[], sum, count }
+
+const increment = (map, labels) => {
+    const key = formatLabels(labels);
+    map.set(key, (map.get(key) || 0) + 1);
+};
+
+/**
+ * The route label for a request: the matched route's template with its mount
+ * path, e.g. "/api/todos/:id/items/:itemId", or "unmatched".
+ *
+ * The mount path is recovered from the URL rather than read from
+ * `req.baseUrl`, which Express resets once an error leaves the router.
+ *
+ * @param {import('express').Request} req
+ * @returns {string}
+ */
+const routeLabel = (req) => {
+    if (typeof req.route?.path !== "string") return "unmatched";
+
+    const routePath = req.route.path === "/" ? "" : req.route.path;
+    const segments = req.originalUrl.split("?")[0].replace(/\/+$/, "").split("/");
+    const depth = routePath.split("/").length - 1;
+    return `${segments.slice(0, segments.length - depth).join("/")}${routePath}`;
+};
+
+/**
+ * Records one finished request.
+ *
+ * @param {{ method: string, route: string, status: number, durationSeconds?: number }} request
+ *        Leave `durationSeconds` out for long-lived streams, whose duration is
+ *        not a latency.
+ */
+const observeRequest = ({ method, route, status, durationSeconds }) => {
+    increment(requests, { method, route, status });
+    if (status >= 500) increment(errors, { method, route });
+
+    if (durationSeconds === undefined) return;
+    const key = formatLabels({ method, route });
+    let series = durations.get(key);
+    if (!series) {
+        series = { buckets: DURATION_BUCKETS.map(() => 0), sum: 0, count: 0 };
+        durations.set(key, series);
+    }
+    DURATION_BUCKETS.forEach((bound, i) => {
+        if (durationSeconds <= bound) series.buckets[i] += 1;
+    });
+    series.sum += durationSeconds;
+    series.count += 1;
+};
+
+/** Adds `{le="…"}` to a formatted label set. */
+const withLe = (key, le) => (key ? `${key.slice(0, -1)},le="${le}"}` : `{le="${le}"}`);
+
+const metric = (name, type, help, samples) => [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`, ...samples];
+
+/**
+ * All metrics in Prometheus text format.
+ *
+ * @returns {string}
+ */
+const renderMetrics = () => {
+    const memory = process.memoryUsage();
+    const state = mongoose.connection.readyState;
+
+    const lines = [
+        ...metric(
+            "http_requests_total",
+            "counter",
+            "HTTP requests handled, by method, route and status code.",
+            [...requests].map(([key, count]) => `http_requests_total${key} ${count}`)
+        ),
+        ...metric(
+            "http_request_errors_total",
+            "counter",
+            "HTTP requests answered with a 5xx status, by method and route.",
+            [...errors].map(([key, count]) => `http_request_errors_total${key} ${count}`)
+        ),
+        ...metric(
+            "http_request_duration_seconds",
+            "histogram",
+            "Time from receiving a request to finishing its response, by method and route.",
+            [...durations].flatMap(([key, { buckets, sum, count }]) => [
+                ...DURATION_BUCKETS.map(
+                    (bound, i) => `http_request_duration_seconds_bucket${withLe(key, bound)} ${buckets[i]}`
+                ),
+                `http_request_duration_seconds_bucket${withLe(key, "+Inf")} ${count}`,
+                `http_request_duration_seconds_sum${key} ${sum}`,
+                `http_request_duration_seconds_count${key} ${count}`,
+            ])
+        ),
+        ...metric(
+            "mongodb_connection_state",
+            "gauge",
+            `MongoDB connection state (${Object.entries(MONGO_STATES).map(([n, s]) => `${n}=${s}`).join(", ")}).`,
+            [`mongodb_connection_state ${state}`]
+        ),
+        ...metric("mongodb_up", "gauge", "1 while connected to MongoDB.", [`mongodb_up ${state === 1 ? 1 : 0}`]),
+        ...metric("process_uptime_seconds", "gauge", "Seconds since the process started.", [
+            `process_uptime_seconds ${process.uptime()}`,
+        ]),
+        ...metric("process_resident_memory_bytes", "gauge", "Resident memory size in bytes.", [
+            `process_resident_memory_bytes ${memory.rss}`,
+        ]),
+        ...metric("nodejs_heap_used_bytes", "gauge", "V8 heap in use, in bytes.", [
+            `nodejs_heap_used_bytes ${memory.heapUsed}`,
+        ]),
+    ];
+
+    return `${lines.join("\n")}\n`;
+};
+
+module.exports = { observeRequest, routeLabel, renderMetrics };
@@ -0,0 +1,37 @@
+const logger = require("../../utils/logger");
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Console Notifier
+// ─────────────────────────────────────────────────────────────────────────────
+// Local-development notifier: writes each reminder to the log.
+//
+// Every notifier exposes the same shape – `{ name, notify(reminder) }` – so the
+// reminder scheduler can be pointed at email, push, Slack, etc. without changes.
+
+/**
+ * @typedef {object} Reminder
+ * @property {object} todo  - The Todo document whose reminder fired.
+ * @property {object} user  - Who is reminded – the owner, or the todo's
+ *                            assignee ({ id, name, email }).
+ * @property {Date}   firedAt
+ */
+
+/**
+ * Creates a notifier that logs reminders (at info level).
+ *
+ * @returns {{ name: string, notify: (reminder: Reminder) => Promise<void> }}
+ */
+const createConsoleNotifier = () => ({
+    name: "console",
+    async notify({ todo, user, firedAt }) {
+        logger.info("Reminder", {
+            firedAt: firedAt.toISOString(),
+            to: user?.email || String(todo.owner),
+            todoId: String(todo._id),
+            title: todo.title,
+            ...(todo.dueAt && { dueAt: todo.dueAt.toISOString() }),
+        });
+    },
+});
+
+module.exports = createConsoleNotifier;
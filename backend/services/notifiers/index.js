@@ -0,0 +1,28 @@
+const createConsoleNotifier = require("./consoleNotifier");
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Notifier Registry
+// ─────────────────────────────────────────────────────────────────────────────
+// Maps the REMINDER_NOTIFIER env value to a notifier factory. Register new
+// delivery channels here.
+const NOTIFIERS = {
+    console: createConsoleNotifier,
+};
+
+/**
+ * Instantiates the notifier named by `name` (defaults to "console").
+ *
+ * @param {string} [name]
+ * @returns {{ name: string, notify: Function }}
+ */
+const createNotifier = (name = "console") => {
+    const factory = NOTIFIERS[name];
+    if (!factory) {
+        throw new Error(
+            `Unknown notifier "${name}". Expected one of: ${Object.keys(NOTIFIERS).join(", ")}`
+        );
+    }
+    return factory();
+};
+
+module.exports = { createNotifier, NOTIFIERS };
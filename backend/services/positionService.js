@@ -0,0 +1,58 @@
+const Todo = require("../models/Todo");
+const { rankBetween, ranksBetween } = require("../utils/rank");
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Position Service
+// ─────────────────────────────────────────────────────────────────────────────
+// Picks `position` values for the manual order (?sort=manual). Positions are
+// compared across all of an owner's todos – trashed ones included, so a todo
+// restored from the trash never lands on a rank handed out in the meantime.
+
+// Only todos that have a rank take part (see migrations/002-todo-position.js).
+const RANKED = { position: { $type: "string" } };
+
+/**
+ * The rank of the owner's todo that sorts right after (`dir` 1) or right
+ * before (`dir` -1) `position`, or null at the end of the list.
+ */
+const neighbourPosition = async (owner, position, dir, excludeId) => {
+    const filter = { owner, ...RANKED };
+    if (position !== null) filter.position = { [dir === 1 ? "$gt" : "$lt"]: position };
+    if (excludeId) filter._id = { $ne: excludeId };
+
+    const neighbour = await Todo.findOne(filter, { position: 1 }, { withDeleted: true }).sort({ position: dir });
+    return neighbour?.position ?? null;
+};
+
+/**
+ * Ranks for `count` todos added at the top of the owner's manual order, in
+ * the order given.
+ *
+ * @param {*} owner
+ * @param {number} [count=1]
+ * @returns {Promise<string[]>}
+ */
+const topPositions = async (owner, count = 1) => {
+    const first = await neighbourPosition(owner, null, 1);
+    return count === 1 ? [rankBetween(null, first)] : ranksBetween(count, null, first);
+};
+
+/**
+ * A rank between two neighbours' positions. Pass null for a missing side: the
+ * todo next to the given neighbour is looked up, so nothing else is placed in
+ * between by accident. Neighbours that are not in order – a stale view, or two
+ * todos sharing a rank – are resolved in favour of `before`.
+ *
+ * @param {*} owner
+ * @param {string|null} before - Position of the todo that should come first.
+ * @param {string|null} after - Position of the todo that should come next.
+ * @param {*} [excludeId] - The todo being moved, which is not its own neighbour.
+ * @returns {Promise<string>}
+ */
+const positionBetween = async (owner, before, after, excludeId) => {
+    if (before !== null && after !== null && before < after) return rankBetween(before, after);
+    if (before !== null) return rankBetween(before, await neighbourPosition(owner, before, 1, excludeId));
+    return rankBetween(await neighbourPosition(owner, after, -1, excludeId), after);
+};
+
+module.exports = { topPositions, positionBetween };
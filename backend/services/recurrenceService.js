@@ -0,0 +1,85 @@
+const Todo = require("../models/Todo");
+const { nextOccurrence, hasNextOccurrence, anchorRule } = require("../utils/recurrence");
+const { recordActivity } = require("./activityService");
+const { topPositions, positionBetween } = require("./positionService");
+const { INITIAL_STATE } = require("../utils/workflow");
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Recurrence Service
+// ─────────────────────────────────────────────────────────────────────────────
+// Shared by every code path that can complete a todo (PATCH, checklist
+// auto-complete, …) so a recurring series always advances the same way.
+
+/**
+ * Creates the occurrence that follows a just-completed recurring todo.
+ *
+ * The insert is an upsert keyed on the unique (seriesId, occurrence) pair, so
+ * completing the same occurrence twice – concurrently, or after un-checking and
+ * re-checking it – can never produce a duplicate.
+ *
+ * @param {import('mongoose').Document} todo - The completed recurring todo.
+ * @param {*} [actor] - User whose action completed it, for the new todo's history.
+ * @returns {Promise<void>}
+ */
+const spawnNextOccurrence = async (todo, actor = null) => {
+    const base = todo.dueAt || new Date();
+    // The anchor day is stored with the next occurrence, so it carries on.
+    const rule = anchorRule(todo.recurrence.toObject(), base);
+    const nextDueAt = nextOccurrence(rule, base);
+
+    if (!hasNextOccurrence(rule, todo.occurrence, nextDueAt)) return;
+
+    // Keep the reminder at the same offset before the due date.
+    const remindAt = todo.remindAt && todo.dueAt
+        ? new Date(nextDueAt.getTime() - (todo.dueAt.getTime() - todo.remindAt.getTime()))
+        : null;
+
+    const seriesId = todo.seriesId || todo._id;
+    const occurrence = todo.occurrence + 1;
+
+    // In the manual order the next occurrence takes its place right below.
+    const [position] = todo.position
+        ? [await positionBetween(todo.owner, todo.position, null, todo._id)]
+        : await topPositions(todo.owner);
+
+    const { upsertedId } = await Todo.updateOne(
+        { seriesId, occurrence },
+        {
+            $setOnInsert: {
+                title: todo.title,
+                description: todo.description,
+                priority: todo.priority,
+                checklist: todo.checklist.map((item) => ({ text: item.text, done: false })),
+                autoComplete: todo.autoComplete,
+                tags: todo.tags,
+                list: todo.list,
+                position,
+                owner: todo.owner,
+                status: false,
+                state: INITIAL_STATE,
+                completedAt: null,
+                dueAt: nextDueAt,
+                remindAt,
+                reminderSentAt: null,
+                recurrence: rule,
+                seriesId,
+                occurrence,
+                createdAt: new Date(),
+            },
+        },
+        // A trashed next occurrence still counts – deleting it must not respawn it.
+        { upsert: true, withDeleted: true }
+    );
+
+    if (upsertedId) {
+        const spawned = await Todo.findById(upsertedId);
+        if (spawned) await recordActivity({ todo: spawned, action: "create", actor });
+    }
+
+    // A rule added later via PATCH has no series yet – adopt this todo as its start.
+    if (!todo.seriesId) {
+        await Todo.updateOne({ _id: todo._id }, { $set: { seriesId } }, { timestamps: false });
+    }
+};
+
+module.exports = { spawnNextOccurrence };
@@ -0,0 +1,118 @@
+const Todo = require("../models/Todo");
+const logger = require("../utils/logger");
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Reminder Scheduler
+// ─────────────────────────────────────────────────────────────────────────────
+// Runs inside the API process. Every `intervalMs` it looks for pending todos
+// whose `remindAt` has passed and hands them to the configured notifier – once
+// for the owner and, on a shared list, once for an assignee who is not them.
+//
+// Each reminder is *claimed* with a conditional update on `reminderSentAt`
+// before the notifier runs, so two backend instances polling the same database
+// never deliver the same reminder twice.
+
+/**
+ * The people a todo's reminder goes to: its owner and its assignee, once each.
+ * An assignee whose account is gone is skipped.
+ *
+ * @param {import('mongoose').Document} todo - With `owner` and `assignee` populated.
+ * @returns {object[]} users.
+ */
+const recipientsOf = (todo) =>
+    [todo.owner, todo.assignee].filter(
+        (user, i, all) => user && all.findIndex((other) => String(other?._id) === String(user._id)) === i
+    );
+
+/**
+ * Creates a reminder scheduler.
+ *
+ * @param {object} options
+ * @param {{ name: string, notify: Function }} options.notifier - Delivery channel.
+ * @param {number} [options.intervalMs=30000] - Poll interval.
+ * @param {number} [options.batchSize=100]    - Maximum reminders handled per tick.
+ * @returns {{ start: Function, stop: Function, tick: Function }}
+ */
+const createReminderScheduler = ({ notifier, intervalMs = 30000, batchSize = 100 }) => {
+    let timer = null;
+    let running = false;
+
+    /**
+     * Delivers every reminder that is due right now. Safe to call directly
+     * (e.g. from a script); overlapping ticks are skipped.
+     *
+     * @returns {Promise<number>} number of reminders delivered.
+     */
+    const tick = async () => {
+        if (running) return 0;
+        running = true;
+        let delivered = 0;
+
+        try {
+            const now = new Date();
+            const due = await Todo.find({
+                reminderSentAt: null,
+                remindAt: { $ne: null, $lte: now },
+                status: false,
+            })
+                .sort({ remindAt: 1 })
+                .limit(batchSize)
+                .populate("owner", "name email")
+                .populate("assignee", "name email");
+
+            for (const todo of due) {
+                // Claim the reminder atomically; another instance may have won.
+                const claimed = await Todo.updateOne(
+                    { _id: todo._id, reminderSentAt: null, remindAt: todo.remindAt },
+                    { $set: { reminderSentAt: now } },
+                    { timestamps: false }
+                );
+                if (claimed.modifiedCount === 0) continue;
+
+                try {
+                    for (const user of recipientsOf(todo)) {
+                        await notifier.notify({ todo, user, firedAt: now });
+                    }
+                    delivered += 1;
+                } catch (error) {
+                    // Release the claim so the reminder is retried on the next tick.
+                    await Todo.updateOne(
+                        { _id: todo._id, reminderSentAt: now },
+                        { $set: { reminderSentAt: null } },
+                        { timestamps: false }
+                    );
+                    logger.warn("Reminder delivery failed – will retry", {
+                        notifier: notifier.name,
+                        todoId: String(todo._id),
+                        err: error,
+                    });
+                }
+            }
+        } catch (error) {
+            logger.error("reminderScheduler failed", { err: error });
+        } finally {
+            running = false;
+        }
+
+        return delivered;
+    };
+
+    /** Starts polling. Calling start() twice is a no-op. */
+    const start = () => {
+        if (timer) return;
+        timer = setInterval(tick, intervalMs);
+        // Do not keep the process alive just for the scheduler.
+        timer.unref();
+        logger.info("Reminder scheduler started", { notifier: notifier.name, intervalMs });
+    };
+
+    /** Stops polling. */
+    const stop = () => {
+        clearInterval(timer);
+        timer = null;
+    };
+
+    return { start, stop, tick };
+};
+
+module.exports = createReminderScheduler;
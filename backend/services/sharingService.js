@@ -0,0 +1,161 @@
+const List = require("../models/List");
+const Todo = require("../models/Todo");
+const User = require("../models/User");
+const { publish } = require("./eventBus");
+const { roleOf, atLeast, idOf } = require("../utils/roles");
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Sharing Service
+// ─────────────────────────────────────────────────────────────────────────────
+// Who may see and change which todos once lists are shared (see `members` on
+// models/List.js and the roles in utils/roles.js).
+//
+// A todo in a list belongs to the list's owner, whoever created it, so every
+// query still looks at one owner's todos; a member reaches them through the
+// list. Todos outside any list – the Inbox – are never shared.
+
+const VIEW_ONLY = "You can view this list's todos but not change them";
+
+/**
+ * Filter matching the lists `userId` owns or is a member of.
+ *
+ * @param {*} userId
+ * @returns {object}
+ */
+const memberOf = (userId) => ({ $or: [{ owner: userId }, { "members.user": userId }] });
+
+/**
+ * The ids of the lists other people share with `userId` – at `role` or above.
+ *
+ * @param {*} userId
+ * @param {string} [role="viewer"]
+ * @returns {Promise<import('mongoose').Types.ObjectId[]>}
+ */
+const sharedListIds = async (userId, role = "viewer") => {
+    const lists = await List.find({ "members.user": userId }, { owner: 1, members: 1 });
+    return lists.filter((list) => atLeast(roleOf(list, userId), role)).map((list) => list._id);
+};
+
+/**
+ * Filter matching every todo `userId` can see – their own and those in lists
+ * shared with them – or, with `role`, can act on at that role.
+ *
+ * @param {*} userId
+ * @param {string} [role="viewer"]
+ * @returns {Promise<object>}
+ */
+const visibleTodos = async (userId, role = "viewer") => {
+    const shared = await sharedListIds(userId, role);
+    return shared.length ? { $or: [{ owner: userId }, { list: { $in: shared } }] } : { owner: userId };
+};
+
+/**
+ * Whose todos a GET /api/todos-style query looks at: for ?list= naming a list
+ * the caller belongs to, the list owner's; for ?assignee=me without a list,
+ * everything the caller can see; otherwise the caller's own.
+ *
+ * @param {*} userId
+ * @param {{ list?: string, assignee?: string }} [query]
+ * @returns {Promise<object>} a filter to build the rest of the query on.
+ */
+const todoScope = async (userId, { list, assignee } = {}) => {
+    if (list !== undefined && list !== "inbox") {
+        const found = await List.findOne({ _id: list, ...memberOf(userId) }, { owner: 1 });
+        // Someone else's list simply matches nothing, as before sharing.
+        return { owner: found ? found.owner : userId };
+    }
+    if (assignee === "me" && list === undefined) return visibleTodos(userId);
+    return { owner: userId };
+};
+
+/**
+ * The caller's role on a todo, or null when they cannot see it.
+ *
+ * @param {{ owner: *, list: * }} todo
+ * @param {*} userId
+ * @returns {Promise<string|null>}
+ */
+const roleOnTodo = async (todo, userId) => {
+    if (idOf(todo.owner) === idOf(userId)) return "owner";
+    if (!todo.list) return null;
+
+    const list = await List.findOne({ _id: todo.list, "members.user": userId }, { owner: 1, members: 1 });
+    return list ? roleOf(list, userId) : null;
+};
+
+/**
+ * Loads a live todo for `userId`. A todo they cannot see is reported as not
+ * found, so ids cannot be probed across accounts; one they can only view is
+ * refused (403) when `write` is set.
+ *
+ * @param {*} userId
+ * @param {string} id - A valid ObjectId.
+ * @param {{ write?: boolean }} [opts]
+ * @returns {Promise<{ todo?: import('mongoose').Document, role?: string, filter?: object,
+ *          error?: string, statusCode?: number }>} `filter` matches the todo
+ *          in its owner's scope, for the writes that follow.
+ */
+const todoAccess = async (userId, id, { write = false } = {}) => {
+    const todo = await Todo.findOne({ _id: id });
+    const role = todo && (await roleOnTodo(todo, userId));
+
+    if (!role) return { error: "Todo not found", statusCode: 404 };
+    if (write && !atLeast(role, "editor")) return { error: VIEW_ONLY, statusCode: 403 };
+
+    return { todo, role, filter: { _id: todo._id, owner: todo.owner } };
+};
+
+/**
+ * Everyone who can see the todos of one owner's list – the owner first – or
+ * just the owner for the Inbox.
+ *
+ * @param {*} owner
+ * @param {*} [listId]
+ * @returns {Promise<string[]>} user ids.
+ */
+const peopleOf = async (owner, listId = null) => {
+    const list = listId && (await List.findOne({ _id: listId, owner }, { members: 1 }));
+    return [idOf(owner), ...(list ? list.members.map((m) => idOf(m.user)) : [])];
+};
+
+/**
+ * Like peopleOf(), as { _id, name, email } users, for mentions.
+ *
+ * @returns {Promise<import('mongoose').Document[]>}
+ */
+const usersOf = async (owner, listId = null) =>
+    User.find({ _id: { $in: await peopleOf(owner, listId) } }, { name: 1, email: 1 });
+
+/**
+ * Publishes an event to everyone who can see `todo`.
+ *
+ * @param {{ owner: *, list: * }} todo
+ * @param {string} type
+ * @param {object} data
+ */
+const publishToTodo = async (todo, type, data) => {
+    for (const userId of await peopleOf(todo.owner, todo.list)) publish(userId, type, data);
+};
+
+/**
+ * Publishes an event to a list's owner and members.
+ *
+ * @param {{ owner: *, members: { user: * }[] }} list
+ * @param {string} type
+ * @param {object} data
+ */
+const publishToList = (list, type, data) => {
+    for (const userId of [list.owner, ...list.members.map((m) => m.user)]) publish(idOf(userId), type, data);
+};
+
+module.exports = {
+    VIEW_ONLY,
+    memberOf,
+    visibleTodos,
+    todoScope,
+    todoAccess,
+    peopleOf,
+    usersOf,
+    publishToTodo,
+    publishToList,
+};
@@ -0,0 +1,166 @@
+const Todo = require("../models/Todo");
+const { STATES } = require("../utils/workflow");
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Stats Service
+// ─────────────────────────────────────────────────────────────────────────────
+// Productivity figures over a set of todos (GET /api/todos/stats), computed
+// in one aggregation so they cover every matching todo, not a loaded page.
+//
+// Days are calendar days in the caller's time zone, given as an offset in
+// minutes the way Date#getTimezoneOffset() reports it. A todo counts as
+// completed on its `completedAt`; todos completed before that field existed
+// fall back to their last update (see migrations/003-workflow-state.js).
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+const PRIORITIES = ["low", "medium", "high"];
+
+const COMPLETED_AT = { $ifNull: ["$completedAt", "$updatedAt"] };
+const OPEN = { $not: ["$status"] };
+// A null dueAt sorts before every date, so "has a due date" is checked too.
+const HAS_DUE = { $gt: ["$dueAt", null] };
+
+/** Counts the documents of a group for which `condition` holds. */
+const countIf = (condition) => ({ $sum: { $cond: [condition, 1, 0] } });
+
+/** -120 → "+02:00", the form $dateToString takes as a timezone. */
+const utcOffset = (tzOffset) => {
+    const minutes = Math.abs(tzOffset);
+    const sign = tzOffset > 0 ? "-" : "+";
+    return `${sign}${String(Math.floor(minutes / 60)).padStart(2, "0")}:${String(minutes % 60).padStart(2, "0")}`;
+};
+
+/** "2026-03-04" of `date` in the caller's time zone. */
+const dayKey = (date, tzOffset) => new Date(date.getTime() - tzOffset * MINUTE_MS).toISOString().slice(0, 10);
+
+/** The day before a "YYYY-MM-DD" key. */
+const previousDay = (key) => new Date(Date.parse(key) - DAY_MS).toISOString().slice(0, 10);
+
+/**
+ * The run of days with at least one completion that ends today – or
+ * yesterday, so a streak is not shown as broken before today's first
+ * completion – and the longest run ever.
+ *
+ * @param {string[]} days - Day keys with completions, ascending.
+ * @param {string} today
+ * @returns {{ current: number, longest: number }}
+ */
+const streaksOf = (days, today) => {
+    const seen = new Set(days);
+    let current = 0;
+    for (let day = seen.has(today) ? today : previousDay(today); seen.has(day); day = previousDay(day)) {
+        current++;
+    }
+
+    let longest = 0;
+    let run = 0;
+    days.forEach((day, i) => {
+        run = i > 0 && previousDay(day) === days[i - 1] ? run + 1 : 1;
+        longest = Math.max(longest, run);
+    });
+    return { current, longest };
+};
+
+/**
+ * Computes the stats for the todos matching `filter`.
+ *
+ * @param {object} filter - A Mongo filter already scoped to the owner. Ids must
+ *        be ObjectIds – aggregation does not cast them.
+ * @param {{ days: number, tzOffset?: number, now?: Date }} opts - `days` is how
+ *        far back the daily history goes, today included.
+ * @returns {Promise<{
+ *   totals: { total: number, pending: number, completed: number, overdue: number, dueToday: number },
+ *   completionRate: number|null,
+ *   averageCompletionMs: number|null,
+ *   byPriority: { [priority]: { total: number, completed: number } },
+ *   byState: { [stateKey]: number },
+ *   streak: { current: number, longest: number },
+ *   history: { date: string, created: number, completed: number }[]
+ * }>}
+ */
+const todoStats = async (filter, { days, tzOffset = 0, now = new Date() }) => {
+    const timezone = utcOffset(tzOffset);
+    const today = dayKey(now, tzOffset);
+    // Local midnight at the start of the history, and at the end of today.
+    const since = new Date(Date.parse(today) - (days - 1) * DAY_MS + tzOffset * MINUTE_MS);
+    const tomorrow = new Date(Date.parse(today) + DAY_MS + tzOffset * MINUTE_MS);
+    const day = (field) => ({ $dateToString: { format: "%Y-%m-%d", date: field, timezone } });
+
+    const [result] = await Todo.aggregate([
+        { $match: filter },
+        {
+            $facet: {
+                totals: [
+                    {
+                        $group: {
+                            _id: null,
+                            total: { $sum: 1 },
+                            completed: countIf("$status"),
+                            overdue: countIf({ $and: [OPEN, HAS_DUE, { $lt: ["$dueAt", now] }] }),
+                            dueToday: countIf({ $and: [OPEN, { $gte: ["$dueAt", now] }, { $lt: ["$dueAt", tomorrow] }] }),
+                            // $avg skips the nulls of open todos.
+                            averageCompletionMs: {
+                                $avg: { $cond: ["$status", { $subtract: [COMPLETED_AT, "$createdAt"] }, null] },
+                            },
+                        },
+                    },
+                ],
+                byPriority: [
+                    {
+                        $group: {
+                            _id: "$priority",
+                            total: { $sum: 1 },
+                            completed: countIf("$status"),
+                        },
+                    },
+                ],
+                byState: [{ $group: { _id: "$state", count: { $sum: 1 } } }],
+                // Every day with a completion – the streaks look back further
+                // than the history.
+                completedDays: [
+                    { $match: { status: true } },
+                    { $group: { _id: day(COMPLETED_AT), count: { $sum: 1 } } },
+                    { $sort: { _id: 1 } },
+                ],
+                createdDays: [
+                    { $match: { createdAt: { $gte: since } } },
+                    { $group: { _id: day("$createdAt"), count: { $sum: 1 } } },
+                ],
+            },
+        },
+    ]);
+
+    const totals = result.totals[0] || { total: 0, completed: 0, overdue: 0, dueToday: 0, averageCompletionMs: null };
+    const completedByDay = new Map(result.completedDays.map(({ _id, count }) => [_id, count]));
+    const createdByDay = new Map(result.createdDays.map(({ _id, count }) => [_id, count]));
+
+    const history = [];
+    for (let i = days - 1; i >= 0; i--) {
+        const date = new Date(Date.parse(today) - i * DAY_MS).toISOString().slice(0, 10);
+        history.push({ date, created: createdByDay.get(date) || 0, completed: completedByDay.get(date) || 0 });
+    }
+
+    const priorities = new Map(result.byPriority.map(({ _id, total, completed }) => [_id, { total, completed }]));
+    const states = new Map(result.byState.map(({ _id, count }) => [_id, count]));
+
+    return {
+        totals: {
+            total: totals.total,
+            pending: totals.total - totals.completed,
+            completed: totals.completed,
+            overdue: totals.overdue,
+            dueToday: totals.dueToday,
+        },
+        completionRate: totals.total ? totals.completed / totals.total : null,
+        averageCompletionMs: totals.averageCompletionMs === null ? null : Math.round(totals.averageCompletionMs),
+        byPriority: Object.fromEntries(
+            PRIORITIES.map((priority) => [priority, priorities.get(priority) || { total: 0, completed: 0 }])
+        ),
+        byState: Object.fromEntries(STATES.map((state) => [state.key, states.get(state.key) || 0])),
+        streak: streaksOf(result.completedDays.map(({ _id }) => _id), today),
+        history,
+    };
+};
+
+module.exports = { todoStats };
@@ -0,0 +1,93 @@
+const Todo = require("../models/Todo");
+const Comment = require("../models/Comment");
+const logger = require("../utils/logger");
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Trash Purger
+// ─────────────────────────────────────────────────────────────────────────────
+// Deleted todos sit in the trash (see `deletedAt` on the Todo model) so they
+// can be restored. Every `intervalMs` this removes the ones that have been
+// there longer than the retention period.
+
+/** Days a todo stays restorable; configure with TRASH_RETENTION_DAYS. */
+const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS) || 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * The moment a todo trashed at `deletedAt` will be purged.
+ *
+ * @param {Date} deletedAt
+ * @param {number} [retentionDays=TRASH_RETENTION_DAYS]
+ * @returns {Date}
+ */
+const purgeDate = (deletedAt, retentionDays = TRASH_RETENTION_DAYS) =>
+    new Date(deletedAt.getTime() + retentionDays * DAY_MS);
+
+/**
+ * Permanently deletes the trashed todos matching `filter`, and their
+ * comments. Their history is kept (see GET /api/todos/:id/history).
+ *
+ * @param {object} filter - Must filter on `deletedAt`.
+ * @returns {Promise<number>} number of todos deleted.
+ */
+const purgeTodos = async (filter) => {
+    const ids = (await Todo.find(filter, { _id: 1 })).map((todo) => todo._id);
+    if (ids.length === 0) return 0;
+
+    const { deletedCount } = await Todo.deleteMany({ _id: { $in: ids }, deletedAt: { $ne: null } });
+    await Comment.deleteMany({ todo: { $in: ids } });
+    return deletedCount;
+};
+
+/**
+ * Creates a trash purger.
+ *
+ * @param {object} [options]
+ * @param {number} [options.retentionDays=TRASH_RETENTION_DAYS]
+ * @param {number} [options.intervalMs=3600000] - How often to purge (default hourly).
+ * @returns {{ start: Function, stop: Function, tick: Function }}
+ */
+const createTrashPurger = ({ retentionDays = TRASH_RETENTION_DAYS, intervalMs = 60 * 60 * 1000 } = {}) => {
+    let timer = null;
+
+    /**
+     * Permanently deletes every todo trashed before the retention cut-off.
+     *
+     * @returns {Promise<number>} number of todos purged.
+     */
+    const tick = async () => {
+        try {
+            const cutoff = new Date(Date.now() - retentionDays * DAY_MS);
+            const deletedCount = await purgeTodos({ deletedAt: { $ne: null, $lte: cutoff } });
+            if (deletedCount) logger.info("Purged todos from the trash", { count: deletedCount });
+            return deletedCount;
+        } catch (error) {
+            logger.error("trashPurger failed", { err: error });
+            return 0;
+        }
+    };
+
+    /** Starts purging (once immediately, then on the interval). No-op if running. */
+    const start = () => {
+        if (timer) return;
+        tick();
+        timer = setInterval(tick, intervalMs);
+        // Do not keep the process alive just for the purger.
+        timer.unref();
+        logger.info("Trash purger started", { retentionDays });
+    };
+
+    /** Stops purging. */
+    const stop = () => {
+        clearInterval(timer);
+        timer = null;
+    };
+
+    return { start, stop, tick };
+};
+
+module.exports = createTrashPurger;
+module.exports.TRASH_RETENTION_DAYS = TRASH_RETENTION_DAYS;
+module.exports.purgeDate = purgeDate;
+module.exports.purgeTodos = purgeTodos;
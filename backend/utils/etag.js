@@ -0,0 +1,61 @@
+const crypto = require("crypto");
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Entity Tags & Conditional Requests
+// ─────────────────────────────────────────────────────────────────────────────
+// A todo's ETag is its `version` in quotes ("7"), so list items – which carry
+// `version` in the body – have theirs without a header per item.
+//
+//   If-Match: "7"       on PATCH / DELETE – only apply the change if the todo
+//                       is still at version 7, otherwise 412 Precondition Failed
+//   If-None-Match: …    on GET – 304 Not Modified while the tag still matches
+//                       (evaluated by Express itself, see `req.fresh`)
+//
+// Both headers may list several tags or be "*" (RFC 9110 §13.1).
+
+/**
+ * The strong ETag of one todo.
+ *
+ * @param {{ version?: number }} todo
+ * @returns {string}
+ */
+const etagOf = (todo) => `"${todo.version ?? 0}"`;
+
+/**
+ * A weak ETag for a list response, derived from the id and version of every
+ * todo on the page plus the page's meta (totals, cursor).
+ *
+ * @param {{ id: *, version?: number }[]} todos
+ * @param {object} [meta]
+ * @returns {string}
+ */
+const listETag = (todos, meta) => {
+    const hash = crypto.createHash("sha1");
+    for (const todo of todos) hash.update(`${todo.id}:${todo.version ?? 0};`);
+    hash.update(JSON.stringify(meta ?? null));
+    return `W/"${hash.digest("base64url")}"`;
+};
+
+/** The tags listed in an If-Match / If-None-Match header. */
+const parseTags = (header) =>
+    header
+        .split(",")
+        .map((tag) => tag.trim())
+        .filter(Boolean);
+
+/**
+ * Whether a request's If-Match precondition holds for `etag`. Requests
+ * without the header always pass; weak tags never match (strong comparison).
+ *
+ * @param {import('express').Request} req
+ * @param {string} etag
+ * @returns {boolean}
+ */
+const ifMatch = (req, etag) => {
+    const header = req.get("If-Match");
+    if (!header) return true;
+    const tags = parseTags(header);
+    return tags.includes("*") || tags.includes(etag);
+};
+
+module.exports = { etagOf, listETag, ifMatch };
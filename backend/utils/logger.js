@@ -0,0 +1,85 @@
+const { getRequestContext } = require("./requestContext");
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Structured Logger
+// ─────────────────────────────────────────────────────────────────────────────
+// One JSON object per line, so log shippers can index every field:
+//
+//   {"time":"2026-…","level":"error","msg":"createTodo failed",
+//    "requestId":"3f0c…","userId":"65f…","err":{"name":"MongoServerError",…}}
+//
+// Lines logged while handling a request carry its `requestId` (and `userId`
+// once authenticated) automatically – see utils/requestContext.js.
+//
+//   LOG_LEVEL   debug | info | warn | error   (default info)
+//   LOG_FORMAT  json | pretty                 (default json; pretty is a
+//                                              readable one-liner for local dev)
+//
+// debug/info go to stdout, warn/error to stderr.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const threshold = LEVELS[process.env.LOG_LEVEL] ?? LEVELS.info;
+const pretty = process.env.LOG_FORMAT === "pretty";
+
+/** Errors do not survive JSON.stringify; keep what is useful to debug them. */
+const serializeError = (err) => ({
+    name: err.name,
+    message: err.message,
+    ...(err.code !== undefined && { code: err.code }),
+    stack: err.stack,
+});
+
+const serializeFields = (fields) =>
+    Object.fromEntries(
+        Object.entries(fields).map(([key, value]) => [key, value instanceof Error ? serializeError(value) : value])
+    );
+
+/** "12:00:01.123 ERROR createTodo failed requestId=3f0c… err=MongoServerError: …" */
+const formatPretty = ({ time, level, msg, ...fields }) => {
+    const { err, ...rest } = fields;
+    const pairs = Object.entries(rest).map(([key, value]) =>
+        `${key}=${typeof value === "object" ? JSON.stringify(value) : value}`
+    );
+    const line = [time.slice(11, 23), level.toUpperCase().padEnd(5), msg, ...pairs].join(" ");
+    return err ? `${line}\n${err.stack || `${err.name}: ${err.message}`}` : line;
+};
+
+const write = (level, msg, fields = {}) => {
+    if (LEVELS[level] < threshold) return;
+
+    const { requestId, userId } = getRequestContext();
+    const entry = {
+        time: new Date().toISOString(),
+        level,
+        msg,
+        ...(requestId && { requestId }),
+        ...(userId && { userId }),
+        ...serializeFields(fields),
+    };
+
+    let line;
+    try {
+        line = pretty ? formatPretty(entry) : JSON.stringify(entry);
+    } catch {
+        // Circular or otherwise unserialisable fields – keep the headline.
+        line = JSON.stringify({ time: entry.time, level, msg, requestId, userId });
+    }
+    (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+};
+
+/**
+ * Logs `msg` at the given level. `fields` are merged into the entry; an Error
+ * under any key (by convention `err`) is logged with its name, message and
+ * stack.
+ *
+ * @type {Record<"debug"|"info"|"warn"|"error", (msg: string, fields?: object) => void>}
+ */
+const logger = {
+    debug: (msg, fields) => write("debug", msg, fields),
+    info: (msg, fields) => write("info", msg, fields),
+    warn: (msg, fields) => write("warn", msg, fields),
+    error: (msg, fields) => write("error", msg, fields),
+};
+
+module.exports = logger;
@@ -0,0 +1,41 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// Mentions
+// ─────────────────────────────────────────────────────────────────────────────
+// "@ada" in a comment mentions the person whose email starts with "ada@";
+// "@ada@example.com" spells the address out when two people share the part
+// before the "@". Only people who can see the todo can be mentioned, and the
+// match ignores case. An "@" inside a word ("bob@example.com" in running
+// text) is not a mention.
+
+const MENTION_PATTERN = /(^|[^\w@.+-])@([\w.+-]+(?:@[\w-]+(?:\.[\w-]+)+)?)/g;
+
+/**
+ * The handles a text mentions, lower-cased and without the "@", in order of
+ * first appearance.
+ *
+ * @param {string} text
+ * @returns {string[]}
+ */
+const mentionHandles = (text) => {
+    const handles = [...String(text).matchAll(MENTION_PATTERN)].map(([, , handle]) =>
+        // A handle never ends in sentence punctuation: "thanks @ada."
+        handle.replace(/[.+-]+$/, "").toLowerCase()
+    );
+    return [...new Set(handles.filter(Boolean))];
+};
+
+/**
+ * The ids of the people a text mentions.
+ *
+ * @param {string} text
+ * @param {{ _id: *, email: string }[]} people - Everyone who may be mentioned.
+ * @returns {string[]}
+ */
+const mentionedIn = (text, people) => {
+    const handles = new Set(mentionHandles(text));
+    return people
+        .filter(({ email }) => handles.has(email) || handles.has(email.split("@")[0]))
+        .map(({ _id }) => String(_id));
+};
+
+module.exports = { mentionedIn };
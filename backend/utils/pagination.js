@@ -0,0 +1,171 @@
+const mongoose = require("mongoose");
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Sorting, Cursor Pagination & Field Selection
+// ─────────────────────────────────────────────────────────────────────────────
+// ?sort=-priority,createdAt   – comma-separated keys, "-" prefix = descending
+// ?limit=20&cursor=<opaque>   – keyset pagination; the cursor encodes the sort
+//                               values of the last item on the previous page
+// ?fields=title,status        – projection (id is always included)
+//
+// Keyset (rather than skip/limit) pagination keeps every page an index range
+// scan, so page 50 costs the same as page 1.
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+/**
+ * Parses ?limit=, clamped to [1, MAX_LIMIT].
+ *
+ * @param {string|undefined} value
+ * @returns {{ limit?: number, error?: string }}
+ */
+const parseLimit = (value) => {
+    if (value === undefined) return { limit: DEFAULT_LIMIT };
+    const limit = Number(value);
+    if (!Number.isInteger(limit) || limit < 1) {
+        return { error: '"limit" must be a positive integer' };
+    }
+    return { limit: Math.min(limit, MAX_LIMIT) };
+};
+
+/**
+ * Parses ?sort= into an ordered list of keys. `_id` is always appended as the
+ * final tie-breaker so the order – and therefore the cursor – is total.
+ *
+ * @param {string|undefined} value
+ * @param {Record<string, string>} allowed - public key → document field.
+ * @param {string} fallback - Sort used when `value` is absent.
+ * @returns {{ keys?: { field: string, dir: 1|-1 }[], sort?: object, error?: string }}
+ */
+const parseSort = (value, allowed, fallback) => {
+    const raw = (value === undefined || value === "" ? fallback : String(value)).split(",");
+    const keys = [];
+
+    for (const part of raw.map((p) => p.trim()).filter(Boolean)) {
+        const dir = part.startsWith("-") ? -1 : 1;
+        const name = part.replace(/^[-+]/, "");
+        const field = allowed[name];
+        if (!field) {
+            return {
+                error: `Cannot sort by "${name}". Allowed: ${Object.keys(allowed).join(", ")}`,
+            };
+        }
+        if (!keys.some((k) => k.field === field)) keys.push({ field, dir });
+    }
+
+    keys.push({ field: "_id", dir: keys[keys.length - 1]?.dir || -1 });
+    const sort = Object.fromEntries(keys.map(({ field, dir }) => [field, dir]));
+    return { keys, sort };
+};
+
+/**
+ * Parses ?fields= into a Mongo projection over the allowed field names.
+ *
+ * @param {string|undefined} value
+ * @param {string[]} allowed
+ * @returns {{ projection?: object|null, error?: string }}
+ */
+const parseFields = (value, allowed) => {
+    if (value === undefined || value === "") return { projection: null };
+
+    const fields = String(value).split(",").map((f) => f.trim()).filter(Boolean);
+    const unknown = fields.filter((f) => !allowed.includes(f));
+    if (unknown.length) {
+        return { error: `Unknown field(s) in "fields": ${unknown.join(", ")}` };
+    }
+
+    return { projection: Object.fromEntries(fields.map((f) => [f, 1])) };
+};
+
+// ── Cursors ───────────────────────────────────────────────────────────────────
+// Values are tagged with their type so Dates and ObjectIds survive the JSON
+// round trip and compare correctly in the keyset filter.
+
+const encodeValue = (v) => {
+    if (v instanceof Date) return { d: v.toISOString() };
+    if (v instanceof mongoose.Types.ObjectId) return { o: String(v) };
+    return { v: v ?? null };
+};
+
+const decodeValue = (v) => {
+    if (v && "d" in v) return new Date(v.d);
+    if (v && "o" in v) return new mongoose.Types.ObjectId(v.o);
+    return v?.v ?? null;
+};
+
+/**
+ * Builds an opaque cursor pointing just after `doc` in the given sort order.
+ *
+ * @param {object} doc
+ * @param {{ field: string }[]} keys
+ * @returns {string}
+ */
+const encodeCursor = (doc, keys) =>
+    Buffer.from(JSON.stringify(keys.map(({ field }) => encodeValue(doc.get ? doc.get(field) : doc[field]))))
+        .toString("base64url");
+
+/**
+ * Turns a cursor back into a filter matching only documents that sort after it:
+ *   (k1 > v1) OR (k1 = v1 AND k2 > v2) OR …
+ *
+ * @param {string} cursor
+ * @param {{ field: string, dir: 1|-1 }[]} keys
+ * @returns {{ filter?: object, error?: string }}
+ */
+const cursorFilter = (cursor, keys) => {
+    let values;
+    try {
+        values = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8")).map(decodeValue);
+    } catch {
+        return { error: '"cursor" is malformed' };
+    }
+    if (!Array.isArray(values) || values.length !== keys.length) {
+        return { error: '"cursor" does not match the requested sort' };
+    }
+
+    const branches = keys.map(({ field, dir }, i) => {
+        const branch = {};
+        for (let j = 0; j < i; j++) branch[keys[j].field] = values[j];
+        branch[field] = { [dir === 1 ? "$gt" : "$lt"]: values[i] };
+        return branch;
+    });
+
+    return { filter: { $or: branches } };
+};
+
+/**
+ * Offset cursors, for orderings that cannot be expressed as a range filter
+ * (e.g. $text relevance). Same opaque format, different payload.
+ *
+ * @param {number} offset
+ * @returns {string}
+ */
+const encodeOffsetCursor = (offset) =>
+    Buffer.from(JSON.stringify({ offset })).toString("base64url");
+
+/**
+ * @param {string} cursor
+ * @returns {{ offset?: number, error?: string }}
+ */
+const decodeOffsetCursor = (cursor) => {
+    try {
+        const { offset } = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+        if (Number.isInteger(offset) && offset >= 0) return { offset };
+    } catch {
+        // fall through
+    }
+    return { error: '"cursor" is malformed' };
+};
+
+module.exports = {
+    DEFAULT_LIMIT,
+    MAX_LIMIT,
+    parseLimit,
+    parseSort,
+    parseFields,
+    encodeCursor,
+    cursorFilter,
+    encodeOffsetCursor,
+    decodeOffsetCursor,
+};
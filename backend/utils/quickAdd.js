@@ -0,0 +1,357 @@
+const { normalizeTag } = require("./tags");
+const { zonedParts, fromZoned } = require("./timeZones");
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Quick-Add Parsing
+// ─────────────────────────────────────────────────────────────────────────────
+// Turns one line of text into todo fields:
+//
+//   "Pay rent tomorrow 9am !high #home @finance every month"
+//   → { title: "Pay rent", dueAt: <tomorrow 09:00>, priority: "high",
+//       tags: ["home"], list: "finance", recurrence: { freq: "monthly" } }
+//
+// Recognised anywhere in the text, case-insensitively:
+//
+//   priority     !low  !medium (!med)  !high
+//   tags         #tag – any number of them
+//   list         @name, or @"Two words" – a list name, not an id
+//   date         today, tonight, tomorrow, next week, next month, monday,
+//                next friday, in 3 days, in 2 weeks, 2026-03-04, mar 4,
+//                4 march, march 4th 2027 – optionally after on / by / due
+//   time         9am, 9:30 pm, 14:00, at 9, noon, midnight
+//   repeat       daily, weekly, monthly, yearly, every day, every 2 weeks,
+//                every other month, every weekday, every mon and thu
+//
+// Only the first phrase of each kind is used; a second one is left in the
+// title. What remains, with spaces collapsed, is the title.
+//
+// Dates are read in the caller's time zone, passed by IANA name ("tz") or as
+// an offset in minutes the way Date#getTimezoneOffset() reports it (UTC −
+// local, so UTC+2 is -120). A repeat rule keeps the name, so that its
+// weekdays stay the caller's (see utils/recurrence.js). A date without a time is due at DEFAULT_HOUR; a time without a date is due
+// today, or tomorrow once that time has passed. A weekly repeat on given days
+// with no date starts on the next of those days.
+
+const DEFAULT_HOUR = 9;
+const TONIGHT_HOUR = 20;
+const MINUTE_MS = 60 * 1000;
+
+const PRIORITIES = { low: "low", med: "medium", medium: "medium", high: "high" };
+
+const WEEKDAY_NAMES = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+const MONTH_NAMES = [
+    "january",
+    "february",
+    "march",
+    "april",
+    "may",
+    "june",
+    "july",
+    "august",
+    "september",
+    "october",
+    "november",
+    "december",
+];
+
+// Spellings accepted besides the full name and its first three letters.
+const WEEKDAY_EXTRA = { tues: 2, weds: 3, thur: 4, thurs: 4 };
+const MONTH_EXTRA = { sept: 8 };
+
+const UNITS = { day: "daily", week: "weekly", month: "monthly", year: "yearly" };
+const REPEAT_WORDS = { daily: "daily", weekly: "weekly", monthly: "monthly", yearly: "yearly", annually: "yearly" };
+
+/** Index in `names` of a full or three-letter name (or an extra spelling), or -1. */
+const nameIndex = (names, extra, word) => {
+    if (Object.hasOwn(extra, word)) return extra[word];
+    return names.findIndex((name) => word === name || (word.length === 3 && name.startsWith(word)));
+};
+
+const weekdayOf = (word) => nameIndex(WEEKDAY_NAMES, WEEKDAY_EXTRA, word);
+const monthOf = (word) => nameIndex(MONTH_NAMES, MONTH_EXTRA, word);
+
+/** "day", "days" → "day"; anything else → null. */
+const unitOf = (word) => {
+    const unit = word?.replace(/s$/, "");
+    return unit && Object.hasOwn(UNITS, unit) ? unit : null;
+};
+
+/** A count word: "3" → 3, "a" / "an" → 1; otherwise NaN. */
+const countOf = (word) => (word === "a" || word === "an" ? 1 : /^\d{1,3}$/.test(word) ? Number(word) : NaN);
+
+/** "4", "4th", "21st" → the day of the month, or null. */
+const dayOfMonth = (word) => {
+    const match = /^(\d{1,2})(st|nd|rd|th)?$/.exec(word || "");
+    const day = match && Number(match[1]);
+    return day >= 1 && day <= 31 ? day : null;
+};
+
+// ── Phrases ──────────────────────────────────────────────────────────────────
+// Each matcher looks at the words from `i` on and returns how many it used
+// plus the value found, or null. `today` is the caller's current local date
+// as { y, m, d } and only used for relative dates.
+
+const addDays = ({ y, m, d }, days) => {
+    const date = new Date(Date.UTC(y, m, d + days));
+    return { y: date.getUTCFullYear(), m: date.getUTCMonth(), d: date.getUTCDate() };
+};
+
+const weekdayOfDate = ({ y, m, d }) => new Date(Date.UTC(y, m, d)).getUTCDay();
+
+/** The first day on or after `from` (strictly after with `later`) that falls on `weekday`. */
+const nextWeekday = (from, weekday, later = false) => {
+    const ahead = (weekday - weekdayOfDate(from) + 7) % 7;
+    return addDays(from, ahead === 0 && later ? 7 : ahead);
+};
+
+const matchPriority = (words, i) => {
+    const match = /^!(low|med|medium|high)$/.exec(words[i]);
+    return match && { length: 1, value: PRIORITIES[match[1]] };
+};
+
+const matchTag = (words, i) => {
+    const match = /^#(.+)$/.exec(words[i]);
+    const tag = match && normalizeTag(match[1]);
+    return tag ? { length: 1, value: tag } : null;
+};
+
+/** @name, or @"Name with spaces" running up to the closing quote. */
+const matchList = (words, i, raw) => {
+    if (!raw[i].startsWith("@") || raw[i].length < 2) return null;
+    if (!raw[i].startsWith('@"')) return { length: 1, value: raw[i].slice(1) };
+
+    for (let j = i; j < raw.length; j++) {
+        const closes = j === i ? raw[j].length > 2 && raw[j].endsWith('"') : raw[j].endsWith('"');
+        if (!closes) continue;
+        const name = raw.slice(i, j + 1).join(" ").slice(2, -1).trim();
+        return name ? { length: j - i + 1, value: name } : null;
+    }
+    return null;
+};
+
+const matchRepeat = (words, i) => {
+    if (Object.hasOwn(REPEAT_WORDS, words[i])) return { length: 1, value: { freq: REPEAT_WORDS[words[i]] } };
+    if (words[i] !== "every") return null;
+
+    const next = words[i + 1];
+    if (unitOf(next) && !next.endsWith("s")) return { length: 2, value: { freq: UNITS[unitOf(next)] } };
+    if (next === "other" && unitOf(words[i + 2])) {
+        return { length: 3, value: { freq: UNITS[unitOf(words[i + 2])], interval: 2 } };
+    }
+    const count = countOf(next);
+    if (count >= 1 && count <= 365 && unitOf(words[i + 2])) {
+        return { length: 3, value: { freq: UNITS[unitOf(words[i + 2])], ...(count > 1 && { interval: count }) } };
+    }
+    if (next === "weekday" || next === "weekdays") {
+        return { length: 2, value: { freq: "weekly", byWeekday: [1, 2, 3, 4, 5] } };
+    }
+
+    // every mon, wed and fri
+    const days = [];
+    let j = i + 1;
+    while (j < words.length) {
+        const day = weekdayOf(words[j].replace(/s$/, ""));
+        if (day === -1) break;
+        days.push(day);
+        j++;
+        if (words[j] === "and" && weekdayOf(words[j + 1]?.replace(/s$/, "") ?? "") !== -1) j++;
+    }
+    if (days.length === 0) return null;
+    return { length: j - i, value: { freq: "weekly", byWeekday: [...new Set(days)].sort((a, b) => a - b) } };
+};
+
+/** A date, as { y, m, d } plus an optional default hour (for "tonight"). */
+const matchDate = (words, i, _raw, today) => {
+    const word = words[i];
+    const next = words[i + 1];
+
+    if (word === "today") return { length: 1, value: { date: today } };
+    if (word === "tonight") return { length: 1, value: { date: today, hour: TONIGHT_HOUR } };
+    if (word === "tomorrow" || word === "tmrw") return { length: 1, value: { date: addDays(today, 1) } };
+
+    if (word === "next" && next === "week") return { length: 2, value: { date: nextWeekday(today, 1, true) } };
+    if (word === "next" && next === "month") {
+        return { length: 2, value: { date: { y: today.y + (today.m === 11 ? 1 : 0), m: (today.m + 1) % 12, d: 1 } } };
+    }
+    if (word === "next" && weekdayOf(next ?? "") !== -1) {
+        return { length: 2, value: { date: nextWeekday(today, weekdayOf(next), true) } };
+    }
+    // Only full names on their own – "sun" or "wed" may well be part of the title.
+    if (WEEKDAY_NAMES.includes(word)) {
+        return { length: 1, value: { date: nextWeekday(today, weekdayOf(word)) } };
+    }
+
+    // in 3 days, in a week, in 2 months
+    if (word === "in" && countOf(next) >= 0 && unitOf(words[i + 2])) {
+        const count = countOf(next);
+        const unit = unitOf(words[i + 2]);
+        if (unit === "day" || unit === "week") {
+            return { length: 3, value: { date: addDays(today, count * (unit === "week" ? 7 : 1)) } };
+        }
+        const months = count * (unit === "year" ? 12 : 1);
+        const target = new Date(Date.UTC(today.y, today.m + months, 1));
+        const last = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+        return {
+            length: 3,
+            value: { date: { y: target.getUTCFullYear(), m: target.getUTCMonth(), d: Math.min(today.d, last) } },
+        };
+    }
+
+    // 2026-03-04
+    const iso = /^(\d{4})-(\d{2})-(\d{2})$/.exec(word);
+    if (iso) {
+        const date = { y: Number(iso[1]), m: Number(iso[2]) - 1, d: Number(iso[3]) };
+        return validDate(date) ? { length: 1, value: { date } } : null;
+    }
+
+    // mar 4, march 4th, 4 march, 4th of march – each with an optional year
+    let month = monthOf(word);
+    let day = dayOfMonth(next);
+    let length = 2;
+    if (month === -1 || day === null) {
+        day = dayOfMonth(word);
+        const of = next === "of" ? 1 : 0;
+        month = monthOf(words[i + 1 + of] ?? "");
+        length = 2 + of;
+    }
+    if (month === -1 || day === null) return null;
+
+    let year = /^\d{4}$/.test(words[i + length] ?? "") ? Number(words[i + length]) : null;
+    if (year !== null) length++;
+    else {
+        // Without a year, the next time that date comes round.
+        const passed = month < today.m || (month === today.m && day < today.d);
+        year = today.y + (passed ? 1 : 0);
+    }
+    const date = { y: year, m: month, d: day };
+    return validDate(date) ? { length, value: { date } } : null;
+};
+
+/** False for dates like Feb 30 that would roll over into another month. */
+const validDate = ({ y, m, d }) => {
+    const date = new Date(Date.UTC(y, m, d));
+    return date.getUTCFullYear() === y && date.getUTCMonth() === m && date.getUTCDate() === d;
+};
+
+/** A time of day as { h, min }: 9am, 9:30 pm, 14:00, at 9, noon, midnight. */
+const matchTime = (words, i) => {
+    if (words[i] === "noon") return { length: 1, value: { h: 12, min: 0 } };
+    if (words[i] === "midnight") return { length: 1, value: { h: 0, min: 0 } };
+
+    const at = words[i] === "at" ? 1 : 0;
+    const word = words[i + at];
+    const match = /^(\d{1,2})(?::(\d{2}))?(am|pm)?$/.exec(word ?? "");
+    if (!match) return null;
+
+    let suffix = match[3];
+    let length = at + 1;
+    if (!suffix && (words[i + length] === "am" || words[i + length] === "pm")) {
+        suffix = words[i + length];
+        length++;
+    }
+    // A bare number is only a time after "at" ("at 9"), or written as 14:00.
+    if (!suffix && !match[2] && !at) return null;
+
+    let h = Number(match[1]);
+    const min = Number(match[2] || 0);
+    if (min > 59) return null;
+    if (suffix) {
+        if (h < 1 || h > 12) return null;
+        h = (h % 12) + (suffix === "pm" ? 12 : 0);
+    } else if (h > 23) {
+        return null;
+    }
+    return { length, value: { h, min } };
+};
+
+// Prepositions a date may follow ("on monday", "due friday"); they are only
+// consumed together with a date.
+const DATE_PREFIXES = new Set(["on", "by", "due"]);
+
+const MATCHERS = [
+    { field: "priority", match: matchPriority },
+    { field: "tags", match: matchTag, repeat: true },
+    { field: "list", match: matchList },
+    { field: "recurrence", match: matchRepeat },
+    { field: "date", match: matchDate, prefixes: DATE_PREFIXES },
+    { field: "time", match: matchTime },
+];
+
+/**
+ * Parses a quick-add line.
+ *
+ * @param {string} text
+ * @param {{ tz?: string, tzOffset?: number, now?: Date }} [opts] - `tz` is an
+ *        IANA time zone; without it, `tzOffset` in minutes, as
+ *        Date#getTimezoneOffset() (default 0, UTC). `now` is the moment
+ *        relative dates count from.
+ * @returns {{ fields: { title: string, dueAt?: Date, priority?: string,
+ *            tags?: string[], list?: string, recurrence?: object },
+ *            matched: { field: string, text: string }[] }} `fields` holds only
+ *          what was found besides the title; `matched` lists the phrases
+ *          taken out of it, in order.
+ */
+const parseQuickAdd = (text, { tz, tzOffset = 0, now = new Date() } = {}) => {
+    const raw = String(text).trim().split(/\s+/).filter(Boolean);
+    // Trailing commas are allowed between phrases ("every mon, wed").
+    const words = raw.map((word) => word.toLowerCase().replace(/[,;]$/, ""));
+
+    // Local wall-clock time of the caller.
+    const local = tz ? zonedParts(now, tz) : zonedParts(new Date(now.getTime() - tzOffset * MINUTE_MS), "UTC");
+    const today = { y: local.y, m: local.m, d: local.d };
+
+    const found = {};
+    const matched = [];
+    const used = new Array(raw.length).fill(false);
+
+    for (let i = 0; i < raw.length; i++) {
+        for (const { field, match, repeat, prefixes } of MATCHERS) {
+            if (!repeat && field in found) continue;
+            let prefix = prefixes?.has(words[i]) ? 1 : 0;
+            let result = match(words, i + prefix, raw, today);
+            if (!result && prefix) {
+                prefix = 0;
+                result = match(words, i, raw, today);
+            }
+            if (!result) continue;
+
+            const length = prefix + result.length;
+            found[field] = repeat ? [...(found[field] || []), result.value] : result.value;
+            matched.push({ field, text: raw.slice(i, i + length).join(" ") });
+            used.fill(true, i, i + length);
+            i += length - 1;
+            break;
+        }
+    }
+
+    const fields = { title: raw.filter((_, i) => !used[i]).join(" ") };
+    if (found.priority) fields.priority = found.priority;
+    if (found.tags) fields.tags = [...new Set(found.tags)];
+    if (found.list) fields.list = found.list;
+    if (found.recurrence) fields.recurrence = tz ? { ...found.recurrence, tz } : found.recurrence;
+
+    const weekdays = found.recurrence?.byWeekday;
+    if (found.date || found.time || weekdays) {
+        const { h, min } = found.time || { h: found.date?.hour ?? DEFAULT_HOUR, min: 0 };
+        const at = (day) =>
+            tz
+                ? fromZoned({ y: day.y, m: day.m, d: day.d, h, mi: min }, tz)
+                : new Date(Date.UTC(day.y, day.m, day.d, h, min) + tzOffset * MINUTE_MS);
+
+        if (found.date) {
+            fields.dueAt = at(found.date.date);
+        } else {
+            // A time alone – or a weekly repeat on given days – means the next
+            // such moment that is still ahead.
+            for (let ahead = 0; !fields.dueAt; ahead++) {
+                const day = addDays(today, ahead);
+                const due = at(day);
+                if (due > now && (!weekdays || weekdays.includes(weekdayOfDate(day)))) fields.dueAt = due;
+            }
+        }
+    }
+
+    return { fields, matched };
+};
+
+module.exports = { parseQuickAdd };
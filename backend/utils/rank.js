@@ -0,0 +1,102 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// Lexicographic Ranks
+// ─────────────────────────────────────────────────────────────────────────────
+// Manual todo order is kept in `Todo.position`: a string compared character by
+// character, like a decimal fraction written in base 62 ("V" < "Vk" < "W").
+// There is always room for another key between two existing ones, so moving a
+// todo rewrites that todo alone – its neighbours keep their positions.
+//
+// The digits are in ASCII order, so MongoDB's binary string comparison sorts
+// the keys exactly as JavaScript's < does. Keys never end in "0" (the smallest
+// digit): nothing would fit between "V" and "V0".
+
+const DIGITS = "0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz";
+
+/**
+ * A key strictly between `a` and `b`, where "" is the start of the range and
+ * null its end.
+ *
+ * @param {string} a
+ * @param {string|null} b
+ * @returns {string}
+ */
+const midpoint = (a, b) => {
+    // Copy the prefix the two keys share (a is padded with the zero digit).
+    if (b !== null) {
+        let n = 0;
+        while ((a[n] || DIGITS[0]) === b[n]) n++;
+        if (n > 0) return b.slice(0, n) + midpoint(a.slice(n), b.slice(n));
+    }
+
+    const digitA = a ? DIGITS.indexOf(a[0]) : 0;
+    const digitB = b !== null ? DIGITS.indexOf(b[0]) : DIGITS.length;
+    if (digitB - digitA > 1) return DIGITS[Math.round((digitA + digitB) / 2)];
+
+    // Adjacent first digits: b's first digit alone fits if b goes on after it,
+    // otherwise keep a's first digit and look for room after the rest of a.
+    if (b !== null && b.length > 1) return b.slice(0, 1);
+    return DIGITS[digitA] + midpoint(a.slice(1), null);
+};
+
+/** A short key sorting just after `key` ("V" → "W", "z" → "zV"). */
+const keyAfter = (key) => {
+    if (key === "") return midpoint("", null);
+    const digit = DIGITS.indexOf(key[0]);
+    if (digit < DIGITS.length - 1) return DIGITS[digit + 1];
+    return key[0] + keyAfter(key.slice(1));
+};
+
+/** A short key sorting just ahead of `key` ("V" → "U", "1" → "0z"). */
+const keyBefore = (key) => {
+    const digit = DIGITS.indexOf(key[0]);
+    if (digit > 1) return DIGITS[digit - 1];
+    if (digit === 1) return DIGITS[0] + DIGITS[DIGITS.length - 1];
+    return key[0] + keyBefore(key.slice(1));
+};
+
+/**
+ * A rank that sorts after `before` and ahead of `after`. Either may be null
+ * for "no neighbour on that side".
+ *
+ * At an open end the key steps by one digit instead of halving the gap:
+ * todos keep being added to the top of the list, and stepping lengthens the
+ * key once every ~60 additions rather than every ~6.
+ *
+ * @param {string|null} before
+ * @param {string|null} after
+ * @returns {string}
+ * @throws {RangeError} when `before` does not sort ahead of `after`.
+ */
+const rankBetween = (before, after) => {
+    if (before !== null && after !== null && before >= after) {
+        throw new RangeError(`Cannot rank between "${before}" and "${after}"`);
+    }
+    if (before === null && after !== null) return keyBefore(after);
+    if (after === null && before !== null) return keyAfter(before);
+    return midpoint(before ?? "", after);
+};
+
+/**
+ * `count` ascending ranks, evenly spread between `before` and `after` (each may
+ * be null), so a whole batch can be placed without crowding either end.
+ *
+ * @param {number} count
+ * @param {string|null} [before=null]
+ * @param {string|null} [after=null]
+ * @returns {string[]}
+ */
+const ranksBetween = (count, before = null, after = null) => {
+    if (count <= 0) return [];
+    if (before !== null && after !== null && before >= after) {
+        throw new RangeError(`Cannot rank between "${before}" and "${after}"`);
+    }
+    const middle = midpoint(before ?? "", after);
+    const left = Math.floor((count - 1) / 2);
+    return [
+        ...ranksBetween(left, before, middle),
+        middle,
+        ...ranksBetween(count - 1 - left, middle, after),
+    ];
+};
+
+module.exports = { rankBetween, ranksBetween };
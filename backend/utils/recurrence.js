@@ -0,0 +1,207 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// Recurrence Rules
+// ─────────────────────────────────────────────────────────────────────────────
+// A small subset of iCalendar RRULE semantics:
+//
+//   { freq: "daily" | "weekly" | "monthly" | "yearly",
+//     interval:   every N periods (default 1),
+//     byWeekday:  [0-6] (Sun-Sat) – weekly rules only,
+//     byMonthDay: 1-31 – anchor day for monthly/yearly rules,
+//     count:      stop after this many occurrences in total,
+//     until:      stop after this date,
+//     tz:         IANA time zone the rule was made in (default "UTC") }
+//
+// All calendar arithmetic is done on the wall clock of the rule's time zone,
+// so a weekly "Fri" rule means Friday where its creator lives and a daily
+// 09:00 stays at 09:00 across daylight-saving changes. Internally that wall
+// clock is kept in a Date's UTC fields (see toWall), which is what the
+// helpers below operate on.
+
+const { zonedParts, fromZoned } = require("./timeZones");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** The wall clock in `tz` at `date`, kept in a Date's UTC fields. */
+const toWall = (date, tz) => {
+    if (tz === "UTC") return new Date(date);
+    const { y, m, d, h, mi, s } = zonedParts(date, tz);
+    return new Date(Date.UTC(y, m, d, h, mi, s, date.getUTCMilliseconds()));
+};
+
+/** The moment `wall` (as made by toWall) shows in `tz`. */
+const fromWall = (wall, tz) => {
+    if (tz === "UTC") return wall;
+    return fromZoned(
+        {
+            y: wall.getUTCFullYear(),
+            m: wall.getUTCMonth(),
+            d: wall.getUTCDate(),
+            h: wall.getUTCHours(),
+            mi: wall.getUTCMinutes(),
+            s: wall.getUTCSeconds(),
+            ms: wall.getUTCMilliseconds(),
+        },
+        tz
+    );
+};
+
+/** The wall clock of the rule's time zone at `date`. */
+const ruleWall = (rule, date) => toWall(new Date(date), rule.tz || "UTC");
+
+/** Number of days in the given UTC month (month is 0-based). */
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+/**
+ * Adds `months` to `date`, pinning the day-of-month to `day` and clamping it
+ * to the length of the target month (Jan 31 + 1 month → Feb 28/29).
+ */
+const addMonths = (date, months, day) => {
+    const d = new Date(date);
+    const total = d.getUTCMonth() + months;
+    const year = d.getUTCFullYear() + Math.floor(total / 12);
+    const month = ((total % 12) + 12) % 12;
+    d.setUTCFullYear(year, month, Math.min(day, daysInMonth(year, month)));
+    return d;
+};
+
+/** Midnight (UTC) of the Sunday that starts the week containing `date`. */
+const startOfWeek = (date) => {
+    const d = new Date(date);
+    d.setUTCHours(0, 0, 0, 0);
+    return new Date(d.getTime() - d.getUTCDay() * DAY_MS);
+};
+
+/** nextOccurrence on wall-clock times. */
+const nextWall = (rule, base) => {
+    const interval = Math.max(1, rule.interval || 1);
+
+    switch (rule.freq) {
+        case "daily":
+            return new Date(base.getTime() + interval * DAY_MS);
+
+        case "weekly": {
+            const weekdays = [...new Set(rule.byWeekday || [])].sort((a, b) => a - b);
+            if (weekdays.length === 0) {
+                return new Date(base.getTime() + interval * 7 * DAY_MS);
+            }
+            // A later weekday in the same week comes first…
+            const later = weekdays.find((w) => w > base.getUTCDay());
+            if (later !== undefined) {
+                return new Date(base.getTime() + (later - base.getUTCDay()) * DAY_MS);
+            }
+            // …otherwise jump `interval` weeks ahead to the first listed weekday.
+            const timeOfDay = base.getTime() % DAY_MS;
+            const targetWeek = startOfWeek(base).getTime() + interval * 7 * DAY_MS;
+            return new Date(targetWeek + weekdays[0] * DAY_MS + timeOfDay);
+        }
+
+        case "monthly":
+            return addMonths(base, interval, rule.byMonthDay || base.getUTCDate());
+
+        case "yearly":
+            return addMonths(base, interval * 12, rule.byMonthDay || base.getUTCDate());
+
+        default:
+            throw new Error(`Unsupported recurrence frequency "${rule.freq}"`);
+    }
+};
+
+/**
+ * Computes the occurrence that follows `from` under `rule`, ignoring end
+ * conditions (see hasNextOccurrence).
+ *
+ * @param {object} rule
+ * @param {Date}   from - The current occurrence (keeps its local time of day).
+ * @returns {Date}
+ */
+const nextOccurrence = (rule, from) => fromWall(nextWall(rule, ruleWall(rule, from)), rule.tz || "UTC");
+
+/**
+ * Returns true when another occurrence is allowed after occurrence number
+ * `occurrence` (1-based) falling on `nextDate`.
+ *
+ * @param {object} rule
+ * @param {number} occurrence
+ * @param {Date}   nextDate
+ * @returns {boolean}
+ */
+const hasNextOccurrence = (rule, occurrence, nextDate) => {
+    if (rule.count && occurrence >= rule.count) return false;
+    if (rule.until && nextDate > new Date(rule.until)) return false;
+    return true;
+};
+
+/**
+ * Pins the anchor day of a monthly or yearly rule to the day of `base`, so the
+ * series does not drift after a clamp (Jan 31 → Feb 28 → Mar 31, not Mar 28).
+ * Other rules, and rules that already have an anchor, are returned as they are.
+ *
+ * @param {object} rule
+ * @param {Date}   base - The series' current occurrence.
+ * @returns {object}
+ */
+const anchorRule = (rule, base) =>
+    (rule.freq === "monthly" || rule.freq === "yearly") && !rule.byMonthDay
+        ? { ...rule, byMonthDay: ruleWall(rule, base).getUTCDate() }
+        : rule;
+
+/**
+ * Returns true when `date` is a day `rule` could produce: one of its weekdays
+ * for a weekly rule, its anchor day (clamped to the month) for a monthly or
+ * yearly one. A series may start off the rule, e.g. a todo due on a Monday
+ * that repeats every Tuesday and Thursday.
+ *
+ * @param {object} rule
+ * @param {Date}   date
+ * @returns {boolean}
+ */
+const matchesRule = (rule, date) => {
+    const d = ruleWall(rule, date);
+    switch (rule.freq) {
+        case "weekly":
+            return !rule.byWeekday?.length || rule.byWeekday.includes(d.getUTCDay());
+        case "monthly":
+        case "yearly":
+            return !rule.byMonthDay ||
+                d.getUTCDate() === Math.min(rule.byMonthDay, daysInMonth(d.getUTCFullYear(), d.getUTCMonth()));
+        default:
+            return true;
+    }
+};
+
+// Occurrences stepped through at most per series – keeps a daily series that
+// started years ago from making one request expensive.
+const MAX_EXPANSION_STEPS = 5000;
+
+/**
+ * Lists the occurrences of a series that fall in [from, to), starting at its
+ * current one (`start`, number `occurrence`), which is included when it is in
+ * range and matches the rule. End conditions (count, until) are honoured.
+ *
+ * @param {object} rule
+ * @param {Date}   start - Due date of the current occurrence.
+ * @param {number} occurrence - Its 1-based number in the series.
+ * @param {Date}   from
+ * @param {Date}   to - Exclusive.
+ * @param {number} [limit=Infinity] - Stop after this many.
+ * @returns {{ date: Date, occurrence: number }[]}
+ */
+const occurrencesBetween = (rule, start, occurrence, from, to, limit = Infinity) => {
+    const anchored = anchorRule(rule, start);
+    const found = [];
+    let date = new Date(start);
+    let n = occurrence;
+
+    for (let step = 0; step < MAX_EXPANSION_STEPS && date < to && found.length < limit; step++) {
+        if (date >= from && (n !== occurrence || matchesRule(anchored, date))) {
+            found.push({ date, occurrence: n });
+        }
+        const next = nextOccurrence(anchored, date);
+        if (!hasNextOccurrence(anchored, n, next)) break;
+        date = next;
+        n += 1;
+    }
+    return found;
+};
+
+module.exports = { nextOccurrence, hasNextOccurrence, anchorRule, matchesRule, occurrencesBetween };
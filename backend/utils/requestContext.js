@@ -0,0 +1,41 @@
+const crypto = require("crypto");
+const { AsyncLocalStorage } = require("async_hooks");
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Request Context
+// ─────────────────────────────────────────────────────────────────────────────
+// Per-request values that code deep in a call chain (services, model hooks,
+// the logger) needs without threading `req` through every function signature.
+
+const storage = new AsyncLocalStorage();
+
+// An incoming X-Request-Id is reused (so a proxy's id follows the request
+// through) only when it looks like an id, not arbitrary text for the logs.
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+/**
+ * Express middleware that opens a context for the rest of the request.
+ *
+ *   requestId – the request's `X-Request-Id` (taken from the request or
+ *               generated), echoed as a response header, exposed as `req.id`
+ *               and attached to every log line written while handling it
+ *   clientId  – the `X-Client-Id` header: an id the frontend generates per
+ *               browser tab, echoed on real-time events as `origin` so a tab
+ *               can skip events caused by its own requests
+ *   userId    – set by `protect` once the caller is authenticated
+ *
+ * Mount it first, so even requests refused early have an id.
+ */
+const requestContext = (req, res, next) => {
+    const incoming = req.get("X-Request-Id");
+    const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+
+    req.id = requestId;
+    res.set("X-Request-Id", requestId);
+    storage.run({ requestId, clientId: req.get("X-Client-Id") || null, userId: null }, next);
+};
+
+/** The current request's context, or {} outside a request. */
+const getRequestContext = () => storage.getStore() || {};
+
+module.exports = { requestContext, getRequestContext };
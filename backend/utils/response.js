@@ -0,0 +1,105 @@
+const mongoose = require("mongoose");
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Shared Controller Helpers
+// ─────────────────────────────────────────────────────────────────────────────
+// Every controller answers with the same `{ success, message, data }` envelope,
+// so the helpers that build it live here rather than being redefined per file.
+
+/**
+ * Builds a standardised JSON body that every endpoint returns.
+ *
+ * @param {boolean} success  - Whether the operation succeeded.
+ * @param {string}  message  - Human-readable description of the outcome.
+ * @param {*}       [data]   - Payload to include; omit or pass null for errors.
+ * @param {object}  [meta]   - Optional extras about the payload (e.g. pagination);
+ *                             the key is left out entirely when not given.
+ * @returns {{ success: boolean, message: string, data: *, meta?: object }}
+ */
+const response = (success, message, data = null, meta) =>
+    meta === undefined ? { success, message, data } : { success, message, data, meta };
+
+/**
+ * Validates that `id` is a well-formed MongoDB ObjectId.
+ * Prevents Mongoose from throwing a CastError on obviously invalid strings.
+ *
+ * @param {string} id
+ * @returns {boolean}
+ */
+const isValidObjectId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+/**
+ * Creates an Error carrying an HTTP status code, ready to be passed to
+ * `next()` so the centralised errorHandler can format the response.
+ *
+ * @param {number} statusCode
+ * @param {string} message
+ * @returns {Error & { statusCode: number }}
+ */
+const httpError = (statusCode, message) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+// ── Field-level validation errors ─────────────────────────────────────────────
+// Invalid input is reported as `errors: [{ field, code, message }]` alongside
+// the usual envelope, so clients can show each message next to its input.
+// `message` still carries all of them as one sentence for simpler clients.
+
+// Mongoose validator kinds → the codes used by utils/validation.js.
+const MONGOOSE_CODES = {
+    required: "required",
+    minlength: "too_short",
+    maxlength: "too_long",
+    min: "too_small",
+    max: "too_large",
+    enum: "enum",
+    regexp: "pattern",
+};
+
+/**
+ * Converts a Mongoose ValidationError into field-level errors.
+ *
+ * @param {import('mongoose').Error.ValidationError} error
+ * @returns {{ field: string, code: string, message: string }[]}
+ */
+const validationErrors = (error) =>
+    Object.values(error.errors).map((e) => ({
+        field: e.path,
+        code: e.name === "CastError" ? "type" : MONGOOSE_CODES[e.kind] || "invalid",
+        message: e.message,
+    }));
+
+/**
+ * Builds the 400 body for invalid input: the standard envelope plus `errors`.
+ *
+ * @param {{ field: string|null, code: string, message: string }[]} errors
+ * @returns {{ success: false, message: string, data: null, errors: object[] }}
+ */
+const invalidResponse = (errors) => ({
+    ...response(false, errors.map((e) => e.message).join(". "), null),
+    errors,
+});
+
+/**
+ * Creates a 400 Error carrying field-level errors, for middleware to pass to
+ * `next()`; errorHandler answers it with invalidResponse().
+ *
+ * @param {{ field: string|null, code: string, message: string }[]} errors
+ * @returns {Error & { statusCode: 400, details: object[] }}
+ */
+const invalidInput = (errors) => {
+    const error = httpError(400, errors.map((e) => e.message).join(". "));
+    error.details = errors;
+    return error;
+};
+
+module.exports = {
+    response,
+    isValidObjectId,
+    httpError,
+    validationErrors,
+    invalidResponse,
+    invalidInput,
+};
@@ -0,0 +1,42 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// List Roles
+// ─────────────────────────────────────────────────────────────────────────────
+// What a member of a shared list may do (see `members` on models/List.js),
+// each role including the ones before it:
+//
+//   viewer – read the list's todos and comment on them
+//   editor – also add, change, move, complete and trash them
+//   owner  – also rename, archive and delete the list and manage its members
+//
+// The account that created a list always has the owner role on it.
+
+const ROLES = ["viewer", "editor", "owner"];
+
+const RANK = Object.fromEntries(ROLES.map((role, i) => [role, i + 1]));
+
+/** The id behind a reference that may or may not be populated. */
+const idOf = (ref) => String(ref?._id ?? ref);
+
+/**
+ * The role `userId` has on `list`, or null when they have none.
+ *
+ * @param {{ owner: *, members?: { user: *, role: string }[] }} list
+ * @param {*} userId
+ * @returns {string|null}
+ */
+const roleOf = (list, userId) => {
+    if (idOf(list.owner) === idOf(userId)) return "owner";
+    const member = (list.members || []).find((m) => idOf(m.user) === idOf(userId));
+    return member ? member.role : null;
+};
+
+/**
+ * Whether `role` is `wanted` or above it. No role is never enough.
+ *
+ * @param {string|null} role
+ * @param {string} wanted
+ * @returns {boolean}
+ */
+const atLeast = (role, wanted) => Boolean(role) && RANK[role] >= RANK[wanted];
+
+module.exports = { ROLES, idOf, roleOf, atLeast };
@@ -0,0 +1,142 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// Search Query Parsing & Highlighting
+// ─────────────────────────────────────────────────────────────────────────────
+// Supported syntax for ?q=:
+//
+//   rent invoice        – documents matching any term (ranked by relevance)
+//   "monthly report"    – exact phrase must appear
+//   -draft              – exclude documents containing the term
+//
+// The parsed query is re-serialised into MongoDB's $text syntax (which uses the
+// same conventions) and also drives server-side snippet highlighting.
+
+const MAX_QUERY_LENGTH = 200;
+const SNIPPET_RADIUS = 60;
+
+/**
+ * Splits a raw query string into terms, phrases and exclusions.
+ *
+ * @param {string} raw
+ * @returns {{ terms: string[], phrases: string[], excludes: string[] }}
+ */
+const parseSearchQuery = (raw) => {
+    const query = String(raw).slice(0, MAX_QUERY_LENGTH);
+    const terms = [];
+    const phrases = [];
+    const excludes = [];
+
+    // "quoted phrase" | -"excluded phrase" | -word | word
+    const tokenRe = /(-?)"([^"]+)"|(-?)(\S+)/g;
+    let match;
+    while ((match = tokenRe.exec(query)) !== null) {
+        if (match[2] !== undefined) {
+            const phrase = match[2].trim();
+            if (!phrase) continue;
+            (match[1] ? excludes : phrases).push(phrase);
+        } else {
+            const word = match[4].replace(/"/g, "");
+            if (!word || word === "-") continue;
+            (match[3] ? excludes : terms).push(word);
+        }
+    }
+
+    return { terms, phrases, excludes };
+};
+
+/**
+ * Serialises a parsed query into a MongoDB $text `$search` string.
+ *
+ * @param {{ terms: string[], phrases: string[], excludes: string[] }} parsed
+ * @returns {string}
+ */
+const toTextSearch = ({ terms, phrases, excludes }) =>
+    [
+        ...phrases.map((p) => `"${p}"`),
+        ...terms,
+        ...excludes.map((e) => (/\s/.test(e) ? `-"${e}"` : `-${e}`)),
+    ].join(" ");
+
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Builds one case-insensitive regex matching any positive term (as a word
+ * prefix, to roughly follow $text stemming) or phrase.
+ *
+ * @returns {RegExp|null}
+ */
+const buildHighlightRegExp = ({ terms, phrases }) => {
+    const parts = [
+        ...phrases.map((p) => escapeRegExp(p).replace(/\s+/g, "\\s+")),
+        ...terms.map((t) => `\\b${escapeRegExp(t)}\\w*`),
+    ];
+    return parts.length ? new RegExp(`(${parts.join("|")})`, "gi") : null;
+};
+
+/**
+ * Splits `text` into alternating plain / matched segments. When `windowed` is
+ * true the result is trimmed to a snippet around the first match, with "…"
+ * marking cut ends. Returns null when nothing matches.
+ *
+ * @param {string}  text
+ * @param {RegExp}  re
+ * @param {boolean} [windowed=false]
+ * @returns {{ text: string, match: boolean }[]|null}
+ */
+const highlight = (text, re, windowed = false) => {
+    if (!text || !re) return null;
+
+    re.lastIndex = 0;
+    const first = re.exec(text);
+    if (!first) return null;
+
+    let source = text;
+    let prefix = "";
+    let suffix = "";
+    if (windowed && text.length > SNIPPET_RADIUS * 2) {
+        const start = Math.max(0, first.index - SNIPPET_RADIUS);
+        const end = Math.min(text.length, first.index + first[0].length + SNIPPET_RADIUS);
+        source = text.slice(start, end);
+        prefix = start > 0 ? "…" : "";
+        suffix = end < text.length ? "…" : "";
+    }
+
+    const segments = [];
+    let last = 0;
+    re.lastIndex = 0;
+    let match;
+    while ((match = re.exec(source)) !== null) {
+        if (match.index > last) segments.push({ text: source.slice(last, match.index), match: false });
+        segments.push({ text: match[0], match: true });
+        last = match.index + match[0].length;
+    }
+    if (last < source.length) segments.push({ text: source.slice(last), match: false });
+
+    if (prefix) segments.unshift({ text: prefix, match: false });
+    if (suffix) segments.push({ text: suffix, match: false });
+    return segments;
+};
+
+/**
+ * Computes match highlights for a todo: full-title segments, a description
+ * snippet, and which tags / checklist items matched.
+ *
+ * @param {object} todo - Plain todo object.
+ * @param {{ terms: string[], phrases: string[] }} parsed
+ * @returns {{ title: object[]|null, description: object[]|null, tags: string[], checklist: object[][] }}
+ */
+const buildHighlights = (todo, parsed) => {
+    const re = buildHighlightRegExp(parsed);
+    const tagMatches = (todo.tags || []).filter((tag) => highlight(tag, re));
+    const checklistMatches = (todo.checklist || [])
+        .map((item) => highlight(item.text, re, true))
+        .filter(Boolean);
+
+    return {
+        title: highlight(todo.title, re),
+        description: highlight(todo.description, re, true),
+        tags: tagMatches,
+        checklist: checklistMatches,
+    };
+};
+
+module.exports = { parseSearchQuery, toTextSearch, buildHighlights };
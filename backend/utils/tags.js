@@ -0,0 +1,37 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// Tag Normalisation
+// ─────────────────────────────────────────────────────────────────────────────
+// Tags are free-form, but stored in one canonical spelling so "Work", " work "
+// and "#work" all filter, count and rename as the same tag.
+
+const MAX_TAG_LENGTH = 30;
+const MAX_TAGS_PER_TODO = 20;
+
+/**
+ * Canonical form of a single tag: trimmed, lower-cased, leading "#" removed,
+ * inner whitespace collapsed to "-". Returns "" for an empty tag.
+ *
+ * @param {string} tag
+ * @returns {string}
+ */
+const normalizeTag = (tag) =>
+    String(tag)
+        .trim()
+        .replace(/^#+/, "")
+        .toLowerCase()
+        .replace(/\s+/g, "-")
+        .slice(0, MAX_TAG_LENGTH);
+
+/**
+ * Normalises and de-duplicates a list of tags, dropping empties.
+ * Accepts an array or a comma-separated string.
+ *
+ * @param {string[]|string} tags
+ * @returns {string[]}
+ */
+const normalizeTags = (tags) => {
+    const list = Array.isArray(tags) ? tags : String(tags).split(",");
+    return [...new Set(list.map(normalizeTag).filter(Boolean))];
+};
+
+module.exports = { normalizeTag, normalizeTags, MAX_TAG_LENGTH, MAX_TAGS_PER_TODO };
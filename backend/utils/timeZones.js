@@ -0,0 +1,86 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// Time Zones
+// ─────────────────────────────────────────────────────────────────────────────
+// Wall-clock arithmetic in IANA time zones ("Europe/Berlin"), on top of the
+// time zone data that ships with Node's Intl. Months are 0-based, as in Date.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const formatters = new Map();
+
+/** Whether `tz` names a time zone this runtime knows. */
+const isTimeZone = (tz) => {
+    if (typeof tz !== "string" || !tz) return false;
+    try {
+        new Intl.DateTimeFormat("en-US", { timeZone: tz });
+        return true;
+    } catch {
+        return false;
+    }
+};
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+/**
+ * The wall clock in `tz` at `date`.
+ *
+ * @param {Date} date
+ * @param {string} tz
+ * @returns {{ y: number, m: number, d: number, h: number, mi: number, s: number, weekday: number }}
+ */
+const zonedParts = (date, tz) => {
+    if (!formatters.has(tz)) {
+        formatters.set(
+            tz,
+            new Intl.DateTimeFormat("en-US", {
+                timeZone: tz,
+                hourCycle: "h23",
+                weekday: "short",
+                year: "numeric",
+                month: "numeric",
+                day: "numeric",
+                hour: "numeric",
+                minute: "numeric",
+                second: "numeric",
+            })
+        );
+    }
+    const parts = Object.fromEntries(
+        formatters.get(tz).formatToParts(date).map(({ type, value }) => [type, value])
+    );
+    return {
+        y: Number(parts.year),
+        m: Number(parts.month) - 1,
+        d: Number(parts.day),
+        h: Number(parts.hour),
+        mi: Number(parts.minute),
+        s: Number(parts.second),
+        weekday: WEEKDAYS[parts.weekday],
+    };
+};
+
+/** Milliseconds `tz` is ahead of UTC at `time` (a timestamp). */
+const offsetAt = (time, tz) => {
+    const { y, m, d, h, mi, s } = zonedParts(new Date(time), tz);
+    return Date.UTC(y, m, d, h, mi, s) - (time - (((time % 1000) + 1000) % 1000));
+};
+
+/**
+ * The moment the wall clock in `tz` shows the given time. A time that a
+ * daylight-saving change skips comes out an hour later; one it repeats, as
+ * the first of the two.
+ *
+ * @param {{ y: number, m: number, d: number, h?: number, mi?: number, s?: number, ms?: number }} wall
+ * @param {string} tz
+ * @returns {Date}
+ */
+const fromZoned = ({ y, m, d, h = 0, mi = 0, s = 0, ms = 0 }, tz) => {
+    const wall = Date.UTC(y, m, d, h, mi, s, ms);
+    // The offsets in force a day either side; a change between them is the
+    // only way the wall clock can show a time twice or not at all.
+    const candidates = [offsetAt(wall - DAY_MS, tz), offsetAt(wall + DAY_MS, tz)].map((offset) => wall - offset);
+    const valid = candidates.filter((time) => offsetAt(time, tz) === wall - time);
+    return new Date(valid.length ? Math.min(...valid) : candidates[0]);
+};
+
+module.exports = { isTimeZone, zonedParts, fromZoned };
@@ -0,0 +1,653 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// Todo Import / Export Formats
+// ─────────────────────────────────────────────────────────────────────────────
+// Converts todos to and from the formats served by GET /api/todos/export and
+// accepted by POST /api/todos/import:
+//
+//   json     – { exportedAt, count, todos: [...] } (a bare array also imports)
+//   csv      – one row per todo, RFC 4180 quoting
+//   md       – GitHub task list, one "## List" heading per list
+//   todotxt  – http://todotxt.org ("(A)" priorities, +list, @tag, due:)
+//   ics      – iCalendar VTODO components (RFC 5545)
+//
+// Serialisers take plain export records:
+//   { id, title, description, status, state, priority, dueAt, remindAt, tags,
+//     list (name or null), checklist, recurrence, autoComplete, completedAt,
+//     createdAt, updatedAt }
+// Parsers return rows of { row, data, errors }, where `data` holds the same
+// fields (list still as a name) and `errors` lists [{ field, message }] found
+// while reading that row. Schema validation happens later, in the controller.
+
+const { normalizeTags } = require("./tags");
+const { isTimeZone, fromZoned } = require("./timeZones");
+
+const PRIORITIES = ["low", "medium", "high"];
+
+/** Builds a row-level parse error. */
+const rowError = (field, message) => ({ field, message });
+
+/**
+ * Parses a date from an import. Empty values mean "no date".
+ *
+ * @returns {{ value: Date|null, error?: string }}
+ */
+const parseDate = (value) => {
+    if (value === undefined || value === null || String(value).trim() === "") return { value: null };
+    const date = new Date(String(value).trim());
+    return Number.isNaN(date.getTime())
+        ? { value: null, error: `"${value}" is not a valid date` }
+        : { value: date };
+};
+
+/** Reads a completion flag written as true/false, yes/no, done/pending, x, 1/0. */
+const parseStatus = (value) => {
+    const text = String(value ?? "").trim().toLowerCase();
+    if (["true", "yes", "y", "1", "x", "done", "completed", "complete"].includes(text)) return { value: true };
+    if (["", "false", "no", "n", "0", "pending", "open", "todo"].includes(text)) return { value: false };
+    return { value: false, error: `"${value}" is not a valid status (use done or pending)` };
+};
+
+/** Reads a priority; empty means the default ("medium"). */
+const parsePriority = (value) => {
+    const text = String(value ?? "").trim().toLowerCase();
+    if (text === "") return { value: "medium" };
+    if (PRIORITIES.includes(text)) return { value: text };
+    return { value: "medium", error: `"${value}" is not a valid priority (use low, medium or high)` };
+};
+
+/**
+ * Fills in defaults and converts the loosely-typed fields of one imported
+ * todo, collecting problems instead of throwing.
+ */
+const normalizeRow = (row, raw) => {
+    const errors = [];
+    const read = (field, parser, value) => {
+        const result = parser(value);
+        if (result.error) errors.push(rowError(field, result.error));
+        return result.value;
+    };
+
+    const data = {
+        title: String(raw.title ?? "").trim(),
+        description: String(raw.description ?? "").trim(),
+        status: typeof raw.status === "boolean" ? raw.status : read("status", parseStatus, raw.status),
+        // Checked against the configured workflow by the schema; wins over `status`.
+        state: raw.state ? String(raw.state).trim() || undefined : undefined,
+        completedAt: read("completedAt", parseDate, raw.completedAt),
+        priority: read("priority", parsePriority, raw.priority),
+        dueAt: read("dueAt", parseDate, raw.dueAt),
+        remindAt: read("remindAt", parseDate, raw.remindAt),
+        tags: raw.tags ? normalizeTags(raw.tags) : [],
+        list: raw.list ? String(raw.list).trim() || null : null,
+        checklist: Array.isArray(raw.checklist)
+            ? raw.checklist
+                .filter((item) => item && String(item.text ?? "").trim())
+                .map((item) => ({ text: String(item.text).trim(), done: Boolean(item.done) }))
+            : [],
+        recurrence: raw.recurrence || null,
+        autoComplete: Boolean(raw.autoComplete),
+    };
+
+    if (!data.title) errors.push(rowError("title", "Title is required"));
+    return { row, data, errors };
+};
+
+/** ISO string of a date, or "" when absent. */
+const isoOrEmpty = (date) => (date ? new Date(date).toISOString() : "");
+
+// ─────────────────────────────────────────────────────────────────────────────
+// JSON
+// ─────────────────────────────────────────────────────────────────────────────
+
+const EXPORT_FIELDS = [
+    "title",
+    "description",
+    "status",
+    "state",
+    "priority",
+    "dueAt",
+    "remindAt",
+    "tags",
+    "list",
+    "checklist",
+    "recurrence",
+    "autoComplete",
+    "completedAt",
+    "createdAt",
+    "updatedAt",
+];
+
+const toJson = (todos) =>
+    JSON.stringify(
+        {
+            exportedAt: new Date().toISOString(),
+            count: todos.length,
+            todos: todos.map((todo) => Object.fromEntries(EXPORT_FIELDS.map((f) => [f, todo[f] ?? null]))),
+        },
+        null,
+        2
+    );
+
+const fromJson = (text) => {
+    let parsed;
+    try {
+        parsed = JSON.parse(text);
+    } catch {
+        return { error: "The file is not valid JSON" };
+    }
+    const items = Array.isArray(parsed) ? parsed : parsed?.todos;
+    if (!Array.isArray(items)) {
+        return { error: 'Expected an array of todos or an object with a "todos" array' };
+    }
+    return {
+        rows: items.map((item, i) =>
+            item && typeof item === "object"
+                ? normalizeRow(i + 1, item)
+                : { row: i + 1, data: null, errors: [rowError(null, "Each todo must be an object")] }
+        ),
+    };
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// CSV
+// ─────────────────────────────────────────────────────────────────────────────
+// Tags are space-separated within their cell (a tag never contains spaces).
+// Cells that a spreadsheet would run as a formula are prefixed with "'".
+
+const CSV_COLUMNS = [
+    "title",
+    "description",
+    "status",
+    "state",
+    "priority",
+    "dueAt",
+    "remindAt",
+    "tags",
+    "list",
+    "createdAt",
+];
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+const csvCell = (value) => {
+    let text = String(value ?? "");
+    if (FORMULA_START.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (todos) => {
+    const lines = [CSV_COLUMNS.join(",")];
+    for (const todo of todos) {
+        lines.push(
+            [
+                todo.title,
+                todo.description,
+                todo.status ? "done" : "pending",
+                todo.state || "",
+                todo.priority,
+                isoOrEmpty(todo.dueAt),
+                isoOrEmpty(todo.remindAt),
+                (todo.tags || []).join(" "),
+                todo.list || "",
+                isoOrEmpty(todo.createdAt),
+            ]
+                .map(csvCell)
+                .join(",")
+        );
+    }
+    return `${lines.join("\r\n")}\r\n`;
+};
+
+/** Splits CSV text into records of raw cells (handles quotes and newlines). */
+const parseCsvRecords = (text) => {
+    const records = [];
+    let record = [];
+    let cell = "";
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (quoted) {
+            if (ch === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (ch === '"') {
+                quoted = false;
+            } else {
+                cell += ch;
+            }
+        } else if (ch === '"') {
+            quoted = true;
+        } else if (ch === ",") {
+            record.push(cell);
+            cell = "";
+        } else if (ch === "\n" || ch === "\r") {
+            if (ch === "\r" && text[i + 1] === "\n") i++;
+            record.push(cell);
+            records.push(record);
+            record = [];
+            cell = "";
+        } else {
+            cell += ch;
+        }
+    }
+    if (cell !== "" || record.length) {
+        record.push(cell);
+        records.push(record);
+    }
+    return records.filter((r) => r.some((c) => c.trim() !== ""));
+};
+
+const fromCsv = (text) => {
+    const [header, ...records] = parseCsvRecords(text.replace(/^\uFEFF/, ""));
+    if (!header) return { rows: [] };
+
+    const columns = header.map((h) => h.trim());
+    const known = columns.filter((c) => CSV_COLUMNS.includes(c));
+    if (!columns.includes("title")) {
+        return { error: `The first row must be a header with at least a "title" column (known columns: ${CSV_COLUMNS.join(", ")})` };
+    }
+
+    return {
+        rows: records.map((cells, i) => {
+            const raw = {};
+            columns.forEach((column, c) => {
+                if (!known.includes(column)) return;
+                const value = cells[c] ?? "";
+                // Undo the formula guard added on export.
+                raw[column] = value.startsWith("'") && FORMULA_START.test(value.slice(1)) ? value.slice(1) : value;
+            });
+            if (raw.tags) raw.tags = raw.tags.split(/[\s,]+/);
+            // Row 1 is the header, so data starts on line 2.
+            return normalizeRow(i + 2, raw);
+        }),
+    };
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Markdown
+// ─────────────────────────────────────────────────────────────────────────────
+//   ## Work
+//   - [ ] Write report #writing !high due:2025-03-04T09:30:00.000Z
+//     Description lines are indented under their task.
+//     - [x] Checklist items are nested tasks
+
+const TASK_LINE = /^(\s*)[-*+]\s+\[( |x|X)\]\s+(.*)$/;
+
+const toMarkdown = (todos) => {
+    const groups = new Map();
+    for (const todo of todos) {
+        const key = todo.list || "Inbox";
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(todo);
+    }
+
+    const lines = ["# Todos", ""];
+    for (const [name, group] of groups) {
+        lines.push(`## ${name}`, "");
+        for (const todo of group) {
+            const parts = [todo.title];
+            (todo.tags || []).forEach((tag) => parts.push(`#${tag}`));
+            if (todo.priority && todo.priority !== "medium") parts.push(`!${todo.priority}`);
+            if (todo.dueAt) parts.push(`due:${isoOrEmpty(todo.dueAt)}`);
+            if (todo.remindAt) parts.push(`remind:${isoOrEmpty(todo.remindAt)}`);
+            lines.push(`- [${todo.status ? "x" : " "}] ${parts.join(" ")}`);
+            for (const line of (todo.description || "").split("\n").filter((l) => l.trim())) {
+                lines.push(`  ${line}`);
+            }
+            for (const item of todo.checklist || []) {
+                lines.push(`  - [${item.done ? "x" : " "}] ${item.text}`);
+            }
+        }
+        lines.push("");
+    }
+    return lines.join("\n");
+};
+
+const fromMarkdown = (text) => {
+    const rows = [];
+    let list = null;
+    let current = null;
+
+    text.split(/\r?\n/).forEach((line, i) => {
+        const heading = line.match(/^##\s+(.+?)\s*$/);
+        if (heading) {
+            list = heading[1].toLowerCase() === "inbox" ? null : heading[1];
+            current = null;
+            return;
+        }
+
+        const task = line.match(TASK_LINE);
+        if (task && task[1].length >= 2 && current) {
+            current.raw.checklist.push({ text: task[3].trim(), done: task[2] !== " " });
+            return;
+        }
+        if (task) {
+            const raw = { status: task[2] !== " ", list, tags: [], checklist: [], description: "" };
+            const words = [];
+            for (const word of task[3].trim().split(/\s+/)) {
+                if (/^#[^#\s]+$/.test(word)) raw.tags.push(word.slice(1));
+                else if (/^!(low|medium|high)$/i.test(word)) raw.priority = word.slice(1);
+                else if (word.startsWith("due:")) raw.dueAt = word.slice(4);
+                else if (word.startsWith("remind:")) raw.remindAt = word.slice(7);
+                else words.push(word);
+            }
+            raw.title = words.join(" ");
+            current = { row: i + 1, raw };
+            rows.push(current);
+            return;
+        }
+
+        if (current && /^\s{2,}\S/.test(line)) {
+            current.raw.description += (current.raw.description ? "\n" : "") + line.trim();
+        } else if (line.trim()) {
+            current = null;
+        }
+    });
+
+    return { rows: rows.map(({ row, raw }) => normalizeRow(row, raw)) };
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// todo.txt
+// ─────────────────────────────────────────────────────────────────────────────
+// Priority (A) = high, (B) = medium, (C) and lower = low. The list becomes a
+// +project (spaces as "_"), tags become @contexts. todo.txt has no room for a
+// description or checklist, so those are not exported.
+
+const TODOTXT_PRIORITY = { high: "A", medium: "B", low: "C" };
+
+/** "YYYY-MM-DD" for a date at UTC midnight, a full ISO string otherwise. */
+const todoTxtDate = (date) => {
+    const iso = new Date(date).toISOString();
+    return iso.endsWith("T00:00:00.000Z") ? iso.slice(0, 10) : iso;
+};
+
+const toTodoTxt = (todos) =>
+    todos
+        .map((todo) => {
+            const parts = [];
+            if (todo.status) parts.push("x", todoTxtDate(todo.completedAt ?? todo.updatedAt).slice(0, 10));
+            else if (TODOTXT_PRIORITY[todo.priority]) parts.push(`(${TODOTXT_PRIORITY[todo.priority]})`);
+            if (todo.createdAt) parts.push(todoTxtDate(todo.createdAt).slice(0, 10));
+            parts.push(todo.title.replace(/\s+/g, " "));
+            if (todo.list) parts.push(`+${todo.list.replace(/\s+/g, "_")}`);
+            (todo.tags || []).forEach((tag) => parts.push(`@${tag}`));
+            // Completed todos lose their "(A)" slot, so keep the priority as a tag.
+            if (todo.status) parts.push(`pri:${TODOTXT_PRIORITY[todo.priority]}`);
+            if (todo.dueAt) parts.push(`due:${todoTxtDate(todo.dueAt)}`);
+            if (todo.remindAt) parts.push(`remind:${todoTxtDate(todo.remindAt)}`);
+            return parts.join(" ");
+        })
+        .join("\n") + (todos.length ? "\n" : "");
+
+const priorityFromLetter = (letter) => {
+    const upper = letter.toUpperCase();
+    return upper === "A" ? "high" : upper === "B" ? "medium" : "low";
+};
+
+const fromTodoTxt = (text) => {
+    const rows = [];
+    text.split(/\r?\n/).forEach((line, i) => {
+        let rest = line.trim();
+        if (!rest) return;
+
+        const raw = { tags: [] };
+        const done = rest.match(/^x\s+/);
+        if (done) {
+            raw.status = true;
+            rest = rest.slice(done[0].length);
+            const completed = rest.match(/^(\d{4}-\d{2}-\d{2})\s+/);
+            if (completed) {
+                raw.completedAt = completed[1];
+                rest = rest.slice(completed[0].length);
+            }
+        }
+        const priority = rest.match(/^\(([A-Z])\)\s+/);
+        if (priority) {
+            raw.priority = priorityFromLetter(priority[1]);
+            rest = rest.slice(priority[0].length);
+        }
+        // Creation date – informational only, the import gets a fresh one.
+        rest = rest.replace(/^\d{4}-\d{2}-\d{2}\s+/, "");
+
+        const words = [];
+        for (const word of rest.split(/\s+/)) {
+            if (/^\+\S+$/.test(word)) raw.list = word.slice(1).replace(/_/g, " ");
+            else if (/^@\S+$/.test(word)) raw.tags.push(word.slice(1));
+            else if (/^due:\S+$/.test(word)) raw.dueAt = word.slice(4);
+            else if (/^remind:\S+$/.test(word)) raw.remindAt = word.slice(7);
+            else if (/^pri:[A-Z]$/i.test(word)) raw.priority = priorityFromLetter(word.slice(4));
+            else words.push(word);
+        }
+        raw.title = words.join(" ");
+        rows.push(normalizeRow(i + 1, raw));
+    });
+    return { rows };
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// iCalendar (VTODO)
+// ─────────────────────────────────────────────────────────────────────────────
+// PRIORITY 1 = high, 5 = medium, 9 = low (RFC 5545 §3.8.1.9). Tags travel as
+// CATEGORIES, the list as X-TODOFLOW-LIST, the reminder as a VALARM and the
+// recurrence as an RRULE, with its time zone as X-TODOFLOW-TZ. Imported
+// from elsewhere, a rule takes the time zone of the DUE's TZID instead.
+
+const ICS_PRIORITY = { high: 1, medium: 5, low: 9 };
+const ICS_WEEKDAYS = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+
+const icsText = (value) =>
+    String(value).replace(/\\/g, "\\\\").replace(/;/g, "\\;").replace(/,/g, "\\,").replace(/\r?\n/g, "\\n");
+
+const icsUnescape = (value) =>
+    value.replace(/\\([\\;,nN])/g, (_m, ch) => (ch === "n" || ch === "N" ? "\n" : ch));
+
+const icsDate = (date) => new Date(date).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+/** Folds a content line to 75 octets, as RFC 5545 §3.1 requires. */
+const foldLine = (line) => {
+    const out = [];
+    let current = "";
+    let size = 0;
+    for (const ch of line) {
+        const bytes = Buffer.byteLength(ch);
+        if (size + bytes > (out.length ? 74 : 75)) {
+            out.push(current);
+            current = "";
+            size = 0;
+        }
+        current += ch;
+        size += bytes;
+    }
+    out.push(current);
+    return out.join("\r\n ");
+};
+
+const toRRule = (rule) => {
+    const parts = [`FREQ=${rule.freq.toUpperCase()}`];
+    if (rule.interval && rule.interval !== 1) parts.push(`INTERVAL=${rule.interval}`);
+    if (rule.byWeekday?.length) parts.push(`BYDAY=${rule.byWeekday.map((d) => ICS_WEEKDAYS[d]).join(",")}`);
+    if (rule.byMonthDay) parts.push(`BYMONTHDAY=${rule.byMonthDay}`);
+    if (rule.count) parts.push(`COUNT=${rule.count}`);
+    if (rule.until) parts.push(`UNTIL=${icsDate(rule.until)}`);
+    return parts.join(";");
+};
+
+const toIcs = (todos) => {
+    const stamp = icsDate(new Date());
+    const lines = ["BEGIN:VCALENDAR", "VERSION:2.0", "PRODID:-//TodoFlow//Todos//EN", "CALSCALE:GREGORIAN"];
+
+    for (const todo of todos) {
+        lines.push("BEGIN:VTODO", `UID:${todo.id}@todoflow`, `DTSTAMP:${stamp}`);
+        if (todo.createdAt) lines.push(`CREATED:${icsDate(todo.createdAt)}`);
+        if (todo.updatedAt) lines.push(`LAST-MODIFIED:${icsDate(todo.updatedAt)}`);
+        lines.push(`SUMMARY:${icsText(todo.title)}`);
+        if (todo.description) lines.push(`DESCRIPTION:${icsText(todo.description)}`);
+        lines.push(`STATUS:${todo.status ? "COMPLETED" : "NEEDS-ACTION"}`);
+        const completedAt = todo.completedAt ?? todo.updatedAt;
+        if (todo.status && completedAt) lines.push(`COMPLETED:${icsDate(completedAt)}`);
+        lines.push(`PRIORITY:${ICS_PRIORITY[todo.priority] || 0}`);
+        if (todo.dueAt) lines.push(`DUE:${icsDate(todo.dueAt)}`);
+        if (todo.tags?.length) lines.push(`CATEGORIES:${todo.tags.map(icsText).join(",")}`);
+        if (todo.list) lines.push(`X-TODOFLOW-LIST:${icsText(todo.list)}`);
+        if (todo.recurrence?.freq) lines.push(`RRULE:${toRRule(todo.recurrence)}`);
+        if (todo.recurrence?.tz) lines.push(`X-TODOFLOW-TZ:${todo.recurrence.tz}`);
+        if (todo.remindAt) {
+            lines.push(
+                "BEGIN:VALARM",
+                "ACTION:DISPLAY",
+                `DESCRIPTION:${icsText(todo.title)}`,
+                `TRIGGER;VALUE=DATE-TIME:${icsDate(todo.remindAt)}`,
+                "END:VALARM"
+            );
+        }
+        lines.push("END:VTODO");
+    }
+
+    lines.push("END:VCALENDAR");
+    return `${lines.map(foldLine).join("\r\n")}\r\n`;
+};
+
+/** The time zone a property's TZID parameter names, unquoted, if any. */
+const tzidOf = (params) => params.find((p) => /^TZID=/i.test(p))?.slice(5).replace(/^"|"$/g, "");
+
+/**
+ * Parses an iCalendar date or date-time ("20250304", "20250304T093000",
+ * "20250304T093000Z"). A local time is read in the zone named by the
+ * property's TZID parameter ("TZID=Europe/Berlin"), and as UTC without one.
+ * Under a TZID this runtime does not know, the value comes back unparsed with
+ * the zone named, so that the row reports it instead of guessing.
+ *
+ * @param {string} value
+ * @param {string[]} [params] – the property's parameters, e.g. ["TZID=Europe/Berlin"].
+ */
+const parseIcsDate = (value, params = []) => {
+    const m = String(value).match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z?))?$/);
+    if (!m) return String(value);
+    const [, y, mo, d, h, mi = "00", s = "00", utc] = m;
+    const tzid = tzidOf(params);
+    if (h === undefined || utc || !tzid) {
+        return new Date(Date.UTC(+y, +mo - 1, +d, +(h || 0), +mi, +s)).toISOString();
+    }
+    if (!isTimeZone(tzid)) return `${value} (unknown time zone "${tzid}")`;
+    return fromZoned({ y: +y, m: +mo - 1, d: +d, h: +h, mi: +mi, s: +s }, tzid).toISOString();
+};
+
+const fromRRule = (value) => {
+    const parts = Object.fromEntries(
+        value.split(";").map((p) => p.split("=")).filter(([k, v]) => k && v !== undefined).map(([k, v]) => [k.toUpperCase(), v])
+    );
+    const rule = { freq: String(parts.FREQ || "").toLowerCase() };
+    if (parts.INTERVAL) rule.interval = Number(parts.INTERVAL);
+    if (parts.BYDAY) {
+        // Ordinal forms like "2MO" are not supported; their weekday is kept.
+        rule.byWeekday = parts.BYDAY.split(",").map((d) => ICS_WEEKDAYS.indexOf(d.replace(/^[+-]?\d+/, "")));
+    }
+    if (parts.BYMONTHDAY) rule.byMonthDay = Number(parts.BYMONTHDAY.split(",")[0]);
+    if (parts.COUNT) rule.count = Number(parts.COUNT);
+    if (parts.UNTIL) rule.until = parseIcsDate(parts.UNTIL);
+    return rule;
+};
+
+const fromIcs = (text) => {
+    // Unfold continuation lines first.
+    const lines = text.replace(/\r?\n[ \t]/g, "").split(/\r?\n/);
+    if (!lines.some((l) => l.trim().toUpperCase() === "BEGIN:VCALENDAR")) {
+        return { error: "The file is not an iCalendar file (no BEGIN:VCALENDAR)" };
+    }
+
+    const rows = [];
+    const stack = [];
+    let raw = null;
+    let startLine = 0;
+
+    lines.forEach((line, i) => {
+        const colon = line.indexOf(":");
+        if (colon === -1) return;
+        const [name, ...params] = line.slice(0, colon).split(";");
+        const prop = name.toUpperCase();
+        const value = line.slice(colon + 1);
+
+        if (prop === "BEGIN") {
+            stack.push(value.toUpperCase());
+            if (value.toUpperCase() === "VTODO") {
+                raw = { tags: [], checklist: [] };
+                startLine = i + 1;
+            }
+            return;
+        }
+        if (prop === "END") {
+            const ended = stack.pop();
+            if (ended === "VTODO" && raw) {
+                const { tz, ...fields } = raw;
+                if (fields.recurrence && tz) fields.recurrence.tz = tz;
+                rows.push(normalizeRow(startLine, fields));
+                raw = null;
+            }
+            return;
+        }
+        if (!raw) return;
+
+        // Inside a VALARM only an absolute trigger is of interest.
+        if (stack[stack.length - 1] === "VALARM") {
+            if (prop === "TRIGGER" && params.some((p) => p.toUpperCase() === "VALUE=DATE-TIME")) {
+                raw.remindAt = parseIcsDate(value, params);
+            }
+            return;
+        }
+
+        switch (prop) {
+            case "SUMMARY":
+                raw.title = icsUnescape(value);
+                break;
+            case "DESCRIPTION":
+                raw.description = icsUnescape(value);
+                break;
+            case "STATUS":
+                raw.status = value.toUpperCase() === "COMPLETED";
+                break;
+            case "PRIORITY": {
+                const n = Number(value);
+                raw.priority = n >= 1 && n <= 4 ? "high" : n >= 6 && n <= 9 ? "low" : "medium";
+                break;
+            }
+            case "DUE":
+                raw.dueAt = parseIcsDate(value, params);
+                raw.tz ??= tzidOf(params);
+                break;
+            case "COMPLETED":
+                raw.completedAt = parseIcsDate(value, params);
+                break;
+            case "CATEGORIES":
+                raw.tags.push(...value.split(/(?<!\\),/).map(icsUnescape));
+                break;
+            case "X-TODOFLOW-LIST":
+                raw.list = icsUnescape(value);
+                break;
+            case "RRULE":
+                raw.recurrence = fromRRule(value);
+                break;
+            case "X-TODOFLOW-TZ":
+                raw.tz = value;
+                break;
+            default:
+                break;
+        }
+    });
+
+    return { rows };
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Registry
+// ─────────────────────────────────────────────────────────────────────────────
+
+const FORMATS = {
+    json: { extension: "json", contentType: "application/json", serialize: toJson, parse: fromJson },
+    csv: { extension: "csv", contentType: "text/csv", serialize: toCsv, parse: fromCsv },
+    md: { extension: "md", contentType: "text/markdown", serialize: toMarkdown, parse: fromMarkdown },
+    todotxt: { extension: "txt", contentType: "text/plain", serialize: toTodoTxt, parse: fromTodoTxt },
+    ics: { extension: "ics", contentType: "text/calendar", serialize: toIcs, parse: fromIcs },
+};
+
+module.exports = { FORMATS };
@@ -0,0 +1,57 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Token Configuration
+// ─────────────────────────────────────────────────────────────────────────────
+// Access tokens are short-lived JWTs sent on every request; refresh tokens are
+// long-lived opaque strings exchanged for a new access token when it expires.
+const ACCESS_TOKEN_TTL = process.env.JWT_EXPIRES_IN || "15m";
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+/**
+ * Signs a JWT access token for the given user.
+ *
+ * @param {{ _id: import('mongoose').Types.ObjectId }} user
+ * @returns {string}
+ */
+const signAccessToken = (user) =>
+    jwt.sign({ sub: String(user._id) }, process.env.JWT_SECRET, {
+        expiresIn: ACCESS_TOKEN_TTL,
+    });
+
+/**
+ * Verifies an access token and returns its payload.
+ * Throws JsonWebTokenError / TokenExpiredError on failure.
+ *
+ * @param {string} token
+ * @returns {{ sub: string, iat: number, exp: number }}
+ */
+const verifyAccessToken = (token) => jwt.verify(token, process.env.JWT_SECRET);
+
+/**
+ * Hashes a refresh token for storage / lookup. SHA-256 is sufficient here
+ * because the token itself is 48 random bytes – there is nothing to brute force.
+ *
+ * @param {string} token
+ * @returns {string}
+ */
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+/**
+ * Generates a new opaque refresh token together with the record to persist.
+ *
+ * @returns {{ token: string, record: { tokenHash: string, expiresAt: Date } }}
+ */
+const createRefreshToken = () => {
+    const token = crypto.randomBytes(48).toString("hex");
+    const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+    return { token, record: { tokenHash: hashToken(token), expiresAt } };
+};
+
+module.exports = {
+    signAccessToken,
+    verifyAccessToken,
+    hashToken,
+    createRefreshToken,
+};
@@ -0,0 +1,325 @@
+const { isValidObjectId } = require("./response");
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Declarative Request Validation
+// ─────────────────────────────────────────────────────────────────────────────
+// A schema is built from the rule factories below, e.g.
+//
+//   v.object({
+//       title: v.string({ min: 3, max: 200 }),
+//       status: v.boolean().optional(),
+//   })
+//
+// and checked with validate(schema, value). Every problem is reported as
+// { field, code, message } – `field` is the path to the offending value
+// ("title", "recurrence.interval", "operations[0].action") or null for the
+// value as a whole.
+//
+// Object fields are required unless marked .optional(), null is only allowed
+// where marked .nullable(), and keys the schema does not declare are rejected.
+// Query strings arrive as text, so in `coerce` mode "true", "42" and
+// "a,b" are read as the boolean, number and array they stand for.
+//
+// Error codes:
+//   required, type, too_short, too_long, too_small, too_large, enum,
+//   pattern, invalid_id, invalid_date, unknown_field, invalid
+// (plus unsafe_key, from middleware/sanitize.js)
+
+// Returned by a failed check in place of the value.
+const INVALID = Symbol("invalid");
+
+const joinPath = (path, key) =>
+    typeof key === "number" ? `${path || ""}[${key}]` : path ? `${path}.${key}` : key;
+
+const label = (path) => (path ? `"${path}"` : "Request");
+
+// Shown in the JSON Schema of id fields (see toJSONSchema()).
+const OBJECT_ID_PATTERN = "^[0-9a-fA-F]{24}$";
+
+/**
+ * One node of a schema. `check(value, path, ctx)` returns the (possibly
+ * coerced) value, or INVALID after pushing errors onto `ctx.errors`.
+ * `schema` is the same rule as JSON Schema, for the OpenAPI document.
+ */
+class Rule {
+    constructor(check, schema = {}, flags = {}) {
+        this.check = check;
+        this.schema = schema;
+        this.flags = flags;
+    }
+
+    /** The field may be left out of its object. */
+    optional() {
+        return new Rule(this.check, this.schema, { ...this.flags, optional: true });
+    }
+
+    /** null is accepted (and passed through) as well. */
+    nullable() {
+        return new Rule(this.check, this.schema, { ...this.flags, nullable: true });
+    }
+
+    /**
+     * Adds a check run once the value itself is valid. `test(value)` returns
+     * true when the value is acceptable.
+     */
+    refine(test, message, code = "invalid") {
+        const check = this.check;
+        return new Rule((value, path, ctx) => {
+            const result = check(value, path, ctx);
+            if (result === INVALID || test(result)) return result;
+            return fail(ctx, path, code, message);
+        }, describe(this.schema, message), this.flags);
+    }
+
+    /** The rule as an OpenAPI 3.0 (JSON Schema) object. */
+    toJSONSchema() {
+        return this.flags.nullable ? { ...this.schema, nullable: true } : this.schema;
+    }
+
+    run(value, path, ctx) {
+        if (value === null) {
+            return this.flags.nullable ? null : fail(ctx, path, "type", `${label(path)} cannot be null`);
+        }
+        return this.check(value, path, ctx);
+    }
+}
+
+// Appends a sentence to a JSON Schema's description.
+const describe = (schema, sentence) => ({
+    ...schema,
+    description: schema.description ? `${schema.description} ${sentence}.` : `${sentence}.`,
+});
+
+const fail = (ctx, path, code, message) => {
+    ctx.errors.push({ field: path || null, code, message });
+    return INVALID;
+};
+
+// ── Scalars ───────────────────────────────────────────────────────────────────
+
+/**
+ * A string. Length limits apply to the trimmed value, matching the schemas'
+ * `trim: true` (pass `trim: false` for values such as passwords); the value
+ * itself is passed on untouched.
+ *
+ * @param {{ min?: number, max?: number, trim?: boolean, pattern?: RegExp, patternMessage?: string }} [opts]
+ */
+const string = ({ min, max, trim = true, pattern, patternMessage } = {}) =>
+    new Rule((value, path, ctx) => {
+        if (typeof value !== "string") return fail(ctx, path, "type", `${label(path)} must be a string`);
+
+        const length = (trim ? value.trim() : value).length;
+        if (min !== undefined && length < min) {
+            return fail(
+                ctx,
+                path,
+                min === 1 ? "required" : "too_short",
+                min === 1 ? `${label(path)} cannot be empty` : `${label(path)} must be at least ${min} characters long`
+            );
+        }
+        if (max !== undefined && length > max) {
+            return fail(ctx, path, "too_long", `${label(path)} must be at most ${max} characters long`);
+        }
+        if (pattern && !pattern.test(value)) {
+            return fail(ctx, path, "pattern", patternMessage || `${label(path)} is not in the expected format`);
+        }
+        return value;
+    }, {
+        type: "string",
+        ...(min !== undefined && { minLength: min }),
+        ...(max !== undefined && { maxLength: max }),
+        ...(pattern && { pattern: pattern.source }),
+    });
+
+/**
+ * A number. Query strings are converted; with `integer` fractions are rejected.
+ *
+ * @param {{ min?: number, max?: number, integer?: boolean }} [opts]
+ */
+const number = ({ min, max, integer = false } = {}) =>
+    new Rule((value, path, ctx) => {
+        let n = value;
+        if (ctx.coerce && typeof value === "string" && value.trim() !== "") n = Number(value);
+
+        if (typeof n !== "number" || !Number.isFinite(n) || (integer && !Number.isInteger(n))) {
+            return fail(ctx, path, "type", `${label(path)} must be ${integer ? "an integer" : "a number"}`);
+        }
+        if (min !== undefined && n < min) {
+            return fail(ctx, path, "too_small", `${label(path)} must be at least ${min}`);
+        }
+        if (max !== undefined && n > max) {
+            return fail(ctx, path, "too_large", `${label(path)} must be at most ${max}`);
+        }
+        return n;
+    }, {
+        type: integer ? "integer" : "number",
+        ...(min !== undefined && { minimum: min }),
+        ...(max !== undefined && { maximum: max }),
+    });
+
+/** An integer – see number(). */
+const integer = (opts = {}) => number({ ...opts, integer: true });
+
+/** A boolean; in query strings, "true" or "false". */
+const boolean = () =>
+    new Rule((value, path, ctx) => {
+        if (ctx.coerce && (value === "true" || value === "false")) return value === "true";
+        if (typeof value !== "boolean") return fail(ctx, path, "type", `${label(path)} must be true or false`);
+        return value;
+    }, { type: "boolean" });
+
+/** A date as an ISO-8601 string (or epoch milliseconds); passed on as a Date. */
+const date = () =>
+    new Rule((value, path, ctx) => {
+        if (typeof value !== "string" && typeof value !== "number") {
+            return fail(ctx, path, "type", `${label(path)} must be an ISO-8601 date`);
+        }
+        const parsed = new Date(value);
+        if (Number.isNaN(parsed.getTime())) {
+            return fail(ctx, path, "invalid_date", `${label(path)} must be a valid ISO-8601 date`);
+        }
+        return parsed;
+    }, { type: "string", format: "date-time" });
+
+/**
+ * A MongoDB ObjectId string. `allow` lists extra literal values that are
+ * accepted as-is (e.g. "inbox").
+ *
+ * @param {{ allow?: string[] }} [opts]
+ */
+const objectId = ({ allow = [] } = {}) =>
+    new Rule((value, path, ctx) => {
+        if (typeof value !== "string") return fail(ctx, path, "type", `${label(path)} must be an id string`);
+        if (allow.includes(value) || isValidObjectId(value)) return value;
+        return fail(ctx, path, "invalid_id", `"${value}" is not a valid id for ${label(path)}`);
+    }, {
+        type: "string",
+        ...(allow.length
+            ? { anyOf: [{ pattern: OBJECT_ID_PATTERN }, { enum: allow }] }
+            : { pattern: OBJECT_ID_PATTERN }),
+    });
+
+/** One of a fixed set of values. */
+const oneOf = (values) =>
+    new Rule((value, path, ctx) => {
+        if (values.includes(value)) return value;
+        return fail(ctx, path, "enum", `${label(path)} must be one of: ${values.join(", ")}`);
+    }, { type: typeof values[0], enum: values });
+
+// ── Collections ───────────────────────────────────────────────────────────────
+
+/**
+ * An array whose items all match `item`. With `csv`, a comma-separated string
+ * is accepted in its place (as for ?tags=work,urgent).
+ *
+ * @param {Rule} item
+ * @param {{ min?: number, max?: number, csv?: boolean }} [opts]
+ */
+const array = (item, { min, max, csv = false } = {}) =>
+    new Rule((value, path, ctx) => {
+        let list = value;
+        if (csv && typeof value === "string") list = value.split(",").filter((part) => part.trim() !== "");
+
+        if (!Array.isArray(list)) return fail(ctx, path, "type", `${label(path)} must be an array`);
+        if (min !== undefined && list.length < min) {
+            return fail(
+                ctx,
+                path,
+                "too_short",
+                min === 1 ? `${label(path)} must not be empty` : `${label(path)} must have at least ${min} items`
+            );
+        }
+        if (max !== undefined && list.length > max) {
+            return fail(ctx, path, "too_long", `${label(path)} must have at most ${max} items`);
+        }
+
+        const before = ctx.errors.length;
+        const result = list.map((entry, i) => item.run(entry, joinPath(path, i), ctx));
+        return ctx.errors.length > before ? INVALID : result;
+    }, {
+        type: "array",
+        items: item.toJSONSchema(),
+        ...(min !== undefined && { minItems: min }),
+        ...(max !== undefined && { maxItems: max }),
+        ...(csv && { description: "A comma-separated string is also accepted." }),
+    });
+
+// Names of the fields an object shape requires.
+const requiredFields = (shape) => Object.keys(shape).filter((key) => !shape[key].flags.optional);
+
+/**
+ * A plain object with the given fields. Unknown keys are rejected unless
+ * `unknown: "strip"` (drop them) is given. With `coerce`, everything inside
+ * is read the query-string way (used for bulk filters, which accept both).
+ *
+ * @param {Record<string, Rule>} shape
+ * @param {{ unknown?: "reject"|"strip", coerce?: boolean }} [opts]
+ */
+const object = (shape, { unknown = "reject", coerce = false } = {}) =>
+    new Rule((value, path, parentCtx) => {
+        const ctx = coerce ? { ...parentCtx, coerce: true } : parentCtx;
+        if (!value || typeof value !== "object" || Array.isArray(value)) {
+            return fail(ctx, path, "type", `${label(path)} must be an object`);
+        }
+
+        const before = ctx.errors.length;
+        const result = {};
+
+        for (const [key, rule] of Object.entries(shape)) {
+            const field = joinPath(path, key);
+            if (value[key] === undefined) {
+                if (!rule.flags.optional) fail(ctx, field, "required", `${label(field)} is required`);
+                continue;
+            }
+            const checked = rule.run(value[key], field, ctx);
+            if (checked !== INVALID) result[key] = checked;
+        }
+
+        if (unknown === "reject") {
+            for (const key of Object.keys(value)) {
+                if (!Object.hasOwn(shape, key)) {
+                    const field = joinPath(path, key);
+                    fail(ctx, field, "unknown_field", `Unknown field ${label(field)}`);
+                }
+            }
+        }
+
+        return ctx.errors.length > before ? INVALID : result;
+    }, {
+        type: "object",
+        properties: Object.fromEntries(Object.entries(shape).map(([key, rule]) => [key, rule.toJSONSchema()])),
+        ...(requiredFields(shape).length && { required: requiredFields(shape) }),
+        additionalProperties: unknown !== "reject",
+    });
+
+/**
+ * Marks every field of an object shape optional – the PATCH form of a
+ * create schema.
+ *
+ * @param {Record<string, Rule>} shape
+ * @returns {Record<string, Rule>}
+ */
+const partial = (shape) =>
+    Object.fromEntries(Object.entries(shape).map(([key, rule]) => [key, rule.optional()]));
+
+// ── Entry point ───────────────────────────────────────────────────────────────
+
+/**
+ * Checks `value` against `schema`.
+ *
+ * @param {Rule} schema
+ * @param {*} value
+ * @param {{ coerce?: boolean, path?: string }} [opts] - `coerce` reads values the
+ *        query-string way; `path` prefixes every reported field.
+ * @returns {{ value?: *, errors?: { field: string|null, code: string, message: string }[] }}
+ *          `errors` is set (and non-empty) when validation failed.
+ */
+const validate = (schema, value, { coerce = false, path = "" } = {}) => {
+    const ctx = { coerce, errors: [] };
+    const result = schema.run(value, path, ctx);
+    return ctx.errors.length ? { errors: ctx.errors } : { value: result };
+};
+
+const v = { string, number, integer, boolean, date, objectId, oneOf, array, object };
+
+module.exports = { v, partial, validate };
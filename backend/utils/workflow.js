@@ -0,0 +1,122 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// Workflow
+// ─────────────────────────────────────────────────────────────────────────────
+// The named states a todo moves through – the columns of the Kanban board, in
+// order. Every state is either open or done, and a todo's `status` boolean is
+// kept equal to "is its state a done one?", so everything that only cares
+// about completion (filters, counts, reminders, recurrence) works unchanged.
+//
+// Configured with WORKFLOW_STATES, a JSON array of { key, name, done? }:
+//
+//   WORKFLOW_STATES='[{"key":"todo","name":"To do"},
+//                     {"key":"doing","name":"Doing"},
+//                     {"key":"done","name":"Done","done":true}]'
+//
+// New todos start in the first open state; completing one moves it to the
+// first done state and re-opening it to the first open state. Renaming a key
+// or dropping a state that todos are still in needs a data migration.
+
+const DEFAULT_STATES = [
+    { key: "todo", name: "To do", done: false },
+    { key: "in_progress", name: "In progress", done: false },
+    { key: "blocked", name: "Blocked", done: false },
+    { key: "in_review", name: "In review", done: false },
+    { key: "done", name: "Done", done: true },
+];
+
+const KEY_PATTERN = /^[a-z][a-z0-9_]{0,31}$/;
+
+/**
+ * Parses and checks a WORKFLOW_STATES value. Throws on anything unusable, so
+ * a misconfigured server fails at startup rather than on the first write.
+ *
+ * @param {string} raw
+ * @returns {{ key: string, name: string, done: boolean }[]}
+ */
+const parseStates = (raw) => {
+    let parsed;
+    try {
+        parsed = JSON.parse(raw);
+    } catch {
+        throw new Error("WORKFLOW_STATES must be a JSON array of { key, name, done? }");
+    }
+    if (!Array.isArray(parsed)) {
+        throw new Error("WORKFLOW_STATES must be a JSON array of { key, name, done? }");
+    }
+
+    const states = parsed.map((state, i) => {
+        if (!KEY_PATTERN.test(state?.key)) {
+            throw new Error(`WORKFLOW_STATES[${i}].key must be lower-case letters, digits or "_" (max 32)`);
+        }
+        if (typeof state.name !== "string" || !state.name.trim()) {
+            throw new Error(`WORKFLOW_STATES[${i}].name is required`);
+        }
+        return { key: state.key, name: state.name.trim(), done: state.done === true };
+    });
+
+    const keys = states.map((state) => state.key);
+    const duplicate = keys.find((key, i) => keys.indexOf(key) !== i);
+    if (duplicate) throw new Error(`WORKFLOW_STATES lists "${duplicate}" twice`);
+    if (!states.some((state) => !state.done) || !states.some((state) => state.done)) {
+        throw new Error("WORKFLOW_STATES needs at least one open and one done state");
+    }
+    return states;
+};
+
+const STATES = process.env.WORKFLOW_STATES ? parseStates(process.env.WORKFLOW_STATES) : DEFAULT_STATES;
+const STATE_KEYS = STATES.map((state) => state.key);
+const DONE_KEYS = new Set(STATES.filter((state) => state.done).map((state) => state.key));
+
+// Where new (or re-opened) todos start, and where completing puts them.
+const INITIAL_STATE = STATES.find((state) => !state.done).key;
+const DONE_STATE = STATES.find((state) => state.done).key;
+
+/** @param {string} key */
+const isDoneState = (key) => DONE_KEYS.has(key);
+
+/**
+ * Brings `state`, `status` and `completedAt` in line in a set of changes
+ * (a create body or a PATCH-style update), given the todo as it is now:
+ *
+ *   - a new `state` decides `status`;
+ *   - a `status` alone moves the todo to the initial or done state – unless
+ *     its current state already agrees (an in-progress todo stays put when
+ *     "un-completed" again);
+ *   - `completedAt` is stamped when the todo becomes done and cleared when it
+ *     is re-opened.
+ *
+ * @param {object} changes - Mutated and returned.
+ * @param {{ state?: string, status?: boolean, completedAt?: Date }|null} current
+ *        null when the todo is being created.
+ * @param {Date} [now]
+ * @returns {object} `changes`
+ */
+const reconcileWorkflow = (changes, current, now = new Date()) => {
+    const wasDone = Boolean(current?.status);
+
+    if (changes.state !== undefined) {
+        changes.status = isDoneState(changes.state);
+    } else if (changes.status !== undefined) {
+        const currentState = current?.state ?? null;
+        if (currentState === null || isDoneState(currentState) !== changes.status) {
+            changes.state = changes.status ? DONE_STATE : INITIAL_STATE;
+        }
+    } else if (!current) {
+        changes.state = INITIAL_STATE;
+        changes.status = false;
+    }
+
+    if (changes.status !== undefined && (changes.status !== wasDone || !current)) {
+        changes.completedAt = changes.status ? now : null;
+    }
+    return changes;
+};
+
+module.exports = {
+    STATES,
+    STATE_KEYS,
+    INITIAL_STATE,
+    DONE_STATE,
+    isDoneState,
+    reconcileWorkflow,
+};
@@ -0,0 +1,20 @@
+const { v } = require("../utils/validation");
+const { ACTIONS } = require("../models/Activity");
+const { pageQuery } = require("./common");
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Activity Request Schemas
+// ─────────────────────────────────────────────────────────────────────────────
+
+const getActivity = {
+    query: v.object({
+        ...pageQuery,
+        action: v.array(v.oneOf(ACTIONS), { min: 1, csv: true }).optional(),
+        todo: v.objectId().optional(),
+        list: v.objectId({ allow: ["inbox"] }).optional(),
+        since: v.date().optional(),
+        until: v.date().optional(),
+    }),
+};
+
+module.exports = { getActivity };
@@ -0,0 +1,41 @@
+const { v } = require("../utils/validation");
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Auth Request Schemas
+// ─────────────────────────────────────────────────────────────────────────────
+// Registration mirrors models/User.js. Login only checks the shape: any
+// other problem is reported as "Invalid email or password".
+
+const register = {
+    body: v.object({
+        name: v.string({ min: 2, max: 60 }),
+        email: v.string({
+            max: 254,
+            pattern: /^\s*[^\s@]+@[^\s@]+\.[^\s@]+\s*$/,
+            patternMessage: "Email must be a valid email address",
+        }),
+        // bcrypt only looks at the first 72 bytes.
+        password: v.string({ min: 8, max: 72, trim: false }),
+    }),
+};
+
+const login = {
+    body: v.object({
+        email: v.string({ min: 1 }),
+        password: v.string({ min: 1, trim: false }),
+    }),
+};
+
+const refresh = {
+    body: v.object({
+        refreshToken: v.string({ min: 1 }),
+    }),
+};
+
+const logout = {
+    body: v.object({
+        refreshToken: v.string().optional(),
+    }),
+};
+
+module.exports = { register, login, refresh, logout };
@@ -0,0 +1,17 @@
+const { v } = require("../utils/validation");
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Shared Schema Pieces
+// ─────────────────────────────────────────────────────────────────────────────
+
+// ?limit=&cursor= – keyset pagination (see utils/pagination.js).
+const pageQuery = {
+    limit: v.integer({ min: 1 }).optional(),
+    cursor: v.string().optional(),
+};
+
+// Hex colour for lists and tags.
+const hexColor = () =>
+    v.string({ pattern: /^#[0-9a-fA-F]{6}$/, patternMessage: 'Colour must be a hex value like "#6c63ff"' });
+
+module.exports = { pageQuery, hexColor };
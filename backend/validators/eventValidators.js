@@ -0,0 +1,14 @@
+const { v } = require("../utils/validation");
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Event Stream Request Schemas
+// ─────────────────────────────────────────────────────────────────────────────
+
+// ?lastEventId= stands in for the Last-Event-ID header where it cannot be set.
+const streamEvents = {
+    query: v.object({
+        lastEventId: v.string().optional(),
+    }),
+};
+
+module.exports = { streamEvents };
@@ -0,0 +1,59 @@
+const { v, partial } = require("../utils/validation");
+const { hexColor } = require("./common");
+const { ROLES } = require("../utils/roles");
+
+// ─────────────────────────────────────────────────────────────────────────────
+// List Request Schemas
+// ─────────────────────────────────────────────────────────────────────────────
+
+const listFields = {
+    name: v.string({ min: 1, max: 60 }),
+    color: hexColor(),
+};
+
+const getLists = {
+    query: v.object({
+        archived: v.boolean().optional(),
+    }),
+};
+
+const createList = {
+    body: v.object({
+        name: listFields.name,
+        color: listFields.color.optional(),
+    }),
+};
+
+const updateList = {
+    body: v.object({
+        ...partial(listFields),
+        archived: v.boolean().optional(),
+    }),
+};
+
+const deleteList = {
+    query: v.object({
+        deleteTodos: v.boolean().optional(),
+    }),
+};
+
+// ── Members ──────────────────────────────────────────────────────────────────
+
+const addMember = {
+    body: v.object({
+        email: v.string({
+            max: 254,
+            pattern: /^\s*[^\s@]+@[^\s@]+\.[^\s@]+\s*$/,
+            patternMessage: "Email must be a valid email address",
+        }),
+        role: v.oneOf(ROLES).optional(),
+    }),
+};
+
+const updateMember = {
+    body: v.object({
+        role: v.oneOf(ROLES),
+    }),
+};
+
+module.exports = { getLists, createList, updateList, deleteList, addMember, updateMember };
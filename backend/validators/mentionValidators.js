@@ -0,0 +1,21 @@
+const { v } = require("../utils/validation");
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Mention Request Schemas
+// ─────────────────────────────────────────────────────────────────────────────
+
+const getMentions = {
+    query: v.object({
+        unread: v.boolean().optional(),
+        limit: v.integer({ min: 1 }).optional(),
+    }),
+};
+
+// Without `ids`, every unread mention is marked read.
+const markMentionsRead = {
+    body: v.object({
+        ids: v.array(v.objectId(), { min: 1 }).optional(),
+    }),
+};
+
+module.exports = { getMentions, markMentionsRead };
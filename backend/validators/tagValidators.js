@@ -0,0 +1,27 @@
+const { v } = require("../utils/validation");
+const { MAX_TAG_LENGTH } = require("../utils/tags");
+const { hexColor } = require("./common");
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Tag Request Schemas
+// ─────────────────────────────────────────────────────────────────────────────
+// Names are normalised by the controller, which also rejects names that
+// normalise to nothing (e.g. "###").
+
+const tagName = v.string({ min: 1, max: MAX_TAG_LENGTH + 1 });   // + a leading "#"
+
+const updateTag = {
+    body: v.object({
+        name: tagName.optional(),
+        color: hexColor().nullable().optional(),
+    }),
+};
+
+const mergeTags = {
+    body: v.object({
+        target: tagName,
+        sources: v.array(tagName, { min: 1, csv: true }),
+    }),
+};
+
+module.exports = { updateTag, mergeTags };
@@ -0,0 +1,262 @@
+const { v, partial } = require("../utils/validation");
+const { FORMATS } = require("../utils/todoFormats");
+const { MAX_TAGS_PER_TODO } = require("../utils/tags");
+const { STATE_KEYS } = require("../utils/workflow");
+const { isTimeZone } = require("../utils/timeZones");
+const { pageQuery } = require("./common");
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Todo Request Schemas
+// ─────────────────────────────────────────────────────────────────────────────
+// Limits mirror models/Todo.js so bad input is turned away – with field-level
+// errors – before anything touches the database. Title and description caps
+// exist only here, to keep a single request from storing a novel.
+
+const PRIORITY = v.oneOf(["low", "medium", "high"]);
+const STATE = v.oneOf(STATE_KEYS);
+// Minutes, as Date#getTimezoneOffset() reports them; UTC when left out.
+const TZ_OFFSET = v.integer({ min: -840, max: 840 });
+// An IANA name such as "Europe/Berlin", as Intl reports the browser's.
+const TIME_ZONE = v.string({ max: 64 }).refine(isTimeZone, "Must be an IANA time zone such as \"Europe/Berlin\"");
+
+const MAX_TITLE_LENGTH = 200;
+
+const BULK_ACTIONS = ["update", "complete", "uncomplete", "delete"];
+const MAX_BULK_OPERATIONS = 20;
+const MAX_BULK_TARGETS = 1000;
+const MAX_CALENDAR_DAYS = 366;
+const MAX_STATS_DAYS = 365;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const recurrence = v.object({
+    freq: v.oneOf(["daily", "weekly", "monthly", "yearly"]),
+    interval: v.integer({ min: 1, max: 365 }).optional(),
+    byWeekday: v.array(v.integer({ min: 0, max: 6 }), { max: 7 }).nullable().optional(),
+    byMonthDay: v.integer({ min: 1, max: 31 }).nullable().optional(),
+    count: v.integer({ min: 1 }).nullable().optional(),
+    until: v.date().nullable().optional(),
+    tz: TIME_ZONE.nullable().optional(),
+});
+
+const checklistItem = {
+    text: v.string({ min: 1, max: 200 }),
+    done: v.boolean().optional(),
+};
+
+// Fields a client may set on a todo – PATCH accepts any subset.
+const todoFields = {
+    title: v.string({ min: 3, max: MAX_TITLE_LENGTH }),
+    description: v.string({ max: 2000 }),
+    status: v.boolean(),
+    // A workflow state key (see utils/workflow.js); decides `status`.
+    state: STATE,
+    priority: PRIORITY,
+    dueAt: v.date().nullable(),
+    remindAt: v.date().nullable(),
+    recurrence: recurrence.nullable(),
+    autoComplete: v.boolean(),
+    tags: v.array(v.string(), { max: MAX_TAGS_PER_TODO, csv: true }),
+    // A List id; null, "" or "inbox" for the Inbox.
+    list: v.objectId({ allow: ["", "inbox"] }).nullable(),
+    // A user id – the list's owner or a member; null to unassign.
+    assignee: v.objectId().nullable(),
+};
+
+// The GET /api/todos filters, also accepted by export and bulk operations.
+const filterFields = {
+    status: v.boolean(),
+    state: v.array(STATE, { csv: true }),
+    priority: PRIORITY,
+    dueBefore: v.date(),
+    dueAfter: v.date(),
+    overdue: v.boolean(),
+    tags: v.array(v.string(), { csv: true }),
+    tagMode: v.oneOf(["all", "any"]),
+    list: v.objectId({ allow: ["inbox"] }),
+    // "me", "none" (unassigned) or a user id.
+    assignee: v.objectId({ allow: ["me", "none"] }),
+    q: v.string({ max: 500 }),
+};
+
+const sortQuery = { sort: v.string().optional() };
+
+// A quick-add line (see utils/quickAdd.js) and how to read the dates in it.
+const quickAddFields = {
+    raw: v.string({ min: 1, max: 500 }),
+    tzOffset: TZ_OFFSET.optional(),
+    // Wins over `tzOffset`, and is stored with a repeat rule the line sets.
+    tz: TIME_ZONE.optional(),
+    // The moment relative dates count from – e.g. when a line typed offline
+    // is sent later. The server's clock when left out.
+    now: v.date().optional(),
+};
+
+// ── Todos ─────────────────────────────────────────────────────────────────────
+
+const createTodo = {
+    body: v.object({
+        ...partial(todoFields),
+        ...partial(quickAddFields),
+        checklist: v.array(v.object(checklistItem), { max: 100 }).optional(),
+    }).refine(
+        (body) => body.title !== undefined || body.raw !== undefined,
+        '"title" is required unless "raw" is given',
+        "required"
+    ),
+};
+
+const parseTodo = {
+    body: v.object(quickAddFields),
+};
+
+const updateTodo = {
+    body: v.object(partial(todoFields)),
+};
+
+const listTodos = {
+    query: v.object({
+        ...partial(filterFields),
+        ...sortQuery,
+        ...pageQuery,
+        fields: v.string().optional(),
+    }),
+};
+
+const bulkTodos = {
+    body: v.object({
+        operations: v.array(
+            v.object({
+                action: v.oneOf(BULK_ACTIONS),
+                // Not checked as ids here: a malformed id fails on its own
+                // rather than failing the whole operation.
+                ids: v.array(v.string(), { min: 1, max: MAX_BULK_TARGETS }).optional(),
+                filter: v.object(partial(filterFields), { coerce: true }).optional(),
+                fields: v.object(partial(todoFields)).optional(),
+            })
+                .refine((op) => (op.ids === undefined) !== (op.filter === undefined), 'Provide either "ids" or "filter"')
+                .refine((op) => op.action !== "update" || op.fields !== undefined, '"fields" is required for "update"', "required"),
+            { min: 1, max: MAX_BULK_OPERATIONS }
+        ),
+    }),
+};
+
+const exportTodos = {
+    query: v.object({
+        ...partial(filterFields),
+        ...sortQuery,
+        format: v.oneOf(Object.keys(FORMATS)).optional(),
+    }),
+};
+
+const importTodos = {
+    body: v.object({
+        format: v.oneOf(Object.keys(FORMATS)),
+        content: v.string({ min: 1 }),
+        dryRun: v.boolean().optional(),
+    }),
+};
+
+// The neighbours a todo is dropped between (PATCH /api/todos/:id/move).
+const moveTodo = {
+    body: v.object({
+        after: v.objectId().nullable().optional(),
+        before: v.objectId().nullable().optional(),
+    })
+        .refine((body) => body.after || body.before, 'Provide "after", "before" or both', "required")
+        .refine((body) => !body.after || body.after !== body.before, '"after" and "before" must be different todos'),
+};
+
+// The list filters that narrow a whole set of todos rather than a page – no
+// search, due range or paging – for the calendar and the stats.
+const { status, state, priority, tags, tagMode, list, assignee } = filterFields;
+const scopeFilters = { status, state, priority, tags, tagMode, list, assignee };
+
+// A date range of the calendar (GET /api/todos/calendar).
+const calendar = {
+    query: v.object({
+        from: v.date(),
+        to: v.date(),
+        ...partial(scopeFilters),
+    })
+        .refine((query) => query.to > query.from, '"to" must be after "from"')
+        .refine(
+            (query) => query.to - query.from <= MAX_CALENDAR_DAYS * DAY_MS,
+            `The range can span at most ${MAX_CALENDAR_DAYS} days`,
+            "too_large"
+        ),
+};
+
+// How many days of daily history GET /api/todos/stats returns, and in which
+// time zone its days start.
+const stats = {
+    query: v.object({
+        ...partial(scopeFilters),
+        days: v.integer({ min: 1, max: MAX_STATS_DAYS }).optional(),
+        tzOffset: TZ_OFFSET.optional(),
+    }),
+};
+
+// ── Trash & history ───────────────────────────────────────────────────────────
+
+const listPage = {
+    query: v.object(pageQuery),
+};
+
+const revertTodo = {
+    body: v.object({
+        revision: v.integer({ min: 1 }),
+    }),
+};
+
+// ── Checklist ─────────────────────────────────────────────────────────────────
+
+const addItem = {
+    body: v.object(checklistItem),
+};
+
+const updateItem = {
+    body: v.object(partial(checklistItem)),
+};
+
+const reorderItems = {
+    body: v.object({
+        order: v.array(v.objectId()),
+    }),
+};
+
+// ── Comments ──────────────────────────────────────────────────────────────────
+
+// Mirrors models/Comment.js. An edit replaces the whole text.
+const commentFields = {
+    body: v.string({ min: 1, max: 2000 }),
+};
+
+const addComment = {
+    body: v.object(commentFields),
+};
+
+const updateComment = {
+    body: v.object(commentFields),
+};
+
+module.exports = {
+    MAX_BULK_TARGETS,
+    MAX_TITLE_LENGTH,
+    createTodo,
+    parseTodo,
+    updateTodo,
+    listTodos,
+    bulkTodos,
+    exportTodos,
+    importTodos,
+    moveTodo,
+    calendar,
+    stats,
+    listPage,
+    revertTodo,
+    addItem,
+    updateItem,
+    reorderItems,
+    addComment,
+    updateComment,
+};
@@ -0,0 +1,63 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// Service Worker  –  offline app shell
+// ─────────────────────────────────────────────────────────────────────────────
+// Caches the app itself (HTML, JS, CSS, icons) so it still opens without a
+// network. API calls are never cached here – todo data is kept in IndexedDB
+// by src/api/offline.js.
+//
+// Page loads are network-first (a new deploy is picked up as soon as it is
+// reachable); Vite's hashed assets are cache-first, since a given URL never
+// changes.
+
+const CACHE = "todoflow-shell-v1";
+const SHELL = ["/", "/index.html", "/vite.svg"];
+
+self.addEventListener("install", (event) => {
+    event.waitUntil(caches.open(CACHE).then((cache) => cache.addAll(SHELL)));
+    self.skipWaiting();
+});
+
+self.addEventListener("activate", (event) => {
+    event.waitUntil(
+        caches
+            .keys()
+            .then((keys) => Promise.all(keys.filter((key) => key !== CACHE).map((key) => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+/** Network first, falling back to the cached copy (or the cached shell). */
+const networkFirst = async (request) => {
+    const cache = await caches.open(CACHE);
+    try {
+        const response = await fetch(request);
+        if (response.ok) cache.put(request, response.clone());
+        return response;
+    } catch (error) {
+        const cached = (await cache.match(request)) || (await cache.match("/index.html"));
+        if (cached) return cached;
+        throw error;
+    }
+};
+
+/** Cache first, filling the cache on a miss. */
+const cacheFirst = async (request) => {
+    const cache = await caches.open(CACHE);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+    const response = await fetch(request);
+    if (response.ok) cache.put(request, response.clone());
+    return response;
+};
+
+self.addEventListener("fetch", (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+
+    // Only this origin's GETs; the API (same origin or not) is left alone.
+    if (request.method !== "GET" || url.origin !== self.location.origin || url.pathname.startsWith("/api/")) {
+        return;
+    }
+
+    event.respondWith(request.mode === "navigate" ? networkFirst(request) : cacheFirst(request));
+});
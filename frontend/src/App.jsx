@@ -1,66 +1,734 @@
-import { useState, useEffect, useCallback } from "react";
+import { useState, useEffect, useCallback, useMemo, useRef } from "react";
 import {
   fetchTodos,
   createTodo,
   updateTodo,
   deleteTodo,
+  bulkTodos,
+  restoreTodo,
+  addChecklistItem,
+  updateChecklistItem,
+  deleteChecklistItem,
+  reorderChecklist,
+  moveTodo,
+  fetchTodoById,
+  fetchWorkflow,
+  fetchStats,
+  isConflict,
 } from "./api/todoApi";
+import { fetchTags } from "./api/tagApi";
+import { revertTodo } from "./api/activityApi";
+import { fetchMentions } from "./api/mentionApi";
+import { connectEvents } from "./api/events";
+import {
+  createOfflineStore,
+  deleteOfflineData,
+  isLocalId,
+  isNetworkError,
+  pingServer,
+} from "./api/offline";
+import {
+  fetchLists,
+  createList,
+  updateList,
+  deleteList,
+  shareList,
+  updateMember,
+  removeMember,
+} from "./api/listApi";
 import TodoForm from "./components/TodoForm";
+import QuickAdd from "./components/QuickAdd";
 import TodoItem from "./components/TodoItem";
 import FilterBar from "./components/FilterBar";
+import ListSidebar from "./components/ListSidebar";
+import InfiniteScroll from "./components/InfiniteScroll";
+import BulkBar from "./components/BulkBar";
+import TrashView from "./components/TrashView";
+import KanbanBoard from "./components/KanbanBoard";
+import CalendarView from "./components/CalendarView";
+import StatsDashboard from "./components/StatsDashboard";
+import Toast from "./components/Toast";
+import ConnectionStatus from "./components/ConnectionStatus";
+import ImportExport from "./components/ImportExport";
+import ConflictDialog from "./components/ConflictDialog";
+import TodoDetail from "./components/TodoDetail";
+import ShareDialog from "./components/ShareDialog";
+import { dayRange } from "./utils/dates";
+import { matchesQuery, compareBySort } from "./utils/todoQuery";
+import { fieldErrorsOf } from "./utils/fieldErrors";
+import { conflictingFields } from "./utils/conflicts";
+import { moveItem, dropIndex, neighboursOf } from "./utils/reorder";
+import { peopleOfList } from "./utils/people";
 import "./App.css";
 
+// Todos fetched per page; further pages load as the list is scrolled.
+const PAGE_SIZE = 30;
+// While the server is unreachable, check this often whether it is back.
+const RECONNECT_PROBE_MS = 15000;
+
 // ─────────────────────────────────────────────────────────────────────────────
 // App  –  Root component and state hub
 // ─────────────────────────────────────────────────────────────────────────────
-export default function App() {
+/**
+ * Props:
+ *   user       – the signed-in user ({ id, name, email })
+ *   onLogout() – end the session and return to the login screen
+ */
+export default function App({ user, onLogout }) {
   // ── Data state ──────────────────────────────────────────────────────────────
   const [todos, setTodos] = useState([]);
+  const [tags, setTags] = useState([]);   // [{ name, color, count }]
+  const [lists, setLists] = useState([]);   // [{ id, name, color, archived, counts, owner, members, role }]
+  const [inboxCounts, setInboxCounts] = useState({ total: 0, pending: 0, completed: 0 });
+  const [workflow, setWorkflow] = useState([]);   // [{ key, name, done }] – the board's columns
+
+  // ── Pagination ──────────────────────────────────────────────────────────────
+  const [nextCursor, setNextCursor] = useState(null);   // null = last page loaded
+  const [matchCount, setMatchCount] = useState(0);      // todos matching the filters
+  const [loadingMore, setLoadingMore] = useState(false);
+
+  // ── Bulk selection ──────────────────────────────────────────────────────────
+  const [selectedIds, setSelectedIds] = useState(() => new Set());
+
+  // ── List (project) selection ────────────────────────────────────────────────
+  // "" = every todo, "inbox" = todos without a list, "trash" = the Trash
+  // view, otherwise a list id.
+  const [selectedList, setSelectedList] = useState("");
+  const [showArchived, setShowArchived] = useState(false);
+
+  // ── View ────────────────────────────────────────────────────────────────────
+  // "list" = the paginated todo list, "board" = the Kanban board, one column
+  // per workflow state, "calendar" = the calendar and agenda of scheduled
+  // todos, "dashboard" = productivity stats and charts. All but the list load
+  // their own data.
+  const [view, setView] = useState("list");
+  const [boardCounts, setBoardCounts] = useState({});   // stateKey → todos in that column
+  const [calendarCount, setCalendarCount] = useState(0);   // entries in the calendar's range
+  const [viewRefresh, setViewRefresh] = useState(0);   // bumped to make the board, calendar or dashboard reload
+
+  // Totals for the summary strip, counted by the server over every todo the
+  // open filters match: { total, pending, completed, overdue, dueToday }.
+  const [totals, setTotals] = useState(null);
 
   // ── UI state ────────────────────────────────────────────────────────────────
   const [loading, setLoading] = useState(false);   // fetch in-flight
   const [saving, setSaving] = useState(false);   // create / update / delete
   const [error, setError] = useState("");       // top-level error banner
+  const [toast, setToast] = useState(null);     // { message, undo?, openTodo? }
+  const [conflict, setConflict] = useState(null);   // { type, mine?, theirs } – see ConflictDialog
+  const [liveStatus, setLiveStatus] = useState("connecting");   // event stream
+  const [dragging, setDragging] = useState(null);   // { id, overId?, edge? } while a todo is dragged
+  const [announcement, setAnnouncement] = useState("");   // screen-reader note after a move
+  const [detail, setDetail] = useState(null);   // the todo open in the detail pane
+  const [threadRefresh, setThreadRefresh] = useState(0);   // bumped when its comments change elsewhere
+  const [sharingId, setSharingId] = useState(null);   // the list open in the share dialog
+
+  // ── Offline support ─────────────────────────────────────────────────────────
+  // Todos are cached in IndexedDB; changes made while the server is unreachable
+  // are queued in an outbox and replayed when it comes back (see api/offline.js).
+  const offline = useMemo(() => createOfflineStore(user.id), [user.id]);
+  const [online, setOnline] = useState(() => navigator.onLine);
+  const [syncing, setSyncing] = useState(false);
+  const [queuedCount, setQueuedCount] = useState(0);   // queued changes
 
   // ── Filter state ────────────────────────────────────────────────────────────
-  const [filters, setFilters] = useState({ status: "", priority: "" });
+  const [filters, setFilters] = useState({
+    q: "",
+    status: "",
+    state: "",
+    priority: "",
+    due: "",
+    assignee: "",
+    sort: "-createdAt",
+    tags: [],
+    tagMode: "any",
+  });
 
   // ─────────────────────────────────────────────────────────────────────────
   // Data Fetching
   // ─────────────────────────────────────────────────────────────────────────
+  /** Query params for the current filters – omits empty values so the backend sees clean params. */
+  const queryParams = useMemo(() => {
+    const params = { limit: PAGE_SIZE, sort: filters.sort };
+    if (selectedList !== "" && selectedList !== "trash") params.list = selectedList;
+    if (filters.q.trim() !== "") params.q = filters.q.trim();
+    if (filters.status !== "") params.status = filters.status;
+    if (filters.state !== "") params.state = filters.state;
+    if (filters.priority !== "") params.priority = filters.priority;
+    if (filters.assignee !== "") params.assignee = filters.assignee;
+    if (filters.due === "overdue") params.overdue = true;
+    if (filters.due === "today") {
+      const { from, to } = dayRange();
+      params.dueAfter = from;
+      params.dueBefore = to;
+    }
+    if (filters.tags.length) {
+      params.tags = filters.tags.join(",");
+      params.tagMode = filters.tagMode;
+    }
+    return params;
+  }, [filters, selectedList]);
+
   /**
-   * Loads todos from the backend, passing the current filter values as query
-   * params.  Wrapped in useCallback so it can be passed to child components
+   * Shows the cached todos that match the current filters – what the list
+   * looks like while the server cannot be reached. Search falls back to a
+   * plain substring match on the title and description.
+   */
+  const showCachedTodos = useCallback(async () => {
+    try {
+      const cached = await offline.getTodos();
+      const q = (queryParams.q || "").toLowerCase();
+      const visible = cached
+        .filter((t) => matchesQuery(t, queryParams, { userId: user.id }) ?? `${t.title} ${t.description || ""}`.toLowerCase().includes(q))
+        .sort(compareBySort(queryParams.sort));
+      setTodos(visible);
+      setSelectedIds(new Set());
+      setNextCursor(null);
+      setMatchCount(visible.length);
+    } catch {
+      setError("You are offline and no todos are saved on this device yet.");
+    }
+  }, [offline, queryParams, user.id]);
+
+  /**
+   * Loads the first page of todos for the current filters, replacing whatever
+   * is shown. Wrapped in useCallback so it can be passed to child components
    * without causing unnecessary re-renders.
+   *
+   * Each call aborts the previous in-flight request, so a slow response for an
+   * older search can never overwrite the results of a newer one.
    */
+  const requestRef = useRef(null);
   const loadTodos = useCallback(async () => {
+    requestRef.current?.abort();
+    const controller = new AbortController();
+    requestRef.current = controller;
+
     setLoading(true);
+    setLoadingMore(false);
     setError("");
     try {
-      // Build params object – omit empty strings so the backend sees clean params.
-      const params = {};
-      if (filters.status !== "") params.status = filters.status;
-      if (filters.priority !== "") params.priority = filters.priority;
-
-      const { data } = await fetchTodos(params);
+      const { data } = await fetchTodos(queryParams, { signal: controller.signal });
       setTodos(data.data || []);
+      setSelectedIds(new Set());
+      setNextCursor(data.meta?.nextCursor || null);
+      setMatchCount(data.meta?.total ?? (data.data || []).length);
+      setOnline(true);
+      // An unfiltered, complete result is the whole set – anything else in the
+      // cache has been deleted elsewhere.
+      const complete = !data.meta?.nextCursor && Object.keys(queryParams).every((k) => k === "limit" || k === "sort");
+      offline.saveTodos(data.data || [], { replace: complete }).catch(() => {});
     } catch (err) {
+      if (err.code === "ERR_CANCELED") return;
+      if (isNetworkError(err)) {
+        setOnline(false);
+        await showCachedTodos();
+        return;
+      }
       setError(err.response?.data?.message || "Failed to load todos. Is the server running?");
     } finally {
-      setLoading(false);
+      if (requestRef.current === controller) setLoading(false);
     }
-  }, [filters]);
+  }, [queryParams, offline, showCachedTodos]);
 
-  // Re-fetch whenever the filters change.
+  /**
+   * Appends the next page. Shares `requestRef` with loadTodos, so a filter
+   * change made while a page is loading discards that page.
+   */
+  const loadMore = useCallback(async () => {
+    if (!nextCursor || loadingMore) return;
+    const controller = new AbortController();
+    requestRef.current = controller;
+
+    setLoadingMore(true);
+    try {
+      const { data } = await fetchTodos(
+        { ...queryParams, cursor: nextCursor },
+        { signal: controller.signal }
+      );
+      // Skip anything already shown (e.g. a todo created since page one).
+      setTodos((prev) => {
+        const seen = new Set(prev.map((t) => t.id || t._id));
+        return [...prev, ...(data.data || []).filter((t) => !seen.has(t.id || t._id))];
+      });
+      setNextCursor(data.meta?.nextCursor || null);
+      setMatchCount(data.meta?.total ?? matchCount);
+      offline.saveTodos(data.data || []).catch(() => {});
+    } catch (err) {
+      if (err.code === "ERR_CANCELED") return;
+      if (isNetworkError(err)) {
+        setOnline(false);
+        return;
+      }
+      setError(err.response?.data?.message || "Failed to load more todos.");
+    } finally {
+      if (requestRef.current === controller) setLoadingMore(false);
+    }
+  }, [queryParams, nextCursor, loadingMore, matchCount, offline]);
+
+  // Re-fetch whenever the filters or the selected list change. The Trash view
+  // and the other views load their own data.
+  const inTrash = selectedList === "trash";
+  const onList = view === "list" && !inTrash;
+  const onBoard = view === "board" && !inTrash;
+  const onCalendar = view === "calendar" && !inTrash;
+  const onDashboard = view === "dashboard" && !inTrash;
   useEffect(() => {
-    loadTodos();
-  }, [loadTodos]);
+    if (onList) loadTodos();
+  }, [loadTodos, onList]);
+
+  // The board has a column per state, so a state filter does not apply there.
+  const boardParams = useMemo(() => {
+    const { state: _state, ...params } = queryParams;
+    return params;
+  }, [queryParams]);
+
+  // The filters that narrow a whole set of todos rather than a page, for the
+  // calendar, the stats and the strip – search, due and sort do not apply.
+  const scopeParams = useMemo(() => {
+    const { status, state, priority, assignee, tags: tagFilter, tagMode, list } = queryParams;
+    return Object.fromEntries(
+      Object.entries({ status, state, priority, assignee, tags: tagFilter, tagMode, list }).filter(([, value]) => value !== undefined)
+    );
+  }, [queryParams]);
+
+  /**
+   * Loads the tag list (names, colours, usage counts) used for autocomplete,
+   * chip colours and the tag filter. Failures are non-fatal – tags are extras.
+   */
+  const loadTags = useCallback(async () => {
+    try {
+      const { data } = await fetchTags();
+      setTags(data.data || []);
+      offline.setMeta("tags", data.data || []).catch(() => {});
+    } catch (err) {
+      // Leave the previous list in place – or, offline, use the cached one.
+      if (isNetworkError(err)) {
+        const cached = await offline.getMeta("tags").catch(() => null);
+        if (cached) setTags(cached);
+      }
+    }
+  }, [offline]);
+
+  useEffect(() => {
+    loadTags();
+  }, [loadTags]);
+
+  /**
+   * Loads the totals for the summary strip. Offline the last ones stay up.
+   * Other failures are non-fatal – the strip is an extra.
+   */
+  const loadTotals = useCallback(async () => {
+    try {
+      const { data } = await fetchStats({ ...scopeParams, days: 1, tzOffset: new Date().getTimezoneOffset() });
+      setTotals(data.data.totals);
+    } catch {
+      // Keep showing the previous totals.
+    }
+  }, [scopeParams]);
+
+  /** Loads the sidebar lists and their per-list counts. */
+  const loadLists = useCallback(async () => {
+    try {
+      const { data } = await fetchLists(showArchived ? { archived: true } : {});
+      setLists(data.data.lists);
+      setInboxCounts(data.data.inbox.counts);
+      offline.setMeta("lists", data.data).catch(() => {});
+    } catch (err) {
+      if (isNetworkError(err)) {
+        const cached = await offline.getMeta("lists").catch(() => null);
+        if (cached) {
+          setLists(cached.lists);
+          setInboxCounts(cached.inbox.counts);
+        }
+        return;
+      }
+      setError(err.response?.data?.message || "Failed to load lists.");
+    }
+  }, [showArchived, offline]);
+
+  useEffect(() => {
+    loadLists();
+  }, [loadLists]);
+
+  // Every change to a todo reloads the sidebar counts; the strip follows them.
+  useEffect(() => {
+    loadTotals();
+  }, [loadTotals, lists]);
+
+  /** Loads the workflow states – the board's columns and the state filter. */
+  const loadWorkflow = useCallback(async () => {
+    try {
+      const { data } = await fetchWorkflow();
+      setWorkflow(data.data.states);
+      offline.setMeta("workflow", data.data.states).catch(() => {});
+    } catch (err) {
+      if (isNetworkError(err)) {
+        const cached = await offline.getMeta("workflow").catch(() => null);
+        if (cached) setWorkflow(cached);
+      }
+    }
+  }, [offline]);
+
+  useEffect(() => {
+    loadWorkflow();
+  }, [loadWorkflow]);
+
+  // Mentions made while the user was away – opening the todo reads them.
+  useEffect(() => {
+    fetchMentions({ unread: true, limit: 1 })
+      .then(({ data }) => {
+        const [latest] = data.data;
+        if (!latest) return;
+        const by = latest.author?.name || "Someone";
+        setToast((current) => current || {
+          message: data.meta.unread > 1
+            ? `${data.meta.unread} unread mentions – the latest by ${by} on "${latest.todo.title}"`
+            : `${by} mentioned you on "${latest.todo.title}"`,
+          openTodo: latest.todo.id,
+        });
+      })
+      .catch(() => {});
+  }, []);
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // Real-time Sync (changes made in other tabs / devices)
+  // ─────────────────────────────────────────────────────────────────────────
+  // Sidebar counts, tag usage and the board or calendar are refreshed once a
+  // burst of events settles rather than once per event.
+  const countsTimerRef = useRef(null);
+  const refreshCountsSoon = () => {
+    clearTimeout(countsTimerRef.current);
+    countsTimerRef.current = setTimeout(() => {
+      loadLists();
+      loadTags();
+      setViewRefresh((n) => n + 1);
+    }, 500);
+  };
+
+  /**
+   * Applies one pushed todo to the loaded page: inserted, moved or removed
+   * depending on whether it still matches the open filters, and placed where
+   * the current sort puts it. A todo that sorts past the last loaded item is
+   * left for "load more" to fetch. While searching, relevance is unknown, so
+   * shown todos are only updated in place.
+   */
+  const applyTodoEvent = (type, incoming) => {
+    const id = incoming.id;
+    (type === "todo.deleted" ? offline.removeTodo(id) : offline.putTodo(incoming)).catch(() => {});
+    const sameId = (t) => (t.id || t._id) === id;
+    const shown = todos.some(sameId);
+    const matches = type === "todo.deleted" ? false : matchesQuery(incoming, queryParams, { userId: user.id });
+
+    if (matches === null) {
+      setTodos((prev) => prev.map((t) => (sameId(t) ? incoming : t)));
+      return;
+    }
+
+    if (!matches) {
+      if (!shown) return;
+      setTodos((prev) => prev.filter((t) => !sameId(t)));
+      setSelectedIds((prev) => new Set([...prev].filter((selected) => selected !== id)));
+      setMatchCount((n) => Math.max(0, n - 1));
+      return;
+    }
+
+    const compare = compareBySort(filters.sort);
+    setTodos((prev) => {
+      const rest = prev.filter((t) => !sameId(t));
+      const position = rest.findIndex((t) => compare(incoming, t) < 0);
+      if (position === -1 && nextCursor) return rest;
+      const next = [...rest];
+      next.splice(position === -1 ? rest.length : position, 0, incoming);
+      return next;
+    });
+    if (!shown) setMatchCount((n) => n + 1);
+  };
+
+  const handleServerEvent = (type, data) => {
+    switch (type) {
+      case "todo.created":
+      case "todo.updated":
+      case "todo.deleted":
+        refreshCountsSoon();
+        // The Trash view loads its own data.
+        if (!inTrash) applyTodoEvent(type, data.todo);
+        // A todo moved somewhere the user cannot see also arrives as deleted.
+        if (detail?.id === data.todo.id) setDetail(type === "todo.deleted" ? null : data.todo);
+        break;
+      case "comment.created":
+      case "comment.updated":
+      case "comment.deleted":
+        if (detail?.id === data.todo) setThreadRefresh((n) => n + 1);
+        break;
+      case "comment.mentioned":
+        setToast({
+          message: `${people[data.actor]?.name || "Someone"} mentioned you on "${data.todo.title}"`,
+          openTodo: data.todo.id,
+        });
+        break;
+      case "lists.changed":
+        loadLists();
+        break;
+      case "todos.changed":
+      case "reset":
+        if (onList) loadTodos();
+        else if (!inTrash) setViewRefresh((n) => n + 1);
+        loadLists();
+        loadTags();
+        break;
+      default:
+        break;
+    }
+  };
+
+  // The stream is opened once; events go to the latest handler so they are
+  // applied against the current filters and page.
+  const eventHandlerRef = useRef(handleServerEvent);
+  useEffect(() => {
+    eventHandlerRef.current = handleServerEvent;
+  });
+
+  useEffect(() => {
+    const close = connectEvents({
+      onEvent: (type, data) => eventHandlerRef.current(type, data),
+      onStatus: (status) => {
+        setLiveStatus(status);
+        if (status === "live") setOnline(true);
+      },
+    });
+    return () => {
+      close();
+      clearTimeout(countsTimerRef.current);
+    };
+  }, []);
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // Offline Sync
+  // ─────────────────────────────────────────────────────────────────────────
+  const refreshQueued = useCallback(() => {
+    offline.pendingCount().then(setQueuedCount).catch(() => {});
+  }, [offline]);
+
+  /**
+   * Replays changes queued while offline, then reloads so the list shows the
+   * server's versions. Conflicts (a field changed both here and elsewhere
+   * keeps the server's value) and rejected changes are reported in the banner.
+   */
+  const syncingRef = useRef(false);
+  const syncOutbox = useCallback(async () => {
+    if (syncingRef.current) return;
+    const queued = await offline.pendingCount().catch(() => 0);
+    if (!queued) return;
+
+    syncingRef.current = true;
+    setSyncing(true);
+    try {
+      const { synced, conflicts, failures, interrupted } = await offline.sync();
+      if (interrupted) setOnline(false);
+
+      const problems = [
+        ...conflicts.map((c) => `"${c.title}": ${c.field} was also changed elsewhere – kept the other change`),
+        ...failures.map((f) => `${f.title ? `"${f.title}"` : "A change"} could not be synced: ${f.message}`),
+      ];
+      if (problems.length) setError(problems.join(" · "));
+      if (synced) {
+        loadTodos();
+        loadLists();
+        loadTags();
+      }
+    } catch (err) {
+      setError(err.message || "Failed to sync offline changes.");
+    } finally {
+      syncingRef.current = false;
+      setSyncing(false);
+      refreshQueued();
+    }
+  }, [offline, loadTodos, loadLists, loadTags, refreshQueued]);
+
+  // Follow the browser's connectivity events; requests that fail to reach the
+  // server also flip `online` off.
+  useEffect(() => {
+    const goOnline = () => setOnline(true);
+    const goOffline = () => setOnline(false);
+    window.addEventListener("online", goOnline);
+    window.addEventListener("offline", goOffline);
+    return () => {
+      window.removeEventListener("online", goOnline);
+      window.removeEventListener("offline", goOffline);
+    };
+  }, []);
+
+  // Send queued changes whenever the connection is (back) up.
+  useEffect(() => {
+    refreshQueued();
+    if (online) syncOutbox();
+  }, [online, syncOutbox, refreshQueued]);
+
+  // While offline, keep checking whether the server is reachable again.
+  useEffect(() => {
+    if (online) return;
+    const timer = setInterval(() => {
+      pingServer().then(() => setOnline(true)).catch(() => {});
+    }, RECONNECT_PROBE_MS);
+    return () => clearInterval(timer);
+  }, [online]);
+
+  /**
+   * Sends a todo change, or queues it in the outbox when the server cannot be
+   * reached (or the todo itself only exists locally so far).
+   *
+   * @param {{ type: string, id?: string, data?: object, before?: object }} change
+   * @param {() => Promise} send - The API call for the online case.
+   * @returns {Promise<{ todo: object|null, queued: boolean }>}
+   */
+  const sendOrQueue = async (change, send) => {
+    if (online && !isLocalId(change.id)) {
+      try {
+        const { data } = await send();
+        return { todo: data?.data ?? null, queued: false };
+      } catch (err) {
+        if (!isNetworkError(err)) throw err;
+        setOnline(false);
+      }
+    }
+    const todo = await offline.enqueue(change);
+    refreshQueued();
+    if (online) syncOutbox();
+    return { todo, queued: true };
+  };
+
+  /** Logs out, first warning about changes that have not been synced yet. */
+  const handleLogout = async () => {
+    if (queuedCount && !window.confirm(`${queuedCount} change(s) made offline have not been synced and will be lost. Log out anyway?`)) return;
+    await offline.close().catch(() => {});
+    deleteOfflineData(user.id).catch(() => {});
+    onLogout();
+  };
 
   // ─────────────────────────────────────────────────────────────────────────
   // Filter Handler
   // ─────────────────────────────────────────────────────────────────────────
-  const handleFilterChange = (key, value) => {
+  const handleFilterChange = useCallback((key, value) => {
     setFilters((prev) => ({ ...prev, [key]: value }));
+  }, []);
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // Lists (sidebar)
+  // ─────────────────────────────────────────────────────────────────────────
+  /** Runs a list mutation, then refreshes the sidebar. */
+  const runListAction = async (request, fallbackMessage) => {
+    setError("");
+    try {
+      await request();
+      await loadLists();
+    } catch (err) {
+      setError(err.response?.data?.message || fallbackMessage);
+    }
+  };
+
+  const handleCreateList = async (name) => {
+    setError("");
+    try {
+      const { data } = await createList({ name });
+      await loadLists();
+      setSelectedList(data.data.id);
+    } catch (err) {
+      setError(err.response?.data?.message || "Failed to create list.");
+    }
+  };
+
+  const handleRenameList = (id, name) =>
+    runListAction(() => updateList(id, { name }), "Failed to rename list.");
+
+  const handleArchiveList = (id, archived) =>
+    runListAction(async () => {
+      await updateList(id, { archived });
+      if (archived && selectedList === id && !showArchived) setSelectedList("");
+    }, "Failed to archive list.");
+
+  const handleDeleteList = (id) => {
+    const list = lists.find((l) => l.id === id);
+    if (!window.confirm(`Delete "${list?.name}"? Its todos will move to the Inbox.`)) return;
+    runListAction(async () => {
+      await deleteList(id);
+      if (selectedList === id) setSelectedList("");
+      else loadTodos();
+    }, "Failed to delete list.");
+  };
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // Sharing (lists shared with other users)
+  // ─────────────────────────────────────────────────────────────────────────
+  /**
+   * Runs a change to who a list is shared with, then refreshes the sidebar.
+   * Resolves with the server's error message, or null – the share dialog
+   * shows it.
+   */
+  const runMemberAction = async (request, fallbackMessage) => {
+    try {
+      await request();
+      await loadLists();
+      return null;
+    } catch (err) {
+      return err.response?.data?.message || fallbackMessage;
+    }
+  };
+
+  const handleShareList = (email, role) =>
+    runMemberAction(() => shareList(sharingId, { email, role }), "Failed to share list.");
+
+  const handleChangeRole = (memberId, role) =>
+    runMemberAction(() => updateMember(sharingId, memberId, role), "Failed to change role.");
+
+  const handleRemoveMember = (memberId) =>
+    runMemberAction(async () => {
+      await removeMember(sharingId, memberId);
+      // Leaving the open list leaves nothing to show in it.
+      if (memberId === user.id && selectedList === sharingId) setSelectedList("");
+    }, "Failed to remove member.");
+
+  const closeShareDialog = useCallback(() => setSharingId(null), []);
+
+  // Everyone the user shares a list with, by id – for avatars and mentions.
+  const people = useMemo(() => {
+    const byId = { [user.id]: user };
+    for (const list of lists) {
+      for (const person of peopleOfList(list, user)) byId[person.id] = person;
+    }
+    return byId;
+  }, [lists, user]);
+
+  /** Whether a todo is the user's own (every todo created offline is). */
+  const isMine = (todo) => !todo.owner || String(todo.owner) === user.id;
+
+  /** The user's role on a todo: "owner" for their own, else their role on its list. */
+  const roleOn = (todo) =>
+    isMine(todo) ? "owner" : lists.find((l) => l.id === String(todo.list))?.role || "viewer";
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // Detail pane (assignee and comments)
+  // ─────────────────────────────────────────────────────────────────────────
+  /** Opens a todo in the detail pane – fetched first when it is not on screen. */
+  const openDetail = async (id) => {
+    const shown = todos.find((t) => (t.id || t._id) === id);
+    if (shown) {
+      setDetail(shown);
+      return;
+    }
+    try {
+      const { data } = await fetchTodoById(id);
+      setDetail(data.data);
+    } catch (err) {
+      setError(err.response?.data?.message || "Failed to open todo.");
+    }
+  };
+
+  const closeDetail = useCallback(() => setDetail(null), []);
+
+  const handleAssign = async (assignee) => {
+    const fieldErrors = await handleUpdate(detail.id, { assignee });
+    if (fieldErrors) setError(Object.values(fieldErrors).join(" "));
   };
 
   // ─────────────────────────────────────────────────────────────────────────
@@ -70,11 +738,24 @@ export default function App() {
     setSaving(true);
     setError("");
     try {
-      const { data } = await createTodo(formData);
+      // New todos land in the list currently open in the sidebar – unless a
+      // quick-add line names one, which the server then prefers.
+      const list = selectedList && selectedList !== "inbox" && !inTrash ? selectedList : null;
+      const { todo } = await sendOrQueue(
+        { type: "create", data: { ...formData, list } },
+        () => createTodo({ ...formData, list })
+      );
       // Prepend so the new todo appears at the top without a full refetch.
-      setTodos((prev) => [data.data, ...prev]);
+      setTodos((prev) => [todo, ...prev]);
+      setMatchCount((n) => n + 1);
+      if (todo.tags?.length) loadTags();
+      loadLists();
+      return null;
     } catch (err) {
-      setError(err.response?.data?.message || "Failed to create todo.");
+      // Field errors go back to the form, which shows them beside the inputs.
+      const fieldErrors = fieldErrorsOf(err);
+      if (!fieldErrors) setError(err.response?.data?.message || "Failed to create todo.");
+      return fieldErrors;
     } finally {
       setSaving(false);
     }
@@ -92,7 +773,15 @@ export default function App() {
       )
     );
     try {
-      await updateTodo(id, { status: !original.status });
+      const { todo, queued } = await sendOrQueue(
+        { type: "update", id, data: { status: !original.status }, before: { status: original.status } },
+        () => updateTodo(id, { status: !original.status })
+      );
+      // The server also moves the todo to a done (or open) workflow state.
+      if (todo) setTodos((prev) => prev.map((t) => ((t.id || t._id) === id ? todo : t)));
+      // Completing a recurring todo spawns its next occurrence on the server.
+      if (!queued && !original.status && original.recurrence) loadTodos();
+      loadLists();
     } catch (err) {
       // Rollback on failure.
       setTodos((prev) =>
@@ -105,44 +794,404 @@ export default function App() {
   };
 
   // ─────────────────────────────────────────────────────────────────────────
-  // Update (title / description / priority)
+  // Update (title / description / priority / dates)
   // ─────────────────────────────────────────────────────────────────────────
-  const handleUpdate = async (id, updatedFields) => {
+  /**
+   * `version` is the todo version the edit started from; the server refuses
+   * the update if the todo has changed since, and the conflict dialog opens.
+   */
+  const handleUpdate = async (id, updatedFields, version) => {
     setSaving(true);
     setError("");
+    const original = todos.find((t) => (t.id || t._id) === id);
+    const before = Object.fromEntries(Object.keys(updatedFields).map((field) => [field, original?.[field] ?? null]));
     try {
-      const { data } = await updateTodo(id, updatedFields);
+      const { todo } = await sendOrQueue(
+        { type: "update", id, data: updatedFields, before },
+        () => updateTodo(id, updatedFields, version)
+      );
       setTodos((prev) =>
-        prev.map((t) => ((t.id || t._id) === id ? data.data : t))
+        prev.map((t) => ((t.id || t._id) === id ? todo : t))
       );
+      if (updatedFields.tags) loadTags();
+      // A move can take the todo out of the open list and changes list counts.
+      if (updatedFields.list !== undefined) {
+        loadTodos();
+        loadLists();
+      }
+      return null;
     } catch (err) {
-      setError(err.response?.data?.message || "Failed to update todo.");
+      if (isConflict(err)) {
+        // Editing closes; the dialog takes over.
+        showConflict({ type: "update", mine: updatedFields, theirs: err.response.data.data });
+        return null;
+      }
+      const fieldErrors = fieldErrorsOf(err);
+      if (!fieldErrors) setError(err.response?.data?.message || "Failed to update todo.");
+      return fieldErrors;
     } finally {
       setSaving(false);
     }
   };
 
+  // ─────────────────────────────────────────────────────────────────────────
+  // Conflicts (the todo changed elsewhere – HTTP 412)
+  // ─────────────────────────────────────────────────────────────────────────
+  /**
+   * Shows the server's current copy at once and asks how to reconcile it with
+   * the refused change. An edit that already matches the server's copy needs
+   * no decision.
+   */
+  const showConflict = ({ type, mine, theirs }) => {
+    setTodos((prev) =>
+      prev.map((t) => ((t.id || t._id) === theirs.id ? theirs : t))
+    );
+    if (type === "update" && conflictingFields(mine, theirs).length === 0) return;
+    setConflict({ type, mine, theirs });
+  };
+
+  /** Applies the dialog's choice on top of the server's copy. */
+  const resolveConflict = (fields) => {
+    const { type, theirs } = conflict;
+    setConflict(null);
+    if (type === "delete") handleDelete(theirs.id, theirs.version);
+    else if (Object.keys(fields).length) handleUpdate(theirs.id, fields, theirs.version);
+  };
+
+  const dismissConflict = useCallback(() => setConflict(null), []);
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // Revert (history panel)
+  // ─────────────────────────────────────────────────────────────────────────
+  const handleRevert = async (id, revision) => {
+    if (!window.confirm(`Revert this todo to revision ${revision}?`)) return;
+    setError("");
+    try {
+      const { data } = await revertTodo(id, revision);
+      setTodos((prev) =>
+        prev.map((t) => ((t.id || t._id) === id ? data.data : t))
+      );
+      loadTags();
+      loadLists();
+    } catch (err) {
+      setError(err.response?.data?.message || "Failed to revert todo.");
+    }
+  };
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // Checklist (sub-tasks)
+  // ─────────────────────────────────────────────────────────────────────────
+  /**
+   * Runs a checklist request and swaps in the updated parent todo it returns.
+   * If auto-complete just finished a recurring todo, refetch so the spawned
+   * next occurrence shows up.
+   */
+  const applyChecklistChange = async (id, request, fallbackMessage) => {
+    setError("");
+    const before = todos.find((t) => (t.id || t._id) === id);
+    try {
+      const { data } = await request();
+      setTodos((prev) =>
+        prev.map((t) => ((t.id || t._id) === id ? data.data : t))
+      );
+      if (data.data.status && !before?.status && data.data.recurrence) loadTodos();
+    } catch (err) {
+      setError(err.response?.data?.message || fallbackMessage);
+    }
+  };
+
+  const checklistActions = {
+    add: (id, text) =>
+      applyChecklistChange(id, () => addChecklistItem(id, { text }), "Failed to add checklist item."),
+    update: (id, itemId, fields) =>
+      applyChecklistChange(id, () => updateChecklistItem(id, itemId, fields), "Failed to update checklist item."),
+    remove: (id, itemId) =>
+      applyChecklistChange(id, () => deleteChecklistItem(id, itemId), "Failed to delete checklist item."),
+    reorder: (id, order) =>
+      applyChecklistChange(id, () => reorderChecklist(id, order), "Failed to reorder checklist."),
+  };
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // Manual order (drag and drop, or the arrow keys on a todo's handle)
+  // ─────────────────────────────────────────────────────────────────────────
+  // Offered while sorting by "Manual order" – but not while searching, when
+  // results are ranked by relevance instead.
+  const manualOrder = filters.sort === "manual" && !queryParams.q;
+
+  /**
+   * Moves a todo to `index` in the loaded list straight away, then tells the
+   * server which todos it now sits between. Only the moved todo changes there,
+   * so the rest of the list stays as it is.
+   */
+  const handleMove = async (id, index) => {
+    const from = todos.findIndex((t) => (t.id || t._id) === id);
+    if (from === -1 || index < 0 || index >= todos.length || index === from) return;
+
+    const backup = todos;
+    const next = moveItem(todos, from, index);
+    setTodos(next);
+    setAnnouncement(`"${next[index].title}" moved to position ${index + 1} of ${next.length}`);
+
+    // Todos created offline are not on the server yet – skip past them.
+    const { above, below } = neighboursOf(next, index, (t) => !isLocalId(t.id || t._id));
+    try {
+      const { data } = await moveTodo(id, {
+        after: above && (above.id || above._id),
+        before: below && (below.id || below._id),
+      });
+      setTodos((prev) => prev.map((t) => ((t.id || t._id) === id ? data.data : t)));
+      offline.putTodo(data.data).catch(() => {});
+    } catch (err) {
+      setTodos(backup);
+      if (isNetworkError(err)) {
+        setOnline(false);
+        setError("Reordering needs a connection to the server.");
+        return;
+      }
+      setError(err.response?.data?.message || "Failed to move todo.");
+    }
+  };
+
+  /** Props for one todo's drag handle (see TodoItem). */
+  const dragHandleFor = (todo, index) => {
+    const id = todo.id || todo._id;
+    return {
+      draggable: true,
+      onDragStart: (e) => {
+        e.dataTransfer.effectAllowed = "move";
+        e.dataTransfer.setData("text/plain", id);
+        // Drag the whole card, not just the handle.
+        const card = e.currentTarget.closest("li");
+        if (card) e.dataTransfer.setDragImage(card, 24, 24);
+        setDragging({ id });
+      },
+      onDragEnd: () => setDragging(null),
+      onKeyDown: (e) => {
+        const target = {
+          ArrowUp: index - 1,
+          ArrowDown: index + 1,
+          Home: 0,
+          End: todos.length - 1,
+        }[e.key];
+        if (target === undefined) return;
+        e.preventDefault();
+        // The handle's element survives the re-render; keep it focused so
+        // the todo can be moved again straight away.
+        const handle = e.currentTarget;
+        handleMove(id, target);
+        requestAnimationFrame(() => handle.focus());
+      },
+    };
+  };
+
+  /** Drop-target handlers for the list row at `index`. */
+  const dropTargetFor = (todo, index) => {
+    const id = todo.id || todo._id;
+    // Upper half of the row → drop above it, lower half → below.
+    const edgeOf = (e) => {
+      const { top, height } = e.currentTarget.getBoundingClientRect();
+      return e.clientY < top + height / 2 ? "before" : "after";
+    };
+    return {
+      onDragOver: (e) => {
+        if (!dragging || dragging.id === id) return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = "move";
+        const edge = edgeOf(e);
+        if (dragging.overId !== id || dragging.edge !== edge) setDragging({ ...dragging, overId: id, edge });
+      },
+      onDrop: (e) => {
+        if (!dragging || dragging.id === id) return;
+        e.preventDefault();
+        const from = todos.findIndex((t) => (t.id || t._id) === dragging.id);
+        if (from !== -1) handleMove(dragging.id, dropIndex(from, index, edgeOf(e)));
+        setDragging(null);
+      },
+    };
+  };
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // Board and calendar moves (a new state, or a new due date)
+  // ─────────────────────────────────────────────────────────────────────────
+  /**
+   * Saves fields changed by a move on the board or the calendar, pinned to the
+   * version that view showed. Resolves with the updated todo, or null if the
+   * change was refused – the view then reloads, and a conflict opens the
+   * dialog.
+   */
+  const saveMove = async (todo, fields, fallbackMessage) => {
+    setError("");
+    const id = todo.id || todo._id;
+    const before = Object.fromEntries(Object.keys(fields).map((field) => [field, todo[field] ?? null]));
+    try {
+      const { todo: updated } = await sendOrQueue(
+        { type: "update", id, data: fields, before },
+        () => updateTodo(id, fields, todo.version)
+      );
+      loadLists();
+      return updated;
+    } catch (err) {
+      if (isConflict(err)) {
+        showConflict({ type: "update", mine: fields, theirs: err.response.data.data });
+        return null;
+      }
+      setError(err.response?.data?.message || fallbackMessage);
+      return null;
+    }
+  };
+
+  const handleStateChange = (todo, state) => saveMove(todo, { state }, "Failed to move todo.");
+
+  /** Moves a todo to a new due date; a reminder keeps its lead time. */
+  const handleReschedule = (todo, dueAt) => {
+    const fields = { dueAt };
+    if (todo.remindAt && todo.dueAt) {
+      const shift = new Date(dueAt).getTime() - new Date(todo.dueAt).getTime();
+      fields.remindAt = new Date(new Date(todo.remindAt).getTime() + shift).toISOString();
+    }
+    return saveMove(todo, fields, "Failed to reschedule todo.");
+  };
+
   // ─────────────────────────────────────────────────────────────────────────
   // Delete
   // ─────────────────────────────────────────────────────────────────────────
-  const handleDelete = async (id) => {
+  /**
+   * Trashes a todo as the user last saw it (`version` defaults to the copy on
+   * screen) – if it was changed elsewhere in the meantime, the conflict dialog
+   * asks first.
+   */
+  const handleDelete = async (id, version = todos.find((t) => (t.id || t._id) === id)?.version) => {
     // Optimistic removal for snappy UX.
     const backup = todos;
     setTodos((prev) => prev.filter((t) => (t.id || t._id) !== id));
+    setMatchCount((n) => Math.max(0, n - 1));
     try {
-      await deleteTodo(id);
+      const { queued } = await sendOrQueue({ type: "delete", id }, () => deleteTodo(id, version));
+      if (backup.find((t) => (t.id || t._id) === id)?.tags?.length) loadTags();
+      loadLists();
+      setToast(
+        queued
+          ? { message: "Todo deleted – the change will sync when you are back online" }
+          : { message: "Todo moved to Trash", undo: () => handleRestore([id]) }
+      );
     } catch (err) {
       setTodos(backup);
+      setMatchCount((n) => n + 1);
+      if (isConflict(err)) {
+        showConflict({ type: "delete", theirs: err.response.data.data });
+        return;
+      }
       setError(err.response?.data?.message || "Failed to delete todo.");
     }
   };
 
   // ─────────────────────────────────────────────────────────────────────────
-  // Derived stats for the summary strip
+  // Restore (Undo toast / Trash view)
+  // ─────────────────────────────────────────────────────────────────────────
+  /** Reloads everything a restored todo shows up in. */
+  const refreshAfterRestore = () => {
+    if (!inTrash) loadTodos();
+    loadLists();
+    loadTags();
+  };
+
+  /** Takes todos back out of the trash (the toast's Undo). */
+  const handleRestore = async (ids) => {
+    setError("");
+    try {
+      await Promise.all(ids.map((id) => restoreTodo(id)));
+    } catch (err) {
+      setError(err.response?.data?.message || "Failed to restore todo.");
+    }
+    refreshAfterRestore();
+  };
+
+  const dismissToast = useCallback(() => setToast(null), []);
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // Import
+  // ─────────────────────────────────────────────────────────────────────────
+  const handleImported = (count) => {
+    setToast({ message: `${count} todo(s) imported` });
+    loadTodos();
+    loadLists();
+    loadTags();
+  };
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // Bulk actions
   // ─────────────────────────────────────────────────────────────────────────
-  const totalCount = todos.length;
-  const completedCount = todos.filter((t) => t.status).length;
-  const pendingCount = totalCount - completedCount;
+  const toggleSelected = (id) =>
+    setSelectedIds((prev) => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+
+  const selectAllLoaded = () => setSelectedIds(new Set(todos.map((t) => t.id || t._id)));
+
+  /**
+   * Sends bulk operations, reports any per-todo failures, then reloads
+   * everything they may have touched.
+   */
+  const runBulk = async (operations) => {
+    setSaving(true);
+    setError("");
+    try {
+      const { data } = await bulkTodos(operations);
+      const { results, summary } = data.data;
+      if (summary.failed) {
+        const firstFailure = results.find((r) => !r.success);
+        setError(`${summary.failed} of ${results.length} failed: ${firstFailure.message}`);
+      }
+      const trashed = results
+        .filter((r) => r.action === "delete" && r.success)
+        .map((r) => r.id);
+      if (trashed.length) {
+        setToast({
+          message: `${trashed.length} todo(s) moved to Trash`,
+          undo: () => handleRestore(trashed),
+        });
+      }
+      setSelectedIds(new Set());
+      loadTodos();
+      loadLists();
+      loadTags();
+    } catch (err) {
+      setError(err.response?.data?.message || "Bulk action failed.");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleBulkAction = (action, fields) => {
+    const ids = [...selectedIds];
+    if (action === "delete" && !window.confirm(`Move ${ids.length} todo(s) to the Trash?`)) return;
+    runBulk([{ action, ids, ...(fields && { fields }) }]);
+  };
+
+  // List-wide shortcuts apply to the list open in the sidebar (or every todo).
+  const listScope = selectedList ? { list: selectedList } : {};
+
+  const handleCompleteAll = () =>
+    runBulk([{ action: "complete", filter: { ...listScope, status: false } }]);
+
+  const handleClearCompleted = () => {
+    if (!window.confirm("Move every completed todo in this view to the Trash?")) return;
+    runBulk([{ action: "delete", filter: { ...listScope, status: true } }]);
+  };
+
+  // The pane follows the copy on screen, which events keep current.
+  const detailTodo = detail && (todos.find((t) => (t.id || t._id) === detail.id) || detail);
+  const sharing = sharingId && lists.find((l) => l.id === sharingId);
+
+  // How many todos the filter bar reports for the view on screen.
+  const shownCount = onBoard
+    ? Object.values(boardCounts).reduce((sum, n) => sum + n, 0)
+    : onCalendar ? calendarCount
+      : onDashboard ? totals?.total ?? 0
+        : matchCount;
 
   // ─────────────────────────────────────────────────────────────────────────
   // Render
@@ -155,24 +1204,50 @@ export default function App() {
           <h1 className="app-title">📝 TodoFlow</h1>
           <p className="app-subtitle">Stay organised, stay productive</p>
         </div>
+        <div className="user-menu">
+          <ConnectionStatus
+            online={online}
+            syncing={syncing}
+            pending={queuedCount}
+            liveStatus={liveStatus}
+          />
+          <span className="user-name">👤 {user.name}</span>
+          <button className="btn btn-cancel" onClick={handleLogout}>Log out</button>
+        </div>
       </header>
 
       <main className="app-main">
         {/* ── Stats Strip ── */}
-        <div className="stats-strip">
-          <div className="stat-card">
-            <span className="stat-number">{totalCount}</span>
-            <span className="stat-label">Total</span>
-          </div>
-          <div className="stat-card pending">
-            <span className="stat-number">{pendingCount}</span>
-            <span className="stat-label">Pending</span>
+        {/* On the board: one card per column, counting what the board shows. */}
+        {onBoard ? (
+          <div className="stats-strip">
+            {workflow.map((s) => (
+              <div key={s.key} className={`stat-card ${s.done ? "done" : "state"}`}>
+                <span className="stat-number">{boardCounts[s.key] ?? 0}</span>
+                <span className="stat-label">{s.name}</span>
+              </div>
+            ))}
           </div>
-          <div className="stat-card done">
-            <span className="stat-number">{completedCount}</span>
-            <span className="stat-label">Done</span>
+        ) : (
+          <div className="stats-strip">
+            <div className="stat-card">
+              <span className="stat-number">{totals?.total ?? "–"}</span>
+              <span className="stat-label">Total</span>
+            </div>
+            <div className="stat-card pending">
+              <span className="stat-number">{totals?.pending ?? "–"}</span>
+              <span className="stat-label">Pending</span>
+            </div>
+            <div className="stat-card done">
+              <span className="stat-number">{totals?.completed ?? "–"}</span>
+              <span className="stat-label">Done</span>
+            </div>
+            <div className="stat-card overdue">
+              <span className="stat-number">{totals?.overdue ?? "–"}</span>
+              <span className="stat-label">Overdue</span>
+            </div>
           </div>
-        </div>
+        )}
 
         {/* ── Error Banner ── */}
         {error && (
@@ -182,50 +1257,236 @@ export default function App() {
           </div>
         )}
 
-        {/* ── Two-column layout: form | list ── */}
-        <div className="layout">
+        {/* ── Three-column layout: lists | form | todos ── */}
+        <div className="layout with-sidebar">
+          {/* Far left – Lists sidebar */}
+          <aside className="panel panel-lists">
+            <ListSidebar
+              lists={lists}
+              userId={user.id}
+              inboxCounts={inboxCounts}
+              selected={selectedList}
+              onSelect={setSelectedList}
+              onCreate={handleCreateList}
+              onRename={handleRenameList}
+              onArchive={handleArchiveList}
+              onDelete={handleDeleteList}
+              onShare={setSharingId}
+              showArchived={showArchived}
+              onToggleArchived={() => setShowArchived((v) => !v)}
+            />
+          </aside>
+
           {/* Left – Create form */}
           <aside className="panel panel-form">
-            <TodoForm onAdd={handleAdd} loading={saving} />
+            <QuickAdd onAdd={handleAdd} loading={saving} />
+            <TodoForm onAdd={handleAdd} loading={saving} tags={tags} />
           </aside>
 
           {/* Right – Filter + todo list */}
           <section className="panel panel-list">
-            <FilterBar
-              filters={filters}
-              onChange={handleFilterChange}
-              total={totalCount}
-            />
-
-            {loading ? (
-              <div className="loading-state">
-                <div className="spinner" />
-                <p>Loading todos…</p>
-              </div>
-            ) : todos.length === 0 ? (
-              <div className="empty-state">
-                <p className="empty-emoji">🎉</p>
-                <p className="empty-text">No todos here!</p>
-                <p className="empty-hint">Add your first one using the form.</p>
-              </div>
+            {inTrash ? (
+              <TrashView onRestored={refreshAfterRestore} onError={setError} />
             ) : (
-              <ul className="todo-list" aria-label="Todo list">
-                {todos.map((todo) => (
-                  <li key={todo.id || todo._id}>
-                    <TodoItem
-                      todo={todo}
-                      onToggle={handleToggle}
-                      onUpdate={handleUpdate}
-                      onDelete={handleDelete}
+              <>
+                <div className="view-toggle" role="group" aria-label="View">
+                  <button
+                    type="button"
+                    className={`btn btn-cancel ${view === "list" ? "active" : ""}`}
+                    aria-pressed={view === "list"}
+                    onClick={() => setView("list")}
+                  >
+                    ☰ List
+                  </button>
+                  <button
+                    type="button"
+                    className={`btn btn-cancel ${view === "board" ? "active" : ""}`}
+                    aria-pressed={view === "board"}
+                    onClick={() => setView("board")}
+                    disabled={workflow.length === 0}
+                    title={workflow.length === 0 ? "The board needs the workflow from the server" : undefined}
+                  >
+                    ▦ Board
+                  </button>
+                  <button
+                    type="button"
+                    className={`btn btn-cancel ${view === "calendar" ? "active" : ""}`}
+                    aria-pressed={view === "calendar"}
+                    onClick={() => setView("calendar")}
+                  >
+                    📅 Calendar
+                  </button>
+                  <button
+                    type="button"
+                    className={`btn btn-cancel ${view === "dashboard" ? "active" : ""}`}
+                    aria-pressed={view === "dashboard"}
+                    onClick={() => setView("dashboard")}
+                  >
+                    📊 Dashboard
+                  </button>
+                </div>
+
+                <ImportExport
+                  params={queryParams}
+                  onImported={handleImported}
+                  onError={setError}
+                />
+
+                <FilterBar
+                  filters={filters}
+                  onChange={handleFilterChange}
+                  total={shownCount}
+                  tags={tags}
+                  states={onBoard ? [] : workflow}
+                />
+
+                {onBoard ? (
+                  <KanbanBoard
+                    states={workflow}
+                    params={boardParams}
+                    refreshKey={viewRefresh}
+                    tags={tags}
+                    onMove={handleStateChange}
+                    onCounts={setBoardCounts}
+                    onError={setError}
+                  />
+                ) : onDashboard ? (
+                  <StatsDashboard
+                    params={scopeParams}
+                    states={workflow}
+                    refreshKey={viewRefresh}
+                    onError={setError}
+                  />
+                ) : onCalendar ? (
+                  <CalendarView
+                    params={scopeParams}
+                    refreshKey={viewRefresh}
+                    onReschedule={handleReschedule}
+                    onCount={setCalendarCount}
+                    onError={setError}
+                  />
+                ) : (
+                  <>
+                    <BulkBar
+                      selectedCount={selectedIds.size}
+                      loadedCount={todos.length}
+                      onSelectAll={selectAllLoaded}
+                      onClearSelection={() => setSelectedIds(new Set())}
+                      onAction={handleBulkAction}
+                      onCompleteAll={handleCompleteAll}
+                      onClearCompleted={handleClearCompleted}
+                      busy={saving}
                     />
-                  </li>
-                ))}
-              </ul>
+
+                    {loading ? (
+                      <div className="loading-state">
+                        <div className="spinner" />
+                        <p>Loading todos…</p>
+                      </div>
+                    ) : todos.length === 0 ? (
+                      <div className="empty-state">
+                        <p className="empty-emoji">🎉</p>
+                        <p className="empty-text">No todos here!</p>
+                        <p className="empty-hint">Add your first one using the form.</p>
+                      </div>
+                    ) : (
+                      <ul className="todo-list" aria-label="Todo list">
+                        {todos.map((todo, index) => {
+                          const id = todo.id || todo._id;
+                          const readOnly = roleOn(todo) === "viewer";
+                          const dragClass = dragging?.id === id
+                            ? "dragging"
+                            : dragging?.overId === id ? `drop-${dragging.edge}` : "";
+                          return (
+                            <li
+                              key={id}
+                              className={dragClass || undefined}
+                              {...(manualOrder && dropTargetFor(todo, index))}
+                            >
+                              <TodoItem
+                                todo={todo}
+                                onToggle={handleToggle}
+                                onUpdate={handleUpdate}
+                                onDelete={handleDelete}
+                                checklistActions={checklistActions}
+                                tags={tags}
+                                lists={lists}
+                                states={workflow}
+                                selected={selectedIds.has(id)}
+                                onSelect={toggleSelected}
+                                onRevert={readOnly ? undefined : handleRevert}
+                                dragHandle={manualOrder && !isLocalId(id) && !readOnly ? dragHandleFor(todo, index) : undefined}
+                                people={people}
+                                readOnly={readOnly}
+                                onOpen={isLocalId(id) ? undefined : openDetail}
+                              />
+                            </li>
+                          );
+                        })}
+                      </ul>
+                    )}
+
+                    {/* Announces keyboard moves to screen readers. */}
+                    <p className="sr-only" aria-live="polite">{announcement}</p>
+
+                    {!loading && (
+                      <InfiniteScroll
+                        hasMore={Boolean(nextCursor)}
+                        loading={loadingMore}
+                        onLoadMore={loadMore}
+                      />
+                    )}
+                  </>
+                )}
+              </>
             )}
           </section>
         </div>
       </main>
 
+      {toast && (
+        <Toast
+          message={toast.message}
+          actionLabel={toast.undo ? "Undo" : toast.openTodo && "View"}
+          onAction={toast.undo || (toast.openTodo && (() => openDetail(toast.openTodo)))}
+          onDismiss={dismissToast}
+        />
+      )}
+
+      {detailTodo && (
+        <TodoDetail
+          todo={detailTodo}
+          people={peopleOfList(lists.find((l) => l.id === String(detailTodo.list)), user)}
+          user={user}
+          role={roleOn(detailTodo)}
+          refreshKey={threadRefresh}
+          onAssign={handleAssign}
+          onClose={closeDetail}
+          onError={setError}
+        />
+      )}
+
+      {sharing && (
+        <ShareDialog
+          list={sharing}
+          user={user}
+          onShare={handleShareList}
+          onChangeRole={handleChangeRole}
+          onRemove={handleRemoveMember}
+          onClose={closeShareDialog}
+        />
+      )}
+
+      {conflict && (
+        <ConflictDialog
+          conflict={conflict}
+          lists={lists}
+          states={workflow}
+          onResolve={resolveConflict}
+          onCancel={dismissConflict}
+        />
+      )}
+
       <footer className="app-footer">
         <p>Built with React + Express + MongoDB</p>
       </footer>
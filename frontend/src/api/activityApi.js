@@ -0,0 +1,14 @@
+import api from "./client";
+
+// ─────────────────────────────────────────────────────────────────────────────
+// API Functions
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** One todo's history, newest revision first ({ limit?, cursor? }). */
+export const fetchTodoHistory = (id, params = {}) => api.get(`/todos/${id}/history`, { params });
+
+/** Restore a todo to a previous revision; resolves with the updated todo. */
+export const revertTodo = (id, revision) => api.post(`/todos/${id}/revert`, { revision });
+
+/** Activity across all todos ({ action?, todo?, list?, since?, until?, limit?, cursor? }). */
+export const fetchActivity = (params = {}) => api.get("/activity", { params });
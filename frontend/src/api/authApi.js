@@ -0,0 +1,17 @@
+import api from "./client";
+
+// ─────────────────────────────────────────────────────────────────────────────
+// API Functions
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** Create an account. Resolves with { user, accessToken, refreshToken }. */
+export const register = (data) => api.post("/auth/register", data);
+
+/** Sign in with { email, password }. Resolves with { user, accessToken, refreshToken }. */
+export const login = (data) => api.post("/auth/login", data);
+
+/** Revoke the given refresh token on the server. */
+export const logout = (refreshToken) => api.post("/auth/logout", { refreshToken });
+
+/** Fetch the user attached to the current access token. */
+export const fetchMe = () => api.get("/auth/me");
@@ -0,0 +1,149 @@
+import axios from "axios";
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Axios Instance
+// ─────────────────────────────────────────────────────────────────────────────
+// Centralise the base URL so every API call automatically targets the backend.
+// In production, Vite replaces import.meta.env.VITE_API_URL at build time.
+const api = axios.create({
+    baseURL: import.meta.env.VITE_API_URL || "http://localhost:5000/api",
+    headers: { "Content-Type": "application/json" },
+    timeout: 10000, // Fail fast after 10 s of no response
+});
+
+// Identifies this browser tab. Sent with every request so real-time events
+// caused by this tab's own requests can be recognised (and skipped) – see
+// api/events.js.
+export const CLIENT_ID =
+    globalThis.crypto?.randomUUID?.() || `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Session Storage
+// ─────────────────────────────────────────────────────────────────────────────
+// The session ({ user, accessToken, refreshToken }) is persisted in
+// localStorage so a page reload keeps the user signed in.
+const SESSION_KEY = "todoflow.session";
+
+/** Returns the stored session, or null when signed out. */
+export const getSession = () => {
+    try {
+        return JSON.parse(localStorage.getItem(SESSION_KEY)) || null;
+    } catch {
+        return null;
+    }
+};
+
+/** Persists a session returned by login / register / refresh. */
+export const setSession = (session) => {
+    localStorage.setItem(SESSION_KEY, JSON.stringify(session));
+};
+
+/** Forgets the current session. */
+export const clearSession = () => {
+    localStorage.removeItem(SESSION_KEY);
+};
+
+// Called when the session can no longer be refreshed, so the UI can return to
+// the login screen. Registered by AuthGate.
+let onSessionExpired = () => {};
+
+/** Registers the callback fired when a token refresh fails. */
+export const setSessionExpiredHandler = (handler) => {
+    onSessionExpired = handler;
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Interceptors
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** Attach the access token (and this tab's id) to every outgoing request. */
+api.interceptors.request.use((config) => {
+    config.headers["X-Client-Id"] = CLIENT_ID;
+    const session = getSession();
+    if (session?.accessToken) {
+        config.headers.Authorization = `Bearer ${session.accessToken}`;
+    }
+    return config;
+});
+
+// Endpoints whose 401 means "wrong credentials", not "expired access token".
+const NO_REFRESH_URLS = ["/auth/login", "/auth/register", "/auth/refresh", "/auth/logout"];
+
+// Shared in-flight refresh so a burst of parallel 401s triggers ONE refresh
+// call instead of racing each other (refresh tokens are single-use).
+let refreshPromise = null;
+
+/**
+ * Exchanges the refresh token for a new session (one request at a time).
+ *
+ * Other tabs share the stored session and may spend the same refresh token
+ * first. When the refresh is refused but the stored session has moved on to
+ * a new refresh token meanwhile, that session is used instead.
+ */
+export const refreshSession = () => {
+    if (!refreshPromise) {
+        const sent = getSession()?.refreshToken;
+        refreshPromise = axios
+            .post(`${api.defaults.baseURL}/auth/refresh`, { refreshToken: sent })
+            .then(({ data }) => {
+                setSession(data.data);
+                return data.data;
+            })
+            .catch((err) => {
+                const stored = getSession();
+                if (stored?.refreshToken && stored.refreshToken !== sent) return stored;
+                throw err;
+            })
+            .finally(() => {
+                refreshPromise = null;
+            });
+    }
+    return refreshPromise;
+};
+
+/** Signs the user out of every tab and returns to the login screen. */
+const expireSession = () => {
+    clearSession();
+    onSessionExpired();
+};
+
+/**
+ * On a 401, refresh the session once and replay the original request.
+ * Credential endpoints are excluded so a bad login is reported as-is.
+ * The session is only dropped when no fresh one can be had, or when the
+ * replay is refused even with the fresh one.
+ */
+api.interceptors.response.use(
+    (res) => res,
+    async (error) => {
+        const original = error.config;
+        const status = error.response?.status;
+
+        if (status === 401 && original?._retried) {
+            expireSession();
+            return Promise.reject(error);
+        }
+
+        if (
+            status !== 401 ||
+            !original ||
+            NO_REFRESH_URLS.includes(original.url) ||
+            !getSession()?.refreshToken
+        ) {
+            return Promise.reject(error);
+        }
+
+        original._retried = true;
+        let session;
+        try {
+            session = await refreshSession();
+        } catch (refreshError) {
+            expireSession();
+            return Promise.reject(refreshError);
+        }
+        original.headers.Authorization = `Bearer ${session.accessToken}`;
+        return api(original);
+    }
+);
+
+export default api;
@@ -0,0 +1,18 @@
+import api from "./client";
+
+// ─────────────────────────────────────────────────────────────────────────────
+// API Functions
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** A todo's comment thread, oldest first. */
+export const fetchComments = (todoId) => api.get(`/todos/${todoId}/comments`);
+
+/** Comment on a todo; "@ada" in `body` mentions the person whose email starts "ada@". */
+export const addComment = (todoId, body) => api.post(`/todos/${todoId}/comments`, { body });
+
+/** Replace the text of one of the user's comments. */
+export const updateComment = (todoId, commentId, body) =>
+    api.patch(`/todos/${todoId}/comments/${commentId}`, { body });
+
+/** Remove a comment. */
+export const deleteComment = (todoId, commentId) => api.delete(`/todos/${todoId}/comments/${commentId}`);
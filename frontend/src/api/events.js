@@ -0,0 +1,131 @@
+import api, { getSession, refreshSession, CLIENT_ID } from "./client";
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Real-time Events  (GET /api/events, Server-Sent Events)
+// ─────────────────────────────────────────────────────────────────────────────
+// Read with fetch rather than EventSource, because EventSource cannot send the
+// Authorization header. Reconnects on its own, resuming from the last event id
+// so nothing is missed across a dropped connection or a token refresh.
+
+const MAX_BACKOFF_MS = 30000;
+
+/**
+ * Splits an SSE text buffer into complete events.
+ *
+ * @returns {{ events: { id?: string, type: string, data: string, retry?: number }[], rest: string }}
+ */
+const parseChunk = (buffer) => {
+    const blocks = buffer.split(/\r?\n\r?\n/);
+    const rest = blocks.pop();
+    const events = [];
+
+    for (const block of blocks) {
+        const event = { type: "message", data: "" };
+        for (const line of block.split(/\r?\n/)) {
+            if (!line || line.startsWith(":")) continue;
+            const colon = line.indexOf(":");
+            const field = colon === -1 ? line : line.slice(0, colon);
+            const value = colon === -1 ? "" : line.slice(colon + 1).replace(/^ /, "");
+            if (field === "event") event.type = value;
+            else if (field === "data") event.data += (event.data ? "\n" : "") + value;
+            else if (field === "id") event.id = value;
+            else if (field === "retry") event.retry = Number(value);
+        }
+        events.push(event);
+    }
+
+    return { events, rest };
+};
+
+/**
+ * Opens the event stream and keeps it open until `close()` is called.
+ *
+ * @param {object} handlers
+ * @param {(type: string, data: object) => void} handlers.onEvent
+ *        Called for every event except those caused by this tab's own requests.
+ * @param {(status: "connecting" | "live" | "reconnecting") => void} [handlers.onStatus]
+ * @returns {() => void} close
+ */
+export const connectEvents = ({ onEvent, onStatus = () => {} }) => {
+    const controller = new AbortController();
+    let lastEventId = null;
+    let retryMs = 3000;
+    let failures = 0;
+    let timer = null;
+
+    const scheduleReconnect = () => {
+        if (controller.signal.aborted) return;
+        onStatus("reconnecting");
+        const delay = Math.min(retryMs * 2 ** failures, MAX_BACKOFF_MS);
+        failures += 1;
+        timer = setTimeout(open, delay);
+    };
+
+    const open = async () => {
+        onStatus(lastEventId ? "reconnecting" : "connecting");
+        try {
+            const headers = { "X-Client-Id": CLIENT_ID };
+            const token = getSession()?.accessToken;
+            if (token) headers.Authorization = `Bearer ${token}`;
+            if (lastEventId) headers["Last-Event-ID"] = lastEventId;
+
+            const res = await fetch(`${api.defaults.baseURL}/events`, {
+                headers,
+                signal: controller.signal,
+            });
+
+            if (res.status === 401) {
+                // Expired access token: refresh and retry right away. If the
+                // refresh itself fails the session is gone – stop here; the
+                // next API call will send the user back to the login screen.
+                try {
+                    await refreshSession();
+                } catch {
+                    return;
+                }
+                timer = setTimeout(open, 0);
+                return;
+            }
+            if (!res.ok || !res.body) throw new Error(`Event stream failed (${res.status})`);
+
+            const reader = res.body.getReader();
+            const decoder = new TextDecoder();
+            let buffer = "";
+
+            for (;;) {
+                const { value, done } = await reader.read();
+                if (done) break;
+                buffer += decoder.decode(value, { stream: true });
+
+                const { events, rest } = parseChunk(buffer);
+                buffer = rest;
+                for (const event of events) {
+                    if (event.retry) retryMs = event.retry;
+                    if (event.id) lastEventId = event.id;
+                    if (!event.data) continue;
+
+                    const data = JSON.parse(event.data);
+                    if (event.type === "ready") {
+                        failures = 0;
+                        onStatus("live");
+                        continue;
+                    }
+                    if (data.origin && data.origin === CLIENT_ID) continue;
+                    onEvent(event.type, data);
+                }
+            }
+            // The server ended the stream (e.g. token expiry) – pick it back up.
+            scheduleReconnect();
+        } catch (error) {
+            if (error.name === "AbortError") return;
+            scheduleReconnect();
+        }
+    };
+
+    open();
+
+    return () => {
+        clearTimeout(timer);
+        controller.abort();
+    };
+};
@@ -0,0 +1,27 @@
+import api from "./client";
+
+// ─────────────────────────────────────────────────────────────────────────────
+// API Functions
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** Fetch lists with counts: { lists, inbox }. Pass { archived: true } to include archived. */
+export const fetchLists = (params = {}) => api.get("/lists", { params });
+
+/** Create a list ({ name, color? }). */
+export const createList = (data) => api.post("/lists", data);
+
+/** Rename, recolour or (un)archive a list. */
+export const updateList = (id, data) => api.patch(`/lists/${id}`, data);
+
+/** Delete a list; its todos move to the Inbox unless `deleteTodos` is true. */
+export const deleteList = (id, deleteTodos = false) =>
+    api.delete(`/lists/${id}`, { params: deleteTodos ? { deleteTodos: true } : {} });
+
+/** Share a list with another user ({ email, role? }); resolves with the updated list. */
+export const shareList = (id, data) => api.post(`/lists/${id}/members`, data);
+
+/** Change a member's role ("viewer", "editor" or "owner"). */
+export const updateMember = (id, userId, role) => api.patch(`/lists/${id}/members/${userId}`, { role });
+
+/** Take a member off a list – or, with the caller's own id, leave it. */
+export const removeMember = (id, userId) => api.delete(`/lists/${id}/members/${userId}`);
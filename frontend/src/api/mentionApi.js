@@ -0,0 +1,11 @@
+import api from "./client";
+
+// ─────────────────────────────────────────────────────────────────────────────
+// API Functions
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** Comments that mention the user, newest first ({ unread?, limit? }); meta.unread counts the unread ones. */
+export const fetchMentions = (params = {}) => api.get("/mentions", { params });
+
+/** Mark the given mentions (comment ids) read – all of them when `ids` is omitted. */
+export const markMentionsRead = (ids) => api.post("/mentions/read", ids ? { ids } : {});
@@ -0,0 +1,256 @@
+import api from "./client";
+import { fetchTodoById, createTodo, updateTodo, deleteTodo } from "./todoApi";
+import { openDatabase, transact, request, deleteDatabase } from "../utils/idb";
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Offline Store
+// ─────────────────────────────────────────────────────────────────────────────
+// Keeps a per-user copy of the todos (and sidebar data) in IndexedDB so the app
+// still works without the backend, plus an outbox of the changes made while
+// offline. `sync()` replays the outbox against the API once it is reachable.
+//
+// Stores:
+//   todos   – last known version of each todo, keyed by id. Todos created
+//             offline get a "local-…" id until they are synced.
+//   outbox  – queued changes in the order they were made:
+//             { seq, type: "create", id, data }
+//             { seq, type: "update", id, data, before }
+//             { seq, type: "delete", id }
+//   meta    – anything else worth showing offline (lists, tags, …).
+
+const DB_VERSION = 1;
+const LOCAL_PREFIX = "local-";
+
+const dbName = (userId) => `todoflow.${userId}`;
+
+const newLocalId = () =>
+    LOCAL_PREFIX + (globalThis.crypto?.randomUUID?.() || `${Date.now()}-${Math.random().toString(36).slice(2)}`);
+
+/** True for todos created offline that the server has not seen yet. */
+export const isLocalId = (id) => String(id).startsWith(LOCAL_PREFIX);
+
+/** True when a request failed because the server could not be reached. */
+export const isNetworkError = (error) => Boolean(error) && !error.response && error.code !== "ERR_CANCELED";
+
+/** Compares two field values the way they travel over JSON. */
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/** Resolves when the API answers its health check – used to notice it is back. */
+export const pingServer = () => api.get("/health");
+
+/** Removes one user's offline data (called on logout). */
+export const deleteOfflineData = (userId) => deleteDatabase(dbName(userId));
+
+/**
+ * Opens the offline store for one user.
+ *
+ * @param {string} userId
+ */
+export const createOfflineStore = (userId) => {
+    let dbPromise = null;
+    const db = () => {
+        dbPromise ||= openDatabase(dbName(userId), DB_VERSION, (database) => {
+            database.createObjectStore("todos", { keyPath: "id" });
+            database.createObjectStore("outbox", { keyPath: "seq", autoIncrement: true });
+            database.createObjectStore("meta");
+        });
+        return dbPromise;
+    };
+
+    const run = async (stores, mode, work) => transact(await db(), stores, mode, work);
+
+    // ── Cache ────────────────────────────────────────────────────────────────
+
+    /**
+     * Stores todos fetched from the server. With `replace`, todos missing from
+     * `todos` are dropped too – only pass it when `todos` is the complete set.
+     * Todos with unsynced changes are never overwritten.
+     */
+    const saveTodos = (todos, { replace = false } = {}) =>
+        run("todos", "readwrite", async (store) => {
+            const cached = await request(store.getAll());
+            const pending = new Set(cached.filter((t) => t.pending).map((t) => t.id));
+            if (replace) {
+                for (const todo of cached) {
+                    if (!pending.has(todo.id)) store.delete(todo.id);
+                }
+            }
+            for (const todo of todos) {
+                if (!pending.has(todo.id)) store.put(todo);
+            }
+        });
+
+    /** Every cached todo (including unsynced ones). */
+    const getTodos = () => run("todos", "readonly", (store) => request(store.getAll()));
+
+    /** Caches the latest server version of one todo (e.g. from the event stream). */
+    const putTodo = (todo) => saveTodos([todo]);
+
+    /** Drops one todo from the cache. */
+    const removeTodo = (id) => run("todos", "readwrite", (store) => request(store.delete(id)));
+
+    const getMeta = (key) => run("meta", "readonly", (store) => request(store.get(key)));
+    const setMeta = (key, value) => run("meta", "readwrite", (store) => request(store.put(value, key)));
+
+    // ── Outbox ───────────────────────────────────────────────────────────────
+
+    /**
+     * Queues a change made while offline and applies it to the cache, so the
+     * cached list already shows it.
+     *
+     * Changes to the same todo are folded together: edits to an unsynced todo
+     * go into its "create", deleting it cancels it outright, and repeated
+     * edits to a synced todo become one update that remembers the original
+     * values (needed to detect conflicts on replay).
+     *
+     * @param {{ type: "create"|"update"|"delete", id?: string, data?: object, before?: object }} change
+     * @returns {Promise<object|null>} the todo as it now looks locally (null once deleted).
+     */
+    const enqueue = (change) =>
+        run(["todos", "outbox"], "readwrite", async (todos, outbox) => {
+            const entries = await request(outbox.getAll());
+            const forTodo = entries.filter((entry) => entry.id === change.id);
+
+            if (change.type === "create") {
+                const now = new Date().toISOString();
+                const id = newLocalId();
+                const todo = {
+                    // A quick-add line stands in for the title until the server has parsed it.
+                    title: change.data.raw,
+                    description: "",
+                    status: false,
+                    priority: "medium",
+                    dueAt: null,
+                    remindAt: null,
+                    tags: [],
+                    checklist: [],
+                    list: null,
+                    recurrence: null,
+                    ...change.data,
+                    id,
+                    createdAt: now,
+                    updatedAt: now,
+                    pending: true,
+                };
+                outbox.add({ type: "create", id, data: change.data });
+                todos.put(todo);
+                return todo;
+            }
+
+            if (change.type === "delete") {
+                forTodo.forEach((entry) => outbox.delete(entry.seq));
+                if (!isLocalId(change.id)) outbox.add({ type: "delete", id: change.id });
+                todos.delete(change.id);
+                return null;
+            }
+
+            // update
+            const cached = await request(todos.get(change.id));
+            const previous = forTodo.find((entry) => entry.type === "create" || entry.type === "update");
+            if (previous?.type === "create") {
+                previous.data = { ...previous.data, ...change.data };
+                outbox.put(previous);
+            } else if (previous) {
+                previous.data = { ...previous.data, ...change.data };
+                previous.before = { ...change.before, ...previous.before };
+                outbox.put(previous);
+            } else {
+                outbox.add({ type: "update", id: change.id, data: change.data, before: change.before });
+            }
+
+            const todo = { ...cached, ...change.data, id: change.id, updatedAt: new Date().toISOString(), pending: true };
+            todos.put(todo);
+            return todo;
+        });
+
+    /** Number of queued changes. */
+    const pendingCount = () => run("outbox", "readonly", (store) => request(store.count()));
+
+    /**
+     * Sends one queued change. Resolves with the server's version of the todo
+     * (null for deletes); API errors reject.
+     *
+     * Updates are merged field by field against the server's current copy:
+     * a field the server still has at its original value takes the offline
+     * edit; a field changed on both sides keeps the server's value and is
+     * reported as a conflict.
+     */
+    const replay = async (entry, conflicts) => {
+        if (entry.type === "create") {
+            const { data } = await createTodo(entry.data);
+            return data.data;
+        }
+
+        if (entry.type === "delete") {
+            try {
+                await deleteTodo(entry.id);
+            } catch (error) {
+                // Already gone on the server – nothing left to do.
+                if (error.response?.status !== 404) throw error;
+            }
+            return null;
+        }
+
+        const { data: current } = await fetchTodoById(entry.id);
+        const server = current.data;
+        const updates = {};
+        for (const [field, value] of Object.entries(entry.data)) {
+            if (sameValue(server[field], value)) continue;
+            if (sameValue(server[field], entry.before?.[field])) {
+                updates[field] = value;
+            } else {
+                conflicts.push({ id: entry.id, title: server.title, field, mine: value, theirs: server[field] });
+            }
+        }
+        if (Object.keys(updates).length === 0) return server;
+
+        // Pinned to the copy just merged against, so nothing newer is overwritten.
+        const { data } = await updateTodo(entry.id, updates, server.version);
+        return data.data;
+    };
+
+    /**
+     * Replays the outbox in order. Stops (keeping the rest queued) as soon as
+     * the server is unreachable again. A change the server rejects is dropped
+     * and reported, so one bad entry cannot block the queue forever.
+     *
+     * @returns {Promise<{ synced: number, conflicts: object[], failures: object[], interrupted: boolean }>}
+     */
+    const sync = async () => {
+        const report = { synced: 0, conflicts: [], failures: [], interrupted: false };
+        const entries = await run("outbox", "readonly", (store) => request(store.getAll()));
+
+        for (const entry of entries) {
+            let todo = null;
+            try {
+                todo = await replay(entry, report.conflicts);
+                report.synced += 1;
+            } catch (error) {
+                if (isNetworkError(error)) {
+                    report.interrupted = true;
+                    break;
+                }
+                report.failures.push({
+                    id: entry.id,
+                    type: entry.type,
+                    title: entry.data?.title,
+                    message: error.response?.data?.message || error.message,
+                });
+            }
+
+            await run(["todos", "outbox"], "readwrite", (todos, outbox) => {
+                outbox.delete(entry.seq);
+                // Swap the local copy for the server's (a synced create changes id).
+                todos.delete(entry.id);
+                if (todo) todos.put(todo);
+            });
+        }
+
+        return report;
+    };
+
+    /** Closes the database connection (it must be closed before it can be deleted). */
+    const close = async () => (await dbPromise)?.close();
+
+    return { saveTodos, getTodos, putTodo, removeTodo, getMeta, setMeta, enqueue, pendingCount, sync, close };
+};
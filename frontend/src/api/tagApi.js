@@ -0,0 +1,17 @@
+import api from "./client";
+
+// ─────────────────────────────────────────────────────────────────────────────
+// API Functions
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** List the user's tags as [{ name, color, count }], most-used first. */
+export const fetchTags = () => api.get("/tags");
+
+/** Rename and/or recolour a tag ({ name?, color? }). */
+export const updateTag = (name, data) => api.patch(`/tags/${encodeURIComponent(name)}`, data);
+
+/** Merge `sources` into `target`. */
+export const mergeTags = (sources, target) => api.post("/tags/merge", { sources, target });
+
+/** Remove a tag from every todo. */
+export const deleteTag = (name) => api.delete(`/tags/${encodeURIComponent(name)}`);
@@ -1,31 +1,133 @@
-import axios from "axios";
-
-// ─────────────────────────────────────────────────────────────────────────────
-// Axios Instance
-// ─────────────────────────────────────────────────────────────────────────────
-// Centralise the base URL so every API call automatically targets the backend.
-// In production, Vite replaces import.meta.env.VITE_API_URL at build time.
-const api = axios.create({
-    baseURL: import.meta.env.VITE_API_URL || "http://localhost:5000/api",
-    headers: { "Content-Type": "application/json" },
-    timeout: 10000, // Fail fast after 10 s of no response
-});
+import api from "./client";
 
 // ─────────────────────────────────────────────────────────────────────────────
 // API Functions
 // ─────────────────────────────────────────────────────────────────────────────
+// All requests go through the shared client, which attaches the access token
+// and transparently refreshes it on a 401.
+
+/**
+ * Pins a change to the todo version it was based on (the server's ETag is the
+ * version in quotes). Without a version the change is applied unconditionally.
+ */
+const ifMatch = (version) => (version === undefined ? {} : { headers: { "If-Match": `"${version}"` } });
+
+/**
+ * True when a change was refused because the todo changed in the meantime
+ * (HTTP 412). The error's `response.data.data` is the server's current copy.
+ */
+export const isConflict = (error) => error?.response?.status === 412;
+
+/**
+ * Fetch todos. `params` are the list filters (status, priority, q, …);
+ * `config` is passed through to axios – e.g. { signal } to cancel a stale search.
+ * Pages carry an ETag and `no-cache`, so the browser revalidates them and an
+ * unchanged page comes back as 304 from the server, served from its cache.
+ */
+export const fetchTodos = (params = {}, config = {}) => api.get("/todos", { params, ...config });
 
-/** Fetch all todos. Supports optional ?status= and ?priority= query params. */
-export const fetchTodos = (params = {}) => api.get("/todos", { params });
+/** Fetch the workflow – the states a todo can be in, in board order. */
+export const fetchWorkflow = () => api.get("/todos/workflow");
 
 /** Fetch a single todo by ID. */
 export const fetchTodoById = (id) => api.get(`/todos/${id}`);
 
-/** Create a new todo. */
+/**
+ * Create a new todo. Instead of a title, `data.raw` may hold a quick-add line
+ * such as "Pay rent tomorrow 9am !high #home" – see parseTodo().
+ */
 export const createTodo = (data) => api.post("/todos", data);
 
-/** Partially update a todo. */
-export const updateTodo = (id, data) => api.patch(`/todos/${id}`, data);
+/**
+ * Fetch statistics over every todo matching `params` (the calendar's filters,
+ * plus `days` of daily history and `tzOffset` for where days begin).
+ */
+export const fetchStats = (params) => api.get("/todos/stats", { params });
+
+/**
+ * Parse a quick-add line into the fields it would create, without saving.
+ * `data` is { raw, tz?, tzOffset?, now? } – the time zone (or offset) tells the
+ * server where "tomorrow 9am" is meant, and a repeat rule keeps `tz`.
+ */
+export const parseTodo = (data) => api.post("/todos/parse", data);
+
+/**
+ * Partially update a todo. With `version` (the one the edit started from) the
+ * update is refused if the todo has changed since – see isConflict().
+ */
+export const updateTodo = (id, data, version) => api.patch(`/todos/${id}`, data, ifMatch(version));
+
+/**
+ * Move a todo to the trash (restorable until the retention period ends).
+ * With `version`, only while the todo is still at that version.
+ */
+export const deleteTodo = (id, version) => api.delete(`/todos/${id}`, ifMatch(version));
+
+/**
+ * Move a todo in the manual order (?sort=manual), between the todos `after`
+ * (right above it) and `before` (right below) – ids, either may be null at an
+ * end of the list. Resolves with the moved todo and its new `position`.
+ */
+export const moveTodo = (id, { after = null, before = null }) =>
+    api.patch(`/todos/${id}/move`, { after, before });
+
+/**
+ * Run several operations at once: [{ action, ids? | filter?, fields? }].
+ * Resolves with { results, summary: { succeeded, failed } } – check `failed`,
+ * since a partial failure still resolves (HTTP 207).
+ */
+export const bulkTodos = (operations) => api.post("/todos/bulk", { operations });
+
+/**
+ * Fetch the todos due between `from` and `to` (ISO strings, at most 366 days
+ * apart), with the repeats of open recurring todos expanded. Resolves with
+ * entries [{ date, occurrence, projected, todo }]; `params` may add the list
+ * filters status, state, priority, tags, tagMode and list.
+ */
+export const fetchCalendar = (params) => api.get("/todos/calendar", { params });
+
+// ── Import / export ──────────────────────────────────────────────────────────
+
+/**
+ * Download todos as a file. `params` are the list filters, as for fetchTodos;
+ * `format` is json, csv, md, todotxt or ics. Resolves with a Blob.
+ */
+export const exportTodos = (params, format) =>
+    api.get("/todos/export", { params: { ...params, format }, responseType: "blob", timeout: 60000 });
+
+/**
+ * Import todos from a file's text. With `dryRun` (the default) nothing is
+ * saved – the response previews every row and its errors.
+ */
+export const importTodos = ({ format, content, dryRun = true }) =>
+    api.post("/todos/import", { format, content, dryRun }, { timeout: 60000 });
+
+// ── Checklist (sub-tasks) ────────────────────────────────────────────────────
+// Each call resolves with the full, updated parent todo.
+
+/** Append a checklist item ({ text }) to a todo. */
+export const addChecklistItem = (id, data) => api.post(`/todos/${id}/items`, data);
+
+/** Edit or toggle a checklist item ({ text?, done? }). */
+export const updateChecklistItem = (id, itemId, data) =>
+    api.patch(`/todos/${id}/items/${itemId}`, data);
+
+/** Remove a checklist item. */
+export const deleteChecklistItem = (id, itemId) => api.delete(`/todos/${id}/items/${itemId}`);
+
+/** Reorder a todo's checklist; `order` lists every item id. */
+export const reorderChecklist = (id, order) => api.patch(`/todos/${id}/items/reorder`, { order });
+
+// ── Trash ────────────────────────────────────────────────────────────────────
+
+/** Fetch trashed todos, most recently deleted first ({ limit?, cursor? }). */
+export const fetchTrash = (params = {}) => api.get("/todos/trash", { params });
+
+/** Take a todo out of the trash; resolves with the restored todo. */
+export const restoreTodo = (id) => api.post(`/todos/${id}/restore`);
+
+/** Permanently delete one trashed todo. */
+export const purgeTodo = (id) => api.delete(`/todos/trash/${id}`);
 
-/** Permanently remove a todo. */
-export const deleteTodo = (id) => api.delete(`/todos/${id}`);
+/** Permanently delete everything in the trash. */
+export const emptyTrash = () => api.delete("/todos/trash");
@@ -0,0 +1,116 @@
+import { useState } from "react";
+
+const INITIAL = { name: "", email: "", password: "" };
+
+/**
+ * AuthForm
+ * Login / sign-up screen. A single controlled form that toggles between the
+ * two modes; "signup" additionally asks for a display name.
+ *
+ * Props:
+ *   onSubmit(mode, data) – async; called with "login" | "signup" and the form payload.
+ *                          Should throw on failure so the error can be shown inline.
+ */
+export default function AuthForm({ onSubmit }) {
+    const [mode, setMode] = useState("login");
+    const [form, setForm] = useState(INITIAL);
+    const [error, setError] = useState("");
+    const [loading, setLoading] = useState(false);
+
+    const isSignup = mode === "signup";
+
+    const handleChange = (e) => {
+        setForm((prev) => ({ ...prev, [e.target.name]: e.target.value }));
+        setError("");
+    };
+
+    const toggleMode = () => {
+        setMode(isSignup ? "login" : "signup");
+        setError("");
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (isSignup && form.name.trim().length < 2) {
+            setError("Name must be at least 2 characters.");
+            return;
+        }
+        if (isSignup && form.password.length < 8) {
+            setError("Password must be at least 8 characters.");
+            return;
+        }
+
+        setLoading(true);
+        try {
+            const payload = isSignup
+                ? form
+                : { email: form.email, password: form.password };
+            await onSubmit(mode, payload);
+        } catch (err) {
+            setError(err.response?.data?.message || "Something went wrong. Please try again.");
+            setLoading(false);
+        }
+    };
+
+    return (
+        <div className="auth-screen">
+            <form className="todo-form auth-form panel" onSubmit={handleSubmit} noValidate>
+                <h1 className="app-title">📝 TodoFlow</h1>
+                <h2 className="form-title">{isSignup ? "Create your account" : "Welcome back"}</h2>
+
+                {isSignup && (
+                    <div className="form-group">
+                        <label htmlFor="auth-name">Name</label>
+                        <input
+                            id="auth-name"
+                            name="name"
+                            type="text"
+                            value={form.name}
+                            onChange={handleChange}
+                            disabled={loading}
+                            autoComplete="name"
+                        />
+                    </div>
+                )}
+
+                <div className="form-group">
+                    <label htmlFor="auth-email">Email</label>
+                    <input
+                        id="auth-email"
+                        name="email"
+                        type="email"
+                        value={form.email}
+                        onChange={handleChange}
+                        disabled={loading}
+                        autoComplete="email"
+                    />
+                </div>
+
+                <div className="form-group">
+                    <label htmlFor="auth-password">Password</label>
+                    <input
+                        id="auth-password"
+                        name="password"
+                        type="password"
+                        value={form.password}
+                        onChange={handleChange}
+                        disabled={loading}
+                        autoComplete={isSignup ? "new-password" : "current-password"}
+                    />
+                    {error && <p className="field-error">{error}</p>}
+                </div>
+
+                <button type="submit" className="btn btn-primary" disabled={loading}>
+                    {loading ? "Please wait…" : isSignup ? "Sign up" : "Log in"}
+                </button>
+
+                <p className="auth-switch">
+                    {isSignup ? "Already have an account?" : "New to TodoFlow?"}{" "}
+                    <button type="button" className="link-btn" onClick={toggleMode}>
+                        {isSignup ? "Log in" : "Create one"}
+                    </button>
+                </p>
+            </form>
+        </div>
+    );
+}
@@ -0,0 +1,63 @@
+import { useState, useEffect, useCallback } from "react";
+import { login, register, logout, fetchMe } from "../api/authApi";
+import {
+    getSession,
+    setSession,
+    clearSession,
+    setSessionExpiredHandler,
+} from "../api/client";
+import AuthForm from "./AuthForm";
+import App from "../App";
+
+/**
+ * AuthGate
+ * Owns the signed-in user. Renders the login / sign-up screen when there is
+ * no session, otherwise the main App with the current user.
+ *
+ * The stored session is trusted on first paint so reloads do not flash the
+ * login screen; it is re-validated against /auth/me in the background (which
+ * also refreshes an expired access token via the API client).
+ */
+export default function AuthGate() {
+    const [user, setUser] = useState(() => getSession()?.user || null);
+
+    // Drop back to the login screen whenever the API client gives up on refresh.
+    useEffect(() => {
+        setSessionExpiredHandler(() => setUser(null));
+        return () => setSessionExpiredHandler(() => {});
+    }, []);
+
+    useEffect(() => {
+        if (!getSession()) return;
+        fetchMe()
+            .then(({ data }) => {
+                setSession({ ...getSession(), user: data.data });
+                setUser(data.data);
+            })
+            .catch(() => {
+                // A failed refresh already cleared the session; other errors
+                // (server down) keep the cached user so the app can still render.
+            });
+    }, []);
+
+    const handleAuth = async (mode, payload) => {
+        const { data } = mode === "signup" ? await register(payload) : await login(payload);
+        setSession(data.data);
+        setUser(data.data.user);
+    };
+
+    const handleLogout = useCallback(async () => {
+        const session = getSession();
+        clearSession();
+        setUser(null);
+        try {
+            if (session?.refreshToken) await logout(session.refreshToken);
+        } catch {
+            // The local session is gone either way; a failed revoke is not fatal.
+        }
+    }, []);
+
+    if (!user) return <AuthForm onSubmit={handleAuth} />;
+
+    return <App user={user} onLogout={handleLogout} />;
+}
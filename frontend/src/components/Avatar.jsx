@@ -0,0 +1,16 @@
+import { initialsOf } from "../utils/people";
+
+/**
+ * Avatar
+ * A user's initials in a small circle, with their name and email on hover.
+ *
+ * Props:
+ *   user – { name, email }; omit for someone no longer known (shows "?")
+ */
+export default function Avatar({ user }) {
+    return (
+        <span className="avatar" title={user ? `${user.name} <${user.email}>` : "Unknown user"}>
+            {initialsOf(user)}
+        </span>
+    );
+}
@@ -0,0 +1,79 @@
+/**
+ * BulkBar
+ * Action bar above the todo list. With todos selected it offers actions on
+ * the selection; otherwise it offers list-wide shortcuts for the current view.
+ *
+ * Props:
+ *   selectedCount       – number of selected todos
+ *   loadedCount         – number of todos currently shown
+ *   onSelectAll()       – select every shown todo
+ *   onClearSelection()  – deselect everything
+ *   onAction(action, fields?) – run "complete" | "uncomplete" | "delete" |
+ *                         "update" (with fields) on the selection
+ *   onCompleteAll()     – complete every pending todo in the current list
+ *   onClearCompleted()  – delete every completed todo in the current list
+ *   busy                – a bulk request is in flight
+ */
+export default function BulkBar({
+    selectedCount,
+    loadedCount,
+    onSelectAll,
+    onClearSelection,
+    onAction,
+    onCompleteAll,
+    onClearCompleted,
+    busy,
+}) {
+    if (selectedCount === 0) {
+        return (
+            <div className="bulk-bar">
+                <button type="button" className="link-btn" onClick={onSelectAll} disabled={busy || loadedCount === 0}>
+                    Select
+                </button>
+                <div className="bulk-actions">
+                    <button type="button" className="btn btn-cancel" onClick={onCompleteAll} disabled={busy}>
+                        ✓ Complete all
+                    </button>
+                    <button type="button" className="btn btn-cancel" onClick={onClearCompleted} disabled={busy}>
+                        🧹 Clear completed
+                    </button>
+                </div>
+            </div>
+        );
+    }
+
+    return (
+        <div className="bulk-bar active" role="toolbar" aria-label="Bulk actions">
+            <span className="bulk-count">{selectedCount} selected</span>
+            <button type="button" className="link-btn" onClick={onSelectAll} disabled={busy}>
+                Select all {loadedCount}
+            </button>
+            <button type="button" className="link-btn" onClick={onClearSelection} disabled={busy}>
+                Clear
+            </button>
+
+            <div className="bulk-actions">
+                <button type="button" className="btn btn-cancel" onClick={() => onAction("complete")} disabled={busy}>
+                    ✓ Complete
+                </button>
+                <button type="button" className="btn btn-cancel" onClick={() => onAction("uncomplete")} disabled={busy}>
+                    ↺ Reopen
+                </button>
+                <select
+                    aria-label="Set priority"
+                    value=""
+                    disabled={busy}
+                    onChange={(e) => e.target.value && onAction("update", { priority: e.target.value })}
+                >
+                    <option value="">Priority…</option>
+                    <option value="low">🟢 Low</option>
+                    <option value="medium">🟡 Medium</option>
+                    <option value="high">🔴 High</option>
+                </select>
+                <button type="button" className="btn btn-delete" onClick={() => onAction("delete")} disabled={busy}>
+                    🗑️ Delete
+                </button>
+            </div>
+        </div>
+    );
+}
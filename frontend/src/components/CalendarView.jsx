@@ -0,0 +1,304 @@
+import { useState, useEffect, useCallback, useMemo, useRef } from "react";
+import { fetchCalendar } from "../api/todoApi";
+import { WEEKDAYS } from "../utils/recurrence";
+import { isSameDay } from "../utils/dates";
+import {
+    viewRange,
+    stepAnchor,
+    startOfDay,
+    addDays,
+    dayKey,
+    moveToDay,
+    entriesByDay,
+    agendaSections,
+    AGENDA_DAYS,
+} from "../utils/calendar";
+
+const MODES = [
+    { value: "month", label: "Month" },
+    { value: "week", label: "Week" },
+    { value: "day", label: "Day" },
+    { value: "agenda", label: "Agenda" },
+];
+
+// Keys that move a focused entry, in days.
+const KEY_STEPS = { ArrowLeft: -1, ArrowRight: 1, ArrowUp: -7, ArrowDown: 7 };
+
+const formatTime = (iso) => new Date(iso).toLocaleTimeString(undefined, { hour: "2-digit", minute: "2-digit" });
+
+/** The heading above the grid, e.g. "March 2026" or "Mar 1 – Mar 7, 2026". */
+const rangeTitle = (mode, anchor, days) => {
+    if (mode === "month") return anchor.toLocaleDateString(undefined, { month: "long", year: "numeric" });
+    if (mode === "day") {
+        return anchor.toLocaleDateString(undefined, { weekday: "long", month: "long", day: "numeric", year: "numeric" });
+    }
+    if (mode === "agenda") return "Coming up";
+    const first = days[0].toLocaleDateString(undefined, { month: "short", day: "numeric" });
+    const last = days[days.length - 1].toLocaleDateString(undefined, { month: "short", day: "numeric", year: "numeric" });
+    return `${first} – ${last}`;
+};
+
+/**
+ * CalendarView
+ * Month, week and day calendars of the todos that have a due date, plus an
+ * agenda grouping the coming days into Today / Tomorrow / This week / Later.
+ * Repeats of open recurring todos are shown too (🔁, dimmed) – they are
+ * projected from the rule and cannot be moved until they exist.
+ *
+ * A todo is rescheduled by dragging it to another day, or by focusing it and
+ * pressing ← / → (a day) or ↑ / ↓ (a week); its time of day is kept. Loads its
+ * own data for the range on screen.
+ *
+ * Props:
+ *   params                  – list filters the calendar accepts (status, state,
+ *                             priority, tags, tagMode, list)
+ *   refreshKey              – changes whenever todos may have changed elsewhere, to reload
+ *   onReschedule(todo, dueAt) – save a new due date; resolves with the updated
+ *                             todo, or null when the change did not go through
+ *   onCount(total)          – told how many entries the range holds after every load
+ *   onError(message)        – a request failed
+ */
+export default function CalendarView({ params, refreshKey, onReschedule, onCount, onError }) {
+    const [mode, setMode] = useState("month");
+    const [anchor, setAnchor] = useState(() => startOfDay(new Date()));
+    const [entries, setEntries] = useState([]);
+    const [truncated, setTruncated] = useState(false);
+    const [loading, setLoading] = useState(true);
+    const [dragging, setDragging] = useState(null);   // { id, over? } while an entry is dragged
+    const [announcement, setAnnouncement] = useState("");   // screen-reader note after a move
+    const viewRef = useRef(null);
+    const focusRef = useRef(null);   // id of a todo to focus once it has re-rendered
+    const loadRef = useRef(0);
+
+    const { from, to, days } = useMemo(() => viewRange(mode, anchor), [mode, anchor]);
+
+    /** Loads the entries in range. A newer load discards an older one. */
+    const load = useCallback(() => {
+        const run = ++loadRef.current;
+        return fetchCalendar({ ...params, from: from.toISOString(), to: to.toISOString() }).then(({ data }) => {
+            if (run !== loadRef.current) return;
+            setEntries(data.data || []);
+            setTruncated(Boolean(data.meta?.truncated));
+            onCount(data.meta?.total ?? (data.data || []).length);
+        });
+    }, [params, from, to, onCount]);
+
+    useEffect(() => {
+        load()
+            .catch((err) => onError(err.response?.data?.message || "Failed to load the calendar."))
+            .finally(() => setLoading(false));
+    }, [load, refreshKey, onError]);
+
+    // After a keyboard move the entry re-renders in another day; keep it focused.
+    useEffect(() => {
+        if (!focusRef.current) return;
+        viewRef.current?.querySelector(`[data-todo-id="${focusRef.current}"]`)?.focus();
+        focusRef.current = null;
+    }, [entries]);
+
+    const byDay = useMemo(() => entriesByDay(entries), [entries]);
+
+    /**
+     * Moves a todo to `day` on screen straight away, then saves its new due
+     * date. The range is reloaded either way, so repeats are projected anew –
+     * or, when the save failed, the todo is put back.
+     */
+    const reschedule = async (entry, day) => {
+        const dueAt = moveToDay(entry.todo.dueAt, day);
+        if (dayKey(dueAt) === dayKey(entry.todo.dueAt)) return;
+
+        setEntries((prev) =>
+            prev.map((e) => (e === entry ? { ...e, date: dueAt, todo: { ...e.todo, dueAt } } : e))
+        );
+        setAnnouncement(`"${entry.todo.title}" moved to ${day.toLocaleDateString(undefined, { dateStyle: "full" })}`);
+        await onReschedule(entry.todo, dueAt);
+        load().catch(() => {});
+    };
+
+    const handleEntryKey = (e, entry) => {
+        const step = KEY_STEPS[e.key];
+        if (!step) return;
+        e.preventDefault();
+        focusRef.current = entry.todo.id;
+        reschedule(entry, startOfDay(addDays(new Date(entry.date), step)));
+    };
+
+    const dropTargetFor = (day) => {
+        const key = dayKey(day);
+        return {
+            onDragOver: (e) => {
+                if (!dragging) return;
+                e.preventDefault();
+                e.dataTransfer.dropEffect = "move";
+                if (dragging.over !== key) setDragging({ ...dragging, over: key });
+            },
+            onDrop: (e) => {
+                if (!dragging) return;
+                e.preventDefault();
+                const entry = entries.find((en) => !en.projected && en.todo.id === dragging.id);
+                if (entry) reschedule(entry, day);
+                setDragging(null);
+            },
+        };
+    };
+
+    /** One todo (or projected repeat) as a chip. */
+    const renderEntry = (entry, { showDate = false } = {}) => {
+        const { todo, projected } = entry;
+        const movable = !projected;
+        return (
+            <li
+                key={`${todo.id}-${entry.occurrence}`}
+                className={[
+                    "calendar-entry",
+                    `priority-${todo.priority}`,
+                    todo.status ? "done" : "",
+                    projected ? "projected" : "",
+                    dragging?.id === todo.id && movable ? "dragging" : "",
+                ].join(" ")}
+                title={projected ? `${todo.title} – repeats (not created yet)` : todo.title}
+                {...(movable && {
+                    "data-todo-id": todo.id,
+                    tabIndex: 0,
+                    draggable: true,
+                    "aria-label": `${todo.title}, due ${new Date(entry.date).toLocaleString()} – drag, or press the arrow keys to reschedule`,
+                    onDragStart: (e) => {
+                        e.dataTransfer.effectAllowed = "move";
+                        e.dataTransfer.setData("text/plain", todo.id);
+                        setDragging({ id: todo.id });
+                    },
+                    onDragEnd: () => setDragging(null),
+                    onKeyDown: (e) => handleEntryKey(e, entry),
+                })}
+            >
+                {showDate && (
+                    <span className="calendar-entry-date">
+                        {new Date(entry.date).toLocaleDateString(undefined, { weekday: "short", month: "short", day: "numeric" })}
+                    </span>
+                )}
+                <span className="calendar-entry-time">{formatTime(entry.date)}</span>
+                <span className={`calendar-entry-title ${todo.status ? "strikethrough" : ""}`}>
+                    {projected && "🔁 "}
+                    {todo.title}
+                </span>
+            </li>
+        );
+    };
+
+    const today = new Date();
+
+    return (
+        <div className="calendar-view" ref={viewRef}>
+            <div className="calendar-toolbar">
+                <div className="view-toggle" role="group" aria-label="Calendar view">
+                    {MODES.map(({ value, label }) => (
+                        <button
+                            key={value}
+                            type="button"
+                            className={`btn btn-cancel ${mode === value ? "active" : ""}`}
+                            aria-pressed={mode === value}
+                            onClick={() => {
+                                setMode(value);
+                                // The agenda always starts today.
+                                if (value === "agenda") setAnchor(startOfDay(new Date()));
+                            }}
+                        >
+                            {label}
+                        </button>
+                    ))}
+                </div>
+
+                {mode !== "agenda" && (
+                    <div className="calendar-nav">
+                        <button
+                            type="button"
+                            className="btn btn-cancel"
+                            onClick={() => setAnchor((a) => stepAnchor(mode, a, -1))}
+                            aria-label={`Previous ${mode}`}
+                        >
+                            ‹
+                        </button>
+                        <button type="button" className="btn btn-cancel" onClick={() => setAnchor(startOfDay(new Date()))}>
+                            Today
+                        </button>
+                        <button
+                            type="button"
+                            className="btn btn-cancel"
+                            onClick={() => setAnchor((a) => stepAnchor(mode, a, 1))}
+                            aria-label={`Next ${mode}`}
+                        >
+                            ›
+                        </button>
+                    </div>
+                )}
+
+                <h2 className="calendar-title">{rangeTitle(mode, anchor, days)}</h2>
+            </div>
+
+            {truncated && (
+                <p className="calendar-note">Only the first entries of this range are shown – narrow the filters to see the rest.</p>
+            )}
+
+            {loading ? (
+                <div className="loading-state">
+                    <div className="spinner" />
+                    <p>Loading calendar…</p>
+                </div>
+            ) : mode === "agenda" ? (
+                agendaSections(entries, today).map((section) => (
+                    <section key={section.key} className="agenda-section">
+                        <h3 className="agenda-title">{section.label}</h3>
+                        <ul className="calendar-entries">
+                            {section.entries.map((entry) => renderEntry(entry, { showDate: section.key !== "today" && section.key !== "tomorrow" }))}
+                        </ul>
+                    </section>
+                ))
+            ) : (
+                <div className={`calendar-grid calendar-grid-${mode}`}>
+                    {mode !== "day" && (
+                        <div className="calendar-weekdays" aria-hidden="true">
+                            {WEEKDAYS.map((label) => (
+                                <span key={label}>{label}</span>
+                            ))}
+                        </div>
+                    )}
+                    <div className="calendar-days">
+                        {days.map((day) => {
+                            const key = dayKey(day);
+                            const dayEntries = byDay.get(key) || [];
+                            const outside = mode === "month" && day.getMonth() !== anchor.getMonth();
+                            return (
+                                <div
+                                    key={key}
+                                    className={[
+                                        "calendar-day",
+                                        outside ? "outside" : "",
+                                        isSameDay(day, today) ? "today" : "",
+                                        dragging?.over === key ? "drop-target" : "",
+                                    ].join(" ")}
+                                    {...dropTargetFor(day)}
+                                >
+                                    <span className="calendar-day-number">{day.getDate()}</span>
+                                    <ul className="calendar-entries">
+                                        {dayEntries.map((entry) => renderEntry(entry))}
+                                    </ul>
+                                </div>
+                            );
+                        })}
+                    </div>
+                </div>
+            )}
+
+            {!loading && mode === "agenda" && entries.length === 0 && (
+                <div className="empty-state">
+                    <p className="empty-emoji">🗓️</p>
+                    <p className="empty-text">Nothing scheduled</p>
+                    <p className="empty-hint">Todos due in the next {AGENDA_DAYS} days show up here.</p>
+                </div>
+            )}
+
+            {/* Announces keyboard moves to screen readers. */}
+            <p className="sr-only" aria-live="polite">{announcement}</p>
+        </div>
+    );
+}
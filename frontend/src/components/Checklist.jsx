@@ -0,0 +1,124 @@
+import { useState } from "react";
+
+/**
+ * Checklist
+ * Inline sub-task list inside a TodoItem: toggle, add, delete and move rows,
+ * plus the per-todo "auto-complete when all done" switch.
+ *
+ * Props:
+ *   todo                        – the parent Todo (reads `checklist` and `autoComplete`)
+ *   onAdd(text)                 – append a new item
+ *   onUpdate(itemId, data)      – edit / toggle an item
+ *   onDelete(itemId)            – remove an item
+ *   onReorder(order)            – persist a new order (array of item ids)
+ *   onToggleAutoComplete(value) – flip the parent's `autoComplete` flag
+ *   readOnly                    – only list the items (a viewer of a shared list)
+ */
+export default function Checklist({
+    todo,
+    onAdd,
+    onUpdate,
+    onDelete,
+    onReorder,
+    onToggleAutoComplete,
+    readOnly = false,
+}) {
+    const [text, setText] = useState("");
+    const items = todo.checklist || [];
+
+    const handleAdd = (e) => {
+        e.preventDefault();
+        if (!text.trim()) return;
+        onAdd(text.trim());
+        setText("");
+    };
+
+    const move = (index, delta) => {
+        const target = index + delta;
+        if (target < 0 || target >= items.length) return;
+        const order = items.map((item) => item.id || item._id);
+        [order[index], order[target]] = [order[target], order[index]];
+        onReorder(order);
+    };
+
+    return (
+        <div className="checklist">
+            {items.length > 0 && (
+                <ul className="checklist-items">
+                    {items.map((item, index) => {
+                        const itemId = item.id || item._id;
+                        return (
+                            <li key={itemId} className={`checklist-row ${item.done ? "done" : ""}`}>
+                                <input
+                                    type="checkbox"
+                                    checked={item.done}
+                                    onChange={() => onUpdate(itemId, { done: !item.done })}
+                                    disabled={readOnly}
+                                    aria-label={`Mark "${item.text}" ${item.done ? "not done" : "done"}`}
+                                />
+                                <span className="checklist-text">{item.text}</span>
+                                {!readOnly && (
+                                    <div className="checklist-row-actions">
+                                        <button
+                                            type="button"
+                                            onClick={() => move(index, -1)}
+                                            disabled={index === 0}
+                                            aria-label="Move up"
+                                            title="Move up"
+                                        >
+                                            ↑
+                                        </button>
+                                        <button
+                                            type="button"
+                                            onClick={() => move(index, 1)}
+                                            disabled={index === items.length - 1}
+                                            aria-label="Move down"
+                                            title="Move down"
+                                        >
+                                            ↓
+                                        </button>
+                                        <button
+                                            type="button"
+                                            onClick={() => onDelete(itemId)}
+                                            aria-label="Delete item"
+                                            title="Delete"
+                                        >
+                                            ✕
+                                        </button>
+                                    </div>
+                                )}
+                            </li>
+                        );
+                    })}
+                </ul>
+            )}
+
+            {readOnly ? (
+                items.length === 0 && <p className="history-empty">No sub-tasks.</p>
+            ) : (
+                <>
+                    <form className="checklist-add" onSubmit={handleAdd}>
+                        <input
+                            type="text"
+                            value={text}
+                            onChange={(e) => setText(e.target.value)}
+                            placeholder="Add a sub-task…"
+                            className="edit-input"
+                            maxLength={200}
+                        />
+                        <button type="submit" className="btn btn-save" disabled={!text.trim()}>＋</button>
+                    </form>
+
+                    <label className="checklist-auto">
+                        <input
+                            type="checkbox"
+                            checked={!!todo.autoComplete}
+                            onChange={() => onToggleAutoComplete(!todo.autoComplete)}
+                        />
+                        Complete the todo when every item is checked
+                    </label>
+                </>
+            )}
+        </div>
+    );
+}
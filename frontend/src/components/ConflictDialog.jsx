@@ -0,0 +1,167 @@
+import { useEffect, useState } from "react";
+import { formatDateTime } from "../utils/dates";
+import { describeRecurrence } from "../utils/recurrence";
+import { conflictingFields } from "../utils/conflicts";
+import { stateName } from "../utils/workflow";
+
+const FIELD_LABELS = {
+    title: "Title",
+    description: "Description",
+    status: "Status",
+    state: "State",
+    priority: "Priority",
+    dueAt: "Due",
+    remindAt: "Reminder",
+    recurrence: "Repeat",
+    tags: "Tags",
+    list: "List",
+    autoComplete: "Auto-complete",
+};
+
+// What a deleted todo is summarised by.
+const DELETE_FIELDS = ["title", "description", "state", "priority", "dueAt", "tags", "list"];
+
+/** A field value as shown in the comparison table. */
+const formatValue = (field, value, lists, states) => {
+    if (value === null || value === undefined || value === "") return <em>none</em>;
+    switch (field) {
+        case "status":
+            return value ? "Done" : "Open";
+        case "state":
+            return stateName(states, value);
+        case "autoComplete":
+            return value ? "On" : "Off";
+        case "dueAt":
+        case "remindAt":
+            return formatDateTime(value);
+        case "recurrence":
+            return describeRecurrence(value);
+        case "tags":
+            return value.length ? value.map((tag) => `#${tag}`).join(" ") : <em>none</em>;
+        case "list":
+            return lists.find((l) => l.id === value)?.name || "Inbox";
+        default:
+            return String(value);
+    }
+};
+
+/**
+ * ConflictDialog
+ * Shown when saving or deleting a todo was refused because someone changed it
+ * in the meantime (HTTP 412). Lays out the user's change ("mine") next to the
+ * server's current copy ("theirs").
+ *
+ * For an edit, every field changed on both sides gets its own choice; fields
+ * only the other side changed are kept as they are. For a delete, the user
+ * can still delete the (changed) todo or keep it.
+ *
+ * Props:
+ *   conflict     – { type: "update", mine: { [field]: value }, theirs: todo }
+ *                  or { type: "delete", theirs: todo }
+ *   lists        – the user's lists [{ id, name }] to show list names
+ *   states       – the workflow states [{ key, name }] to show state names
+ *   onResolve(fields) – update: save `fields` (the chosen "mine" values) on top
+ *                  of theirs; delete: delete anyway (no argument)
+ *   onCancel()   – keep the server's version as it is
+ */
+export default function ConflictDialog({ conflict, lists = [], states = [], onResolve, onCancel }) {
+    const { type, mine = {}, theirs } = conflict;
+    const fields = type === "delete" ? DELETE_FIELDS : conflictingFields(mine, theirs);
+
+    // field → "mine" | "theirs"; the user's own edit is the default.
+    const [choice, setChoice] = useState(() => Object.fromEntries(fields.map((field) => [field, "mine"])));
+
+    // Escape keeps the server's version.
+    useEffect(() => {
+        const onKey = (e) => {
+            if (e.key === "Escape") onCancel();
+        };
+        window.addEventListener("keydown", onKey);
+        return () => window.removeEventListener("keydown", onKey);
+    }, [onCancel]);
+
+    const handleResolve = () => {
+        if (type === "delete") return onResolve();
+        const kept = fields.filter((field) => choice[field] === "mine");
+        onResolve(Object.fromEntries(kept.map((field) => [field, mine[field]])));
+    };
+
+    return (
+        <div className="modal-backdrop" onClick={onCancel}>
+            <div
+                className="modal conflict-dialog"
+                role="dialog"
+                aria-modal="true"
+                aria-labelledby="conflict-title"
+                onClick={(e) => e.stopPropagation()}
+            >
+                <h2 id="conflict-title" className="form-title">“{theirs.title}” was changed elsewhere</h2>
+
+                <p className="import-summary">
+                    {type === "delete"
+                        ? "You deleted this todo, but it was edited in the meantime. This is how it looks now."
+                        : "You and someone else changed the same fields. Choose which version to keep for each; " +
+                          "their other changes are kept."}
+                </p>
+
+                <div className="import-table-wrap">
+                    <table className="import-table conflict-table">
+                        <thead>
+                            <tr>
+                                <th>Field</th>
+                                <th>Mine</th>
+                                <th>Theirs</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {fields.map((field) => (
+                                <tr key={field}>
+                                    <td>{FIELD_LABELS[field] || field}</td>
+                                    {type === "delete" ? (
+                                        <td><em>deleted</em></td>
+                                    ) : (
+                                        <td className={choice[field] === "mine" ? "chosen" : ""}>
+                                            <label>
+                                                <input
+                                                    type="radio"
+                                                    name={`conflict-${field}`}
+                                                    checked={choice[field] === "mine"}
+                                                    onChange={() => setChoice((prev) => ({ ...prev, [field]: "mine" }))}
+                                                />{" "}
+                                                {formatValue(field, mine[field], lists, states)}
+                                            </label>
+                                        </td>
+                                    )}
+                                    <td className={type !== "delete" && choice[field] === "theirs" ? "chosen" : ""}>
+                                        {type === "delete" ? (
+                                            formatValue(field, theirs[field], lists, states)
+                                        ) : (
+                                            <label>
+                                                <input
+                                                    type="radio"
+                                                    name={`conflict-${field}`}
+                                                    checked={choice[field] === "theirs"}
+                                                    onChange={() => setChoice((prev) => ({ ...prev, [field]: "theirs" }))}
+                                                />{" "}
+                                                {formatValue(field, theirs[field], lists, states)}
+                                            </label>
+                                        )}
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+
+                <div className="modal-actions">
+                    <button type="button" className="btn btn-cancel" onClick={onCancel}>
+                        {type === "delete" ? "Keep it" : "Keep theirs"}
+                    </button>
+                    <button type="button" className="btn btn-primary" onClick={handleResolve}>
+                        {type === "delete" ? "Delete anyway" : "Save selection"}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+}
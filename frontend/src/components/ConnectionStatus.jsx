@@ -0,0 +1,40 @@
+/**
+ * ConnectionStatus
+ * Header indicator for the link to the server: live, offline (with the number
+ * of changes waiting to be sent) or syncing them.
+ *
+ * Props:
+ *   online     – whether the API is reachable
+ *   syncing    – whether queued offline changes are being sent
+ *   pending    – number of queued offline changes
+ *   liveStatus – state of the real-time event stream ("connecting" | "live" | "reconnecting")
+ */
+export default function ConnectionStatus({ online, syncing, pending, liveStatus }) {
+    let state;
+    let label;
+    let hint;
+
+    if (!online) {
+        state = "offline";
+        label = pending ? `○ Offline · ${pending} pending` : "○ Offline";
+        hint = "Changes are saved on this device and sent when the connection returns";
+    } else if (syncing) {
+        state = "syncing";
+        label = pending ? `⟳ Syncing ${pending}…` : "⟳ Syncing…";
+        hint = "Sending changes made while offline";
+    } else if (liveStatus === "live") {
+        state = "live";
+        label = "● Live";
+        hint = "Changes from other devices appear automatically";
+    } else {
+        state = "reconnecting";
+        label = liveStatus === "connecting" ? "○ Connecting…" : "○ Reconnecting…";
+        hint = "Reconnecting to live updates…";
+    }
+
+    return (
+        <span className={`live-status ${state}`} title={hint} role="status">
+            {label}
+        </span>
+    );
+}
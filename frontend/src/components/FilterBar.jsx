@@ -1,16 +1,49 @@
+import { useCallback } from "react";
+import { tagStyle } from "../utils/tags";
+import SearchBox from "./SearchBox";
+
+// ?sort= values offered in the dropdown ("-" = descending).
+const SORT_OPTIONS = [
+    { value: "-createdAt", label: "Newest first" },
+    { value: "createdAt", label: "Oldest first" },
+    { value: "-updatedAt", label: "Recently updated" },
+    { value: "-priority,-createdAt", label: "Priority: high → low" },
+    { value: "priority,-createdAt", label: "Priority: low → high" },
+    { value: "title", label: "Title A → Z" },
+    { value: "-title", label: "Title Z → A" },
+    { value: "manual", label: "Manual order (drag to arrange)" },
+];
+
 /**
  * FilterBar
- * Renders filter controls for status and priority.
+ * Renders the search box, filter controls for status, workflow state,
+ * priority, due date, assignee and tags, and the sort order.
  *
  * Props:
- *   filters           – { status: string, priority: string }
+ *   filters           – { q, status, state, priority, due, assignee, sort: string, tags: string[], tagMode: "any" | "all" }
  *   onChange(key, val) – called when a filter changes
  *   total             – total number of todos matching current filter
+ *   tags              – the user's tags [{ name, color, count }] to choose from
+ *   states            – the workflow states [{ key, name }]; omit to hide the state filter
  */
-export default function FilterBar({ filters, onChange, total }) {
+export default function FilterBar({ filters, onChange, total, tags = [], states = [] }) {
+    const onSearch = useCallback((q) => onChange("q", q), [onChange]);
+
+    const toggleTag = (name) =>
+        onChange(
+            "tags",
+            filters.tags.includes(name)
+                ? filters.tags.filter((t) => t !== name)
+                : [...filters.tags, name]
+        );
+
     return (
         <div className="filter-bar">
-            <span className="filter-count">{total} todo{total !== 1 ? "s" : ""}</span>
+            <SearchBox value={filters.q} onSearch={onSearch} />
+
+            <span className="filter-count">
+                {total} {filters.q ? "match" : "todo"}{total !== 1 ? (filters.q ? "es" : "s") : ""}
+            </span>
 
             <div className="filter-group">
                 <label htmlFor="filter-status">Status</label>
@@ -25,6 +58,22 @@ export default function FilterBar({ filters, onChange, total }) {
                 </select>
             </div>
 
+            {states.length > 0 && (
+                <div className="filter-group">
+                    <label htmlFor="filter-state">State</label>
+                    <select
+                        id="filter-state"
+                        value={filters.state}
+                        onChange={(e) => onChange("state", e.target.value)}
+                    >
+                        <option value="">All</option>
+                        {states.map((s) => (
+                            <option key={s.key} value={s.key}>{s.name}</option>
+                        ))}
+                    </select>
+                </div>
+            )}
+
             <div className="filter-group">
                 <label htmlFor="filter-priority">Priority</label>
                 <select
@@ -38,6 +87,89 @@ export default function FilterBar({ filters, onChange, total }) {
                     <option value="high">🔴 High</option>
                 </select>
             </div>
+
+            <div className="filter-group">
+                <label htmlFor="filter-due">Due</label>
+                <select
+                    id="filter-due"
+                    value={filters.due}
+                    onChange={(e) => onChange("due", e.target.value)}
+                >
+                    <option value="">Any time</option>
+                    <option value="overdue">⚠️ Overdue</option>
+                    <option value="today">📅 Due today</option>
+                </select>
+            </div>
+
+            <div className="filter-group">
+                <label htmlFor="filter-assignee">Assignee</label>
+                <select
+                    id="filter-assignee"
+                    value={filters.assignee}
+                    onChange={(e) => onChange("assignee", e.target.value)}
+                >
+                    <option value="">Anyone</option>
+                    <option value="me">👤 Assigned to me</option>
+                    <option value="none">Unassigned</option>
+                </select>
+            </div>
+
+            <div className="filter-group">
+                <label htmlFor="filter-sort">Sort</label>
+                <select
+                    id="filter-sort"
+                    value={filters.sort}
+                    onChange={(e) => onChange("sort", e.target.value)}
+                    disabled={Boolean(filters.q)}
+                    title={filters.q ? "Search results are ranked by relevance" : undefined}
+                >
+                    {SORT_OPTIONS.map(({ value, label }) => (
+                        <option key={value} value={value}>{label}</option>
+                    ))}
+                </select>
+            </div>
+
+            <div className="filter-group">
+                <span className="filter-label">Tags</span>
+                <details className="tag-filter">
+                    <summary>
+                        {filters.tags.length ? filters.tags.map((t) => `#${t}`).join(" ") : "All"}
+                    </summary>
+                    <div className="tag-filter-menu">
+                        <div className="tag-mode" role="radiogroup" aria-label="Tag match mode">
+                            {["any", "all"].map((mode) => (
+                                <label key={mode}>
+                                    <input
+                                        type="radio"
+                                        name="tag-mode"
+                                        value={mode}
+                                        checked={filters.tagMode === mode}
+                                        onChange={() => onChange("tagMode", mode)}
+                                    />
+                                    Match {mode}
+                                </label>
+                            ))}
+                        </div>
+                        {tags.length === 0 && <p className="tag-empty">No tags yet.</p>}
+                        {tags.map((tag) => (
+                            <label key={tag.name} className="tag-option">
+                                <input
+                                    type="checkbox"
+                                    checked={filters.tags.includes(tag.name)}
+                                    onChange={() => toggleTag(tag.name)}
+                                />
+                                <span className="tag-chip" style={tagStyle(tag.color)}>#{tag.name}</span>
+                                <span className="tag-count">{tag.count}</span>
+                            </label>
+                        ))}
+                        {filters.tags.length > 0 && (
+                            <button type="button" className="link-btn" onClick={() => onChange("tags", [])}>
+                                Clear tags
+                            </button>
+                        )}
+                    </div>
+                </details>
+            </div>
         </div>
     );
 }
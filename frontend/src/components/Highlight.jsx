@@ -0,0 +1,13 @@
+/**
+ * Highlight
+ * Renders search-highlight segments from the API ([{ text, match }]) with the
+ * matched parts wrapped in <mark>. Plain text is rendered as-is, never as HTML.
+ *
+ * Props:
+ *   segments – highlight segments for one field
+ */
+export default function Highlight({ segments }) {
+    return segments.map((segment, i) =>
+        segment.match ? <mark key={i}>{segment.text}</mark> : <span key={i}>{segment.text}</span>
+    );
+}
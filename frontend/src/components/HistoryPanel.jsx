@@ -0,0 +1,136 @@
+import { useState, useEffect, useCallback } from "react";
+import { fetchTodoHistory } from "../api/activityApi";
+import { formatDateTime } from "../utils/dates";
+import { describeRecurrence } from "../utils/recurrence";
+import { stateName } from "../utils/workflow";
+
+const ACTION_LABELS = {
+    create: "Created",
+    update: "Edited",
+    toggle: "Status changed",
+    delete: "Moved to Trash",
+    restore: "Restored",
+    revert: "Reverted",
+};
+
+const FIELD_LABELS = {
+    dueAt: "due",
+    remindAt: "reminder",
+    autoComplete: "auto-complete",
+    recurrence: "repeat",
+};
+
+/** Renders one recorded field value as short text. */
+const formatValue = (field, value, lists, states) => {
+    if (value === null || value === undefined || value === "") return "—";
+    switch (field) {
+        case "status":
+            return value ? "done" : "pending";
+        case "state":
+            return stateName(states, value);
+        case "dueAt":
+        case "remindAt":
+            return formatDateTime(value);
+        case "tags":
+            return value.length ? value.map((t) => `#${t}`).join(" ") : "—";
+        case "checklist":
+            return `${value.filter((i) => i.done).length}/${value.length} items`;
+        case "recurrence":
+            return describeRecurrence(value);
+        case "list":
+            return lists.find((l) => l.id === value)?.name || "another list";
+        case "autoComplete":
+            return value ? "on" : "off";
+        default:
+            return String(value);
+    }
+};
+
+/**
+ * HistoryPanel
+ * Shows a todo's revision history (newest first) with the field-level changes
+ * of each revision and a "Revert" button to go back to it.
+ *
+ * Props:
+ *   todoId            – the todo whose history to show
+ *   version           – changes whenever the todo changes (e.g. its updatedAt), to refetch
+ *   lists             – the user's lists, to name list moves
+ *   states            – the workflow states [{ key, name }], to name state changes
+ *   onRevert(revision) – restore the todo to that revision; omit to hide "Revert"
+ */
+export default function HistoryPanel({ todoId, version, lists = [], states = [], onRevert }) {
+    const [entries, setEntries] = useState([]);
+    const [nextCursor, setNextCursor] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState("");
+
+    const load = useCallback(async (cursor) => {
+        setError("");
+        try {
+            const { data } = await fetchTodoHistory(todoId, cursor ? { cursor, limit: 20 } : { limit: 20 });
+            setEntries((prev) => (cursor ? [...prev, ...data.data] : data.data));
+            setNextCursor(data.meta?.nextCursor || null);
+        } catch (err) {
+            setError(err.response?.data?.message || "Failed to load history.");
+        } finally {
+            setLoading(false);
+        }
+    }, [todoId]);
+
+    useEffect(() => {
+        load();
+    }, [load, version]);
+
+    if (loading) return <p className="history-empty">Loading history…</p>;
+    if (error) return <p className="history-empty">⚠️ {error}</p>;
+    if (entries.length === 0) return <p className="history-empty">No history recorded yet.</p>;
+
+    const latest = entries[0].revision;
+
+    return (
+        <div className="history-panel">
+            <ol className="history-list">
+                {entries.map((entry) => (
+                    <li key={entry.id} className="history-entry">
+                        <div className="history-head">
+                            <span className="history-action">
+                                r{entry.revision} · {ACTION_LABELS[entry.action] || entry.action}
+                                {entry.revertedTo && ` to r${entry.revertedTo}`}
+                            </span>
+                            <time className="history-time" dateTime={entry.createdAt}>
+                                {formatDateTime(entry.createdAt)}
+                            </time>
+                            {onRevert && entry.revision !== latest && entry.action !== "delete" && (
+                                <button
+                                    type="button"
+                                    className="link-btn"
+                                    onClick={() => onRevert(entry.revision)}
+                                    title="Restore the todo to how it was after this change"
+                                >
+                                    Revert
+                                </button>
+                            )}
+                        </div>
+                        {entry.changes.length > 0 && (
+                            <ul className="history-changes">
+                                {entry.changes.map((change) => (
+                                    <li key={change.field}>
+                                        <strong>{FIELD_LABELS[change.field] || change.field}</strong>{" "}
+                                        <span className="history-before">{formatValue(change.field, change.before, lists, states)}</span>
+                                        {" → "}
+                                        <span>{formatValue(change.field, change.after, lists, states)}</span>
+                                    </li>
+                                ))}
+                            </ul>
+                        )}
+                    </li>
+                ))}
+            </ol>
+            {nextCursor && (
+                <button type="button" className="link-btn" onClick={() => load(nextCursor)}>
+                    Show older
+                </button>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,101 @@
+import { useEffect } from "react";
+
+/**
+ * ImportDialog
+ * Modal preview of an import dry run: what each row of the file would become
+ * and which rows have errors, with a button to import the valid ones.
+ *
+ * Props:
+ *   fileName   – name of the chosen file
+ *   preview    – the dry-run result { summary, newLists, rows }
+ *   busy       – the import is being committed
+ *   onConfirm() – import the valid rows
+ *   onCancel()  – close without importing
+ */
+export default function ImportDialog({ fileName, preview, busy, onConfirm, onCancel }) {
+    const { summary, newLists, rows } = preview;
+
+    // Escape closes the dialog.
+    useEffect(() => {
+        const onKey = (e) => {
+            if (e.key === "Escape" && !busy) onCancel();
+        };
+        window.addEventListener("keydown", onKey);
+        return () => window.removeEventListener("keydown", onKey);
+    }, [busy, onCancel]);
+
+    return (
+        <div className="modal-backdrop" onClick={busy ? undefined : onCancel}>
+            <div
+                className="modal import-dialog"
+                role="dialog"
+                aria-modal="true"
+                aria-labelledby="import-title"
+                onClick={(e) => e.stopPropagation()}
+            >
+                <h2 id="import-title" className="form-title">Import “{fileName}”</h2>
+
+                <p className="import-summary">
+                    <strong>{summary.valid}</strong> of {summary.total} todo(s) ready to import
+                    {summary.invalid > 0 && <> · <span className="import-invalid">{summary.invalid} with errors will be skipped</span></>}
+                </p>
+                {newLists.length > 0 && (
+                    <p className="import-hint">New lists will be created: {newLists.join(", ")}</p>
+                )}
+
+                <div className="import-table-wrap">
+                    <table className="import-table">
+                        <thead>
+                            <tr>
+                                <th>Row</th>
+                                <th>Title</th>
+                                <th>Priority</th>
+                                <th>Due</th>
+                                <th>List</th>
+                                <th>Status</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {rows.map(({ row, valid, todo, errors }) => (
+                                <tr key={row} className={valid ? "" : "invalid"}>
+                                    <td>{row}</td>
+                                    <td>
+                                        {todo?.status && "✓ "}
+                                        {todo?.title || <em>(no title)</em>}
+                                        {errors.length > 0 && (
+                                            <ul className="import-errors">
+                                                {errors.map((err, i) => (
+                                                    <li key={i}>
+                                                        {err.field && <code>{err.field}</code>} {err.message}
+                                                    </li>
+                                                ))}
+                                            </ul>
+                                        )}
+                                    </td>
+                                    <td>{todo?.priority}</td>
+                                    <td>{todo?.dueAt ? new Date(todo.dueAt).toLocaleDateString() : "—"}</td>
+                                    <td>{todo?.list || "Inbox"}</td>
+                                    <td>{valid ? "✅" : "⚠️"}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+
+                <div className="modal-actions">
+                    <button type="button" className="btn btn-cancel" onClick={onCancel} disabled={busy}>
+                        Cancel
+                    </button>
+                    <button
+                        type="button"
+                        className="btn btn-primary"
+                        onClick={onConfirm}
+                        disabled={busy || summary.valid === 0}
+                    >
+                        {busy ? "Importing…" : `Import ${summary.valid} todo(s)`}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,140 @@
+import { useRef, useState, useCallback } from "react";
+import { exportTodos, importTodos } from "../api/todoApi";
+import ImportDialog from "./ImportDialog";
+
+const FORMATS = [
+    { value: "json", label: "JSON" },
+    { value: "csv", label: "CSV" },
+    { value: "md", label: "Markdown" },
+    { value: "todotxt", label: "todo.txt" },
+    { value: "ics", label: "iCalendar" },
+];
+
+// File extension → import format.
+const FORMAT_BY_EXTENSION = {
+    json: "json",
+    csv: "csv",
+    md: "md",
+    markdown: "md",
+    txt: "todotxt",
+    ics: "ics",
+};
+
+/** Saves a Blob under `fileName` via a temporary download link. */
+const download = (blob, fileName) => {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+/**
+ * ImportExport
+ * Export the current view as a file, or import todos from one. Imports are
+ * previewed first (a server-side dry run) in an ImportDialog.
+ *
+ * Props:
+ *   params       – the current list filters, passed on to the export
+ *   onImported(count) – called after todos were imported
+ *   onError(message)  – report a failure
+ */
+export default function ImportExport({ params, onImported, onError }) {
+    const [format, setFormat] = useState("json");
+    const [busy, setBusy] = useState(false);
+    const [pending, setPending] = useState(null);   // { fileName, format, content, preview }
+    const fileRef = useRef(null);
+
+    const handleExport = async () => {
+        setBusy(true);
+        try {
+            const { limit: _limit, cursor: _cursor, ...filters } = params;
+            const res = await exportTodos(filters, format);
+            const fileName =
+                res.headers["content-disposition"]?.match(/filename="([^"]+)"/)?.[1] || `todos.${format}`;
+            download(res.data, fileName);
+        } catch {
+            onError("Failed to export todos.");
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const handleFile = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = "";   // choosing the same file again still fires onChange
+        if (!file) return;
+
+        const extension = file.name.split(".").pop().toLowerCase();
+        const fileFormat = FORMAT_BY_EXTENSION[extension];
+        if (!fileFormat) {
+            onError(`Cannot import ".${extension}" files. Use ${Object.keys(FORMAT_BY_EXTENSION).map((x) => `.${x}`).join(", ")}.`);
+            return;
+        }
+
+        setBusy(true);
+        try {
+            const content = await file.text();
+            const { data } = await importTodos({ format: fileFormat, content });
+            setPending({ fileName: file.name, format: fileFormat, content, preview: data.data });
+        } catch (err) {
+            onError(err.response?.data?.message || "Failed to read the import file.");
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const handleConfirm = async () => {
+        setBusy(true);
+        try {
+            const { data } = await importTodos({ format: pending.format, content: pending.content, dryRun: false });
+            setPending(null);
+            onImported(data.data.summary.imported);
+        } catch (err) {
+            onError(err.response?.data?.message || "Failed to import todos.");
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const handleCancel = useCallback(() => setPending(null), []);
+
+    return (
+        <div className="import-export">
+            <select
+                value={format}
+                onChange={(e) => setFormat(e.target.value)}
+                aria-label="Export format"
+                disabled={busy}
+            >
+                {FORMATS.map(({ value, label }) => (
+                    <option key={value} value={value}>{label}</option>
+                ))}
+            </select>
+            <button type="button" className="btn btn-cancel" onClick={handleExport} disabled={busy}>
+                ⬇ Export
+            </button>
+            <button type="button" className="btn btn-cancel" onClick={() => fileRef.current.click()} disabled={busy}>
+                ⬆ Import…
+            </button>
+            <input
+                ref={fileRef}
+                type="file"
+                accept=".json,.csv,.md,.markdown,.txt,.ics"
+                onChange={handleFile}
+                hidden
+            />
+
+            {pending && (
+                <ImportDialog
+                    fileName={pending.fileName}
+                    preview={pending.preview}
+                    busy={busy}
+                    onConfirm={handleConfirm}
+                    onCancel={handleCancel}
+                />
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,47 @@
+import { useEffect, useRef } from "react";
+
+/**
+ * InfiniteScroll
+ * Sits under a paginated list and asks for the next page once it scrolls into
+ * view. A "Load more" button is kept as a fallback for keyboard users and
+ * browsers without IntersectionObserver.
+ *
+ * Props:
+ *   hasMore      – whether another page exists
+ *   loading      – a page request is in flight
+ *   onLoadMore() – fetch and append the next page
+ */
+export default function InfiniteScroll({ hasMore, loading, onLoadMore }) {
+    const sentinelRef = useRef(null);
+
+    useEffect(() => {
+        const node = sentinelRef.current;
+        if (!node || !hasMore || loading || typeof IntersectionObserver === "undefined") {
+            return undefined;
+        }
+
+        // Start loading a little before the user actually hits the bottom.
+        const observer = new IntersectionObserver(
+            (entries) => {
+                if (entries.some((entry) => entry.isIntersecting)) onLoadMore();
+            },
+            { rootMargin: "200px" }
+        );
+        observer.observe(node);
+        return () => observer.disconnect();
+    }, [hasMore, loading, onLoadMore]);
+
+    if (!hasMore) return null;
+
+    return (
+        <div className="infinite-scroll" ref={sentinelRef}>
+            {loading ? (
+                <div className="spinner small" aria-label="Loading more todos" />
+            ) : (
+                <button type="button" className="link-btn" onClick={onLoadMore}>
+                    Load more
+                </button>
+            )}
+        </div>
+    );
+}
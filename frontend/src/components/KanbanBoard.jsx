@@ -0,0 +1,239 @@
+import { useState, useEffect, useCallback, useRef } from "react";
+import { fetchTodos } from "../api/todoApi";
+import { getDueState, formatDateTime } from "../utils/dates";
+import { tagStyle } from "../utils/tags";
+
+const PRIORITY_EMOJI = { low: "🟢", medium: "🟡", high: "🔴" };
+
+/** Column state before its first page arrives. */
+const EMPTY_COLUMN = { items: [], total: 0, nextCursor: null };
+
+/**
+ * KanbanBoard
+ * Shows the todos matching the open filters as cards, one column per workflow
+ * state. Cards are dragged between columns – or, once focused, moved with
+ * ← / → – to change their state. Loads its own data, a page per column;
+ * further pages load with each column's "Load more".
+ *
+ * Props:
+ *   states              – the workflow states [{ key, name, done }], in column order
+ *   params              – the list query params (filters, sort, page size)
+ *   refreshKey          – changes whenever todos may have changed elsewhere, to reload
+ *   tags                – the user's tags [{ name, color }] for chip colours
+ *   onMove(todo, state) – change a todo's state; resolves with the updated
+ *                         todo, or null when the change did not go through
+ *   onCounts(counts)    – told { [stateKey]: total } after every load and move
+ *   onError(message)    – a request failed
+ */
+export default function KanbanBoard({ states, params, refreshKey, tags = [], onMove, onCounts, onError }) {
+    const [columns, setColumns] = useState({});   // stateKey → { items, total, nextCursor }
+    const [loading, setLoading] = useState(true);
+    const [loadingMore, setLoadingMore] = useState("");   // key of the column loading a page
+    const [dragging, setDragging] = useState(null);   // { id, from, over? } while a card is dragged
+    const [announcement, setAnnouncement] = useState("");   // screen-reader note after a move
+    const boardRef = useRef(null);
+    const focusRef = useRef(null);   // id of a card to focus once it has re-rendered
+    const loadRef = useRef(0);
+
+    const fetchColumn = useCallback(
+        (key, cursor) => fetchTodos({ ...params, state: key, ...(cursor && { cursor }) }),
+        [params]
+    );
+
+    /** Loads the first page of every column. A newer load discards an older one. */
+    const load = useCallback(async () => {
+        const run = ++loadRef.current;
+        const pages = await Promise.all(states.map((s) => fetchColumn(s.key)));
+        if (run !== loadRef.current) return;
+        setColumns(Object.fromEntries(states.map((s, i) => {
+            const { data, meta } = pages[i].data;
+            return [s.key, { items: data || [], total: meta?.total ?? 0, nextCursor: meta?.nextCursor || null }];
+        })));
+    }, [states, fetchColumn]);
+
+    useEffect(() => {
+        load()
+            .catch((err) => onError(err.response?.data?.message || "Failed to load the board."))
+            .finally(() => setLoading(false));
+    }, [load, refreshKey, onError]);
+
+    useEffect(() => {
+        onCounts(Object.fromEntries(Object.entries(columns).map(([key, column]) => [key, column.total])));
+    }, [columns, onCounts]);
+
+    // After a keyboard move the card re-renders in another column; keep it focused.
+    useEffect(() => {
+        if (!focusRef.current) return;
+        boardRef.current?.querySelector(`[data-todo-id="${focusRef.current}"]`)?.focus();
+        focusRef.current = null;
+    }, [columns]);
+
+    const loadMore = async (key) => {
+        setLoadingMore(key);
+        try {
+            const { data } = await fetchColumn(key, columns[key].nextCursor);
+            setColumns((prev) => {
+                const column = prev[key] || EMPTY_COLUMN;
+                const seen = new Set(column.items.map((t) => t.id));
+                return {
+                    ...prev,
+                    [key]: {
+                        items: [...column.items, ...(data.data || []).filter((t) => !seen.has(t.id))],
+                        total: data.meta?.total ?? column.total,
+                        nextCursor: data.meta?.nextCursor || null,
+                    },
+                };
+            });
+        } catch (err) {
+            onError(err.response?.data?.message || "Failed to load more todos.");
+        } finally {
+            setLoadingMore("");
+        }
+    };
+
+    /**
+     * Moves a card to the top of another column straight away, then saves the
+     * new state. A failed save reloads the board, which puts the card back.
+     */
+    const moveCard = async (todo, from, to) => {
+        if (from === to) return;
+        const target = states.find((s) => s.key === to);
+        const moved = { ...todo, state: to, status: target.done };
+        setColumns((prev) => ({
+            ...prev,
+            [from]: {
+                ...prev[from],
+                items: prev[from].items.filter((t) => t.id !== todo.id),
+                total: Math.max(0, prev[from].total - 1),
+            },
+            [to]: { ...prev[to], items: [moved, ...prev[to].items], total: prev[to].total + 1 },
+        }));
+        setAnnouncement(`"${todo.title}" moved to ${target.name}`);
+
+        const updated = await onMove(todo, to);
+        if (!updated) {
+            load().catch(() => {});
+            return;
+        }
+        setColumns((prev) => ({
+            ...prev,
+            [to]: { ...prev[to], items: prev[to].items.map((t) => (t.id === updated.id ? updated : t)) },
+        }));
+    };
+
+    /** ← / → move the focused card to the previous or next column. */
+    const handleCardKey = (e, todo, column) => {
+        const step = { ArrowLeft: -1, ArrowRight: 1 }[e.key];
+        if (!step) return;
+        const next = states[states.findIndex((s) => s.key === column) + step];
+        if (!next) return;
+        e.preventDefault();
+        focusRef.current = todo.id;
+        moveCard(todo, column, next.key);
+    };
+
+    const dropTargetFor = (key) => ({
+        onDragOver: (e) => {
+            if (!dragging) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = "move";
+            if (dragging.over !== key) setDragging({ ...dragging, over: key });
+        },
+        onDrop: (e) => {
+            if (!dragging) return;
+            e.preventDefault();
+            const todo = columns[dragging.from]?.items.find((t) => t.id === dragging.id);
+            if (todo) moveCard(todo, dragging.from, key);
+            setDragging(null);
+        },
+    });
+
+    if (loading) {
+        return (
+            <div className="loading-state">
+                <div className="spinner" />
+                <p>Loading board…</p>
+            </div>
+        );
+    }
+
+    return (
+        <div className="kanban-board" ref={boardRef}>
+            {states.map((s) => {
+                const column = columns[s.key] || EMPTY_COLUMN;
+                const over = dragging?.over === s.key && dragging.from !== s.key;
+                return (
+                    <section
+                        key={s.key}
+                        className={`kanban-column ${s.done ? "done" : ""} ${over ? "drop-target" : ""}`}
+                        aria-label={`${s.name} – ${column.total} todo${column.total !== 1 ? "s" : ""}`}
+                        {...dropTargetFor(s.key)}
+                    >
+                        <h3 className="kanban-column-title">
+                            {s.name}
+                            <span className="kanban-count">{column.total}</span>
+                        </h3>
+
+                        <ul className="kanban-cards">
+                            {column.items.map((todo) => {
+                                const dueState = getDueState(todo);
+                                return (
+                                    <li
+                                        key={todo.id}
+                                        data-todo-id={todo.id}
+                                        className={`kanban-card priority-${todo.priority} ${dragging?.id === todo.id ? "dragging" : ""}`}
+                                        tabIndex={0}
+                                        draggable
+                                        aria-label={`${todo.title} – drag, or press ← / → to change its state`}
+                                        onDragStart={(e) => {
+                                            e.dataTransfer.effectAllowed = "move";
+                                            e.dataTransfer.setData("text/plain", todo.id);
+                                            setDragging({ id: todo.id, from: s.key });
+                                        }}
+                                        onDragEnd={() => setDragging(null)}
+                                        onKeyDown={(e) => handleCardKey(e, todo, s.key)}
+                                    >
+                                        <p className={`kanban-card-title ${todo.status ? "strikethrough" : ""}`}>
+                                            {todo.title}
+                                        </p>
+                                        <div className="todo-meta">
+                                            <span title={`${todo.priority} priority`}>{PRIORITY_EMOJI[todo.priority]}</span>
+                                            {todo.dueAt && (
+                                                <span className={`due-badge ${dueState ? `due-${dueState}` : ""}`}>
+                                                    📅 {formatDateTime(todo.dueAt)}
+                                                </span>
+                                            )}
+                                            {(todo.tags || []).map((tag) => (
+                                                <span
+                                                    key={tag}
+                                                    className="tag-chip"
+                                                    style={tagStyle(tags.find((t) => t.name === tag)?.color)}
+                                                >
+                                                    #{tag}
+                                                </span>
+                                            ))}
+                                        </div>
+                                    </li>
+                                );
+                            })}
+                        </ul>
+
+                        {column.nextCursor && (
+                            <button
+                                type="button"
+                                className="link-btn"
+                                onClick={() => loadMore(s.key)}
+                                disabled={loadingMore === s.key}
+                            >
+                                {loadingMore === s.key ? "Loading…" : "Load more"}
+                            </button>
+                        )}
+                    </section>
+                );
+            })}
+
+            {/* Announces keyboard moves to screen readers. */}
+            <p className="sr-only" aria-live="polite">{announcement}</p>
+        </div>
+    );
+}
@@ -0,0 +1,173 @@
+import { useState } from "react";
+
+/**
+ * ListSidebar
+ * Navigation between "All", the Inbox and the user's lists, with per-list
+ * pending counts, inline create / rename, archive and delete, plus the Trash.
+ * Shared lists are marked 👥 with the user's role; only their owners may
+ * rename, archive or delete them.
+ *
+ * Props:
+ *   lists                 – [{ id, name, color, archived, counts, owner, members, role }]
+ *   userId                – the signed-in user's id
+ *   inboxCounts           – { total, pending, completed } for todos without a list
+ *   selected              – "" (all), "inbox", "trash" or a list id
+ *   onSelect(value)       – change the selected list
+ *   onCreate(name)        – create a new list
+ *   onRename(id, name)    – rename a list
+ *   onArchive(id, flag)   – archive / un-archive a list
+ *   onDelete(id)          – delete a list (its todos move to the Inbox)
+ *   onShare(id)           – open the sharing dialog for a list
+ *   showArchived          – whether archived lists are shown
+ *   onToggleArchived()    – flip `showArchived`
+ */
+export default function ListSidebar({
+    lists,
+    userId,
+    inboxCounts,
+    selected,
+    onSelect,
+    onCreate,
+    onRename,
+    onArchive,
+    onDelete,
+    onShare,
+    showArchived,
+    onToggleArchived,
+}) {
+    const [newName, setNewName] = useState("");
+    const [renaming, setRenaming] = useState(null); // { id, name }
+
+    const allPending =
+        lists.reduce((sum, l) => sum + (l.archived ? 0 : l.counts.pending), 0) + inboxCounts.pending;
+
+    const handleCreate = (e) => {
+        e.preventDefault();
+        if (!newName.trim()) return;
+        onCreate(newName.trim());
+        setNewName("");
+    };
+
+    const submitRename = (e) => {
+        e.preventDefault();
+        // Enter submits and then blurs the input; only the first call applies.
+        if (!renaming) return;
+        if (renaming.name.trim()) onRename(renaming.id, renaming.name.trim());
+        setRenaming(null);
+    };
+
+    const entry = (value, label, count, color) => (
+        <button
+            type="button"
+            className={`list-entry ${selected === value ? "active" : ""}`}
+            onClick={() => onSelect(value)}
+            aria-current={selected === value ? "page" : undefined}
+        >
+            <span className="list-dot" style={color ? { background: color } : undefined} />
+            <span className="list-name">{label}</span>
+            {count > 0 && <span className="list-count">{count}</span>}
+        </button>
+    );
+
+    return (
+        <nav className="list-sidebar" aria-label="Lists">
+            <h2 className="form-title">📂 Lists</h2>
+
+            <ul className="list-entries">
+                <li>{entry("", "All todos", allPending)}</li>
+                <li>{entry("inbox", "Inbox", inboxCounts.pending)}</li>
+                {lists.map((list) => {
+                    const shared = list.members?.length > 0 || (list.owner?.id ?? list.owner) !== userId;
+                    // Lists cached before sharing existed carry no role – they are the user's own.
+                    const isOwner = !list.role || list.role === "owner";
+                    const roleLabel = list.role === "owner" ? "an owner" : `a ${list.role}`;
+                    return (
+                        <li key={list.id} className={list.archived ? "archived" : ""}>
+                            {renaming?.id === list.id ? (
+                                <form onSubmit={submitRename} className="list-rename">
+                                    <input
+                                        className="edit-input"
+                                        value={renaming.name}
+                                        onChange={(e) => setRenaming({ ...renaming, name: e.target.value })}
+                                        onBlur={submitRename}
+                                        maxLength={60}
+                                        autoFocus
+                                    />
+                                </form>
+                            ) : (
+                                <div className="list-row">
+                                    {entry(
+                                        list.id,
+                                        shared
+                                            ? <>{list.name} <span className="list-shared" title={`Shared – you are ${roleLabel}`}>👥</span></>
+                                            : list.name,
+                                        list.counts.pending,
+                                        list.color
+                                    )}
+                                    <div className="list-actions">
+                                        <button
+                                            type="button"
+                                            onClick={() => onShare(list.id)}
+                                            aria-label={`Share ${list.name}`}
+                                            title={isOwner ? "Share" : "People with access"}
+                                        >
+                                            👥
+                                        </button>
+                                        {isOwner && (
+                                            <>
+                                                <button
+                                                    type="button"
+                                                    onClick={() => setRenaming({ id: list.id, name: list.name })}
+                                                    aria-label={`Rename ${list.name}`}
+                                                    title="Rename"
+                                                >
+                                                    ✏️
+                                                </button>
+                                                <button
+                                                    type="button"
+                                                    onClick={() => onArchive(list.id, !list.archived)}
+                                                    aria-label={`${list.archived ? "Unarchive" : "Archive"} ${list.name}`}
+                                                    title={list.archived ? "Unarchive" : "Archive"}
+                                                >
+                                                    {list.archived ? "📤" : "📥"}
+                                                </button>
+                                                <button
+                                                    type="button"
+                                                    onClick={() => onDelete(list.id)}
+                                                    aria-label={`Delete ${list.name}`}
+                                                    title="Delete (todos move to Inbox)"
+                                                >
+                                                    🗑️
+                                                </button>
+                                            </>
+                                        )}
+                                    </div>
+                                </div>
+                            )}
+                        </li>
+                    );
+                })}
+            </ul>
+
+            <form className="checklist-add" onSubmit={handleCreate}>
+                <input
+                    className="edit-input"
+                    value={newName}
+                    onChange={(e) => setNewName(e.target.value)}
+                    placeholder="New list…"
+                    maxLength={60}
+                />
+                <button type="submit" className="btn btn-save" disabled={!newName.trim()}>＋</button>
+            </form>
+
+            <label className="checklist-auto">
+                <input type="checkbox" checked={showArchived} onChange={onToggleArchived} />
+                Show archived lists
+            </label>
+
+            <ul className="list-entries list-trash">
+                <li>{entry("trash", "🗑️ Trash", 0)}</li>
+            </ul>
+        </nav>
+    );
+}
@@ -0,0 +1,118 @@
+import { useState, useEffect, useRef } from "react";
+import { parseTodo } from "../api/todoApi";
+import { formatDateTime } from "../utils/dates";
+import { describeRecurrence, localTimeZone } from "../utils/recurrence";
+
+const DEBOUNCE_MS = 300;
+
+const PRIORITY_EMOJI = { low: "🟢", medium: "🟡", high: "🔴" };
+
+/**
+ * The request body for a quick-add line. The browser's clock and time zone
+ * go with it, so "tomorrow 9am" means the same once a line queued offline is
+ * finally sent.
+ */
+const quickAddData = (raw) => ({
+    raw,
+    tz: localTimeZone(),
+    tzOffset: new Date().getTimezoneOffset(),
+    now: new Date().toISOString(),
+});
+
+/**
+ * QuickAdd
+ * One-line todo capture: "Pay rent tomorrow 9am !high #home @finance every
+ * month" becomes a todo with that due date, priority, tag, list and repeat.
+ * The server does the parsing; what it found is previewed below the input
+ * while typing.
+ *
+ * Props:
+ *   onAdd(data) – called with { raw, tz, tzOffset, now } on submit; resolves with
+ *                 { [field]: message } when the server rejected some fields
+ *                 (the input is then kept as is).
+ *   loading     – disables the input while an async op is in progress.
+ */
+export default function QuickAdd({ onAdd, loading }) {
+    const [text, setText] = useState("");
+    const [preview, setPreview] = useState(null);   // { raw, data } – the last parse
+    const [error, setError] = useState("");
+    const parseRef = useRef(0);
+
+    // Parse once the user pauses typing; a newer parse discards an older one.
+    useEffect(() => {
+        const raw = text.trim();
+        if (!raw) return undefined;
+        const timer = setTimeout(() => {
+            const run = ++parseRef.current;
+            parseTodo(quickAddData(raw))
+                .then(({ data }) => {
+                    if (run === parseRef.current) setPreview({ raw, data: data.data });
+                })
+                // Offline, or the line is not valid yet – simply no preview.
+                .catch(() => {});
+        }, DEBOUNCE_MS);
+        return () => clearTimeout(timer);
+    }, [text]);
+
+    // Only shown while it still matches what is typed.
+    const parsed = preview && preview.raw === text.trim() ? preview.data : null;
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        const raw = text.trim();
+        if (!raw) return;
+        const fieldErrors = await onAdd(quickAddData(raw));
+        if (fieldErrors) {
+            setError(Object.values(fieldErrors).join(" "));
+            return;
+        }
+        setText("");
+        setError("");
+    };
+
+    return (
+        <form className="quick-add" onSubmit={handleSubmit} noValidate>
+            <label htmlFor="quick-add" className="sr-only">Quick add</label>
+            <input
+                id="quick-add"
+                type="text"
+                placeholder="Quick add: Pay rent tomorrow 9am !high #home"
+                value={text}
+                onChange={(e) => {
+                    setText(e.target.value);
+                    setError("");
+                }}
+                disabled={loading}
+                autoComplete="off"
+                aria-invalid={Boolean(error)}
+                aria-describedby="quick-add-preview"
+            />
+
+            <div id="quick-add-preview" className="quick-add-preview" aria-live="polite">
+                {parsed && (
+                    <>
+                        <span className="quick-add-title">{parsed.title || <em>No title yet</em>}</span>
+                        {parsed.dueAt && <span className="due-badge">📅 {formatDateTime(parsed.dueAt)}</span>}
+                        {parsed.priority && (
+                            <span title={`${parsed.priority} priority`}>
+                                {PRIORITY_EMOJI[parsed.priority]} {parsed.priority}
+                            </span>
+                        )}
+                        {parsed.list && (
+                            <span className={parsed.list.archived ? "field-error" : ""}>
+                                📁 {parsed.list.name}
+                                {parsed.list.archived ? " (archived)" : parsed.list.id ? "" : " (new list)"}
+                            </span>
+                        )}
+                        {parsed.recurrence && <span>🔁 {describeRecurrence(parsed.recurrence)}</span>}
+                        {(parsed.tags || []).map((tag) => (
+                            <span key={tag} className="tag-chip">#{tag}</span>
+                        ))}
+                    </>
+                )}
+            </div>
+
+            {error && <p className="field-error">{error}</p>}
+        </form>
+    );
+}
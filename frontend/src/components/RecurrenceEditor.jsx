@@ -0,0 +1,150 @@
+import { WEEKDAYS, localTimeZone } from "../utils/recurrence";
+
+const pad = (n) => String(n).padStart(2, "0");
+
+/** ISO timestamp → "YYYY-MM-DD" in local time, for <input type="date">. */
+const toDateValue = (iso) => {
+    if (!iso) return "";
+    const d = new Date(iso);
+    return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+};
+
+/**
+ * RecurrenceEditor
+ * Controlled editor for an RRULE-style repeat rule: frequency, interval,
+ * weekdays (weekly only) and an optional end condition (count or until date).
+ * Weekdays are picked in the browser's time zone, so every change stamps the
+ * rule with it.
+ *
+ * Props:
+ *   value            – the current rule, or null for "does not repeat"
+ *   onChange(rule)   – called with the new rule, or null when repeat is turned off
+ *   disabled         – disables every control
+ *   idPrefix         – makes input ids unique when several editors are on screen
+ */
+export default function RecurrenceEditor({ value, onChange, disabled, idPrefix = "rec" }) {
+    const rule = value || null;
+    const ends = rule?.count ? "count" : rule?.until ? "until" : "never";
+
+    const update = (patch) => onChange({ ...rule, ...patch, tz: localTimeZone() });
+
+    const handleFreq = (e) => {
+        const freq = e.target.value;
+        if (!freq) return onChange(null);
+        onChange({
+            interval: 1,
+            ...rule,
+            freq,
+            byWeekday: freq === "weekly" ? rule?.byWeekday || [] : undefined,
+            tz: localTimeZone(),
+        });
+    };
+
+    const toggleWeekday = (day) => {
+        const current = rule.byWeekday || [];
+        update({
+            byWeekday: current.includes(day)
+                ? current.filter((d) => d !== day)
+                : [...current, day].sort((a, b) => a - b),
+        });
+    };
+
+    const handleEnds = (e) => {
+        const mode = e.target.value;
+        update({
+            count: mode === "count" ? rule.count || 5 : undefined,
+            until: mode === "until" ? rule.until || new Date().toISOString() : undefined,
+        });
+    };
+
+    return (
+        <div className="recurrence-editor">
+            <div className="recurrence-row">
+                <select
+                    id={`${idPrefix}-freq`}
+                    aria-label="Repeat"
+                    value={rule?.freq || ""}
+                    onChange={handleFreq}
+                    disabled={disabled}
+                >
+                    <option value="">Does not repeat</option>
+                    <option value="daily">Daily</option>
+                    <option value="weekly">Weekly</option>
+                    <option value="monthly">Monthly</option>
+                    <option value="yearly">Yearly</option>
+                </select>
+
+                {rule && (
+                    <label className="recurrence-interval">
+                        every
+                        <input
+                            type="number"
+                            min={1}
+                            max={365}
+                            value={rule.interval || 1}
+                            onChange={(e) => update({ interval: Math.max(1, Number(e.target.value) || 1) })}
+                            disabled={disabled}
+                        />
+                    </label>
+                )}
+            </div>
+
+            {rule?.freq === "weekly" && (
+                <div className="weekday-picker" role="group" aria-label="Repeat on">
+                    {WEEKDAYS.map((label, day) => (
+                        <button
+                            key={label}
+                            type="button"
+                            className={`weekday-btn ${rule.byWeekday?.includes(day) ? "active" : ""}`}
+                            onClick={() => toggleWeekday(day)}
+                            aria-pressed={rule.byWeekday?.includes(day) || false}
+                            disabled={disabled}
+                        >
+                            {label.charAt(0)}
+                        </button>
+                    ))}
+                </div>
+            )}
+
+            {rule && (
+                <div className="recurrence-row">
+                    <select
+                        aria-label="Ends"
+                        value={ends}
+                        onChange={handleEnds}
+                        disabled={disabled}
+                    >
+                        <option value="never">Never ends</option>
+                        <option value="count">Ends after…</option>
+                        <option value="until">Ends on…</option>
+                    </select>
+
+                    {ends === "count" && (
+                        <label className="recurrence-interval">
+                            <input
+                                type="number"
+                                min={1}
+                                value={rule.count}
+                                onChange={(e) => update({ count: Math.max(1, Number(e.target.value) || 1) })}
+                                disabled={disabled}
+                            />
+                            times
+                        </label>
+                    )}
+
+                    {ends === "until" && (
+                        <input
+                            type="date"
+                            value={toDateValue(rule.until)}
+                            onChange={(e) =>
+                                e.target.value &&
+                                update({ until: new Date(`${e.target.value}T23:59:59`).toISOString() })
+                            }
+                            disabled={disabled}
+                        />
+                    )}
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,48 @@
+import { useState, useEffect } from "react";
+
+const DEBOUNCE_MS = 300;
+
+/**
+ * SearchBox
+ * Debounced search input: `onSearch` fires once the user pauses typing, so a
+ * request is not sent for every keystroke.
+ *
+ * Props:
+ *   value           – the committed search query
+ *   onSearch(query) – called with the new query after the debounce delay
+ */
+export default function SearchBox({ value, onSearch }) {
+    const [text, setText] = useState(value);
+
+    useEffect(() => {
+        if (text === value) return undefined;
+        const timer = setTimeout(() => onSearch(text), DEBOUNCE_MS);
+        return () => clearTimeout(timer);
+    }, [text, value, onSearch]);
+
+    return (
+        <div className="search-box">
+            <span aria-hidden="true">🔍</span>
+            <input
+                type="search"
+                value={text}
+                onChange={(e) => setText(e.target.value)}
+                placeholder='Search… ("exact phrase", -exclude)'
+                aria-label="Search todos"
+            />
+            {text && (
+                <button
+                    type="button"
+                    className="dismiss-btn"
+                    onClick={() => {
+                        setText("");
+                        onSearch("");
+                    }}
+                    aria-label="Clear search"
+                >
+                    ✕
+                </button>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,163 @@
+import { useEffect, useState } from "react";
+import Avatar from "./Avatar";
+
+const ROLE_OPTIONS = [
+    { value: "viewer", label: "Viewer – can view and comment" },
+    { value: "editor", label: "Editor – can also add and change todos" },
+    { value: "owner", label: "Owner – can also manage the list and its members" },
+];
+
+/**
+ * ShareDialog
+ * Modal for sharing a list: who has access and at which role, a form to add
+ * someone by email, and – for the list's owners – changing roles and taking
+ * people off. Anyone else can only leave the list.
+ *
+ * Props:
+ *   list                     – the list from GET /api/lists ({ id, name, owner, members, role })
+ *   user                     – the signed-in user ({ id, name, email })
+ *   onShare(email, role)     – add someone, if the email has an account; resolves
+ *                              with an error message, or null
+ *   onChangeRole(userId, role) – change a member's role; resolves like onShare
+ *   onRemove(userId)         – take a member off (the user's own id leaves the
+ *                              list); resolves like onShare
+ *   onClose()                – close the dialog
+ */
+export default function ShareDialog({ list, user, onShare, onChangeRole, onRemove, onClose }) {
+    const [email, setEmail] = useState("");
+    const [role, setRole] = useState("editor");
+    const [busy, setBusy] = useState(false);
+    const [error, setError] = useState("");
+    const [notice, setNotice] = useState("");   // after a share, which never says whether the email was found
+    const canManage = list.role === "owner";
+
+    // Escape closes the dialog.
+    useEffect(() => {
+        const onKey = (e) => {
+            if (e.key === "Escape" && !busy) onClose();
+        };
+        window.addEventListener("keydown", onKey);
+        return () => window.removeEventListener("keydown", onKey);
+    }, [busy, onClose]);
+
+    /** Runs one change, showing its error in the dialog. */
+    const run = async (request) => {
+        setBusy(true);
+        setError("");
+        setNotice("");
+        const message = await request();
+        setBusy(false);
+        if (message) setError(message);
+        return !message;
+    };
+
+    const handleShare = async (e) => {
+        e.preventDefault();
+        if (!email.trim()) return;
+        if (await run(() => onShare(email.trim(), role))) {
+            setNotice(`If ${email.trim()} has an account, they have access now and are listed above.`);
+            setEmail("");
+        }
+    };
+
+    const handleRemove = async (member) => {
+        const leaving = member.user.id === user.id;
+        if (leaving && !window.confirm(`Leave "${list.name}"? You will no longer see its todos.`)) return;
+        if (await run(() => onRemove(member.user.id)) && leaving) onClose();
+    };
+
+    return (
+        <div className="modal-backdrop" onClick={busy ? undefined : onClose}>
+            <div
+                className="modal share-dialog"
+                role="dialog"
+                aria-modal="true"
+                aria-labelledby="share-title"
+                onClick={(e) => e.stopPropagation()}
+            >
+                <h2 id="share-title" className="form-title">👥 Share “{list.name}”</h2>
+
+                {error && <p className="field-error" role="alert">{error}</p>}
+                {notice && <p className="share-notice" role="status">{notice}</p>}
+
+                <ul className="member-list">
+                    <li className="member-row">
+                        <Avatar user={list.owner} />
+                        <span className="member-name">
+                            {list.owner.name}{list.owner.id === user.id && " (me)"}
+                            <small>{list.owner.email}</small>
+                        </span>
+                        <span className="member-role">Creator</span>
+                    </li>
+                    {list.members.filter((m) => m.user).map((member) => (
+                        <li key={member.user.id} className="member-row">
+                            <Avatar user={member.user} />
+                            <span className="member-name">
+                                {member.user.name}{member.user.id === user.id && " (me)"}
+                                <small>{member.user.email}</small>
+                            </span>
+                            {canManage ? (
+                                <select
+                                    className="edit-select"
+                                    value={member.role}
+                                    onChange={(e) => run(() => onChangeRole(member.user.id, e.target.value))}
+                                    disabled={busy}
+                                    aria-label={`Role of ${member.user.name}`}
+                                >
+                                    {ROLE_OPTIONS.map(({ value }) => (
+                                        <option key={value} value={value}>{value}</option>
+                                    ))}
+                                </select>
+                            ) : (
+                                <span className="member-role">{member.role}</span>
+                            )}
+                            {(canManage || member.user.id === user.id) && (
+                                <button
+                                    type="button"
+                                    className="link-btn"
+                                    onClick={() => handleRemove(member)}
+                                    disabled={busy}
+                                >
+                                    {member.user.id === user.id ? "Leave" : "Remove"}
+                                </button>
+                            )}
+                        </li>
+                    ))}
+                </ul>
+
+                {canManage && (
+                    <form className="share-form" onSubmit={handleShare}>
+                        <input
+                            type="email"
+                            className="edit-input"
+                            value={email}
+                            onChange={(e) => setEmail(e.target.value)}
+                            placeholder="Their account's email"
+                            aria-label="Email"
+                            maxLength={254}
+                        />
+                        <select
+                            className="edit-select"
+                            value={role}
+                            onChange={(e) => setRole(e.target.value)}
+                            aria-label="Role"
+                        >
+                            {ROLE_OPTIONS.map(({ value, label }) => (
+                                <option key={value} value={value}>{label}</option>
+                            ))}
+                        </select>
+                        <button type="submit" className="btn btn-primary" disabled={busy || !email.trim()}>
+                            Share
+                        </button>
+                    </form>
+                )}
+
+                <div className="modal-actions">
+                    <button type="button" className="btn btn-cancel" onClick={onClose} disabled={busy}>
+                        Done
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,214 @@
+import { useState, useEffect, useCallback, useRef } from "react";
+import { fetchStats } from "../api/todoApi";
+import { formatDuration } from "../utils/dates";
+
+// Daily history lengths offered, in days.
+const RANGES = [7, 30, 90];
+
+const PRIORITIES = [
+    { key: "high", label: "🔴 High" },
+    { key: "medium", label: "🟡 Medium" },
+    { key: "low", label: "🟢 Low" },
+];
+
+// The activity chart's drawing area, in SVG units; it scales to its box.
+const CHART_HEIGHT = 120;
+const BAR_WIDTH = 10;
+
+const percent = (part, whole) => (whole ? Math.round((part / whole) * 100) : 0);
+
+const shortDate = (key) =>
+    new Date(`${key}T00:00`).toLocaleDateString(undefined, { month: "short", day: "numeric" });
+
+/** Share of todos completed, as a ring. */
+function CompletionRing({ rate }) {
+    const radius = 30;
+    const circumference = 2 * Math.PI * radius;
+    return (
+        <svg className="completion-ring" viewBox="0 0 80 80" aria-hidden="true">
+            <circle className="completion-ring-track" cx="40" cy="40" r={radius} />
+            <circle
+                className="completion-ring-value"
+                cx="40"
+                cy="40"
+                r={radius}
+                strokeDasharray={`${(rate ?? 0) * circumference} ${circumference}`}
+                transform="rotate(-90 40 40)"
+            />
+        </svg>
+    );
+}
+
+/** Created and completed todos per day, as pairs of bars. */
+function ActivityChart({ history }) {
+    const max = Math.max(1, ...history.map((d) => Math.max(d.created, d.completed)));
+    const slot = BAR_WIDTH * 2 + 4;
+    const height = (n) => (n / max) * CHART_HEIGHT;
+    const created = history.reduce((sum, d) => sum + d.created, 0);
+    const completed = history.reduce((sum, d) => sum + d.completed, 0);
+
+    return (
+        <figure className="activity-chart">
+            <svg
+                viewBox={`0 0 ${history.length * slot} ${CHART_HEIGHT}`}
+                preserveAspectRatio="none"
+                role="img"
+                aria-label={`${created} created and ${completed} completed over the last ${history.length} days`}
+            >
+                {history.map((d, i) => (
+                    <g key={d.date}>
+                        <title>{`${shortDate(d.date)}: ${d.created} created, ${d.completed} completed`}</title>
+                        <rect
+                            className="bar-created"
+                            x={i * slot + 2}
+                            y={CHART_HEIGHT - height(d.created)}
+                            width={BAR_WIDTH}
+                            height={height(d.created)}
+                        />
+                        <rect
+                            className="bar-completed"
+                            x={i * slot + 2 + BAR_WIDTH}
+                            y={CHART_HEIGHT - height(d.completed)}
+                            width={BAR_WIDTH}
+                            height={height(d.completed)}
+                        />
+                    </g>
+                ))}
+            </svg>
+            <figcaption className="activity-axis">
+                <span>{shortDate(history[0].date)}</span>
+                <span className="chart-legend">
+                    <span className="legend-created">Created</span>
+                    <span className="legend-completed">Completed</span>
+                </span>
+                <span>Today</span>
+            </figcaption>
+        </figure>
+    );
+}
+
+/**
+ * StatsDashboard
+ * Productivity figures for the todos matching the open filters: completion
+ * rate, average time to complete, streaks, what is overdue, a chart of todos
+ * created and completed per day, and breakdowns by priority and workflow
+ * state. Everything is counted on the server; the charts are plain SVG and
+ * CSS. Loads its own data.
+ *
+ * Props:
+ *   params           – list filters the stats accept (status, state,
+ *                      priority, tags, tagMode, list)
+ *   states           – the workflow states [{ key, name, done }], in board order
+ *   refreshKey       – changes whenever todos may have changed elsewhere, to reload
+ *   onError(message) – a request failed
+ */
+export default function StatsDashboard({ params, states, refreshKey, onError }) {
+    const [days, setDays] = useState(30);
+    const [stats, setStats] = useState(null);
+    const loadRef = useRef(0);
+
+    /** Loads the stats. A newer load discards an older one. */
+    const load = useCallback(() => {
+        const run = ++loadRef.current;
+        return fetchStats({ ...params, days, tzOffset: new Date().getTimezoneOffset() }).then(({ data }) => {
+            if (run === loadRef.current) setStats(data.data);
+        });
+    }, [params, days]);
+
+    useEffect(() => {
+        load().catch((err) => onError(err.response?.data?.message || "Failed to load the stats."));
+    }, [load, refreshKey, onError]);
+
+    if (!stats) {
+        return (
+            <div className="loading-state">
+                <div className="spinner" />
+                <p>Loading stats…</p>
+            </div>
+        );
+    }
+
+    const { totals, completionRate, averageCompletionMs, streak, byPriority, byState, history } = stats;
+
+    return (
+        <div className="dashboard">
+            <div className="dashboard-cards">
+                <div className="dashboard-card">
+                    <CompletionRing rate={completionRate} />
+                    <span className="stat-number">{completionRate === null ? "–" : `${Math.round(completionRate * 100)}%`}</span>
+                    <span className="stat-label">Completed</span>
+                </div>
+                <div className="dashboard-card">
+                    <span className="stat-number">{averageCompletionMs === null ? "–" : formatDuration(averageCompletionMs)}</span>
+                    <span className="stat-label">Avg. time to complete</span>
+                </div>
+                <div className="dashboard-card">
+                    <span className="stat-number">🔥 {streak.current}</span>
+                    <span className="stat-label">Day streak · best {streak.longest}</span>
+                </div>
+                <div className={`dashboard-card ${totals.overdue ? "overdue" : ""}`}>
+                    <span className="stat-number">{totals.overdue}</span>
+                    <span className="stat-label">Overdue · {totals.dueToday} due today</span>
+                </div>
+            </div>
+
+            <section className="dashboard-section">
+                <div className="dashboard-section-header">
+                    <h3 className="dashboard-section-title">Activity</h3>
+                    <div className="view-toggle" role="group" aria-label="History range">
+                        {RANGES.map((n) => (
+                            <button
+                                key={n}
+                                type="button"
+                                className={`btn btn-cancel ${days === n ? "active" : ""}`}
+                                aria-pressed={days === n}
+                                onClick={() => setDays(n)}
+                            >
+                                {n} days
+                            </button>
+                        ))}
+                    </div>
+                </div>
+                <ActivityChart history={history} />
+            </section>
+
+            <div className="dashboard-columns">
+                <section className="dashboard-section">
+                    <h3 className="dashboard-section-title">By priority</h3>
+                    {PRIORITIES.map(({ key, label }) => {
+                        const { total, completed } = byPriority[key];
+                        return (
+                            <div key={key} className="breakdown-row">
+                                <span className="breakdown-label">{label}</span>
+                                <div
+                                    className="breakdown-bar"
+                                    role="img"
+                                    aria-label={`${completed} of ${total} completed`}
+                                >
+                                    <div className={`breakdown-fill priority-${key}`} style={{ width: `${percent(completed, total)}%` }} />
+                                </div>
+                                <span className="breakdown-value">{completed}/{total}</span>
+                            </div>
+                        );
+                    })}
+                </section>
+
+                <section className="dashboard-section">
+                    <h3 className="dashboard-section-title">By state</h3>
+                    {states.map((s) => (
+                        <div key={s.key} className="breakdown-row">
+                            <span className="breakdown-label">{s.name}</span>
+                            <div className="breakdown-bar" role="img" aria-label={`${percent(byState[s.key] || 0, totals.total)}% of todos`}>
+                                <div
+                                    className={`breakdown-fill ${s.done ? "done" : ""}`}
+                                    style={{ width: `${percent(byState[s.key] || 0, totals.total)}%` }}
+                                />
+                            </div>
+                            <span className="breakdown-value">{byState[s.key] || 0}</span>
+                        </div>
+                    ))}
+                </section>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,92 @@
+import { useState } from "react";
+import { normalizeTag, tagStyle } from "../utils/tags";
+
+/**
+ * TagInput
+ * Chip-style tag editor with autocomplete from the user's existing tags.
+ * Enter, comma or picking a suggestion adds a tag; Backspace on an empty
+ * input removes the last one.
+ *
+ * Props:
+ *   value            – current tags (string[])
+ *   onChange(tags)   – called with the new tag list
+ *   suggestions      – known tags [{ name, color, count }] for autocomplete
+ *   disabled         – disables the input
+ *   id               – id for the text input (for an external <label>)
+ */
+export default function TagInput({ value, onChange, suggestions = [], disabled, id }) {
+    const [text, setText] = useState("");
+    const [open, setOpen] = useState(false);
+
+    const colorOf = (name) => suggestions.find((t) => t.name === name)?.color;
+    const query = normalizeTag(text);
+    const matches = suggestions
+        .filter((t) => !value.includes(t.name) && (!query || t.name.includes(query)))
+        .slice(0, 6);
+
+    const addTag = (raw) => {
+        const tag = normalizeTag(raw);
+        if (tag && !value.includes(tag)) onChange([...value, tag]);
+        setText("");
+    };
+
+    const handleKeyDown = (e) => {
+        if (e.key === "Enter" || e.key === ",") {
+            e.preventDefault();
+            addTag(text);
+        } else if (e.key === "Backspace" && !text && value.length) {
+            onChange(value.slice(0, -1));
+        } else if (e.key === "Escape") {
+            setOpen(false);
+        }
+    };
+
+    return (
+        <div className="tag-input">
+            <div className="tag-input-box">
+                {value.map((tag) => (
+                    <span key={tag} className="tag-chip" style={tagStyle(colorOf(tag))}>
+                        #{tag}
+                        <button
+                            type="button"
+                            onClick={() => onChange(value.filter((t) => t !== tag))}
+                            aria-label={`Remove tag ${tag}`}
+                            disabled={disabled}
+                        >
+                            ✕
+                        </button>
+                    </span>
+                ))}
+                <input
+                    id={id}
+                    type="text"
+                    value={text}
+                    placeholder={value.length ? "" : "Add tags…"}
+                    onChange={(e) => {
+                        setText(e.target.value);
+                        setOpen(true);
+                    }}
+                    onKeyDown={handleKeyDown}
+                    onFocus={() => setOpen(true)}
+                    // Delay so a click on a suggestion lands before the list closes.
+                    onBlur={() => setTimeout(() => setOpen(false), 150)}
+                    disabled={disabled}
+                    autoComplete="off"
+                />
+            </div>
+
+            {open && matches.length > 0 && (
+                <ul className="tag-suggestions" role="listbox">
+                    {matches.map((tag) => (
+                        <li key={tag.name}>
+                            <button type="button" onMouseDown={(e) => e.preventDefault()} onClick={() => addTag(tag.name)}>
+                                <span className="tag-chip" style={tagStyle(tag.color)}>#{tag.name}</span>
+                                <span className="tag-count">{tag.count}</span>
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,41 @@
+import { useEffect } from "react";
+
+/**
+ * Toast
+ * Short-lived notice in the corner of the screen with an optional action
+ * button (e.g. "Undo"). Dismisses itself after `duration` ms.
+ *
+ * Props:
+ *   message     – text to show
+ *   actionLabel – label for the action button; omit for no button
+ *   onAction()  – called when the action button is pressed
+ *   onDismiss() – called when the toast closes (timeout, ✕ or after the action)
+ *   duration    – auto-dismiss delay in ms (default 6000)
+ */
+export default function Toast({ message, actionLabel, onAction, onDismiss, duration = 6000 }) {
+    useEffect(() => {
+        const timer = setTimeout(onDismiss, duration);
+        return () => clearTimeout(timer);
+    }, [message, duration, onDismiss]);
+
+    return (
+        <div className="toast" role="status">
+            <span>{message}</span>
+            {actionLabel && (
+                <button
+                    type="button"
+                    className="link-btn"
+                    onClick={() => {
+                        onAction();
+                        onDismiss();
+                    }}
+                >
+                    {actionLabel}
+                </button>
+            )}
+            <button type="button" className="dismiss-btn" onClick={onDismiss} aria-label="Dismiss">
+                ✕
+            </button>
+        </div>
+    );
+}
@@ -0,0 +1,276 @@
+import { useState, useEffect, useCallback, useRef } from "react";
+import { fetchComments, addComment, updateComment, deleteComment } from "../api/commentApi";
+import { formatDateTime } from "../utils/dates";
+import { handleOf } from "../utils/people";
+import Avatar from "./Avatar";
+
+// Matches backend/models/Comment.js.
+const MAX_COMMENT_LENGTH = 2000;
+
+// An "@" being typed at the caret: start of text or after a space.
+const TYPING_MENTION = /(^|\s)@([\w.+-]*)$/;
+
+/** A comment's text with the "@handles" of people who can see the todo picked out. */
+function CommentText({ body, people }) {
+    const handles = new Set(people.map((p) => handleOf(p).toLowerCase()));
+    return body.split(/(@[\w.+-]+)/).map((part, i) =>
+        part.startsWith("@") && handles.has(part.slice(1).replace(/[.+-]+$/, "").toLowerCase())
+            ? <mark key={i} className="mention">{part}</mark>
+            : part
+    );
+}
+
+/**
+ * A comment textarea that offers the people who can see the todo while an
+ * "@" is being typed, and inserts their handle when one is picked.
+ */
+function CommentBox({ value, onChange, onSubmit, onCancel, people, submitLabel, autoFocus = false }) {
+    const [query, setQuery] = useState(null);   // text after the "@" being typed, or null
+    const inputRef = useRef(null);
+
+    const suggestions = query === null
+        ? []
+        : people
+            .filter((p) => handleOf(p).toLowerCase().startsWith(query) || p.name.toLowerCase().startsWith(query))
+            .slice(0, 5);
+
+    const handleChange = (e) => {
+        const before = e.target.value.slice(0, e.target.selectionStart);
+        setQuery(TYPING_MENTION.exec(before)?.[2].toLowerCase() ?? null);
+        onChange(e.target.value);
+    };
+
+    /** Replaces the "@…" before the caret with the person's full handle. */
+    const pick = (person) => {
+        const input = inputRef.current;
+        const before = value.slice(0, input.selectionStart).replace(TYPING_MENTION, `$1@${handleOf(person)} `);
+        const next = before + value.slice(input.selectionStart);
+        onChange(next);
+        setQuery(null);
+        requestAnimationFrame(() => {
+            input.focus();
+            input.setSelectionRange(before.length, before.length);
+        });
+    };
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        if (value.trim()) onSubmit();
+    };
+
+    const handleKeyDown = (e) => {
+        if (e.key === "Escape" && query !== null) {
+            // Close the suggestions, not the pane.
+            e.stopPropagation();
+            setQuery(null);
+        } else if (e.key === "Enter" && (e.ctrlKey || e.metaKey)) {
+            handleSubmit(e);
+        }
+    };
+
+    return (
+        <form className="comment-box" onSubmit={handleSubmit}>
+            <textarea
+                ref={inputRef}
+                className="edit-textarea"
+                value={value}
+                onChange={handleChange}
+                onKeyDown={handleKeyDown}
+                onBlur={() => setTimeout(() => setQuery(null), 150)}
+                placeholder="Write a comment – @ to mention someone"
+                maxLength={MAX_COMMENT_LENGTH}
+                rows={2}
+                autoFocus={autoFocus}
+            />
+            {suggestions.length > 0 && (
+                <ul className="mention-menu" role="listbox" aria-label="Mention someone">
+                    {suggestions.map((person) => (
+                        <li key={person.id}>
+                            {/* mousedown, so the pick lands before the textarea's blur. */}
+                            <button type="button" onMouseDown={(e) => { e.preventDefault(); pick(person); }}>
+                                <Avatar user={person} />
+                                <span>{person.name}</span>
+                                <span className="mention-handle">@{handleOf(person)}</span>
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+            )}
+            <div className="edit-actions">
+                {onCancel && <button type="button" className="btn btn-cancel" onClick={onCancel}>✕ Cancel</button>}
+                <button type="submit" className="btn btn-save" disabled={!value.trim()}>{submitLabel}</button>
+            </div>
+        </form>
+    );
+}
+
+/**
+ * TodoDetail
+ * Side pane for one todo: who it is assigned to, and its comment thread with
+ * edit, delete and @mentions. Loads the thread itself.
+ *
+ * Props:
+ *   todo             – the Todo document from the API
+ *   people           – everyone who can see the todo [{ id, name, email }],
+ *                      to assign it to and to mention
+ *   user             – the signed-in user ({ id, name, email })
+ *   role             – the user's role on the todo's list ("viewer", "editor"
+ *                      or "owner"); viewers cannot reassign it
+ *   refreshKey       – changes whenever the thread may have changed elsewhere, to reload
+ *   onAssign(userId) – assign the todo (null to unassign)
+ *   onClose()        – close the pane
+ *   onError(message) – a request failed
+ */
+export default function TodoDetail({ todo, people, user, role, refreshKey, onAssign, onClose, onError }) {
+    const [comments, setComments] = useState(null);
+    const [draft, setDraft] = useState("");
+    const [editing, setEditing] = useState(null);   // { id, body }
+    const loadRef = useRef(0);
+    const todoId = todo.id || todo._id;
+
+    /** Loads the thread. A newer load discards an older one. */
+    const load = useCallback(() => {
+        const run = ++loadRef.current;
+        return fetchComments(todoId).then(({ data }) => {
+            if (run === loadRef.current) setComments(data.data);
+        });
+    }, [todoId]);
+
+    useEffect(() => {
+        load().catch((err) => onError(err.response?.data?.message || "Failed to load comments."));
+    }, [load, refreshKey, onError]);
+
+    // Escape closes the pane.
+    useEffect(() => {
+        const onKey = (e) => {
+            if (e.key === "Escape") onClose();
+        };
+        window.addEventListener("keydown", onKey);
+        return () => window.removeEventListener("keydown", onKey);
+    }, [onClose]);
+
+    /** Runs a thread request, then reloads the thread. */
+    const run = async (request, fallbackMessage) => {
+        try {
+            await request();
+            await load();
+            return true;
+        } catch (err) {
+            onError(err.response?.data?.message || fallbackMessage);
+            return false;
+        }
+    };
+
+    const handleAdd = async () => {
+        if (await run(() => addComment(todoId, draft.trim()), "Failed to add comment.")) setDraft("");
+    };
+
+    const handleSaveEdit = async () => {
+        if (await run(() => updateComment(todoId, editing.id, editing.body.trim()), "Failed to edit comment.")) {
+            setEditing(null);
+        }
+    };
+
+    const handleDelete = (comment) => {
+        if (!window.confirm("Delete this comment?")) return;
+        run(() => deleteComment(todoId, comment.id), "Failed to delete comment.");
+    };
+
+    const assigneeId = todo.assignee ? String(todo.assignee) : "";
+    // Someone who has since lost access still shows until the todo is reassigned.
+    const assignable = assigneeId && !people.some((p) => p.id === assigneeId)
+        ? [...people, { id: assigneeId, name: "Former member", email: "" }]
+        : people;
+
+    return (
+        <aside className="detail-pane" role="dialog" aria-labelledby="detail-title">
+            <header className="detail-head">
+                <h2 id="detail-title" className="form-title">{todo.title}</h2>
+                <button type="button" className="dismiss-btn" onClick={onClose} aria-label="Close details">✕</button>
+            </header>
+
+            <label className="detail-field">
+                <span>Assignee</span>
+                <select
+                    className="edit-select"
+                    value={assigneeId}
+                    onChange={(e) => onAssign(e.target.value || null)}
+                    disabled={role === "viewer"}
+                    title={role === "viewer" ? "Viewers cannot reassign todos" : undefined}
+                >
+                    <option value="">Unassigned</option>
+                    {assignable.map((p) => (
+                        <option key={p.id} value={p.id}>
+                            {p.name}{p.id === user.id ? " (me)" : ""}
+                        </option>
+                    ))}
+                </select>
+            </label>
+
+            <h3 className="detail-subtitle">💬 Comments {comments && `(${comments.length})`}</h3>
+
+            {comments === null ? (
+                <p className="history-empty">Loading comments…</p>
+            ) : comments.length === 0 ? (
+                <p className="history-empty">No comments yet.</p>
+            ) : (
+                <ol className="comment-list">
+                    {comments.map((comment) => {
+                        const mine = comment.author?.id === user.id;
+                        return (
+                            <li key={comment.id} className="comment">
+                                <Avatar user={comment.author} />
+                                <div className="comment-main">
+                                    <div className="comment-head">
+                                        <strong>{comment.author?.name || "Former member"}</strong>
+                                        <time dateTime={comment.createdAt}>{formatDateTime(comment.createdAt)}</time>
+                                        {comment.editedAt && <span className="comment-edited" title={formatDateTime(comment.editedAt)}>(edited)</span>}
+                                        {editing?.id !== comment.id && (
+                                            <span className="comment-actions">
+                                                {mine && (
+                                                    <button
+                                                        type="button"
+                                                        className="link-btn"
+                                                        onClick={() => setEditing({ id: comment.id, body: comment.body })}
+                                                    >
+                                                        Edit
+                                                    </button>
+                                                )}
+                                                {(mine || role === "owner") && (
+                                                    <button type="button" className="link-btn" onClick={() => handleDelete(comment)}>
+                                                        Delete
+                                                    </button>
+                                                )}
+                                            </span>
+                                        )}
+                                    </div>
+                                    {editing?.id === comment.id ? (
+                                        <CommentBox
+                                            value={editing.body}
+                                            onChange={(body) => setEditing({ ...editing, body })}
+                                            onSubmit={handleSaveEdit}
+                                            onCancel={() => setEditing(null)}
+                                            people={people}
+                                            submitLabel="💾 Save"
+                                            autoFocus
+                                        />
+                                    ) : (
+                                        <p className="comment-body"><CommentText body={comment.body} people={people} /></p>
+                                    )}
+                                </div>
+                            </li>
+                        );
+                    })}
+                </ol>
+            )}
+
+            <CommentBox
+                value={draft}
+                onChange={setDraft}
+                onSubmit={handleAdd}
+                people={people}
+                submitLabel="Comment"
+            />
+        </aside>
+    );
+}
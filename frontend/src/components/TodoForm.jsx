@@ -1,34 +1,70 @@
 import { useState } from "react";
+import { fromInputValue } from "../utils/dates";
+import RecurrenceEditor from "./RecurrenceEditor";
+import TagInput from "./TagInput";
 
-const INITIAL = { title: "", description: "", priority: "medium" };
+// Date fields hold datetime-local input values; they are converted to ISO
+// strings on submit. `recurrence` is a repeat rule object or null.
+const INITIAL = {
+    title: "",
+    description: "",
+    priority: "medium",
+    dueAt: "",
+    remindAt: "",
+    recurrence: null,
+    tags: [],
+};
 
 /**
  * TodoForm
  * Controlled form for creating a new Todo.
  *
+ * Server-side validation errors are shown under the fields they belong to.
+ *
  * Props:
- *   onAdd(newTodoData) – called with the form payload when the user submits.
+ *   onAdd(newTodoData) – called with the form payload when the user submits;
+ *                        resolves with { [field]: message } when the server
+ *                        rejected some fields (the form is then kept as is).
  *   loading            – disables submit while an async op is in progress.
+ *   tags               – the user's existing tags, offered as autocomplete suggestions.
  */
-export default function TodoForm({ onAdd, loading }) {
+export default function TodoForm({ onAdd, loading, tags = [] }) {
     const [form, setForm] = useState(INITIAL);
-    const [error, setError] = useState("");
+    // { [field]: message } – from the title check below or from the server.
+    const [errors, setErrors] = useState({});
 
-    const handleChange = (e) => {
-        setForm((prev) => ({ ...prev, [e.target.name]: e.target.value }));
-        setError("");
+    const setField = (name, value) => {
+        setForm((prev) => ({ ...prev, [name]: value }));
+        setErrors((prev) => {
+            const { [name]: _cleared, ...rest } = prev;
+            return rest;
+        });
     };
 
-    const handleSubmit = (e) => {
+    const handleChange = (e) => setField(e.target.name, e.target.value);
+
+    const handleSubmit = async (e) => {
         e.preventDefault();
         if (form.title.trim().length < 3) {
-            setError("Title must be at least 3 characters.");
+            setErrors({ title: "Title must be at least 3 characters." });
+            return;
+        }
+        const fieldErrors = await onAdd({
+            ...form,
+            dueAt: fromInputValue(form.dueAt),
+            remindAt: fromInputValue(form.remindAt),
+        });
+        if (fieldErrors) {
+            setErrors(fieldErrors);
             return;
         }
-        onAdd(form);
         setForm(INITIAL);
+        setErrors({});
     };
 
+    // Errors for fields this form has no input for (e.g. the list it is added to).
+    const otherErrors = Object.entries(errors).filter(([field]) => !(field in INITIAL));
+
     return (
         <form className="todo-form" onSubmit={handleSubmit} noValidate>
             <h2 className="form-title">✨ Add New Todo</h2>
@@ -44,8 +80,9 @@ export default function TodoForm({ onAdd, loading }) {
                     onChange={handleChange}
                     disabled={loading}
                     autoComplete="off"
+                    aria-invalid={Boolean(errors.title)}
                 />
-                {error && <p className="field-error">{error}</p>}
+                {errors.title && <p className="field-error">{errors.title}</p>}
             </div>
 
             <div className="form-group">
@@ -58,7 +95,9 @@ export default function TodoForm({ onAdd, loading }) {
                     onChange={handleChange}
                     disabled={loading}
                     rows={3}
+                    aria-invalid={Boolean(errors.description)}
                 />
+                {errors.description && <p className="field-error">{errors.description}</p>}
             </div>
 
             <div className="form-group">
@@ -74,8 +113,66 @@ export default function TodoForm({ onAdd, loading }) {
                     <option value="medium">🟡 Medium</option>
                     <option value="high">🔴 High</option>
                 </select>
+                {errors.priority && <p className="field-error">{errors.priority}</p>}
+            </div>
+
+            <div className="form-group">
+                <label htmlFor="tags">Tags</label>
+                <TagInput
+                    id="tags"
+                    value={form.tags}
+                    onChange={(newTags) => setField("tags", newTags)}
+                    suggestions={tags}
+                    disabled={loading}
+                />
+                {errors.tags && <p className="field-error">{errors.tags}</p>}
             </div>
 
+            <div className="form-row">
+                <div className="form-group">
+                    <label htmlFor="dueAt">Due</label>
+                    <input
+                        id="dueAt"
+                        name="dueAt"
+                        type="datetime-local"
+                        value={form.dueAt}
+                        onChange={handleChange}
+                        disabled={loading}
+                        aria-invalid={Boolean(errors.dueAt)}
+                    />
+                    {errors.dueAt && <p className="field-error">{errors.dueAt}</p>}
+                </div>
+
+                <div className="form-group">
+                    <label htmlFor="remindAt">Remind me</label>
+                    <input
+                        id="remindAt"
+                        name="remindAt"
+                        type="datetime-local"
+                        value={form.remindAt}
+                        onChange={handleChange}
+                        disabled={loading}
+                        aria-invalid={Boolean(errors.remindAt)}
+                    />
+                    {errors.remindAt && <p className="field-error">{errors.remindAt}</p>}
+                </div>
+            </div>
+
+            <div className="form-group">
+                <label htmlFor="new-freq">Repeat</label>
+                <RecurrenceEditor
+                    idPrefix="new"
+                    value={form.recurrence}
+                    onChange={(recurrence) => setField("recurrence", recurrence)}
+                    disabled={loading}
+                />
+                {errors.recurrence && <p className="field-error">{errors.recurrence}</p>}
+            </div>
+
+            {otherErrors.map(([field, message]) => (
+                <p key={field} className="field-error">{message}</p>
+            ))}
+
             <button type="submit" className="btn btn-primary" disabled={loading}>
                 {loading ? "Adding…" : "＋ Add Todo"}
             </button>
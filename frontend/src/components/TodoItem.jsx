@@ -1,4 +1,14 @@
 import { useState } from "react";
+import { toInputValue, fromInputValue, getDueState, formatDateTime } from "../utils/dates";
+import { describeRecurrence } from "../utils/recurrence";
+import RecurrenceEditor from "./RecurrenceEditor";
+import Checklist from "./Checklist";
+import TagInput from "./TagInput";
+import Highlight from "./Highlight";
+import HistoryPanel from "./HistoryPanel";
+import Avatar from "./Avatar";
+import { tagStyle } from "../utils/tags";
+import { stateName } from "../utils/workflow";
 
 const PRIORITY_META = {
     low: { label: "Low", emoji: "🟢", cls: "badge-low" },
@@ -6,57 +16,196 @@ const PRIORITY_META = {
     high: { label: "High", emoji: "🔴", cls: "badge-high" },
 };
 
+const DUE_META = {
+    overdue: { label: "Overdue", cls: "due-overdue" },
+    today: { label: "Due today", cls: "due-today" },
+    upcoming: { label: "Due", cls: "due-upcoming" },
+};
+
+/** Builds the inline-edit form state from a todo. */
+const toEditData = (todo) => ({
+    title: todo.title,
+    description: todo.description || "",
+    priority: todo.priority,
+    state: todo.state || "",
+    dueAt: toInputValue(todo.dueAt),
+    remindAt: toInputValue(todo.remindAt),
+    recurrence: todo.recurrence || null,
+    tags: todo.tags || [],
+    list: todo.list || "",
+});
+
 /**
  * TodoItem
  * Renders a single todo card with:
  *  - Checkbox toggle for completion status
- *  - Inline edit mode for title, description, and priority
- *  - Priority badge
+ *  - Inline edit mode for title, description, priority, due date and reminder,
+ *    with validation errors shown under the offending input
+ *  - Priority badge, workflow-state badge (for states between "to do" and
+ *    "done"), due-date badge (flags overdue / due-today), repeat badge and tag chips
+ *  - Search-match highlighting when the todo came back from a ?q= search
+ *  - Checklist progress ("3/5") that expands into the inline sub-task list
+ *  - History panel listing past revisions, each of which can be reverted to
+ *  - Assignee avatar and comment count, either of which opens the detail pane
  *  - Delete button
+ *  - Optional selection checkbox for bulk actions
+ *  - Optional drag handle for the manual order
+ *  - "Not synced" badge while offline changes are waiting to be sent
+ *  - A read-only card (no toggle, edit, delete or checklist changes) for a
+ *    viewer of a shared list
  *
  * Props:
  *   todo             – the Todo document from the API
  *   onToggle(id)     – flip the `status` boolean
- *   onUpdate(id, data) – save edited fields
+ *   onUpdate(id, data, version) – save edited fields (only the ones changed,
+ *                      pinned to the version editing started from); resolves
+ *                      with { [field]: message } when the server rejected some
+ *                      of them (editing stays open)
  *   onDelete(id)     – remove the todo
+ *   checklistActions – { add(id, text), update(id, itemId, data), remove(id, itemId), reorder(id, order) }
+ *   tags             – the user's tags [{ name, color, count }] for chip colours and autocomplete
+ *   lists            – the user's lists [{ id, name, archived, role }] for the "move to list" select
+ *   states           – the workflow states [{ key, name, done }] for the state badge and select
+ *   selected         – whether the todo is part of the bulk selection
+ *   onSelect(id)     – toggle bulk selection; omit to hide the selection checkbox
+ *   onRevert(id, revision) – restore the todo to a previous revision; omit to
+ *                      only show the history
+ *   dragHandle       – props for the drag handle ({ draggable, onDragStart,
+ *                      onKeyDown, … }); omit to hide it
+ *   people           – users by id ({ [id]: { id, name, email } }) to show the assignee
+ *   readOnly         – the user can only view the todo
+ *   onOpen(id)       – open the detail pane (assignee and comments)
  */
-export default function TodoItem({ todo, onToggle, onUpdate, onDelete }) {
+export default function TodoItem({
+    todo,
+    onToggle,
+    onUpdate,
+    onDelete,
+    checklistActions,
+    tags = [],
+    lists = [],
+    states = [],
+    selected = false,
+    onSelect,
+    onRevert,
+    dragHandle,
+    people = {},
+    readOnly = false,
+    onOpen,
+}) {
     const [editing, setEditing] = useState(false);
-    const [editData, setEditData] = useState({
-        title: todo.title,
-        description: todo.description || "",
-        priority: todo.priority,
-    });
+    const [showChecklist, setShowChecklist] = useState(false);
+    const [showHistory, setShowHistory] = useState(false);
+    const [editData, setEditData] = useState(() => toEditData(todo));
+    // The todo as editing started – the baseline for what changed.
+    const [editBase, setEditBase] = useState(todo);
+    const [errors, setErrors] = useState({});
 
     const priority = PRIORITY_META[todo.priority] || PRIORITY_META.medium;
+    const dueState = getDueState(todo);
+    const due = dueState && DUE_META[dueState];
+    const todoId = todo.id || todo._id;
+    const checklist = todo.checklist || [];
+    const checkedCount = checklist.filter((item) => item.done).length;
+    const highlights = todo.search?.highlights;
+    // The first state is where every todo starts, so only later open ones are worth a badge.
+    const showState = todo.state && !todo.status && todo.state !== states[0]?.key;
+    // An assignee who can no longer be looked up shows as "?".
+    const assignee = todo.assignee ? people[todo.assignee] || null : null;
+
+    const setEditField = (name, value) => {
+        setEditData((prev) => ({ ...prev, [name]: value }));
+        setErrors((prev) => {
+            const { [name]: _cleared, ...rest } = prev;
+            return rest;
+        });
+    };
 
-    const handleEditChange = (e) => {
-        setEditData((prev) => ({ ...prev, [e.target.name]: e.target.value }));
+    const handleEditChange = (e) => setEditField(e.target.name, e.target.value);
+
+    const startEditing = () => {
+        setEditData(toEditData(todo));
+        setEditBase(todo);
+        setEditing(true);
     };
 
-    const handleSave = () => {
-        if (editData.title.trim().length < 3) return;
-        onUpdate(todo.id || todo._id, editData);
+    const handleSave = async () => {
+        if (editData.title.trim().length < 3) {
+            setErrors({ title: "Title must be at least 3 characters." });
+            return;
+        }
+        // Send only what was changed, so a concurrent edit to other fields is
+        // not undone (and a conflict only concerns fields both sides touched).
+        const base = toEditData(editBase);
+        const changed = Object.keys(editData).filter(
+            (field) => JSON.stringify(editData[field]) !== JSON.stringify(base[field])
+        );
+        if (changed.length === 0) {
+            setErrors({});
+            setEditing(false);
+            return;
+        }
+        const converted = {
+            ...editData,
+            dueAt: fromInputValue(editData.dueAt),
+            remindAt: fromInputValue(editData.remindAt),
+            list: editData.list || null,
+        };
+        const fieldErrors = await onUpdate(
+            todo.id || todo._id,
+            Object.fromEntries(changed.map((field) => [field, converted[field]])),
+            editBase.version
+        );
+        if (fieldErrors) {
+            setErrors(fieldErrors);
+            return;
+        }
+        setErrors({});
         setEditing(false);
     };
 
     const handleCancel = () => {
-        setEditData({
-            title: todo.title,
-            description: todo.description || "",
-            priority: todo.priority,
-        });
+        setEditData(toEditData(todo));
+        setErrors({});
         setEditing(false);
     };
 
+    /** The server's message for `field`, shown under its input. */
+    const fieldError = (field) => errors[field] && <p className="field-error">{errors[field]}</p>;
+
     return (
-        <div className={`todo-item ${todo.status ? "completed" : ""} priority-${todo.priority}`}>
+        <div className={`todo-item ${todo.status ? "completed" : ""} priority-${todo.priority} ${dueState ? `is-${dueState}` : ""} ${selected ? "selected" : ""}`}>
+            {/* A span, not a <button>: Firefox will not start a drag on a button. */}
+            {dragHandle && (
+                <span
+                    className="drag-handle"
+                    role="button"
+                    tabIndex={0}
+                    aria-label={`Reorder "${todo.title}" – drag, or press the arrow keys`}
+                    title="Drag to reorder (or focus and press ↑ / ↓)"
+                    {...dragHandle}
+                >
+                    ⠿
+                </span>
+            )}
+
+            {onSelect && !readOnly && (
+                <input
+                    type="checkbox"
+                    className="select-box"
+                    checked={selected}
+                    onChange={() => onSelect(todoId)}
+                    aria-label={`Select "${todo.title}"`}
+                />
+            )}
+
             {/* ── Left – checkbox ── */}
             <button
                 className={`check-btn ${todo.status ? "checked" : ""}`}
                 onClick={() => onToggle(todo.id || todo._id)}
+                disabled={readOnly}
                 aria-label={todo.status ? "Mark as incomplete" : "Mark as complete"}
-                title={todo.status ? "Mark incomplete" : "Mark complete"}
+                title={readOnly ? "View only" : todo.status ? "Mark incomplete" : "Mark complete"}
             >
                 {todo.status ? "✓" : ""}
             </button>
@@ -71,7 +220,9 @@ export default function TodoItem({ todo, onToggle, onUpdate, onDelete }) {
                             onChange={handleEditChange}
                             className="edit-input"
                             placeholder="Title"
+                            aria-invalid={Boolean(errors.title)}
                         />
+                        {fieldError("title")}
                         <textarea
                             name="description"
                             value={editData.description}
@@ -79,7 +230,9 @@ export default function TodoItem({ todo, onToggle, onUpdate, onDelete }) {
                             className="edit-textarea"
                             placeholder="Description (optional)"
                             rows={2}
+                            aria-invalid={Boolean(errors.description)}
                         />
+                        {fieldError("description")}
                         <select
                             name="priority"
                             value={editData.priority}
@@ -90,6 +243,74 @@ export default function TodoItem({ todo, onToggle, onUpdate, onDelete }) {
                             <option value="medium">🟡 Medium</option>
                             <option value="high">🔴 High</option>
                         </select>
+                        {fieldError("priority")}
+                        {states.length > 0 && (
+                            <select
+                                name="state"
+                                value={editData.state}
+                                onChange={handleEditChange}
+                                className="edit-select"
+                                aria-label="State"
+                            >
+                                {states.map((s) => (
+                                    <option key={s.key} value={s.key}>{s.done ? "✓" : "◷"} {s.name}</option>
+                                ))}
+                            </select>
+                        )}
+                        {fieldError("state")}
+                        <div className="edit-dates">
+                            <label>
+                                Due
+                                <input
+                                    type="datetime-local"
+                                    name="dueAt"
+                                    value={editData.dueAt}
+                                    onChange={handleEditChange}
+                                    className="edit-input"
+                                    aria-invalid={Boolean(errors.dueAt)}
+                                />
+                                {fieldError("dueAt")}
+                            </label>
+                            <label>
+                                Remind
+                                <input
+                                    type="datetime-local"
+                                    name="remindAt"
+                                    value={editData.remindAt}
+                                    onChange={handleEditChange}
+                                    className="edit-input"
+                                    aria-invalid={Boolean(errors.remindAt)}
+                                />
+                                {fieldError("remindAt")}
+                            </label>
+                        </div>
+                        <select
+                            name="list"
+                            value={editData.list}
+                            onChange={handleEditChange}
+                            className="edit-select"
+                            aria-label="List"
+                        >
+                            <option value="">📥 Inbox</option>
+                            {lists
+                                .filter((l) => (!l.archived && l.role !== "viewer") || l.id === editData.list)
+                                .map((l) => (
+                                    <option key={l.id} value={l.id}>📁 {l.name}</option>
+                                ))}
+                        </select>
+                        {fieldError("list")}
+                        <TagInput
+                            value={editData.tags}
+                            onChange={(newTags) => setEditField("tags", newTags)}
+                            suggestions={tags}
+                        />
+                        {fieldError("tags")}
+                        <RecurrenceEditor
+                            idPrefix={`edit-${todo.id || todo._id}`}
+                            value={editData.recurrence}
+                            onChange={(recurrence) => setEditField("recurrence", recurrence)}
+                        />
+                        {fieldError("recurrence")}
                         <div className="edit-actions">
                             <button className="btn btn-save" onClick={handleSave}>  💾 Save   </button>
                             <button className="btn btn-cancel" onClick={handleCancel}>✕ Cancel</button>
@@ -98,14 +319,99 @@ export default function TodoItem({ todo, onToggle, onUpdate, onDelete }) {
                 ) : (
                     <>
                         <p className={`todo-title ${todo.status ? "strikethrough" : ""}`}>
-                            {todo.title}
+                            {highlights?.title ? <Highlight segments={highlights.title} /> : todo.title}
                         </p>
                         {todo.description && (
-                            <p className="todo-description">{todo.description}</p>
+                            <p className="todo-description">
+                                {highlights?.description
+                                    ? <Highlight segments={highlights.description} />
+                                    : todo.description}
+                            </p>
+                        )}
+                        {highlights?.checklist?.length > 0 && (
+                            <p className="todo-description search-checklist-hit">
+                                ☑ <Highlight segments={highlights.checklist[0]} />
+                            </p>
+                        )}
+                        <div className="todo-meta">
+                            <span className={`priority-badge ${priority.cls}`}>
+                                {priority.emoji} {priority.label}
+                            </span>
+                            {showState && (
+                                <span className={`state-badge state-${todo.state}`}>
+                                    ◷ {stateName(states, todo.state)}
+                                </span>
+                            )}
+                            {todo.dueAt && (
+                                <span className={`due-badge ${due ? due.cls : ""}`} title={new Date(todo.dueAt).toLocaleString()}>
+                                    📅 {due ? `${due.label} · ` : ""}{formatDateTime(todo.dueAt)}
+                                </span>
+                            )}
+                            <button
+                                type="button"
+                                className={`checklist-badge ${checklist.length && checkedCount === checklist.length ? "complete" : ""}`}
+                                onClick={() => setShowChecklist((open) => !open)}
+                                aria-expanded={showChecklist}
+                                title={showChecklist ? "Hide checklist" : "Show checklist"}
+                            >
+                                ☑ {checklist.length ? `${checkedCount}/${checklist.length}` : "Checklist"}
+                            </button>
+                            {todo.recurrence && (
+                                <span className="repeat-badge" title={describeRecurrence(todo.recurrence)}>
+                                    🔁 {describeRecurrence(todo.recurrence)}
+                                </span>
+                            )}
+                            {(todo.tags || []).map((tag) => (
+                                <span
+                                    key={tag}
+                                    className={`tag-chip ${highlights?.tags?.includes(tag) ? "tag-match" : ""}`}
+                                    style={tagStyle(tags.find((t) => t.name === tag)?.color)}
+                                >
+                                    #{tag}
+                                </span>
+                            ))}
+                            {todo.remindAt && !todo.status && (
+                                <span className="due-badge" title={`Reminder at ${new Date(todo.remindAt).toLocaleString()}`}>
+                                    ⏰ {formatDateTime(todo.remindAt)}
+                                </span>
+                            )}
+                            {onOpen && (
+                                <button
+                                    type="button"
+                                    className="comment-badge"
+                                    onClick={() => onOpen(todoId)}
+                                    title={todo.assignee ? `Assigned to ${assignee?.name || "someone else"} – details and comments` : "Assign or comment"}
+                                >
+                                    {todo.assignee && <Avatar user={assignee} />}
+                                    💬 {todo.commentCount || 0}
+                                </button>
+                            )}
+                            {todo.pending && (
+                                <span className="pending-badge" title="Saved on this device – will sync when back online">
+                                    ⏳ Not synced
+                                </span>
+                            )}
+                        </div>
+                        {showChecklist && (
+                            <Checklist
+                                todo={todo}
+                                onAdd={(text) => checklistActions.add(todoId, text)}
+                                onUpdate={(itemId, data) => checklistActions.update(todoId, itemId, data)}
+                                onDelete={(itemId) => checklistActions.remove(todoId, itemId)}
+                                onReorder={(order) => checklistActions.reorder(todoId, order)}
+                                onToggleAutoComplete={(value) => onUpdate(todoId, { autoComplete: value })}
+                                readOnly={readOnly}
+                            />
+                        )}
+                        {showHistory && (
+                            <HistoryPanel
+                                todoId={todoId}
+                                version={todo.updatedAt}
+                                lists={lists}
+                                states={states}
+                                onRevert={onRevert && ((revision) => onRevert(todoId, revision))}
+                            />
                         )}
-                        <span className={`priority-badge ${priority.cls}`}>
-                            {priority.emoji} {priority.label}
-                        </span>
                     </>
                 )}
             </div>
@@ -113,22 +419,35 @@ export default function TodoItem({ todo, onToggle, onUpdate, onDelete }) {
             {/* ── Right – action buttons ── */}
             {!editing && (
                 <div className="todo-actions">
+                    {!readOnly && (
+                        <button
+                            className="btn btn-edit"
+                            onClick={startEditing}
+                            aria-label="Edit todo"
+                            title="Edit"
+                        >
+                            ✏️
+                        </button>
+                    )}
                     <button
-                        className="btn btn-edit"
-                        onClick={() => setEditing(true)}
-                        aria-label="Edit todo"
-                        title="Edit"
-                    >
-                        ✏️
-                    </button>
-                    <button
-                        className="btn btn-delete"
-                        onClick={() => onDelete(todo.id || todo._id)}
-                        aria-label="Delete todo"
-                        title="Delete"
+                        className={`btn btn-edit ${showHistory ? "active" : ""}`}
+                        onClick={() => setShowHistory((open) => !open)}
+                        aria-expanded={showHistory}
+                        aria-label="Show history"
+                        title={showHistory ? "Hide history" : "History"}
                     >
-                        🗑️
+                        🕘
                     </button>
+                    {!readOnly && (
+                        <button
+                            className="btn btn-delete"
+                            onClick={() => onDelete(todo.id || todo._id)}
+                            aria-label="Delete todo"
+                            title="Delete"
+                        >
+                            🗑️
+                        </button>
+                    )}
                 </div>
             )}
         </div>
@@ -0,0 +1,144 @@
+import { useState, useEffect, useCallback } from "react";
+import { fetchTrash, restoreTodo, purgeTodo, emptyTrash } from "../api/todoApi";
+import { formatDateTime } from "../utils/dates";
+import InfiniteScroll from "./InfiniteScroll";
+
+/**
+ * TrashView
+ * Lists deleted todos with Restore and "Delete forever" actions, plus
+ * "Empty trash". Loads its own data; the parent is told when a restore
+ * brings a todo back so it can refresh the lists and counts.
+ *
+ * Props:
+ *   onRestored(todo) – a todo was restored
+ *   onError(message) – a request failed
+ */
+export default function TrashView({ onRestored, onError }) {
+    const [items, setItems] = useState([]);
+    const [meta, setMeta] = useState({ total: 0, nextCursor: null, retentionDays: null });
+    const [loading, setLoading] = useState(true);
+    const [loadingMore, setLoadingMore] = useState(false);
+
+    const load = useCallback(async (cursor) => {
+        const { data } = await fetchTrash(cursor ? { cursor } : {});
+        setItems((prev) => (cursor ? [...prev, ...data.data] : data.data));
+        setMeta(data.meta);
+    }, []);
+
+    useEffect(() => {
+        load()
+            .catch((err) => onError(err.response?.data?.message || "Failed to load trash."))
+            .finally(() => setLoading(false));
+    }, [load, onError]);
+
+    const loadMore = useCallback(async () => {
+        setLoadingMore(true);
+        try {
+            await load(meta.nextCursor);
+        } catch (err) {
+            onError(err.response?.data?.message || "Failed to load trash.");
+        } finally {
+            setLoadingMore(false);
+        }
+    }, [load, meta.nextCursor, onError]);
+
+    /** Drops one item locally after it left the trash. */
+    const remove = (id) => {
+        setItems((prev) => prev.filter((t) => t.id !== id));
+        setMeta((prev) => ({ ...prev, total: Math.max(0, prev.total - 1) }));
+    };
+
+    const handleRestore = async (id) => {
+        try {
+            const { data } = await restoreTodo(id);
+            remove(id);
+            onRestored(data.data);
+        } catch (err) {
+            onError(err.response?.data?.message || "Failed to restore todo.");
+        }
+    };
+
+    const handlePurge = async (todo) => {
+        if (!window.confirm(`Delete "${todo.title}" forever? This cannot be undone.`)) return;
+        try {
+            await purgeTodo(todo.id);
+            remove(todo.id);
+        } catch (err) {
+            onError(err.response?.data?.message || "Failed to delete todo.");
+        }
+    };
+
+    const handleEmpty = async () => {
+        if (!window.confirm("Permanently delete everything in the trash?")) return;
+        try {
+            await emptyTrash();
+            setItems([]);
+            setMeta((prev) => ({ ...prev, total: 0, nextCursor: null }));
+        } catch (err) {
+            onError(err.response?.data?.message || "Failed to empty trash.");
+        }
+    };
+
+    if (loading) {
+        return (
+            <div className="loading-state">
+                <div className="spinner" />
+                <p>Loading trash…</p>
+            </div>
+        );
+    }
+
+    return (
+        <div className="trash-view">
+            <div className="trash-header">
+                <h2 className="form-title">🗑️ Trash</h2>
+                <span className="filter-count">
+                    {meta.total} item{meta.total !== 1 ? "s" : ""}
+                    {meta.retentionDays && ` · deleted forever after ${meta.retentionDays} days`}
+                </span>
+                {items.length > 0 && (
+                    <button type="button" className="btn btn-cancel" onClick={handleEmpty}>
+                        Empty trash
+                    </button>
+                )}
+            </div>
+
+            {items.length === 0 ? (
+                <div className="empty-state">
+                    <p className="empty-emoji">🧹</p>
+                    <p className="empty-text">Trash is empty</p>
+                </div>
+            ) : (
+                <ul className="todo-list" aria-label="Trashed todos">
+                    {items.map((todo) => (
+                        <li key={todo.id} className="todo-item trashed">
+                            <div className="todo-content">
+                                <p className="todo-title">{todo.title}</p>
+                                <div className="todo-meta">
+                                    <span className="due-badge">🗑️ Deleted {formatDateTime(todo.deletedAt)}</span>
+                                    <span className="due-badge">⌛ Purged {formatDateTime(todo.purgeAt)}</span>
+                                </div>
+                            </div>
+                            <div className="todo-actions">
+                                <button type="button" className="btn btn-save" onClick={() => handleRestore(todo.id)}>
+                                    Restore
+                                </button>
+                                <button
+                                    type="button"
+                                    className="btn btn-delete"
+                                    onClick={() => handlePurge(todo)}
+                                    aria-label={`Delete "${todo.title}" forever`}
+                                    title="Delete forever"
+                                >
+                                    ✕
+                                </button>
+                            </div>
+                        </li>
+                    ))}
+                </ul>
+            )}
+
+            <InfiniteScroll hasMore={Boolean(meta.nextCursor)} loading={loadingMore} onLoadMore={loadMore} />
+        </div>
+    );
+}
@@ -0,0 +1,125 @@
+import { isSameDay } from "./dates";
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Calendar Helpers
+// ─────────────────────────────────────────────────────────────────────────────
+// Date ranges and groupings for the calendar and agenda views. Everything is
+// in the browser's local time zone; weeks start on Sunday, as in WEEKDAYS
+// (utils/recurrence.js).
+
+// How far ahead the agenda looks; its "Later" section ends here.
+export const AGENDA_DAYS = 30;
+
+/** Local midnight of `date`. */
+export const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+/** `date` moved by `days` calendar days (kept at the same local time across DST). */
+export const addDays = (date, days) => {
+    const d = new Date(date);
+    d.setDate(d.getDate() + days);
+    return d;
+};
+
+/** Local midnight of the Sunday that starts the week containing `date`. */
+export const startOfWeek = (date) => addDays(startOfDay(date), -date.getDay());
+
+/** "2026-03-04" – a local calendar day, usable as a key. */
+export const dayKey = (date) => {
+    const d = new Date(date);
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+};
+
+/**
+ * The days a view shows around `anchor`, as [from, to) plus the list of days.
+ * A month is shown as whole weeks, so it starts and ends on a week boundary.
+ *
+ * @param {"month"|"week"|"day"|"agenda"} mode
+ * @param {Date} anchor
+ * @returns {{ from: Date, to: Date, days: Date[] }}
+ */
+export const viewRange = (mode, anchor) => {
+    let from;
+    let count;
+    if (mode === "month") {
+        const first = new Date(anchor.getFullYear(), anchor.getMonth(), 1);
+        const last = new Date(anchor.getFullYear(), anchor.getMonth() + 1, 0);
+        from = startOfWeek(first);
+        count = Math.round((startOfWeek(last) - from) / 86400000) + 7;
+    } else if (mode === "week") {
+        from = startOfWeek(anchor);
+        count = 7;
+    } else if (mode === "day") {
+        from = startOfDay(anchor);
+        count = 1;
+    } else {
+        from = startOfDay(anchor);
+        count = AGENDA_DAYS;
+    }
+    const days = Array.from({ length: count }, (_, i) => addDays(from, i));
+    return { from, to: addDays(from, count), days };
+};
+
+/** The anchor one step back (`dir` -1) or forward (1) in a view. */
+export const stepAnchor = (mode, anchor, dir) => {
+    if (mode === "month") return new Date(anchor.getFullYear(), anchor.getMonth() + dir, 1);
+    if (mode === "week") return addDays(anchor, 7 * dir);
+    if (mode === "day") return addDays(anchor, dir);
+    return addDays(anchor, AGENDA_DAYS * dir);
+};
+
+/**
+ * An ISO due date moved to another day, keeping its local time of day.
+ *
+ * @param {string} iso
+ * @param {Date} day
+ * @returns {string}
+ */
+export const moveToDay = (iso, day) => {
+    const due = new Date(iso);
+    return new Date(
+        day.getFullYear(),
+        day.getMonth(),
+        day.getDate(),
+        due.getHours(),
+        due.getMinutes(),
+        due.getSeconds()
+    ).toISOString();
+};
+
+/** Calendar entries grouped by local day: dayKey → entries, in order. */
+export const entriesByDay = (entries) => {
+    const byDay = new Map();
+    for (const entry of entries) {
+        const key = dayKey(entry.date);
+        if (!byDay.has(key)) byDay.set(key, []);
+        byDay.get(key).push(entry);
+    }
+    return byDay;
+};
+
+/**
+ * Splits entries into the agenda's sections – Today, Tomorrow, This week (the
+ * rest of the current week) and Later. Empty sections are left out.
+ *
+ * @param {object[]} entries - Calendar entries ({ date, … }), ordered by date.
+ * @param {Date} [now]
+ * @returns {{ key: string, label: string, entries: object[] }[]}
+ */
+export const agendaSections = (entries, now = new Date()) => {
+    const tomorrow = addDays(startOfDay(now), 1);
+    const weekEnd = addDays(startOfWeek(now), 7);
+    const sections = [
+        { key: "today", label: "Today", entries: [] },
+        { key: "tomorrow", label: "Tomorrow", entries: [] },
+        { key: "week", label: "This week", entries: [] },
+        { key: "later", label: "Later", entries: [] },
+    ];
+    for (const entry of entries) {
+        const date = new Date(entry.date);
+        if (isSameDay(date, now)) sections[0].entries.push(entry);
+        else if (isSameDay(date, tomorrow)) sections[1].entries.push(entry);
+        else if (date < weekEnd) sections[2].entries.push(entry);
+        else sections[3].entries.push(entry);
+    }
+    return sections.filter((section) => section.entries.length > 0);
+};
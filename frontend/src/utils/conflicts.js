@@ -0,0 +1,26 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// Edit Conflicts
+// ─────────────────────────────────────────────────────────────────────────────
+// A save is refused (HTTP 412) when the todo changed on the server since the
+// edit started. Only the fields both sides changed need a decision – the
+// user's edit carries just the fields they touched, so anything else the other
+// side changed is simply kept.
+
+const DATE_FIELDS = ["dueAt", "remindAt"];
+
+/** Compares two values of `field` the way they travel over JSON (dates by instant). */
+export const sameFieldValue = (field, a, b) => {
+    if (DATE_FIELDS.includes(field) && a && b) return new Date(a).getTime() === new Date(b).getTime();
+    return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+};
+
+/**
+ * The fields of `mine` (the user's changes) that the server's copy now holds
+ * a different value for.
+ *
+ * @param {object} mine
+ * @param {object} theirs - The todo as the server returned it with the 412.
+ * @returns {string[]}
+ */
+export const conflictingFields = (mine, theirs) =>
+    Object.keys(mine).filter((field) => !sameFieldValue(field, mine[field], theirs[field]));
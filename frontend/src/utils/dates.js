@@ -0,0 +1,66 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// Date Helpers
+// ─────────────────────────────────────────────────────────────────────────────
+// The API speaks ISO-8601 (UTC); <input type="datetime-local"> speaks
+// "YYYY-MM-DDTHH:mm" in the browser's local zone. These helpers convert between
+// the two and classify due dates for display.
+
+const pad = (n) => String(n).padStart(2, "0");
+
+/** ISO string (or null) → value for a datetime-local input ("" when empty). */
+export const toInputValue = (iso) => {
+    if (!iso) return "";
+    const d = new Date(iso);
+    if (Number.isNaN(d.getTime())) return "";
+    return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}T${pad(d.getHours())}:${pad(d.getMinutes())}`;
+};
+
+/** datetime-local input value → ISO string, or null when the input is empty. */
+export const fromInputValue = (value) => (value ? new Date(value).toISOString() : null);
+
+/** Returns true when both dates fall on the same local calendar day. */
+export const isSameDay = (a, b) =>
+    a.getFullYear() === b.getFullYear() &&
+    a.getMonth() === b.getMonth() &&
+    a.getDate() === b.getDate();
+
+/**
+ * Classifies a todo's due date relative to `now`.
+ *
+ * @returns {"overdue"|"today"|"upcoming"|null} null when there is no due date
+ *          or the todo is already completed.
+ */
+export const getDueState = (todo, now = new Date()) => {
+    if (!todo.dueAt || todo.status) return null;
+    const due = new Date(todo.dueAt);
+    if (due < now) return "overdue";
+    if (isSameDay(due, now)) return "today";
+    return "upcoming";
+};
+
+/** Short, locale-aware date + time label, e.g. "Mar 4, 09:30". */
+export const formatDateTime = (iso) =>
+    new Date(iso).toLocaleString(undefined, {
+        month: "short",
+        day: "numeric",
+        hour: "2-digit",
+        minute: "2-digit",
+    });
+
+/** Start and end (exclusive) of the local day containing `date`, as ISO strings. */
+export const dayRange = (date = new Date()) => {
+    const start = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    const end = new Date(start);
+    end.setDate(end.getDate() + 1);
+    return { from: start.toISOString(), to: end.toISOString() };
+};
+
+/** A length of time in its two largest units, e.g. "3d 4h", "5h 20m" or "12m". */
+export const formatDuration = (ms) => {
+    const minutes = Math.round(ms / 60000);
+    const days = Math.floor(minutes / 1440);
+    const hours = Math.floor((minutes % 1440) / 60);
+    if (days > 0) return `${days}d ${hours}h`;
+    if (hours > 0) return `${hours}h ${minutes % 60}m`;
+    return `${minutes}m`;
+};
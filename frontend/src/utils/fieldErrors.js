@@ -0,0 +1,27 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// Field Errors
+// ─────────────────────────────────────────────────────────────────────────────
+// The API reports invalid input as `errors: [{ field, code, message }]` next
+// to the usual `message`. Forms show these beside the offending input rather
+// than in the page-level error banner.
+
+/**
+ * Maps an API error to { [field]: message }, keyed by the top-level field
+ * ("recurrence.interval" → "recurrence", "checklist[0].text" → "checklist").
+ * Returns null when the error is not about specific fields.
+ *
+ * @param {unknown} err - A rejected axios request.
+ * @returns {Record<string, string>|null}
+ */
+export const fieldErrorsOf = (err) => {
+    const errors = err?.response?.data?.errors;
+    if (!Array.isArray(errors)) return null;
+
+    const byField = {};
+    for (const { field, message } of errors) {
+        if (!field) continue;
+        const key = field.split(/[.[]/)[0];
+        byField[key] = byField[key] ? `${byField[key]}. ${message}` : message;
+    }
+    return Object.keys(byField).length ? byField : null;
+};
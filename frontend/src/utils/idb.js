@@ -0,0 +1,58 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// IndexedDB Helpers
+// ─────────────────────────────────────────────────────────────────────────────
+// A thin promise wrapper – just enough for the offline cache in api/offline.js.
+
+/** Resolves with the result of an IDBRequest. */
+const settle = (request) =>
+    new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+
+/**
+ * Opens (and if needed creates) a database.
+ *
+ * @param {string} name
+ * @param {number} version
+ * @param {(db: IDBDatabase) => void} upgrade - Creates the object stores.
+ * @returns {Promise<IDBDatabase>}
+ */
+export const openDatabase = (name, version, upgrade) => {
+    const request = indexedDB.open(name, version);
+    request.onupgradeneeded = () => upgrade(request.result);
+    return settle(request);
+};
+
+/**
+ * Runs `work` in one transaction over `storeNames` and resolves with its
+ * result once the transaction has committed.
+ *
+ * @param {IDBDatabase} db
+ * @param {string|string[]} storeNames
+ * @param {"readonly"|"readwrite"} mode
+ * @param {(...stores: IDBObjectStore[]) => Promise<*>|*} work
+ */
+export const transact = (db, storeNames, mode, work) =>
+    new Promise((resolve, reject) => {
+        const names = [].concat(storeNames);
+        const tx = db.transaction(names, mode);
+        let result;
+        Promise.resolve(work(...names.map((name) => tx.objectStore(name))))
+            .then((value) => {
+                result = value;
+            })
+            .catch((error) => {
+                tx.abort();
+                reject(error);
+            });
+        tx.oncomplete = () => resolve(result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+
+/** Promise form of a single store request (get, put, delete, getAll, …). */
+export const request = settle;
+
+/** Deletes a whole database. */
+export const deleteDatabase = (name) => settle(indexedDB.deleteDatabase(name));
@@ -0,0 +1,31 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// People
+// ─────────────────────────────────────────────────────────────────────────────
+// Users as GET /api/lists returns them on a list's `owner` and `members`:
+// { id, name, email }. Must stay in step with backend/utils/mentions.js,
+// which resolves "@handle" to one of them.
+
+/** Up to two initials for an avatar: "Ada Lovelace" → "AL". */
+export const initialsOf = (user) =>
+    (user?.name || user?.email || "?")
+        .split(/\s+/)
+        .filter(Boolean)
+        .slice(0, 2)
+        .map((word) => word[0].toUpperCase())
+        .join("");
+
+/** What "@" is followed by to mention a user – their email up to the "@". */
+export const handleOf = (user) => user.email.split("@")[0];
+
+/**
+ * Everyone who can see the todos of `list` – its owner, then its members –
+ * or just `me` for the Inbox.
+ *
+ * @param {object|undefined} list - A list from GET /api/lists.
+ * @param {{ id: string, name: string, email: string }} me
+ * @returns {{ id: string, name: string, email: string }[]}
+ */
+export const peopleOfList = (list, me) =>
+    list && typeof list.owner === "object"
+        ? [list.owner, ...(list.members || []).map((m) => m.user).filter(Boolean)]
+        : [me];
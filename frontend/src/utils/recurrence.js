@@ -0,0 +1,37 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// Recurrence Helpers
+// ─────────────────────────────────────────────────────────────────────────────
+// Mirrors the rule shape stored on the backend:
+//   { freq, interval, byWeekday?, count?, until?, tz? }
+// `tz` is the IANA time zone whose weekdays and times of day the rule follows.
+
+export const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+/** The browser's IANA time zone, e.g. "Europe/Berlin". */
+export const localTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+const UNITS = {
+    daily: ["day", "days"],
+    weekly: ["week", "weeks"],
+    monthly: ["month", "months"],
+    yearly: ["year", "years"],
+};
+
+/**
+ * Human-readable summary of a rule, e.g. "Every 2 weeks on Mon, Wed · 5 times".
+ * Returns "" for a missing rule.
+ */
+export const describeRecurrence = (rule) => {
+    if (!rule?.freq) return "";
+    const interval = rule.interval || 1;
+    const [one, many] = UNITS[rule.freq];
+    let text = interval === 1 ? `Every ${one}` : `Every ${interval} ${many}`;
+
+    if (rule.freq === "weekly" && rule.byWeekday?.length) {
+        text += ` on ${[...rule.byWeekday].sort((a, b) => a - b).map((d) => WEEKDAYS[d]).join(", ")}`;
+    }
+    if (rule.count) text += ` · ${rule.count} times`;
+    if (rule.until) text += ` · until ${new Date(rule.until).toLocaleDateString()}`;
+    if (rule.tz && rule.tz !== localTimeZone()) text += ` · ${rule.tz} time`;
+    return text;
+};
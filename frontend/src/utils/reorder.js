@@ -0,0 +1,49 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// Reordering Helpers
+// ─────────────────────────────────────────────────────────────────────────────
+// Index arithmetic for moving a todo within the loaded list (manual order).
+
+/**
+ * A copy of `items` with the item at `from` moved to `to`.
+ *
+ * @template T
+ * @param {T[]} items
+ * @param {number} from
+ * @param {number} to - Index in the result.
+ * @returns {T[]}
+ */
+export const moveItem = (items, from, to) => {
+    const next = [...items];
+    const [item] = next.splice(from, 1);
+    next.splice(to, 0, item);
+    return next;
+};
+
+/**
+ * Where an item dragged from `from` ends up when dropped on the `edge` of the
+ * item at `over`.
+ *
+ * @param {number} from
+ * @param {number} over
+ * @param {"before"|"after"} edge
+ * @returns {number} index for moveItem().
+ */
+export const dropIndex = (from, over, edge) => {
+    const to = edge === "after" ? over + 1 : over;
+    return from < to ? to - 1 : to;
+};
+
+/**
+ * The nearest items above and below `index` that pass `usable` – the
+ * neighbours to report to the server, skipping ones it does not know yet.
+ *
+ * @template T
+ * @param {T[]} items
+ * @param {number} index
+ * @param {(item: T) => boolean} usable
+ * @returns {{ above: T|null, below: T|null }}
+ */
+export const neighboursOf = (items, index, usable) => ({
+    above: items.slice(0, index).reverse().find(usable) ?? null,
+    below: items.slice(index + 1).find(usable) ?? null,
+});
@@ -0,0 +1,19 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// Tag Helpers
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Canonical tag spelling – must match backend/utils/tags.js so what the user
+ * sees in the chip is what the server stores.
+ */
+export const normalizeTag = (tag) =>
+    String(tag)
+        .trim()
+        .replace(/^#+/, "")
+        .toLowerCase()
+        .replace(/\s+/g, "-")
+        .slice(0, 30);
+
+/** Inline style for a tag chip, tinted with the tag's custom colour if any. */
+export const tagStyle = (color) =>
+    color ? { background: `${color}26`, color, borderColor: `${color}66` } : undefined;
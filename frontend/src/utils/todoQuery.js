@@ -0,0 +1,92 @@
+import { normalizeTag } from "./tags";
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Todo Query Helpers
+// ─────────────────────────────────────────────────────────────────────────────
+// Client-side mirror of GET /api/todos filtering and sorting, used to place
+// todos pushed over the event stream into the list that is already on screen.
+// Must stay in step with buildTodoFilter and SORT_FIELDS in
+// backend/contollers/todoController.js.
+
+const PRIORITY_RANK = { low: 1, medium: 2, high: 3 };
+
+/**
+ * Would GET /api/todos with these query params return this todo?
+ *
+ * Without `list` (or with the Inbox) only the user's own todos are listed –
+ * todos of lists shared with them only with `assignee=me`.
+ *
+ * @param {object} todo
+ * @param {object} params - The query params sent to fetchTodos.
+ * @param {{ userId?: string, now?: Date }} [opts] - `userId` is the signed-in user.
+ * @returns {boolean|null} null when it cannot be decided locally (full-text
+ *          search relevance is only known to the server).
+ */
+export const matchesQuery = (todo, params, { userId, now = new Date() } = {}) => {
+    if (params.q) return null;
+
+    const ownOnly = (!params.list || params.list === "inbox") && params.assignee !== "me";
+    if (ownOnly && userId && String(todo.owner) !== userId) return false;
+    const assignee = todo.assignee ? String(todo.assignee) : null;
+    if (params.assignee === "me" && assignee !== userId) return false;
+    if (params.assignee === "none" && assignee) return false;
+    if (params.assignee && !["me", "none"].includes(params.assignee) && assignee !== params.assignee) return false;
+
+    if (params.list === "inbox" && todo.list) return false;
+    if (params.list && params.list !== "inbox" && String(todo.list) !== params.list) return false;
+    if (params.status !== undefined && todo.status !== (params.status === "true")) return false;
+    if (params.priority && todo.priority !== params.priority) return false;
+    if (params.state && !params.state.split(",").includes(todo.state)) return false;
+
+    const due = todo.dueAt ? new Date(todo.dueAt) : null;
+    if (params.dueAfter && !(due && due >= new Date(params.dueAfter))) return false;
+    if (params.dueBefore && !(due && due < new Date(params.dueBefore))) return false;
+    if (params.overdue && !(due && due < now && !todo.status)) return false;
+
+    if (params.tags) {
+        const wanted = params.tags.split(",").map(normalizeTag).filter(Boolean);
+        const has = new Set(todo.tags || []);
+        const ok = params.tagMode === "all"
+            ? wanted.every((tag) => has.has(tag))
+            : wanted.some((tag) => has.has(tag));
+        if (wanted.length && !ok) return false;
+    }
+
+    return true;
+};
+
+/** Value of one sort key for a todo. Missing values sort as the smallest. */
+const sortValue = (todo, field) => {
+    if (field === "priority") return PRIORITY_RANK[todo.priority] || 0;
+    if (field === "title") return todo.title || "";
+    // Manual order: `position` is a rank compared as a plain string.
+    if (field === "manual") return todo.position || "";
+    return todo[field] ? new Date(todo[field]).getTime() : 0;
+};
+
+/**
+ * Builds a comparator for a `sort` param such as "-priority,-createdAt".
+ * Ties are broken by id in the direction of the last key, as the server does.
+ *
+ * @param {string} sort
+ * @returns {(a: object, b: object) => number}
+ */
+export const compareBySort = (sort) => {
+    const keys = sort.split(",").filter(Boolean).map((part) => ({
+        field: part.replace(/^[-+]/, ""),
+        dir: part.startsWith("-") ? -1 : 1,
+    }));
+    const idDir = keys[keys.length - 1]?.dir || -1;
+
+    return (a, b) => {
+        for (const { field, dir } of keys) {
+            const x = sortValue(a, field);
+            const y = sortValue(b, field);
+            if (x < y) return -dir;
+            if (x > y) return dir;
+        }
+        const idA = String(a.id || a._id);
+        const idB = String(b.id || b._id);
+        return idA < idB ? -idDir : idA > idB ? idDir : 0;
+    };
+};
@@ -0,0 +1,9 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// Workflow States
+// ─────────────────────────────────────────────────────────────────────────────
+// The server's workflow (GET /api/todos/workflow): the states a todo moves
+// through, in board order – [{ key, name, done }]. A todo's `status` is true
+// exactly when its `state` is a done one.
+
+/** Display name of a state key; unknown keys (e.g. a state since removed) as is. */
+export const stateName = (states, key) => states.find((s) => s.key === key)?.name || key;